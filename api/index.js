@@ -1,12 +1,22 @@
 import express from 'express';
 import webhookRoutes from '../src/routes/webhookRoutes.js';
 import adminRoutes from '../src/routes/adminRoutes.js';
-import { log } from '../src/utils/logger.js';
+import jobRoutes from '../src/routes/jobRoutes.js';
+import { assignCorrelationId } from '../src/middleware/correlationIdMiddleware.js';
+import { log, logError } from '../src/utils/logger.js';
 
 const app = express();
 
 // Middleware
-app.use(express.json());
+// Mantém o corpo bruto da requisição para validar a assinatura do webhook
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
+
+// Id de correlação incluído em todos os registros de cada requisição
+app.use(assignCorrelationId);
 
 // Log de todas as requisições
 app.use((req, res, next) => {
@@ -17,6 +27,7 @@ app.use((req, res, next) => {
 // Rotas
 app.use('/', webhookRoutes);
 app.use('/admin', adminRoutes);
+app.use('/jobs', jobRoutes);
 
 // Rota de verificação de saúde
 app.get('/health', (req, res) => {
@@ -30,7 +41,7 @@ app.get('/', (req, res) => {
 
 // Tratamento de erros
 app.use((err, req, res, next) => {
-  log('Erro na aplicação:', err);
+  logError('Erro na aplicação', err);
   res.status(500).json({ error: 'Erro interno do servidor' });
 });
 
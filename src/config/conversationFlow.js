@@ -0,0 +1,190 @@
+/**
+ * @fileoverview Definição declarativa do fluxo de conversa
+ * Cada etapa é descrita como dado (id, mensagem, validação, tipos de entrada,
+ * próxima etapa e palavra para pular), permitindo adicionar, reordenar ou
+ * remover perguntas de cada evento sem alterar o controlador.
+ */
+
+import { isValidEmail } from '../utils/validators.js';
+import { t, getLocale } from '../services/i18nService.js';
+
+// Estados da conversa
+export const CONVERSATION_STATES = {
+  INITIAL: 'initial',
+  WAITING_NAME: 'waiting_name',
+  WAITING_EMAIL: 'waiting_email',
+  WAITING_BUSINESS: 'waiting_business',
+  WAITING_CONSENT: 'waiting_consent',
+  WAITING_PROFILE: 'waiting_profile',
+  WAITING_CHALLENGE: 'waiting_challenge',
+  WAITING_PERSONAL_CHALLENGE: 'waiting_personal_challenge',
+  GENERATING_LETTER: 'generating_letter',
+  LETTER_DELIVERED: 'letter_delivered',
+  WAITING_COMMAND: 'waiting_command',
+  CONVERSING: 'conversing'
+};
+
+/**
+ * Verifica se o texto tem o tamanho mínimo exigido
+ * @param {number} length - Tamanho mínimo
+ * @returns {Function} - Validador da etapa
+ */
+const minLength = (length) => (value) => Boolean(value) && value.length >= length;
+
+/**
+ * Cria uma mensagem resolvida no idioma da sessão
+ * @param {string} key - Chave da mensagem no catálogo (src/config/messages.js)
+ * @returns {Function} - Função da sessão que retorna o texto
+ */
+const message = (key) => (session) => t(getLocale(session), key, { nome: session.name });
+
+/**
+ * Fluxo padrão do evento Mapa do Lucro
+ * Os textos vêm do catálogo de mensagens e são funções da sessão, para serem
+ * enviados no idioma do usuário.
+ *
+ * Campos de cada etapa:
+ * - id: identificador único da etapa
+ * - state: estado da sessão enquanto a etapa aguarda resposta
+ * - prompt: texto (ou função da sessão) enviado ao entrar na etapa
+ * - inputTypes: tipos de mensagem aceitos ('text', 'image'); respostas de botões e listas chegam como 'text'
+ * - field: campo da sessão que recebe a resposta em texto
+ * - transform: função (valor, sessão) => valor aplicada antes de gravar o campo
+ * - validator: função (valor, sessão) => boolean
+ * - invalidMessage: texto enviado quando a validação falha
+ * - skipKeyword: palavra (ou função da sessão) que pula a etapa, gravando null no campo (enviada como botão)
+ * - skipLabel: título (ou função da sessão) do botão para pular (padrão "Pular")
+ * - choices: opções enviadas como botões ({ id, title, reply }, textos ou funções da sessão); ao escolher uma,
+ *   o usuário recebe o texto de reply e continua na mesma etapa
+ * - answers: respostas prontas enviadas como botões ({ id, title }); o id escolhido chega como resposta em texto
+ *   e segue o processamento normal da etapa (processador ou validação)
+ * - processors: processadores registrados no controlador, por tipo de entrada
+ * - errorMessage: texto (ou mapa por tipo de entrada, ou função da sessão) enviado em caso de erro
+ * - reminder: texto (ou função da sessão) do lembrete enviado quando o usuário para nesta etapa
+ *   (ver reminderService); etapas sem lembrete não recebem lembrete
+ * - next: id da próxima etapa (ou função da sessão); null encerra o fluxo
+ */
+const conversationFlow = {
+  firstStep: 'name',
+
+  // Mensagens para tipos de entrada que a etapa atual não aceita
+  unexpectedInputMessages: {
+    image: message('unexpectedImage'),
+    default: message('unexpectedInput')
+  },
+
+  steps: [
+    {
+      id: 'name',
+      state: CONVERSATION_STATES.WAITING_NAME,
+      prompt: message('namePrompt'),
+      inputTypes: ['text'],
+      field: 'name',
+      validator: minLength(2),
+      invalidMessage: message('nameInvalid'),
+      errorMessage: message('nameError'),
+      reminder: message('nameReminder'),
+      next: 'email'
+    },
+    {
+      id: 'email',
+      state: CONVERSATION_STATES.WAITING_EMAIL,
+      prompt: message('emailPrompt'),
+      inputTypes: ['text'],
+      field: 'email',
+      validator: (value) => isValidEmail(value),
+      transform: (value) => value.toLowerCase(),
+      invalidMessage: message('emailInvalid'),
+      skipKeyword: message('skipKeyword'),
+      skipLabel: message('skipLabel'),
+      errorMessage: message('emailError'),
+      reminder: message('emailReminder'),
+      next: 'business'
+    },
+    {
+      id: 'business',
+      state: CONVERSATION_STATES.WAITING_BUSINESS,
+      prompt: message('businessPrompt'),
+      inputTypes: ['text'],
+      field: 'business',
+      skipKeyword: message('skipKeyword'),
+      skipLabel: message('skipLabel'),
+      errorMessage: message('businessError'),
+      reminder: message('businessReminder'),
+      next: 'consent'
+    },
+    {
+      // Autorização (LGPD) para analisar o perfil; sem ela, a etapa do perfil é pulada
+      id: 'consent',
+      state: CONVERSATION_STATES.WAITING_CONSENT,
+      prompt: message('consentPrompt'),
+      inputTypes: ['text'],
+      answers: [
+        { id: 'consentimento_sim', title: message('consentAcceptTitle') },
+        { id: 'consentimento_nao', title: message('consentDeclineTitle') }
+      ],
+      processors: {
+        text: 'consent'
+      },
+      errorMessage: message('consentError'),
+      reminder: message('consentReminder'),
+      next: (session) => session.consentGiven ? 'profile' : 'challenge'
+    },
+    {
+      id: 'profile',
+      state: CONVERSATION_STATES.WAITING_PROFILE,
+      prompt: message('profilePrompt'),
+      inputTypes: ['text', 'image'],
+      choices: [
+        {
+          id: 'perfil_print',
+          title: message('profilePrintTitle'),
+          reply: message('profilePrintReply')
+        },
+        {
+          id: 'perfil_arroba',
+          title: message('profileHandleTitle'),
+          reply: message('profileHandleReply')
+        }
+      ],
+      processors: {
+        text: 'profileLink',
+        image: 'profileImage'
+      },
+      errorMessage: (session) => ({
+        text: message('profileTextError')(session),
+        image: message('profileImageError')(session)
+      }),
+      reminder: message('profileReminder'),
+      next: 'challenge'
+    },
+    {
+      id: 'challenge',
+      state: CONVERSATION_STATES.WAITING_CHALLENGE,
+      prompt: (session) => session.imageUrl
+        ? message('challengePromptAfterImage')(session)
+        : message('challengePrompt')(session),
+      inputTypes: ['text'],
+      field: 'challenge',
+      validator: minLength(2),
+      invalidMessage: message('challengeInvalid'),
+      errorMessage: message('challengeError'),
+      reminder: message('challengeReminder'),
+      next: 'personalChallenge'
+    },
+    {
+      id: 'personalChallenge',
+      state: CONVERSATION_STATES.WAITING_PERSONAL_CHALLENGE,
+      prompt: message('personalChallengePrompt'),
+      inputTypes: ['text'],
+      field: 'personalChallenge',
+      validator: minLength(2),
+      invalidMessage: message('personalChallengeInvalid'),
+      errorMessage: message('personalChallengeError'),
+      reminder: message('personalChallengeReminder'),
+      next: null
+    }
+  ]
+};
+
+export default conversationFlow;
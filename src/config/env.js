@@ -11,10 +11,9 @@ dotenv.config();
 const validateRequiredEnvVars = () => {
   const requiredVars = [
     'WHATSAPP_TOKEN',
-    'VERIFY_TOKEN',
+    'WHATSAPP_VERIFY_TOKEN',
     'WHATSAPP_PHONE_ID',
-    'OPENAI_API_KEY',
-    'REDIS_URL'
+    'OPENAI_API_KEY'
   ];
 
   const missingVars = requiredVars.filter(varName => !process.env[varName]);
@@ -34,10 +33,18 @@ const config = {
   PORT: process.env.PORT || 3000,
   NODE_ENV: process.env.NODE_ENV || 'development',
   
+  // Nível mínimo dos registros ('debug', 'info', 'warn' ou 'error')
+  LOG_LEVEL: (process.env.LOG_LEVEL || 'info').toLowerCase(),
+  
   // Configurações do WhatsApp
   WHATSAPP_TOKEN: process.env.WHATSAPP_TOKEN,
-  VERIFY_TOKEN: process.env.VERIFY_TOKEN,
+  WHATSAPP_VERIFY_TOKEN: process.env.WHATSAPP_VERIFY_TOKEN,
   WHATSAPP_PHONE_ID: process.env.WHATSAPP_PHONE_ID,
+  
+  // Chave secreta do app na Meta, usada para validar a assinatura (X-Hub-Signature-256) do webhook
+  WHATSAPP_APP_SECRET: process.env.WHATSAPP_APP_SECRET,
+  // Ignora a validação da assinatura (apenas fora de produção, para testes locais)
+  WEBHOOK_SIGNATURE_BYPASS: process.env.WEBHOOK_SIGNATURE_BYPASS === 'true',
   WHATSAPP_MAX_MESSAGE_LENGTH: parseInt(process.env.WHATSAPP_MAX_MESSAGE_LENGTH || '4000'),
   
   // Configurações da OpenAI
@@ -45,10 +52,72 @@ const config = {
   OPENAI_ORGANIZATION: process.env.OPENAI_ORGANIZATION,
   ASSISTANT_ID: process.env.ASSISTANT_ID,
   
-  // Configurações do Redis
-  REDIS_URL: process.env.REDIS_URL,
+  // Configurações de transcrição de áudio ('openai' ou 'stub' para testes)
+  STT_PROVIDER: process.env.STT_PROVIDER || 'openai',
+  STT_STUB_TRANSCRIPT: process.env.STT_STUB_TRANSCRIPT || 'Transcrição de teste',
+  // Endpoint de transcrição usado pelo provedor 'openai'
+  OPENAI_TRANSCRIPTION_URL: process.env.OPENAI_TRANSCRIPTION_URL || 'https://api.openai.com/v1/audio/transcriptions',
+  
+  // Configurações do armazenamento ('redis', 'memory' ou 'file')
+  // Sem valor definido, usa o Redis se REDIS_URL estiver definida e a memória caso contrário
+  STORAGE_BACKEND: process.env.STORAGE_BACKEND,
+  // Arquivo JSON usado pelo backend 'file' (desenvolvimento e testes offline)
+  STORAGE_FILE_PATH: process.env.STORAGE_FILE_PATH || '.data/storage.json',
+  
+  // Configurações do Redis (STORAGE_URL é o nome usado por integrações como a da Upstash na Vercel)
+  REDIS_URL: process.env.REDIS_URL || process.env.STORAGE_URL,
   REDIS_TLS_REJECT_UNAUTHORIZED: process.env.REDIS_TLS_REJECT_UNAUTHORIZED !== 'false',
   
+  // Tempo (em horas) que o id de cada mensagem recebida fica registrado para ignorar reenvios
+  // (a Meta reenvia webhooks não confirmados por até 7 dias)
+  WEBHOOK_DEDUP_TTL_HOURS: parseInt(process.env.WEBHOOK_DEDUP_TTL_HOURS || '168'),
+  
+  // Configurações da fila de jobs (geração da carta em segundo plano)
+  JOB_MAX_ATTEMPTS: parseInt(process.env.JOB_MAX_ATTEMPTS || '3'),
+  // Espera antes da primeira nova tentativa; dobra a cada falha
+  JOB_RETRY_BASE_SECONDS: parseInt(process.env.JOB_RETRY_BASE_SECONDS || '30'),
+  // Prazo de execução de um job; depois dele o job volta à fila (worker interrompido)
+  JOB_LEASE_SECONDS: parseInt(process.env.JOB_LEASE_SECONDS || '300'),
+  // Tempo após o qual uma carta ainda não entregue é considerada perdida e o usuário pode recomeçar
+  // (maior que o pior caso do job: JOB_MAX_ATTEMPTS prazos de execução mais as esperas entre tentativas)
+  LETTER_GENERATION_TIMEOUT_MINUTES: parseInt(process.env.LETTER_GENERATION_TIMEOUT_MINUTES || '30'),
+  // Tempo após o qual uma execução do worker não inicia novos jobs
+  JOB_WORKER_TIME_BUDGET_SECONDS: parseInt(process.env.JOB_WORKER_TIME_BUDGET_SECONDS || '40'),
+  // Intervalo de consulta da fila pelo worker contínuo (npm run worker)
+  JOB_WORKER_POLL_SECONDS: parseInt(process.env.JOB_WORKER_POLL_SECONDS || '5'),
+  // Segredo exigido na rota do worker (enviado pelo Vercel Cron como "Authorization: Bearer <segredo>")
+  CRON_SECRET: process.env.CRON_SECRET,
+  
+  // Lock por usuário: mensagens do mesmo número são processadas uma de cada vez
+  // Tempo máximo de espera pelo lock antes de desistir da mensagem
+  USER_LOCK_WAIT_SECONDS: parseInt(process.env.USER_LOCK_WAIT_SECONDS || '30'),
+  // Tempo após o qual o lock expira, mesmo que o processamento não o libere
+  USER_LOCK_TTL_SECONDS: parseInt(process.env.USER_LOCK_TTL_SECONDS || '120'),
+  
+  // Limites de uso por janela deslizante (0 desativa o limite)
+  RATE_LIMIT_MESSAGES_PER_MINUTE: parseInt(process.env.RATE_LIMIT_MESSAGES_PER_MINUTE || '20'),
+  RATE_LIMIT_LETTERS_PER_DAY: parseInt(process.env.RATE_LIMIT_LETTERS_PER_DAY || '3'),
+  // Teto de cartas por hora somando todos os números (protege o orçamento da OpenAI)
+  RATE_LIMIT_GLOBAL_LETTERS_PER_HOUR: parseInt(process.env.RATE_LIMIT_GLOBAL_LETTERS_PER_HOUR || '300'),
+  
+  // Lembretes de conversa abandonada (o painel pode ligá-los e desligá-los, substituindo REMINDERS_ENABLED)
+  REMINDERS_ENABLED: process.env.REMINDERS_ENABLED === 'true',
+  // Tempo sem interação em uma etapa do fluxo antes do lembrete (menor que a expiração da sessão, 26 horas)
+  REMINDER_IDLE_MINUTES: parseInt(process.env.REMINDER_IDLE_MINUTES || '30'),
+  // Máximo de lembretes por número, somando todas as conversas
+  REMINDER_MAX_PER_USER: parseInt(process.env.REMINDER_MAX_PER_USER || '2'),
+  // Template aprovado usado fora da janela de 24 horas (recebe o nome do usuário como parâmetro)
+  REMINDER_TEMPLATE_NAME: process.env.REMINDER_TEMPLATE_NAME,
+  
+  // Campanhas do painel: máximo de templates enviados por minuto (somando todas as campanhas)
+  CAMPAIGN_MESSAGES_PER_MINUTE: parseInt(process.env.CAMPAIGN_MESSAGES_PER_MINUTE || '20'),
+  
+  // Templates aprovados usados no lugar das mensagens livres fora da janela de 24 horas
+  // (ver src/config/windowTemplates.js); sem template, a mensagem não é enviada
+  WINDOW_TEMPLATE_TEXT: process.env.WINDOW_TEMPLATE_TEXT,
+  WINDOW_TEMPLATE_DOCUMENT: process.env.WINDOW_TEMPLATE_DOCUMENT,
+  WINDOW_TEMPLATE_IMAGE: process.env.WINDOW_TEMPLATE_IMAGE,
+  
   // Configurações de timeout
   FETCH_TIMEOUT_MS: parseInt(process.env.FETCH_TIMEOUT_MS || '20000'),
   OPENAI_TIMEOUT_MS: parseInt(process.env.OPENAI_TIMEOUT_MS || '30000'),
@@ -58,14 +127,22 @@ const config = {
   KOMMO_ACCOUNT_ID: process.env.KOMMO_ACCOUNT_ID,
   
   // Configurações de mensagens personalizáveis
-  WELCOME_MESSAGE_1: process.env.WELCOME_MESSAGE_1 || "Olá! 👋 Bem-vindo(a) ao Conselheiro da Consciênc.IA do evento MAPA DO LUCRO!\n\nSou um assistente virtual especial criado para gerar sua Carta de Consciência personalizada - uma análise única baseada no seu perfil digital que revelará insights valiosos sobre seu comportamento empreendedor e recomendações práticas para uso de IA em seus negócios.\n\nPara começar, preciso conhecer você melhor.\n\nPor favor, como gostaria de ser chamado(a)?",
-  WELCOME_MESSAGE_2: process.env.WELCOME_MESSAGE_2 || "Obrigado, {nome}! 😊\n\nPara que possamos enviar materiais adicionais e manter contato após o evento, por favor, me informe seu e-mail:\n\n(Se preferir não compartilhar seu e-mail agora, pode digitar \"pular\" para continuar)",
-  PROFILE_REQUEST_MESSAGE: process.env.PROFILE_REQUEST_MESSAGE || "Perfeito! Agora, para que eu possa gerar sua Carta de Consciência personalizada, preciso analisar seu perfil digital.\n\nPor favor, me envie o link do seu perfil público do Instagram ou Linkedin.\n\nExemplo:\nhttps://www.instagram.com/consciencia/",
-  BUSINESS_CHALLENGE_MESSAGE: process.env.BUSINESS_CHALLENGE_MESSAGE || "Obrigado! Agora me conta, em apenas uma frase ou palavra, qual é o maior desafio que você tem enfrentado no seu Negócio no momento?",
-  PERSONAL_CHALLENGE_MESSAGE: process.env.PERSONAL_CHALLENGE_MESSAGE || "Entendi! E na sua vida pessoal, qual tem sido o maior desafio? Responda com apenas uma palavra ou frase, ok?",
-  PROCESSING_MESSAGE: process.env.PROCESSING_MESSAGE || "Gratidão por compartilhar! Vou analisar seu perfil e gerar sua Carta de Consciência personalizada. Isso pode levar alguns instantes.",
-  FINAL_MESSAGE: process.env.FINAL_MESSAGE || "Espero que tenha gostado da sua Carta de Consciência personalizada! 🌟\n\nPara saber mais sobre como a IA pode transformar seu negócio e sua vida, conheça o Programa Consciênc.IA de Renato Hilel e Nuno Arcanjo.\n\nVisite: https://www.floreon.app.br/conscienc-ia\n\nAproveite o evento MAPA DO LUCRO e não deixe de conversar pessoalmente com os criadores do programa! 💫",
-  GENERIC_ERROR_MESSAGE: process.env.GENERIC_ERROR_MESSAGE || "Desculpe, estou enfrentando algumas dificuldades técnicas no momento. Por favor, tente novamente em alguns instantes.",
+  // Quando definidas, substituem o texto padrão (pt-BR) do catálogo de mensagens (src/config/messages.js)
+  WELCOME_MESSAGE_1: process.env.WELCOME_MESSAGE_1,
+  WELCOME_MESSAGE_2: process.env.WELCOME_MESSAGE_2,
+  PROFILE_REQUEST_MESSAGE: process.env.PROFILE_REQUEST_MESSAGE,
+  BUSINESS_CHALLENGE_MESSAGE: process.env.BUSINESS_CHALLENGE_MESSAGE,
+  PERSONAL_CHALLENGE_MESSAGE: process.env.PERSONAL_CHALLENGE_MESSAGE,
+  PROCESSING_MESSAGE: process.env.PROCESSING_MESSAGE,
+  FINAL_MESSAGE: process.env.FINAL_MESSAGE,
+  GENERIC_ERROR_MESSAGE: process.env.GENERIC_ERROR_MESSAGE,
+  
+  // Configurações de entrega da carta ('text', 'pdf' ou 'both')
+  LETTER_DELIVERY_MODE: process.env.LETTER_DELIVERY_MODE || 'text',
+  STORY_CARD_ENABLED: process.env.STORY_CARD_ENABLED !== 'false',
+  EVENT_NAME: process.env.EVENT_NAME || 'MAPA DO LUCRO',
+  EVENT_TAGLINE: process.env.EVENT_TAGLINE || 'Jornada do Extraordinário',
+  PROGRAM_URL: process.env.PROGRAM_URL || 'www.floreon.app.br/conscienc-ia',
   
   // Configurações do painel administrativo
   ADMIN_USERNAME: process.env.ADMIN_USERNAME || "consciencia",
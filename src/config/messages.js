@@ -0,0 +1,377 @@
+/**
+ * @fileoverview Catálogo de mensagens por idioma
+ * Todas as mensagens enviadas ao usuário ficam aqui, indexadas pelo idioma
+ * (pt-BR, en, es) e por uma chave. Os trechos entre chaves ({nome}, {desafio})
+ * são substituídos no envio pelo i18nService.
+ * Estes são os textos padrão: eles podem ser substituídos por variáveis de
+ * ambiente ou pelo editor de mensagens do painel (messageCatalogService).
+ */
+
+// Idiomas suportados (o primeiro é o padrão)
+export const SUPPORTED_LOCALES = ['pt-BR', 'en', 'es'];
+export const DEFAULT_LOCALE = 'pt-BR';
+
+const messages = {
+  'pt-BR': {
+    // Fluxo de perguntas
+    unexpectedImage: "Desculpe, não estou esperando uma imagem neste momento. Por favor, siga as instruções anteriores ou envie \"Quero receber a minha Carta!\" para reiniciar.",
+    unexpectedInput: "Desculpe, só posso processar mensagens de texto, áudio ou imagens. Por favor, envie seu desafio em formato de texto ou áudio, ou uma imagem do seu perfil.",
+    skipKeyword: 'pular',
+    skipLabel: 'Pular',
+    namePrompt: "Olá! 👋 Bem-vindo(a) à *CONSCIÊNC.IA* do evento \n\n🗺️ *Mapa do Lucro*: *Jornada do Extraordinário*!\n\nSou uma IA criada para gerar sua *Carta personalizada* — uma análise única e estratégica baseada no seu perfil e no momento atual.\n\nPara começar, preciso conhecer você melhor.🙂\n\nComo gostaria de ser chamado(a)?\n\n🌎 _Prefer English? Send *language*. ¿Prefieres español? Envía *idioma*._",
+    nameInvalid: "Por favor, informe um nome válido.",
+    nameError: "Desculpe, ocorreu um erro ao processar seu nome. Por favor, tente novamente ou envie \"Quero receber a minha Carta!\" para reiniciar.",
+    emailPrompt: "Obrigado, {nome}! 😊\n\nPara que possamos enviar materiais adicionais e manter contato após o evento, por favor, me informe seu e-mail:\n\n(Se preferir não compartilhar seu e-mail agora, pode digitar \"pular\" para continuar)",
+    emailInvalid: "Hmm, esse e-mail não parece válido. 🤔\n\nConfira e envie novamente (ex: nome@empresa.com) ou digite \"pular\" para continuar.",
+    emailError: "Desculpe, ocorreu um erro ao processar seu e-mail. Por favor, tente novamente ou envie \"Quero receber a minha Carta!\" para reiniciar.",
+    businessPrompt: "Combinado, {nome}! 😊\n\nPara uma melhor experiência, gostaria de me contar *qual é o seu Negócio ou trabalho atual e o seu papel nele?*\n\n(Responda em apenas uma frase)",
+    businessError: "Desculpe, ocorreu um erro ao processar sua informação. Por favor, tente novamente ou envie \"Quero receber a minha Carta!\" para reiniciar.",
+    consentPrompt: "🔒 Antes de analisar seu perfil, preciso da sua autorização.\n\nPara escrever sua Carta, uso seu nome, suas respostas e o seu perfil digital (o @ ou o print que você enviar), analisados com a ajuda de inteligência artificial. Esses dados servem apenas para gerar e entregar a sua Carta e são apagados automaticamente em até 30 dias.\n\nA qualquer momento, você pode enviar:\n• *meus dados* para ver o que guardamos sobre você\n• *apagar meus dados* para apagar tudo\n• *parar* para não receber mais mensagens\n\nVocê autoriza a análise do seu perfil?",
+    consentAcceptTitle: '✅ Autorizo',
+    consentDeclineTitle: '🚫 Não autorizo',
+    consentInvalid: "Por favor, responda *sim* para autorizar a análise do seu perfil ou *não* para continuar sem ela.",
+    consentDeclined: "Tudo bem, {nome}! 🙏 Não vou analisar seu perfil: sua Carta será escrita apenas com as suas respostas.",
+    consentError: "Desculpe, ocorreu um erro ao registrar sua resposta. Por favor, tente novamente ou envie \"Quero receber a minha Carta!\" para reiniciar.",
+    profilePrompt: "Perfeito! Agora, para gerar sua *Carta personalizada*, preciso analisar seu perfil digital. Consigo fazer isso com:\n\n1️⃣Um print do seu perfil (Instagram ou LinkedIn) *OU* \n2️⃣Apenas me diga seu @ (ex: @coworkingikigai).\n\n📝 Escolha *apenas UMA opção* e me envie agora para começar!",
+    profilePrintTitle: '📸 Enviar print',
+    profilePrintReply: "Ótimo! 📸 Envie agora um print da tela do seu perfil do Instagram ou LinkedIn.",
+    profileHandleTitle: '✍️ Informar meu @',
+    profileHandleReply: "Combinado! ✍️ Me diga seu @ (ex: @coworkingikigai) ou o link do seu perfil.",
+    profileTextError: "Desculpe, ocorreu um erro ao processar seu perfil. Por favor, tente novamente ou envie \"Quero receber a minha Carta!\" para reiniciar.",
+    profileImageError: "Desculpe, ocorreu um erro ao processar sua imagem. Por favor, tente enviar um link do seu perfil em vez disso ou envie \"Quero receber a minha Carta!\" para reiniciar.",
+    challengePrompt: "Agora me diga, com sinceridade...\n\n🌐 Se você pudesse escolher apenas *UM DESAFIO ATUAL* no seu Negócio que, se resolvido, traria os resultados que você mais deseja, qual seria?\n\n(Responda com apenas uma frase)",
+    challengePromptAfterImage: "Agora, me responda com sinceridade...\n\n🌐 *Se você pudesse escolher apenas UM desafio que, se resolvido, traria os resultados que você mais deseja, qual seria no seu Negócio?*\n\n(Responda com apenas uma frase)",
+    challengeInvalid: "Por favor, informe um desafio válido em uma frase.",
+    challengeError: "Encontrei um obstáculo ao processar seu desafio. Por favor, tente novamente ou envie \"Quero receber a minha Carta!\" para reiniciar.",
+    personalChallengePrompt: "Entendi! E na sua vida pessoal, qual tem sido o maior desafio? Responda com apenas uma palavra ou frase, ok?",
+    personalChallengeInvalid: "Por favor, informe seu desafio pessoal em uma palavra ou frase.",
+    personalChallengeError: "Encontrei um obstáculo ao processar seu desafio pessoal. Por favor, tente novamente ou envie \"Quero receber a minha Carta!\" para reiniciar.",
+
+    // Lembretes de conversa abandonada (um por etapa do fluxo)
+    nameReminder: "Oi! 👋 Ainda estou por aqui para criar a sua *Carta personalizada*. Para continuarmos, me conta: como gostaria de ser chamado(a)?",
+    emailReminder: "{nome}, sua Carta está esperando por você! 💌 Me envie seu e-mail para continuarmos (ou digite \"pular\").",
+    businessReminder: "{nome}, falta pouco para a sua Carta! 😊 Me conta, em uma frase, qual é o seu Negócio ou trabalho atual e o seu papel nele?",
+    consentReminder: "{nome}, falta pouco para a sua Carta! ✨ Você autoriza a análise do seu perfil? Responda *sim* ou *não*.",
+    profileReminder: "{nome}, ainda quero muito escrever a sua Carta! ✨ Para continuar, me envie um print do seu perfil ou apenas o seu @ (ex: @coworkingikigai).",
+    challengeReminder: "{nome}, estamos quase lá! 🌐 Qual é o *UM desafio* do seu Negócio que, se resolvido, traria os resultados que você mais deseja?",
+    personalChallengeReminder: "{nome}, só falta uma resposta para a sua Carta ficar pronta! 💌 Qual tem sido o maior desafio na sua vida pessoal?",
+
+    // Mensagens do controlador
+    startFallback: "Olá! Bem-vindo(a) ao Conselheiro Consciênc.IA. Como gostaria de ser chamado(a)?",
+    unknownState: "Algo deu errado, vamos começar novamente? Envie \"Quero receber a minha Carta!\" para reiniciar o processo.",
+    textError: "Desculpe, ocorreu um erro inesperado. Por favor, tente novamente mais tarde ou envie \"Quero receber a minha Carta!\" para reiniciar o processo.",
+    imageError: "Desculpe, ocorreu um erro ao processar sua imagem. Por favor, tente enviar um link do seu perfil em vez disso ou envie \"Quero receber a minha Carta!\" para reiniciar.",
+    imageNotProcessed: "Desculpe, não consegui processar sua imagem. Por favor, tente enviar novamente ou envie um link do seu perfil.",
+    imageReceived: "Obrigado!",
+    audioNotUnderstood: "Desculpe, não consegui entender seu áudio. 🎧 Pode tentar novamente ou, se preferir, me responder por texto?",
+    audioError: "Desculpe, ocorreu um erro ao processar seu áudio. Por favor, tente novamente por texto ou envie \"Quero receber a minha Carta!\" para reiniciar.",
+    generatingLetter: "⏳ Estou analisando suas informações e preparando sua *Carta da Consciênc.IA*…\nIsso pode levar alguns instantes...\n\n🌟 *Respire fundo enquanto a magia acontece*🪄",
+    letterInProgress: "✍️ Ainda estou escrevendo sua carta… Assim que ela ficar pronta, envio aqui. Só mais um pouquinho!",
+    rateLimitMessages: "Opa, recebi muitas mensagens seguidas! 😅 Aguarde um minutinho antes de me escrever de novo, por favor.",
+    rateLimitLetters: "Você já pediu o máximo de cartas por hoje. 💌 Guarde com carinho as que recebeu e volte amanhã para criar uma nova!",
+    rateLimitGlobalLetters: "Estou escrevendo cartas para muita gente neste momento! ✨ Por favor, tente novamente daqui a alguns minutos.",
+    letterDelivered: "💌 *Sua Carta foi entregue!* ✨\n\nEspero que tenha apreciado a experiência! 🌟\n\nPara saber mais sobre como a IA pode transformar o seu Negócio, conheça o *PROGRAMA CONSCIÊNC.IA*, criado pelos Mentores @RenatoHilel.oficial e @NunoArcanjo.poeta.\n\nVisite: https://www.floreon.app.br/conscienc-ia\n\nAproveite o MAPA DO LUCRO e não deixe de conversar pessoalmente com os criadores desta experiência!\n\nUm grande abraço, *Renato e Nuno*. 💫",
+    letterError: "Encontrei um obstáculo ao criar sua carta. Por favor, tente novamente mais tarde ou envie \"Quero receber a minha Carta!\" para reiniciar o processo.",
+    letterPdfCaption: "💌 Sua *Carta da Consciênc.IA* em PDF, para guardar e reler sempre que quiser!",
+    storyCardCaption: "📲 Sua poesia em formato de story! Compartilhe no Instagram e marque @mapadolucroh4b ✨",
+    communityMessage: "✏️E lembre-se:\n\n🗝️A chave para o seu próximo nível está no *fortalecimento da nossa comunidade*!🦾\n\nPor isso, acompanhe os perfis: \n\n1️⃣Método S.I.M. (@metodosimbrasil),\n2️⃣Mapa do Lucro (@mapadolucroh4b) e \n3️⃣IKIGAI (@coworkingikigai).",
+    letterSendError: "Desculpe, encontrei um problema ao enviar sua carta completa. Por favor, envie \"Quero receber a minha Carta!\" para tentar novamente.",
+
+    // Menu e comandos pós-carta
+    commandMenuText: "✨ *E agora, como posso continuar te ajudando?*\n\n🤖 Envie *IA* para descobrir como a IA pode te ajudar com o seu desafio\n🪷 Envie *Inspiração* para receber uma pílula de inspiração\n💌 Envie *Carta* para receber sua carta novamente\n🙏 Envie *Não* para encerrar por aqui\n\n💬 Ou simplesmente me escreva para continuarmos conversando sobre a sua Carta (envie *Nova conversa* para recomeçar do zero)",
+    commandMenuBody: "✨ *E agora, como posso continuar te ajudando?*\n\nEscolha uma opção abaixo 👇\n\n💬 Ou simplesmente me escreva para continuarmos conversando sobre a sua Carta.",
+    commandMenuButton: 'Ver opções',
+    menuIaTitle: '🤖 IA',
+    menuIaDescription: 'Como a IA pode te ajudar com o seu desafio',
+    menuInspirationTitle: '🪷 Inspiração',
+    menuInspirationDescription: 'Receber uma pílula de inspiração',
+    menuLetterTitle: '💌 Carta',
+    menuLetterDescription: 'Receber sua carta novamente',
+    menuNewConversationTitle: '🌱 Nova conversa',
+    menuNewConversationDescription: 'Recomeçar nossa conversa do zero',
+    menuLanguageTitle: '🌎 Idioma',
+    menuLanguageDescription: 'Mudar o idioma da conversa',
+    menuEndTitle: '🙏 Encerrar',
+    menuEndDescription: 'Encerrar por aqui',
+    commandMenuSectionTitle: 'Consciênc.IA',
+    nextSteps: "🌟 *Próximos Passos* 🌟\n\nAgora que você recebeu sua Carta da Consciênc.IA, recomendo:\n\n1. Salve sua carta para referência futura\n2. Converse com Renato Hilel e Nuno Arcanjo sobre como a IA pode transformar seu negócio\n\nPara mais informações, acesse: https://www.floreon.app.br/conscienc-ia",
+    iaPreparing: "🤖 Estou preparando algumas ideias de como a IA pode te ajudar...",
+    letterNotFound: "Não encontrei sua carta por aqui. 😕 Envie \"Quero receber a minha Carta!\" para criarmos uma nova.",
+    goodbye: "Tudo bem, {nome}! 🙏 Foi uma alegria criar sua Carta.\n\nSe quiser voltar a conversar, é só enviar *Menu*. Até breve! 💫",
+    newConversation: "🌱 Pronto, começamos uma nova conversa! Sua Carta continua comigo. Sobre o que você quer refletir agora?",
+    commandError: "Desculpe, ocorreu um erro ao processar seu comando. Por favor, tente novamente ou envie \"Quero receber a minha Carta!\" para reiniciar.",
+
+    // Troca de idioma
+    languagePrompt: "🌎 Em qual idioma você prefere conversar?",
+    languageChanged: "✅ Pronto! Vamos continuar em português.",
+    languageOptionPt: '🇧🇷 Português',
+    languageOptionEn: '🇺🇸 English',
+    languageOptionEs: '🇪🇸 Español',
+
+    // Privacidade (LGPD): parar, meus dados e apagar meus dados
+    optOutConfirmation: "Pronto, você não vai mais receber mensagens nossas. 🙏\n\nSe mudar de ideia, é só enviar *voltar*. Você também pode enviar *meus dados* ou *apagar meus dados* quando quiser.",
+    optInConfirmation: "Que bom ter você de volta! 💫 Você voltou a receber nossas mensagens. Envie \"Quero receber a minha Carta!\" para começar.",
+    dataSummary: "🔒 *Dados que guardamos sobre você*\n\n• Telefone: {telefone}\n• Nome: {nome}\n• E-mail: {email}\n• Negócio: {negocio}\n• Autorização para analisar o perfil: {consentimento}\n• Perfil: {perfil}\n• Desafio no Negócio: {desafio}\n• Desafio pessoal: {desafioPessoal}\n• Carta: {carta}\n• Conversas registradas: {conversas}\n• Mensagens da conversa com o Conselheiro: {historico}\n• Arquivos (carta em PDF, card e print do perfil): {midias}\n\nOs dados são apagados automaticamente em até 30 dias. Para apagar tudo agora, envie *apagar meus dados*.",
+    dataNothingStored: "🔒 Não guardamos nenhum dado seu além do registro dos seus pedidos de privacidade.",
+    dataNotStored: 'não guardado',
+    dataStored: 'guardada',
+    dataProfileImage: 'print do perfil',
+    dataConsentGiven: 'sim',
+    dataConsentDeclined: 'não',
+    dataDeleted: "🗑️ Pronto! Apaguei seus dados: suas respostas, sua Carta, o histórico da nossa conversa e os arquivos enviados.\n\nGuardamos apenas o registro deste pedido e desta resposta (e do pedido para não receber mensagens, se houver), como comprovação exigida pela LGPD, e, por até 24 horas, a contagem das suas mensagens e cartas, usada para limitar o número de pedidos. Se quiser uma nova Carta, é só enviar \"Quero receber a minha Carta!\".",
+    privacyError: "Desculpe, não consegui concluir seu pedido agora. Por favor, tente novamente em alguns minutos.",
+
+    // Documentos gerados (PDF e card para stories)
+    letterTitle: "Carta para {nome}",
+    storyCardSignature: "Poesia para {nome}",
+    defaultName: 'você',
+
+    // Textos de contingência quando a OpenAI não responde
+    iaHelpFallback: "{nome}, a IA não é apenas tecnologia, é uma extensão da sua intuição para superar \"{desafio}\". \n\nImagine ter um oráculo digital que antecipa tendências antes que se tornem visíveis, um assistente que automatiza o mundano para que você habite o extraordinário, e um amplificador que transforma seu sussurro em um chamado que ressoa pelo universo digital.\n\nAs ferramentas existem. A magia está em como você as usa para manifestar sua visão única no mundo.",
+    iaHelpFallbackName: 'Alma empreendedora',
+    iaHelpFallbackChallenge: 'os desafios do seu caminho',
+    inspirationFallback: "🪷 Pílula de Inspiração\n\nNos mares do sonho, veleje sem temor,\nCada solução é um farol que guia com amor.\nNa dança das ondas, encontre a harmonia,\nE com cada venda, celebre a sinfonia.\n\n{nome}, teu espírito é forte, tua visão é clara,\nEscalar é arte, e a tua luz nunca para.\nCom coragem e propósito, o mundo vais iluminar,\nE com cada passo, mais longe vais chegar.",
+    inspirationFallbackName: 'Alma vibrante',
+    followUpFallback: "{nome}, minha conexão oscilou por um instante e não consegui refletir sobre sua mensagem. 🌙\n\nVolte à sua Carta enquanto isso: as respostas que você busca costumam estar nas entrelinhas. Tente me escrever novamente em alguns minutos."
+  },
+
+  en: {
+    // Fluxo de perguntas
+    unexpectedImage: "Sorry, I'm not expecting an image right now. Please follow the previous instructions or send \"I want my Letter!\" to start over.",
+    unexpectedInput: "Sorry, I can only process text, audio or image messages. Please send your challenge as text or audio, or an image of your profile.",
+    skipKeyword: 'skip',
+    skipLabel: 'Skip',
+    namePrompt: "Hello! 👋 Welcome to *CONSCIÊNC.IA* at the event \n\n🗺️ *Mapa do Lucro*: *Journey of the Extraordinary*!\n\nI'm an AI created to write your *personalized Letter* — a unique, strategic analysis based on your profile and your current moment.\n\nTo begin, I need to get to know you better.🙂\n\nWhat would you like to be called?",
+    nameInvalid: "Please enter a valid name.",
+    nameError: "Sorry, something went wrong while processing your name. Please try again or send \"I want my Letter!\" to start over.",
+    emailPrompt: "Thank you, {nome}! 😊\n\nSo we can send you additional materials and keep in touch after the event, please tell me your e-mail:\n\n(If you'd rather not share your e-mail now, just type \"skip\" to continue)",
+    emailInvalid: "Hmm, that e-mail doesn't look valid. 🤔\n\nPlease check it and send it again (e.g. name@company.com) or type \"skip\" to continue.",
+    emailError: "Sorry, something went wrong while processing your e-mail. Please try again or send \"I want my Letter!\" to start over.",
+    businessPrompt: "Great, {nome}! 😊\n\nFor a better experience, would you tell me *what your Business or current job is, and your role in it?*\n\n(Answer in just one sentence)",
+    businessError: "Sorry, something went wrong while processing your answer. Please try again or send \"I want my Letter!\" to start over.",
+    consentPrompt: "🔒 Before analyzing your profile, I need your permission.\n\nTo write your Letter, I use your name, your answers and your digital profile (the @ or the screenshot you send), analyzed with the help of artificial intelligence. This data is used only to write and deliver your Letter and is automatically deleted within 30 days.\n\nAt any time, you can send:\n• *my data* to see what we keep about you\n• *delete my data* to delete everything\n• *stop* to stop receiving messages\n\nDo you allow me to analyze your profile?",
+    consentAcceptTitle: '✅ I allow',
+    consentDeclineTitle: "🚫 I don't allow",
+    consentInvalid: "Please answer *yes* to allow the analysis of your profile or *no* to continue without it.",
+    consentDeclined: "No problem, {nome}! 🙏 I won't analyze your profile: your Letter will be written only from your answers.",
+    consentError: "Sorry, something went wrong while saving your answer. Please try again or send \"I want my Letter!\" to start over.",
+    profilePrompt: "Perfect! Now, to write your *personalized Letter*, I need to analyze your digital profile. I can do that with:\n\n1️⃣A screenshot of your profile (Instagram or LinkedIn) *OR* \n2️⃣Just your @ (e.g. @coworkingikigai).\n\n📝 Choose *only ONE option* and send it now to begin!",
+    profilePrintTitle: '📸 Send screenshot',
+    profilePrintReply: "Great! 📸 Send me a screenshot of your Instagram or LinkedIn profile now.",
+    profileHandleTitle: '✍️ Tell my @',
+    profileHandleReply: "Sounds good! ✍️ Tell me your @ (e.g. @coworkingikigai) or the link to your profile.",
+    profileTextError: "Sorry, something went wrong while processing your profile. Please try again or send \"I want my Letter!\" to start over.",
+    profileImageError: "Sorry, something went wrong while processing your image. Please try sending your profile link instead or send \"I want my Letter!\" to start over.",
+    challengePrompt: "Now tell me, honestly...\n\n🌐 If you could pick just *ONE CURRENT CHALLENGE* in your Business that, once solved, would bring the results you want most, what would it be?\n\n(Answer in just one sentence)",
+    challengePromptAfterImage: "Now, answer me honestly...\n\n🌐 *If you could pick just ONE challenge in your Business that, once solved, would bring the results you want most, what would it be?*\n\n(Answer in just one sentence)",
+    challengeInvalid: "Please describe your challenge in one sentence.",
+    challengeError: "I ran into an obstacle while processing your challenge. Please try again or send \"I want my Letter!\" to start over.",
+    personalChallengePrompt: "I see! And in your personal life, what has been your biggest challenge? Answer with just one word or sentence, ok?",
+    personalChallengeInvalid: "Please describe your personal challenge in one word or sentence.",
+    personalChallengeError: "I ran into an obstacle while processing your personal challenge. Please try again or send \"I want my Letter!\" to start over.",
+
+    // Lembretes de conversa abandonada (um por etapa do fluxo)
+    nameReminder: "Hi! 👋 I'm still here to write your *personalized Letter*. To continue, tell me: what would you like to be called?",
+    emailReminder: "{nome}, your Letter is waiting for you! 💌 Send me your e-mail so we can continue (or type \"skip\").",
+    businessReminder: "{nome}, your Letter is almost there! 😊 Tell me, in one sentence, what your Business or current work is and your role in it.",
+    consentReminder: "{nome}, your Letter is almost there! ✨ Do you allow me to analyze your profile? Answer *yes* or *no*.",
+    profileReminder: "{nome}, I'd still love to write your Letter! ✨ To continue, send me a screenshot of your profile or just your @ (e.g. @coworkingikigai).",
+    challengeReminder: "{nome}, we're almost there! 🌐 What is the *ONE challenge* in your Business that, if solved, would bring the results you most want?",
+    personalChallengeReminder: "{nome}, just one more answer and your Letter will be ready! 💌 What has been the biggest challenge in your personal life?",
+
+    // Mensagens do controlador
+    startFallback: "Hello! Welcome to the Consciênc.IA Counselor. What would you like to be called?",
+    unknownState: "Something went wrong, shall we start again? Send \"I want my Letter!\" to restart.",
+    textError: "Sorry, an unexpected error occurred. Please try again later or send \"I want my Letter!\" to restart.",
+    imageError: "Sorry, something went wrong while processing your image. Please try sending your profile link instead or send \"I want my Letter!\" to start over.",
+    imageNotProcessed: "Sorry, I couldn't process your image. Please try sending it again or send your profile link.",
+    imageReceived: "Thank you!",
+    audioNotUnderstood: "Sorry, I couldn't understand your audio. 🎧 Could you try again or, if you prefer, answer me by text?",
+    audioError: "Sorry, something went wrong while processing your audio. Please try again by text or send \"I want my Letter!\" to start over.",
+    generatingLetter: "⏳ I'm analyzing your information and preparing your *Consciênc.IA Letter*…\nThis may take a few moments...\n\n🌟 *Take a deep breath while the magic happens*🪄",
+    letterInProgress: "✍️ I'm still writing your letter… I'll send it here as soon as it's ready. Just a little longer!",
+    rateLimitMessages: "Whoa, I got a lot of messages in a row! 😅 Please wait a minute before writing to me again.",
+    rateLimitLetters: "You've already requested the maximum number of letters for today. 💌 Treasure the ones you got and come back tomorrow to create a new one!",
+    rateLimitGlobalLetters: "I'm writing letters for a lot of people right now! ✨ Please try again in a few minutes.",
+    letterDelivered: "💌 *Your Letter has been delivered!* ✨\n\nI hope you enjoyed the experience! 🌟\n\nTo learn more about how AI can transform your Business, discover the *CONSCIÊNC.IA PROGRAM*, created by mentors @RenatoHilel.oficial and @NunoArcanjo.poeta.\n\nVisit: https://www.floreon.app.br/conscienc-ia\n\nEnjoy MAPA DO LUCRO and be sure to talk in person with the creators of this experience!\n\nWarm regards, *Renato and Nuno*. 💫",
+    letterError: "I ran into an obstacle while writing your letter. Please try again later or send \"I want my Letter!\" to restart.",
+    letterPdfCaption: "💌 Your *Consciênc.IA Letter* as a PDF, to keep and reread whenever you like!",
+    storyCardCaption: "📲 Your poem in story format! Share it on Instagram and tag @mapadolucroh4b ✨",
+    communityMessage: "✏️And remember:\n\n🗝️The key to your next level is *strengthening our community*!🦾\n\nSo follow these profiles: \n\n1️⃣Método S.I.M. (@metodosimbrasil),\n2️⃣Mapa do Lucro (@mapadolucroh4b) and \n3️⃣IKIGAI (@coworkingikigai).",
+    letterSendError: "Sorry, I had a problem sending your full letter. Please send \"I want my Letter!\" to try again.",
+
+    // Menu e comandos pós-carta
+    commandMenuText: "✨ *What's next? How can I keep helping you?*\n\n🤖 Send *AI* to discover how AI can help with your challenge\n🪷 Send *Inspiration* to receive an inspiration pill\n💌 Send *Letter* to receive your letter again\n🙏 Send *No* to finish here\n\n💬 Or just write to me and we'll keep talking about your Letter (send *New conversation* to start from scratch)",
+    commandMenuBody: "✨ *What's next? How can I keep helping you?*\n\nChoose an option below 👇\n\n💬 Or just write to me and we'll keep talking about your Letter.",
+    commandMenuButton: 'See options',
+    menuIaTitle: '🤖 AI',
+    menuIaDescription: 'How AI can help with your challenge',
+    menuInspirationTitle: '🪷 Inspiration',
+    menuInspirationDescription: 'Receive an inspiration pill',
+    menuLetterTitle: '💌 Letter',
+    menuLetterDescription: 'Receive your letter again',
+    menuNewConversationTitle: '🌱 New conversation',
+    menuNewConversationDescription: 'Restart our conversation from scratch',
+    menuLanguageTitle: '🌎 Language',
+    menuLanguageDescription: 'Change the conversation language',
+    menuEndTitle: '🙏 Finish',
+    menuEndDescription: 'Finish here',
+    nextSteps: "🌟 *Next Steps* 🌟\n\nNow that you have received your Consciênc.IA Letter, I recommend:\n\n1. Save your letter for future reference\n2. Talk to Renato Hilel and Nuno Arcanjo about how AI can transform your business\n\nFor more information, visit: https://www.floreon.app.br/conscienc-ia",
+    iaPreparing: "🤖 I'm preparing some ideas on how AI can help you...",
+    letterNotFound: "I couldn't find your letter here. 😕 Send \"I want my Letter!\" and we'll create a new one.",
+    goodbye: "All right, {nome}! 🙏 It was a joy to write your Letter.\n\nIf you want to talk again, just send *Menu*. See you soon! 💫",
+    newConversation: "🌱 Done, we've started a new conversation! I still have your Letter. What would you like to reflect on now?",
+    commandError: "Sorry, something went wrong while processing your command. Please try again or send \"I want my Letter!\" to start over.",
+
+    // Troca de idioma
+    languagePrompt: "🌎 Which language would you like to talk in?",
+    languageChanged: "✅ Done! Let's continue in English.",
+
+    // Privacidade (LGPD): parar, meus dados e apagar meus dados
+    optOutConfirmation: "Done, you won't receive any more messages from us. 🙏\n\nIf you change your mind, just send *resume*. You can also send *my data* or *delete my data* whenever you want.",
+    optInConfirmation: "Great to have you back! 💫 You'll receive our messages again. Send \"I want my Letter!\" to begin.",
+    dataSummary: "🔒 *Data we keep about you*\n\n• Phone: {telefone}\n• Name: {nome}\n• E-mail: {email}\n• Business: {negocio}\n• Permission to analyze your profile: {consentimento}\n• Profile: {perfil}\n• Business challenge: {desafio}\n• Personal challenge: {desafioPessoal}\n• Letter: {carta}\n• Saved conversations: {conversas}\n• Messages in the conversation with the Counselor: {historico}\n• Files (PDF letter, card and profile screenshot): {midias}\n\nThis data is automatically deleted within 30 days. To delete everything now, send *delete my data*.",
+    dataNothingStored: "🔒 We don't keep any data about you other than the record of your privacy requests.",
+    dataNotStored: 'not stored',
+    dataStored: 'stored',
+    dataProfileImage: 'profile screenshot',
+    dataConsentGiven: 'yes',
+    dataConsentDeclined: 'no',
+    dataDeleted: "🗑️ Done! I deleted your data: your answers, your Letter, the history of our conversation and the files sent.\n\nWe only keep the record of this request and of this reply (and of the request to stop receiving messages, if any), as proof required by the Brazilian data protection law (LGPD), and, for up to 24 hours, the count of your messages and Letters, used to limit the number of requests. If you'd like a new Letter, just send \"I want my Letter!\".",
+    privacyError: "Sorry, I couldn't complete your request right now. Please try again in a few minutes.",
+
+    // Documentos gerados (PDF e card para stories)
+    letterTitle: "Letter for {nome}",
+    storyCardSignature: "A poem for {nome}",
+    defaultName: 'you',
+
+    // Textos de contingência quando a OpenAI não responde
+    iaHelpFallback: "{nome}, AI is not just technology, it is an extension of your intuition to overcome \"{desafio}\". \n\nImagine having a digital oracle that anticipates trends before they become visible, an assistant that automates the mundane so you can live the extraordinary, and an amplifier that turns your whisper into a call that echoes across the digital universe.\n\nThe tools exist. The magic lies in how you use them to manifest your unique vision in the world.",
+    iaHelpFallbackName: 'Entrepreneurial soul',
+    iaHelpFallbackChallenge: 'the challenges on your path',
+    inspirationFallback: "🪷 Inspiration Pill\n\nAcross the seas of dreams, sail without fear,\nEach solution a lighthouse, guiding you near.\nIn the dance of the waves, find harmony's art,\nAnd with every sale, celebrate with your heart.\n\n{nome}, your spirit is strong, your vision is clear,\nTo scale is an art, and your light persevere.\nWith courage and purpose, the world you'll ignite,\nAnd with every step, you'll rise to new heights.",
+    inspirationFallbackName: 'Vibrant soul',
+    followUpFallback: "{nome}, my connection wavered for a moment and I couldn't reflect on your message. 🌙\n\nGo back to your Letter in the meantime: the answers you seek are often between the lines. Try writing to me again in a few minutes."
+  },
+
+  es: {
+    // Fluxo de perguntas
+    unexpectedImage: "Disculpa, no estoy esperando una imagen en este momento. Por favor, sigue las instrucciones anteriores o envía \"¡Quiero recibir mi Carta!\" para empezar de nuevo.",
+    unexpectedInput: "Disculpa, solo puedo procesar mensajes de texto, audio o imágenes. Por favor, envía tu desafío en texto o audio, o una imagen de tu perfil.",
+    skipKeyword: 'saltar',
+    skipLabel: 'Saltar',
+    namePrompt: "¡Hola! 👋 Bienvenido(a) a *CONSCIÊNC.IA* del evento \n\n🗺️ *Mapa do Lucro*: *Jornada de lo Extraordinario*!\n\nSoy una IA creada para escribir tu *Carta personalizada*: un análisis único y estratégico basado en tu perfil y en tu momento actual.\n\nPara empezar, necesito conocerte mejor.🙂\n\n¿Cómo te gustaría que te llame?",
+    nameInvalid: "Por favor, escribe un nombre válido.",
+    nameError: "Disculpa, ocurrió un error al procesar tu nombre. Por favor, inténtalo de nuevo o envía \"¡Quiero recibir mi Carta!\" para empezar de nuevo.",
+    emailPrompt: "¡Gracias, {nome}! 😊\n\nPara enviarte materiales adicionales y mantener el contacto después del evento, por favor, dime tu e-mail:\n\n(Si prefieres no compartir tu e-mail ahora, escribe \"saltar\" para continuar)",
+    emailInvalid: "Hmm, ese e-mail no parece válido. 🤔\n\nRevísalo y envíalo de nuevo (ej: nombre@empresa.com) o escribe \"saltar\" para continuar.",
+    emailError: "Disculpa, ocurrió un error al procesar tu e-mail. Por favor, inténtalo de nuevo o envía \"¡Quiero recibir mi Carta!\" para empezar de nuevo.",
+    businessPrompt: "¡Perfecto, {nome}! 😊\n\nPara una mejor experiencia, ¿me cuentas *cuál es tu Negocio o trabajo actual y tu papel en él?*\n\n(Responde en una sola frase)",
+    businessError: "Disculpa, ocurrió un error al procesar tu respuesta. Por favor, inténtalo de nuevo o envía \"¡Quiero recibir mi Carta!\" para empezar de nuevo.",
+    consentPrompt: "🔒 Antes de analizar tu perfil, necesito tu autorización.\n\nPara escribir tu Carta, uso tu nombre, tus respuestas y tu perfil digital (el @ o la captura que envíes), analizados con la ayuda de inteligencia artificial. Estos datos sirven solo para escribir y entregar tu Carta y se borran automáticamente en un plazo de 30 días.\n\nEn cualquier momento, puedes enviar:\n• *mis datos* para ver lo que guardamos sobre ti\n• *borrar mis datos* para borrarlo todo\n• *parar* para no recibir más mensajes\n\n¿Autorizas el análisis de tu perfil?",
+    consentAcceptTitle: '✅ Autorizo',
+    consentDeclineTitle: '🚫 No autorizo',
+    consentInvalid: "Por favor, responde *sí* para autorizar el análisis de tu perfil o *no* para continuar sin él.",
+    consentDeclined: "¡Está bien, {nome}! 🙏 No voy a analizar tu perfil: tu Carta se escribirá solo con tus respuestas.",
+    consentError: "Disculpa, ocurrió un error al guardar tu respuesta. Por favor, inténtalo de nuevo o envía \"¡Quiero recibir mi Carta!\" para empezar de nuevo.",
+    profilePrompt: "¡Perfecto! Ahora, para escribir tu *Carta personalizada*, necesito analizar tu perfil digital. Puedo hacerlo con:\n\n1️⃣Una captura de pantalla de tu perfil (Instagram o LinkedIn) *O* \n2️⃣Solo dime tu @ (ej: @coworkingikigai).\n\n📝 Elige *solo UNA opción* y envíamela ahora para empezar.",
+    profilePrintTitle: '📸 Enviar captura',
+    profilePrintReply: "¡Genial! 📸 Envíame ahora una captura de pantalla de tu perfil de Instagram o LinkedIn.",
+    profileHandleTitle: '✍️ Decir mi @',
+    profileHandleReply: "¡De acuerdo! ✍️ Dime tu @ (ej: @coworkingikigai) o el enlace de tu perfil.",
+    profileTextError: "Disculpa, ocurrió un error al procesar tu perfil. Por favor, inténtalo de nuevo o envía \"¡Quiero recibir mi Carta!\" para empezar de nuevo.",
+    profileImageError: "Disculpa, ocurrió un error al procesar tu imagen. Intenta enviar el enlace de tu perfil o envía \"¡Quiero recibir mi Carta!\" para empezar de nuevo.",
+    challengePrompt: "Ahora dime, con sinceridad...\n\n🌐 Si pudieras elegir solo *UN DESAFÍO ACTUAL* en tu Negocio que, una vez resuelto, te traería los resultados que más deseas, ¿cuál sería?\n\n(Responde en una sola frase)",
+    challengePromptAfterImage: "Ahora, respóndeme con sinceridad...\n\n🌐 *Si pudieras elegir solo UN desafío en tu Negocio que, una vez resuelto, te traería los resultados que más deseas, ¿cuál sería?*\n\n(Responde en una sola frase)",
+    challengeInvalid: "Por favor, describe tu desafío en una frase.",
+    challengeError: "Encontré un obstáculo al procesar tu desafío. Por favor, inténtalo de nuevo o envía \"¡Quiero recibir mi Carta!\" para empezar de nuevo.",
+    personalChallengePrompt: "¡Entiendo! Y en tu vida personal, ¿cuál ha sido tu mayor desafío? Responde con una sola palabra o frase, ¿de acuerdo?",
+    personalChallengeInvalid: "Por favor, describe tu desafío personal en una palabra o frase.",
+    personalChallengeError: "Encontré un obstáculo al procesar tu desafío personal. Por favor, inténtalo de nuevo o envía \"¡Quiero recibir mi Carta!\" para empezar de nuevo.",
+
+    // Lembretes de conversa abandonada (um por etapa do fluxo)
+    nameReminder: "¡Hola! 👋 Sigo aquí para escribir tu *Carta personalizada*. Para continuar, cuéntame: ¿cómo te gustaría que te llame?",
+    emailReminder: "{nome}, ¡tu Carta te está esperando! 💌 Envíame tu e-mail para continuar (o escribe \"saltar\").",
+    businessReminder: "{nome}, ¡falta poco para tu Carta! 😊 Cuéntame, en una frase, cuál es tu Negocio o trabajo actual y tu papel en él.",
+    consentReminder: "{nome}, ¡falta poco para tu Carta! ✨ ¿Autorizas el análisis de tu perfil? Responde *sí* o *no*.",
+    profileReminder: "{nome}, ¡todavía quiero escribir tu Carta! ✨ Para continuar, envíame una captura de tu perfil o solo tu @ (ej: @coworkingikigai).",
+    challengeReminder: "{nome}, ¡ya casi estamos! 🌐 ¿Cuál es el *ÚNICO desafío* de tu Negocio que, si se resolviera, traería los resultados que más deseas?",
+    personalChallengeReminder: "{nome}, ¡solo falta una respuesta para que tu Carta esté lista! 💌 ¿Cuál ha sido el mayor desafío en tu vida personal?",
+
+    // Mensagens do controlador
+    startFallback: "¡Hola! Bienvenido(a) al Consejero Consciênc.IA. ¿Cómo te gustaría que te llame?",
+    unknownState: "Algo salió mal, ¿empezamos de nuevo? Envía \"¡Quiero recibir mi Carta!\" para reiniciar.",
+    textError: "Disculpa, ocurrió un error inesperado. Por favor, inténtalo más tarde o envía \"¡Quiero recibir mi Carta!\" para reiniciar.",
+    imageError: "Disculpa, ocurrió un error al procesar tu imagen. Intenta enviar el enlace de tu perfil o envía \"¡Quiero recibir mi Carta!\" para empezar de nuevo.",
+    imageNotProcessed: "Disculpa, no pude procesar tu imagen. Por favor, intenta enviarla de nuevo o envía el enlace de tu perfil.",
+    imageReceived: "¡Gracias!",
+    audioNotUnderstood: "Disculpa, no pude entender tu audio. 🎧 ¿Puedes intentarlo de nuevo o, si prefieres, responderme por texto?",
+    audioError: "Disculpa, ocurrió un error al procesar tu audio. Por favor, inténtalo de nuevo por texto o envía \"¡Quiero recibir mi Carta!\" para empezar de nuevo.",
+    generatingLetter: "⏳ Estoy analizando tu información y preparando tu *Carta de la Consciênc.IA*…\nEsto puede tardar unos instantes...\n\n🌟 *Respira hondo mientras ocurre la magia*🪄",
+    letterInProgress: "✍️ Todavía estoy escribiendo tu carta… Te la envío aquí en cuanto esté lista. ¡Solo un poquito más!",
+    rateLimitMessages: "¡Vaya, recibí muchos mensajes seguidos! 😅 Por favor, espera un minuto antes de volver a escribirme.",
+    rateLimitLetters: "Ya pediste el máximo de cartas por hoy. 💌 Guarda con cariño las que recibiste y vuelve mañana para crear una nueva.",
+    rateLimitGlobalLetters: "¡Estoy escribiendo cartas para mucha gente en este momento! ✨ Por favor, inténtalo de nuevo en unos minutos.",
+    letterDelivered: "💌 *¡Tu Carta fue entregada!* ✨\n\n¡Espero que hayas disfrutado la experiencia! 🌟\n\nPara saber más sobre cómo la IA puede transformar tu Negocio, conoce el *PROGRAMA CONSCIÊNC.IA*, creado por los mentores @RenatoHilel.oficial y @NunoArcanjo.poeta.\n\nVisita: https://www.floreon.app.br/conscienc-ia\n\n¡Disfruta MAPA DO LUCRO y no dejes de conversar en persona con los creadores de esta experiencia!\n\nUn gran abrazo, *Renato y Nuno*. 💫",
+    letterError: "Encontré un obstáculo al crear tu carta. Por favor, inténtalo más tarde o envía \"¡Quiero recibir mi Carta!\" para reiniciar.",
+    letterPdfCaption: "💌 Tu *Carta de la Consciênc.IA* en PDF, ¡para guardarla y releerla cuando quieras!",
+    storyCardCaption: "📲 ¡Tu poema en formato story! Compártelo en Instagram y etiqueta a @mapadolucroh4b ✨",
+    communityMessage: "✏️Y recuerda:\n\n🗝️¡La clave para tu próximo nivel está en *fortalecer nuestra comunidad*!🦾\n\nPor eso, sigue estos perfiles: \n\n1️⃣Método S.I.M. (@metodosimbrasil),\n2️⃣Mapa do Lucro (@mapadolucroh4b) y \n3️⃣IKIGAI (@coworkingikigai).",
+    letterSendError: "Disculpa, tuve un problema al enviar tu carta completa. Por favor, envía \"¡Quiero recibir mi Carta!\" para intentarlo de nuevo.",
+
+    // Menu e comandos pós-carta
+    commandMenuText: "✨ *¿Y ahora, cómo puedo seguir ayudándote?*\n\n🤖 Envía *IA* para descubrir cómo la IA puede ayudarte con tu desafío\n🪷 Envía *Inspiración* para recibir una píldora de inspiración\n💌 Envía *Carta* para recibir tu carta de nuevo\n🙏 Envía *No* para terminar aquí\n\n💬 O simplemente escríbeme para seguir conversando sobre tu Carta (envía *Nueva conversación* para empezar de cero)",
+    commandMenuBody: "✨ *¿Y ahora, cómo puedo seguir ayudándote?*\n\nElige una opción abajo 👇\n\n💬 O simplemente escríbeme para seguir conversando sobre tu Carta.",
+    commandMenuButton: 'Ver opciones',
+    menuIaTitle: '🤖 IA',
+    menuIaDescription: 'Cómo la IA puede ayudarte con tu desafío',
+    menuInspirationTitle: '🪷 Inspiración',
+    menuInspirationDescription: 'Recibir una píldora de inspiración',
+    menuLetterTitle: '💌 Carta',
+    menuLetterDescription: 'Recibir tu carta de nuevo',
+    menuNewConversationTitle: '🌱 Nueva conversación',
+    menuNewConversationDescription: 'Empezar nuestra conversación de cero',
+    menuLanguageTitle: '🌎 Idioma',
+    menuLanguageDescription: 'Cambiar el idioma de la conversación',
+    menuEndTitle: '🙏 Terminar',
+    menuEndDescription: 'Terminar aquí',
+    nextSteps: "🌟 *Próximos Pasos* 🌟\n\nAhora que recibiste tu Carta de la Consciênc.IA, te recomiendo:\n\n1. Guarda tu carta para consultarla en el futuro\n2. Conversa con Renato Hilel y Nuno Arcanjo sobre cómo la IA puede transformar tu negocio\n\nPara más información, visita: https://www.floreon.app.br/conscienc-ia",
+    iaPreparing: "🤖 Estoy preparando algunas ideas de cómo la IA puede ayudarte...",
+    letterNotFound: "No encontré tu carta por aquí. 😕 Envía \"¡Quiero recibir mi Carta!\" para crear una nueva.",
+    goodbye: "¡Está bien, {nome}! 🙏 Fue una alegría escribir tu Carta.\n\nSi quieres volver a conversar, solo envía *Menu*. ¡Hasta pronto! 💫",
+    newConversation: "🌱 ¡Listo, empezamos una nueva conversación! Tu Carta sigue conmigo. ¿Sobre qué quieres reflexionar ahora?",
+    commandError: "Disculpa, ocurrió un error al procesar tu comando. Por favor, inténtalo de nuevo o envía \"¡Quiero recibir mi Carta!\" para empezar de nuevo.",
+
+    // Troca de idioma
+    languagePrompt: "🌎 ¿En qué idioma prefieres conversar?",
+    languageChanged: "✅ ¡Listo! Sigamos en español.",
+
+    // Privacidade (LGPD): parar, meus dados e apagar meus dados
+    optOutConfirmation: "Listo, ya no recibirás mensajes nuestros. 🙏\n\nSi cambias de opinión, solo envía *volver*. También puedes enviar *mis datos* o *borrar mis datos* cuando quieras.",
+    optInConfirmation: "¡Qué bueno tenerte de vuelta! 💫 Volverás a recibir nuestros mensajes. Envía \"¡Quiero recibir mi Carta!\" para empezar.",
+    dataSummary: "🔒 *Datos que guardamos sobre ti*\n\n• Teléfono: {telefone}\n• Nombre: {nome}\n• Correo electrónico: {email}\n• Negocio: {negocio}\n• Autorización para analizar tu perfil: {consentimento}\n• Perfil: {perfil}\n• Desafío en el Negocio: {desafio}\n• Desafío personal: {desafioPessoal}\n• Carta: {carta}\n• Conversaciones registradas: {conversas}\n• Mensajes de la conversación con el Consejero: {historico}\n• Archivos (carta en PDF, tarjeta y captura del perfil): {midias}\n\nLos datos se borran automáticamente en un plazo de 30 días. Para borrarlo todo ahora, envía *borrar mis datos*.",
+    dataNothingStored: "🔒 No guardamos ningún dato tuyo además del registro de tus solicitudes de privacidad.",
+    dataNotStored: 'no guardado',
+    dataStored: 'guardada',
+    dataProfileImage: 'captura del perfil',
+    dataConsentGiven: 'sí',
+    dataConsentDeclined: 'no',
+    dataDeleted: "🗑️ ¡Listo! Borré tus datos: tus respuestas, tu Carta, el historial de nuestra conversación y los archivos enviados.\n\nSolo guardamos el registro de esta solicitud y de esta respuesta (y de la solicitud para no recibir mensajes, si existe), como comprobante exigido por la ley brasileña de protección de datos (LGPD), y, por hasta 24 horas, el conteo de tus mensajes y Cartas, usado para limitar el número de solicitudes. Si quieres una nueva Carta, solo envía \"¡Quiero recibir mi Carta!\".",
+    privacyError: "Disculpa, no pude completar tu solicitud ahora. Por favor, inténtalo de nuevo en unos minutos.",
+
+    // Documentos gerados (PDF e card para stories)
+    letterTitle: "Carta para {nome}",
+    storyCardSignature: "Poema para {nome}",
+    defaultName: 'ti',
+
+    // Textos de contingência quando a OpenAI não responde
+    iaHelpFallback: "{nome}, la IA no es solo tecnología, es una extensión de tu intuición para superar \"{desafio}\". \n\nImagina tener un oráculo digital que anticipa tendencias antes de que sean visibles, un asistente que automatiza lo cotidiano para que habites lo extraordinario, y un amplificador que convierte tu susurro en un llamado que resuena por el universo digital.\n\nLas herramientas existen. La magia está en cómo las usas para manifestar tu visión única en el mundo.",
+    iaHelpFallbackName: 'Alma emprendedora',
+    iaHelpFallbackChallenge: 'los desafíos de tu camino',
+    inspirationFallback: "🪷 Píldora de Inspiración\n\nEn los mares del sueño, navega sin temor,\nCada solución es un faro que guía con amor.\nEn la danza de las olas, encuentra la armonía,\nY con cada venta, celebra la sinfonía.\n\n{nome}, tu espíritu es fuerte, tu visión es clara,\nCrecer es un arte, y tu luz nunca para.\nCon coraje y propósito, el mundo iluminarás,\nY con cada paso, más lejos llegarás.",
+    inspirationFallbackName: 'Alma vibrante',
+    followUpFallback: "{nome}, mi conexión osciló por un instante y no pude reflexionar sobre tu mensaje. 🌙\n\nVuelve a tu Carta mientras tanto: las respuestas que buscas suelen estar entre líneas. Intenta escribirme de nuevo en unos minutos."
+  }
+};
+
+export default messages;
@@ -0,0 +1,61 @@
+/**
+ * @fileoverview Templates usados fora da janela de 24 horas
+ * Fora da janela de atendimento, o WhatsApp só aceita templates aprovados.
+ * Cada tipo de mensagem livre enviada pelo whatsappService é convertido no
+ * template indicado aqui, com o conteúdo da mensagem como parâmetros. Os
+ * templates precisam ser criados e aprovados na Meta com os mesmos nomes e
+ * parâmetros; tipos sem template configurado não são enviados fora da janela.
+ */
+
+import config from './env.js';
+
+// Tamanho máximo de cada parâmetro de texto (textos maiores são enviados em mais de um template)
+export const TEMPLATE_PARAMETER_MAX_LENGTH = 900;
+
+/**
+ * Monta o corpo do template com um parâmetro de texto ({{1}})
+ * A API não aceita quebras de linha, tabulações ou mais de 4 espaços seguidos nos parâmetros.
+ * @param {string} text - Texto do parâmetro
+ * @returns {Object} - Componente body do template
+ */
+const textBody = (text) => ({
+  type: 'body',
+  parameters: [{ type: 'text', text: (text || '-').replace(/\s+/g, ' ').trim() || '-' }]
+});
+
+/**
+ * Templates por tipo de mensagem
+ * - name: nome do template aprovado (variável de ambiente; sem valor, o tipo não tem template)
+ * - components: função do conteúdo da mensagem que monta os componentes do template
+ */
+const windowTemplates = {
+  // Texto e mensagens interativas (as opções viram texto; o usuário pode responder digitando)
+  text: {
+    name: config.WINDOW_TEMPLATE_TEXT,
+    components: ({ text }) => [textBody(text)]
+  },
+  interactive: {
+    name: config.WINDOW_TEMPLATE_TEXT,
+    components: ({ text }) => [textBody(text)]
+  },
+
+  // Documento (carta em PDF) no cabeçalho, com a legenda no corpo
+  document: {
+    name: config.WINDOW_TEMPLATE_DOCUMENT,
+    components: ({ mediaId, filename, caption }) => [
+      { type: 'header', parameters: [{ type: 'document', document: { id: mediaId, filename } }] },
+      textBody(caption || filename)
+    ]
+  },
+
+  // Imagem (card da poesia) no cabeçalho, com a legenda no corpo
+  image: {
+    name: config.WINDOW_TEMPLATE_IMAGE,
+    components: ({ mediaId, caption }) => [
+      { type: 'header', parameters: [{ type: 'image', image: { id: mediaId } }] },
+      textBody(caption)
+    ]
+  }
+};
+
+export default windowTemplates;
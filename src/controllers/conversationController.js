@@ -1,105 +1,542 @@
-import sessionService from '../services/sessionService.js';
+import sessionRepository from '../storage/sessionRepository.js';
 import whatsappService from '../services/whatsappService.js';
 import * as openaiService from '../services/openaiService.js';
 import * as visionAnalysisService from '../services/visionAnalysisService.js';
 import * as profileScraperService from '../services/profileScraperService.js';
 import * as contentGenerationService from '../services/contentGenerationService.js';
-import dashboardIntegrationService from '../services/dashboardIntegrationService.js';
-import { log } from '../utils/logger.js';
-import { isValidUrl, normalizeProfileUrl } from '../utils/validators.js';
-
-// Estados da conversa
-const CONVERSATION_STATES = {
-  INITIAL: 'initial',
-  WAITING_NAME: 'waiting_name',
-  WAITING_BUSINESS: 'waiting_business',
-  WAITING_PROFILE: 'waiting_profile',
-  WAITING_CHALLENGE: 'waiting_challenge',
-  GENERATING_LETTER: 'generating_letter',
-  LETTER_DELIVERED: 'letter_delivered',
-  WAITING_COMMAND: 'waiting_command'
-};
+import interactionRepository from '../storage/interactionRepository.js';
+import threadService from '../services/threadService.js';
+import speechToTextService from '../services/speechToTextService.js';
+import letterPdfService from '../services/letterPdfService.js';
+import storyCardService from '../services/storyCardService.js';
+import * as flowEngine from '../services/flowEngineService.js';
+import conversationFlow, { CONVERSATION_STATES } from '../config/conversationFlow.js';
+import config from '../config/env.js';
+import { t, getLocale, detectLanguage, resolveLocale } from '../services/i18nService.js';
+import messageCatalogService from '../services/messageCatalogService.js';
+import webhookIdempotencyService from '../services/webhookIdempotencyService.js';
+import metricsService, { METRICS } from '../services/metricsService.js';
+import webhookOutcomeService, { OUTCOME_STATUS } from '../services/webhookOutcomeService.js';
+import deliveryStatusService from '../services/deliveryStatusService.js';
+import jobQueueService, { JOB_TYPES } from '../services/jobQueueService.js';
+import userLockService from '../services/userLockService.js';
+import rateLimitService, { RATE_LIMITS } from '../services/rateLimitService.js';
+import customerServiceWindowService from '../services/customerServiceWindowService.js';
+import privacyService from '../services/privacyService.js';
+import privacyRepository from '../storage/privacyRepository.js';
+import { log, logDebug, logWarning, logError, runWithLogContext } from '../utils/logger.js';
+import { isValidUrl, normalizeProfileUrl, normalizeText } from '../utils/validators.js';
 
 // Comandos especiais
 const COMMANDS = {
   IA: 'ia',
   INSPIRACAO: 'inspiracao',
   NAO: 'nao',
-  CARTA: 'carta'
+  CARTA: 'carta',
+  MENU: 'menu',
+  NOVA_CONVERSA: 'nova conversa',
+  IDIOMA: 'idioma'
 };
 
-/**
- * Normaliza o texto removendo acentos, espaços extras e convertendo para minúsculas
- * @param {string} text - Texto a ser normalizado
- * @returns {string} - Texto normalizado
- */
-function normalizeText(text) {
-  if (!text) return '';
-  
-  // Remove acentos
-  const normalized = text.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
-  
-  // Remove espaços extras e converte para minúsculas
-  return normalized.toLowerCase().trim().replace(/\s+/g, ' ');
-}
+// Comandos só são reconhecidos em mensagens curtas, para não interromper a conversa livre
+const MAX_COMMAND_WORDS = 4;
+
+// Variações aceitas para cada comando em cada idioma (já normalizadas)
+// O próprio id do comando é sempre aceito, pois é o id das opções do menu interativo
+const COMMAND_ALIASES = {
+  'pt-BR': {
+    [COMMANDS.IA]: ['ia', 'i a', 'inteligencia artificial'],
+    [COMMANDS.INSPIRACAO]: ['inspiracao', 'inspiracoes', 'inspira', 'inspirar', 'pilula'],
+    [COMMANDS.CARTA]: ['carta', 'minha carta', 'reenviar carta'],
+    [COMMANDS.MENU]: ['menu', 'opcoes', 'ajuda'],
+    [COMMANDS.NOVA_CONVERSA]: ['nova conversa', 'reiniciar conversa', 'limpar conversa', 'esquecer conversa'],
+    [COMMANDS.IDIOMA]: ['idioma', 'lingua', 'mudar idioma'],
+    [COMMANDS.NAO]: ['nao', 'nao obrigado', 'nao obrigada', 'encerrar', 'tchau']
+  },
+  en: {
+    [COMMANDS.IA]: ['ai', 'a i', 'artificial intelligence'],
+    [COMMANDS.INSPIRACAO]: ['inspiration', 'inspire', 'inspire me'],
+    [COMMANDS.CARTA]: ['letter', 'my letter', 'resend letter'],
+    [COMMANDS.MENU]: ['menu', 'options', 'help'],
+    [COMMANDS.NOVA_CONVERSA]: ['new conversation', 'restart conversation', 'reset conversation', 'clear conversation'],
+    [COMMANDS.IDIOMA]: ['language', 'change language'],
+    [COMMANDS.NAO]: ['no', 'no thanks', 'no thank you', 'finish', 'bye', 'goodbye']
+  },
+  es: {
+    [COMMANDS.IA]: ['ia', 'i a', 'inteligencia artificial'],
+    [COMMANDS.INSPIRACAO]: ['inspiracion', 'inspiraciones', 'inspirame', 'pildora'],
+    [COMMANDS.CARTA]: ['carta', 'mi carta', 'reenviar carta'],
+    [COMMANDS.MENU]: ['menu', 'opciones', 'ayuda'],
+    [COMMANDS.NOVA_CONVERSA]: ['nueva conversacion', 'reiniciar conversacion', 'borrar conversacion'],
+    [COMMANDS.IDIOMA]: ['idioma', 'lenguaje', 'cambiar idioma'],
+    [COMMANDS.NAO]: ['no', 'no gracias', 'terminar', 'adios', 'chao']
+  }
+};
+
+// Palavras que abrem a troca de idioma em qualquer etapa (ex: "idioma", "language en")
+const LANGUAGE_COMMAND_WORDS = ['idioma', 'language', 'lenguaje', 'lingua'];
+
+// Opções da troca de idioma; os ids seguem o formato do comando ("idioma <código>")
+const LANGUAGE_OPTIONS = [
+  { id: 'idioma pt', titleKey: 'languageOptionPt' },
+  { id: 'idioma en', titleKey: 'languageOptionEn' },
+  { id: 'idioma es', titleKey: 'languageOptionEs' }
+];
+
+// Pedidos de privacidade (LGPD), aceitos em qualquer etapa
+const PRIVACY_COMMANDS = {
+  OPT_OUT: 'parar',
+  OPT_IN: 'voltar',
+  DATA_ACCESS: 'meus dados',
+  DATA_DELETION: 'apagar meus dados'
+};
+
+// Variações aceitas para cada pedido de privacidade (já normalizadas); valem em todos os
+// idiomas, pois o pedido pode chegar antes de o idioma do usuário ser conhecido
+const PRIVACY_COMMAND_ALIASES = {
+  [PRIVACY_COMMANDS.OPT_OUT]: ['sair', 'stop', 'unsubscribe', 'salir', 'baja', 'darme de baja'],
+  [PRIVACY_COMMANDS.OPT_IN]: ['start', 'resume', 'volver', 'reanudar'],
+  [PRIVACY_COMMANDS.DATA_ACCESS]: ['my data', 'mis datos'],
+  [PRIVACY_COMMANDS.DATA_DELETION]: ['excluir meus dados', 'delete my data', 'borrar mis datos', 'eliminar mis datos']
+};
+
+// Respostas aceitas na autorização para analisar o perfil (os ids são os dos botões da etapa)
+const CONSENT_ANSWERS = {
+  ACCEPT: ['consentimento_sim', 'sim', 'autorizo', 'aceito', 'concordo', 'yes', 'i allow', 'i agree', 'si', 'acepto'],
+  DECLINE: ['consentimento_nao', 'nao', 'nao autorizo', 'nao aceito', 'no', 'i dont allow', 'i do not allow', 'no autorizo', 'no acepto']
+};
 
 /**
- * Processa mensagens recebidas do webhook do WhatsApp
+ * Processa um lote recebido pelo webhook
+ * Percorre todas as entradas, alterações e mensagens do lote: mensagens do mesmo
+ * remetente são processadas em ordem cronológica e remetentes diferentes, em paralelo.
  * @param {Object} req - Objeto de requisição Express
  * @param {Object} res - Objeto de resposta Express
  */
 export async function processMessage(req, res) {
   try {
-    // Verifica se é uma mensagem válida
-    if (!req.body || !req.body.entry || !req.body.entry[0] || !req.body.entry[0].changes || !req.body.entry[0].changes[0]) {
+    // Verifica se é um lote válido
+    if (!req.body || !Array.isArray(req.body.entry)) {
       return res.sendStatus(400);
     }
 
-    const value = req.body.entry[0].changes[0].value;
+    // Atualiza a situação de entrega das mensagens enviadas (sent, delivered, read, failed)
+    const statuses = collectFromChanges(req.body, 'statuses');
+    if (statuses.length > 0) {
+      await deliveryStatusService.processStatuses(statuses);
+    }
+
+    const messages = collectFromChanges(req.body, 'messages');
     
-    // Verifica se é uma mensagem do WhatsApp
-    if (!value || !value.messages || !value.messages[0]) {
+    // Lotes sem mensagens (ex: apenas status de entrega)
+    if (messages.length === 0) {
       return res.sendStatus(200);
     }
 
-    // Extrai dados da mensagem
-    const message = value.messages[0];
-    const userPhoneNumber = message.from;
-    const messageId = message.id;
+    const outcomes = (await Promise.all(
+      groupMessagesBySender(messages).map(senderMessages => processSenderMessages(senderMessages))
+    )).flat();
+
+    await webhookOutcomeService.recordOutcomes(outcomes);
+
+    const summary = Object.values(OUTCOME_STATUS)
+      .map(status => `${outcomes.filter(outcome => outcome.status === status).length} ${status}`)
+      .join(', ');
+    log(`Lote do webhook com ${messages.length} mensagem(ns): ${summary}`);
+
+    // Com falhas do armazenamento (fora do ar ou sessão alterada por outra instância), a Meta deve reenviar o lote
+    // (as mensagens já processadas são ignoradas)
+    if (outcomes.some(outcome => outcome.retry)) {
+      return res.sendStatus(503);
+    }
+
+    return res.sendStatus(200);
+  } catch (error) {
+    logError('Erro ao processar lote do webhook', error);
+    return res.sendStatus(500);
+  }
+}
+
+/**
+ * Extrai de todas as entradas e alterações de um lote os itens de um campo
+ * @param {Object} body - Corpo da requisição do webhook
+ * @param {string} field - Campo de change.value ('messages' ou 'statuses')
+ * @returns {Array<Object>} - Itens na ordem em que aparecem no lote
+ */
+function collectFromChanges(body, field) {
+  const items = [];
+
+  for (const entry of body.entry) {
+    for (const change of entry.changes || []) {
+      const value = change.value || {};
+      items.push(...(value[field] || []));
+    }
+  }
+
+  return items;
+}
+
+/**
+ * Agrupa as mensagens por remetente, em ordem cronológica
+ * @param {Array<Object>} messages - Mensagens do lote
+ * @returns {Array<Array<Object>>} - Mensagens de cada remetente, ordenadas pelo timestamp
+ */
+function groupMessagesBySender(messages) {
+  const groups = new Map();
+
+  for (const message of messages) {
+    if (!groups.has(message.from)) {
+      groups.set(message.from, []);
+    }
+    groups.get(message.from).push(message);
+  }
+
+  // A ordenação é estável: mensagens com o mesmo timestamp mantêm a ordem do lote
+  return [...groups.values()].map(senderMessages =>
+    senderMessages.sort((a, b) => Number(a.timestamp || 0) - Number(b.timestamp || 0))
+  );
+}
+
+/**
+ * Processa, uma de cada vez, as mensagens de um remetente
+ * @param {Array<Object>} senderMessages - Mensagens do remetente em ordem cronológica
+ * @returns {Promise<Array<Object>>} - Resultado de cada mensagem
+ */
+async function processSenderMessages(senderMessages) {
+  const outcomes = [];
+
+  for (const message of senderMessages) {
+    outcomes.push(await runWithLogContext({ messageId: message.id }, () => processSingleMessage(message)));
+  }
+
+  return outcomes;
+}
+
+/**
+ * Processa uma mensagem do webhook
+ * @param {Object} message - Mensagem recebida
+ * @returns {Promise<Object>} - Resultado { messageId, from, type, status, error, retry, durationMs, timestamp }
+ */
+async function processSingleMessage(message) {
+  const userPhoneNumber = message.from;
+  const messageId = message.id;
+  const startTime = Date.now();
+  const outcome = {
+    messageId,
+    from: userPhoneNumber,
+    type: message.type,
+    timestamp: startTime
+  };
+
+  try {
+    // Ignora reenvios da mesma mensagem pela Meta antes de qualquer efeito colateral
+    if (!await webhookIdempotencyService.claimMessage(messageId)) {
+      await metricsService.incrementMetric(METRICS.WEBHOOK_MESSAGES_DUPLICATED);
+      return { ...outcome, status: OUTCOME_STATUS.DUPLICATE, durationMs: Date.now() - startTime };
+    }
+    
+    // Toda mensagem recebida abre (ou renova) a janela de 24 horas para mensagens livres
+    await customerServiceWindowService.recordInboundMessage(
+      userPhoneNumber,
+      message.timestamp ? parseInt(message.timestamp, 10) * 1000 : Date.now()
+    );
+    
+    // Mensagens acima do limite por minuto são descartadas, com um único aviso por bloqueio
+    const messageLimit = await rateLimitService.checkMessageLimit(userPhoneNumber);
+    if (!messageLimit.allowed) {
+      await notifyMessageLimit(userPhoneNumber, messageLimit);
+      await webhookIdempotencyService.completeMessage(messageId);
+      await metricsService.incrementMetric(METRICS.WEBHOOK_MESSAGES_THROTTLED);
+      return { ...outcome, status: OUTCOME_STATUS.THROTTLED, durationMs: Date.now() - startTime };
+    }
     
     // Marca a mensagem como lida
     await whatsappService.markMessageAsRead(messageId);
 
-    // Obtém ou cria a sessão do usuário
-    let session = await sessionService.getSession(userPhoneNumber);
+    // Atualiza as mensagens personalizadas pelo painel (mantidas em cache por alguns instantes)
+    await messageCatalogService.loadOverrides();
+
+    // Uma mensagem por vez para cada usuário, mesmo entre requisições paralelas do webhook
+    await userLockService.withUserLock(userPhoneNumber, () => dispatchMessage(message));
+
+    await webhookIdempotencyService.completeMessage(messageId);
+    await metricsService.incrementMetric(METRICS.WEBHOOK_MESSAGES_PROCESSED);
+
+    return { ...outcome, status: OUTCOME_STATUS.PROCESSED, durationMs: Date.now() - startTime };
+  } catch (error) {
+    logError(`Erro ao processar mensagem ${messageId}`, error);
     
-    if (!session) {
-      session = {
-        phoneNumber: userPhoneNumber,
-        state: CONVERSATION_STATES.INITIAL,
-        startTimestamp: Date.now()
-      };
-      await sessionService.saveSession(userPhoneNumber, session);
+    // Libera a mensagem para que ela possa ser processada novamente se for reenviada
+    // (com o armazenamento fora do ar, o registro expira sozinho; o resultado é devolvido mesmo assim)
+    try {
+      await webhookIdempotencyService.releaseMessage(messageId);
+      await metricsService.incrementMetric(METRICS.WEBHOOK_MESSAGES_FAILED);
+    } catch (cleanupError) {
+      logError(`Erro ao liberar a mensagem ${messageId} após a falha`, cleanupError);
     }
+    
+    return {
+      ...outcome,
+      status: OUTCOME_STATUS.FAILED,
+      error: error.message,
+      // Falhas do armazenamento compartilhado são temporárias: o lote é recusado para ser reenviado
+      retry: sessionRepository.isStorageError(error),
+      durationMs: Date.now() - startTime
+    };
+  }
+}
 
-    // Processa a mensagem com base no tipo
-    if (message.type === 'text') {
-      await handleTextMessage(userPhoneNumber, message.text.body, session);
-    } else if (message.type === 'image') {
-      await handleImageMessage(userPhoneNumber, message.image, session);
-    } else {
-      // Tipo de mensagem não suportado
-      await whatsappService.sendTextMessage(
-        userPhoneNumber,
-        "Desculpe, só posso processar mensagens de texto ou imagens. Por favor, envie seu desafio em formato de texto ou uma imagem do seu perfil."
-      );
-    }
+/**
+ * Avisa o usuário que ele atingiu o limite de mensagens por minuto (uma vez por bloqueio)
+ * @param {string} userPhoneNumber - Número de telefone do usuário
+ * @param {Object} result - Resultado da verificação do limite
+ */
+async function notifyMessageLimit(userPhoneNumber, result) {
+  if (!await rateLimitService.shouldNotify(userPhoneNumber, result)) {
+    return;
+  }
 
-    return res.sendStatus(200);
+  const session = await sessionRepository.getSession(userPhoneNumber);
+  await whatsappService.sendTextMessage(
+    userPhoneNumber,
+    t(getLocale(session), 'rateLimitMessages')
+  );
+}
+
+/**
+ * Verifica os limites de cartas antes de gerar uma nova, avisando o usuário se algum foi atingido
+ * @param {string} userPhoneNumber - Número de telefone do usuário
+ * @param {Object} session - Dados da sessão do usuário
+ * @returns {Promise<boolean>} - Verdadeiro se a nova carta pode ser gerada
+ */
+async function checkLetterLimit(userPhoneNumber, session) {
+  return notifyLetterLimit(userPhoneNumber, session, await rateLimitService.checkLetterLimit(userPhoneNumber));
+}
+
+/**
+ * Verifica, sem contar uma nova carta, se os limites de cartas ainda permitem gerar uma
+ * Evita recomeçar o fluxo e fazer as análises pagas do perfil para uma carta que não poderá ser gerada.
+ * @param {string} userPhoneNumber - Número de telefone do usuário
+ * @param {Object} session - Dados da sessão do usuário
+ * @returns {Promise<boolean>} - Verdadeiro se ainda há cartas disponíveis
+ */
+async function hasLetterAllowance(userPhoneNumber, session) {
+  return notifyLetterLimit(userPhoneNumber, session, await rateLimitService.peekLetterLimit(userPhoneNumber));
+}
+
+/**
+ * Avisa o usuário quando um limite de cartas foi atingido
+ * @param {string} userPhoneNumber - Número de telefone do usuário
+ * @param {Object} session - Dados da sessão do usuário
+ * @param {Object} result - Resultado da verificação ({ allowed, limit })
+ * @returns {Promise<boolean>} - Verdadeiro se a carta é permitida
+ */
+async function notifyLetterLimit(userPhoneNumber, session, result) {
+  if (result.allowed) {
+    return true;
+  }
+
+  const messageKey = result.limit === RATE_LIMITS.GLOBAL_LETTERS_PER_HOUR
+    ? 'rateLimitGlobalLetters'
+    : 'rateLimitLetters';
+
+  await whatsappService.sendTextMessage(userPhoneNumber, t(getLocale(session), messageKey));
+  return false;
+}
+
+/**
+ * Verifica se a carta do usuário ainda está sendo gerada
+ * A geração que falhou de vez ou passou de LETTER_GENERATION_TIMEOUT_MINUTES
+ * (job perdido ou preso) não está mais em andamento: o usuário pode recomeçar.
+ * @param {Object} session - Dados da sessão do usuário
+ * @returns {boolean} - Verdadeiro se a carta ainda pode ser entregue pelo job
+ */
+function isLetterInProgress(session) {
+  if (session.state !== CONVERSATION_STATES.GENERATING_LETTER || session.status === 'error') {
+    return false;
+  }
+
+  // Sessões gravadas antes de letterRequestedAt usam a última gravação
+  const requestedAt = session.letterRequestedAt || session.lastUpdated || 0;
+  return Date.now() - requestedAt < config.LETTER_GENERATION_TIMEOUT_MINUTES * 60 * 1000;
+}
+
+/**
+ * Obtém a sessão do usuário e encaminha a mensagem conforme o tipo
+ * Executado com o lock do usuário (ver processSingleMessage).
+ * @param {Object} message - Mensagem recebida (value.messages[])
+ */
+async function dispatchMessage(message) {
+  const userPhoneNumber = message.from;
+
+  // Respostas de botões e listas seguem o fluxo pelo id da opção escolhida
+  const interactiveReply = whatsappService.parseInteractiveReply(message);
+  const text = message.type === 'text' ? message.text.body : interactiveReply?.id;
+
+  let session = await sessionRepository.getSession(userPhoneNumber);
+
+  // Pedidos de privacidade são atendidos em qualquer etapa, inclusive durante a geração da carta
+  if (text && await handlePrivacyCommand(userPhoneNumber, text, session)) {
+    return;
+  }
+
+  // Quem pediu para não receber mensagens não é respondido até pedir para voltar
+  if (await privacyService.isOptedOut(userPhoneNumber)) {
+    log(`Mensagem de ${userPhoneNumber} ignorada: o número pediu para não receber mensagens`);
+    return;
+  }
+
+  // Cria a sessão do usuário
+  if (!session) {
+    session = {
+      phoneNumber: userPhoneNumber,
+      state: CONVERSATION_STATES.INITIAL,
+      startTimestamp: Date.now()
+    };
+    await sessionRepository.saveSession(userPhoneNumber, session);
+  }
+
+  // Enquanto a carta é escrita, as mensagens são apenas respondidas, sem alterar a sessão
+  // (a não ser que a geração tenha falhado de vez ou esteja parada, quando o usuário pode recomeçar)
+  if (isLetterInProgress(session)) {
+    await whatsappService.sendTextMessage(
+      userPhoneNumber,
+      t(getLocale(session), 'letterInProgress')
+    );
+    return;
+  }
+
+  // Processa a mensagem com base no tipo
+  if (text) {
+    await handleTextMessage(userPhoneNumber, text, session);
+  } else if (message.type === 'image') {
+    await handleImageMessage(userPhoneNumber, message.image, session);
+  } else if (message.type === 'audio') {
+    await handleAudioMessage(userPhoneNumber, message.audio, session);
+  } else {
+    // Tipo de mensagem não suportado
+    await whatsappService.sendTextMessage(
+      userPhoneNumber,
+      conversationFlow.unexpectedInputMessages.default(session)
+    );
+  }
+}
+
+/**
+ * Identifica um pedido de privacidade (a mensagem inteira deve ser o pedido)
+ * @param {string} text - Texto recebido
+ * @returns {string|null} - Pedido identificado (usar PRIVACY_COMMANDS) ou null
+ */
+function matchPrivacyCommand(text) {
+  const normalizedText = normalizeText(text.replace(/[^\p{L}\p{N}\s]/gu, ' '));
+
+  return Object.values(PRIVACY_COMMANDS).find(command =>
+    [command, ...PRIVACY_COMMAND_ALIASES[command]].includes(normalizedText)
+  ) || null;
+}
+
+/**
+ * Atende aos pedidos de privacidade: parar, voltar, meus dados e apagar meus dados
+ * As respostas são enviadas mesmo a quem pediu para não receber mensagens, pois
+ * respondem a um pedido feito pelo próprio usuário.
+ * @param {string} userPhoneNumber - Número de telefone do usuário
+ * @param {string} text - Texto recebido
+ * @param {Object|null} session - Dados da sessão do usuário (null se não houver sessão)
+ * @returns {Promise<boolean>} - Verdadeiro se a mensagem era um pedido de privacidade
+ */
+async function handlePrivacyCommand(userPhoneNumber, text, session) {
+  const command = matchPrivacyCommand(text);
+  if (!command) {
+    return false;
+  }
+
+  // "voltar" (ou "start") só é um pedido de privacidade para quem parou de receber mensagens
+  const optedOut = await privacyService.isOptedOut(userPhoneNumber);
+  if (command === PRIVACY_COMMANDS.OPT_IN && !optedOut) {
+    return false;
+  }
+
+  const locale = getLocale(session);
+  const reply = (key) => whatsappService.sendTextMessage(userPhoneNumber, t(locale, key), { ignoreOptOut: true });
+
+  log(`Pedido de privacidade "${command}" recebido de ${userPhoneNumber}`);
+
+  try {
+    switch (command) {
+      case PRIVACY_COMMANDS.OPT_OUT:
+        if (!optedOut) {
+          await privacyService.optOut(userPhoneNumber);
+        }
+        await reply('optOutConfirmation');
+        break;
+
+      case PRIVACY_COMMANDS.OPT_IN:
+        await privacyService.optIn(userPhoneNumber);
+        await reply('optInConfirmation');
+        break;
+
+      case PRIVACY_COMMANDS.DATA_ACCESS:
+        await sendDataSummary(userPhoneNumber, locale);
+        break;
+
+      case PRIVACY_COMMANDS.DATA_DELETION:
+        await privacyService.deleteUserData(userPhoneNumber);
+        await reply('dataDeleted');
+        // A resposta só pode ser enviada com a janela de 24 horas aberta: o horário da última mensagem é apagado depois dela
+        await customerServiceWindowService.closeWindow(userPhoneNumber);
+        break;
+    }
   } catch (error) {
-    log('Erro ao processar mensagem:', error);
-    return res.sendStatus(500);
+    if (sessionRepository.isStorageError(error)) {
+      throw error;
+    }
+    logError('Erro ao atender pedido de privacidade', error);
+    await reply('privacyError');
+  }
+
+  return true;
+}
+
+/**
+ * Envia ao usuário o resumo dos dados guardados sobre ele (pedido "meus dados")
+ * A sessão tem os dados da conversa atual; a interação mais recente, os da última carta.
+ * @param {string} userPhoneNumber - Número de telefone do usuário
+ * @param {string} locale - Idioma do usuário
+ */
+async function sendDataSummary(userPhoneNumber, locale) {
+  const { session, interactions, threadMessages, mediaCount } = await privacyService.getUserData(userPhoneNumber);
+  const send = (text) => whatsappService.sendTextMessage(userPhoneNumber, text, { ignoreOptOut: true });
+
+  if (!session && interactions.length === 0 && threadMessages === 0 && mediaCount === 0) {
+    await send(t(locale, 'dataNothingStored'));
+    return;
   }
+
+  const current = session || {};
+  const latest = interactions[0] || {};
+  const notStored = t(locale, 'dataNotStored');
+
+  // Interações guardam "Não informado" nos campos sem resposta
+  const stored = (...values) => values.find(value => value && value !== 'Não informado') || notStored;
+
+  const consentKeys = { true: 'dataConsentGiven', false: 'dataConsentDeclined' };
+  const hasImage = Boolean(current.imageUrl || latest.imageUrl);
+  const hasLetter = Boolean(current.letterContent || interactions.some(interaction => interaction.letterContent));
+
+  await send(t(locale, 'dataSummary', {
+    telefone: userPhoneNumber,
+    nome: stored(current.name, latest.name),
+    email: stored(current.email, latest.email),
+    negocio: stored(current.business),
+    consentimento: consentKeys[current.consentGiven] ? t(locale, consentKeys[current.consentGiven]) : notStored,
+    perfil: stored(current.profileUrl, latest.profileUrl, hasImage && t(locale, 'dataProfileImage')),
+    desafio: stored(current.challenge, latest.mainChallenge),
+    desafioPessoal: stored(current.personalChallenge, latest.personalChallenge),
+    carta: hasLetter ? t(locale, 'dataStored') : notStored,
+    conversas: interactions.length,
+    historico: threadMessages,
+    midias: mediaCount
+  }));
 }
 
 /**
@@ -113,52 +550,86 @@ async function handleTextMessage(userPhoneNumber, messageText, session) {
     const text = messageText.trim();
     const normalizedText = normalizeText(text);
     
-    log(`Texto normalizado: "${normalizedText}"`);
+    logDebug(`Texto normalizado (${normalizedText.length} caracteres)`);
+    
+    // Detecta o idioma na primeira mensagem do usuário
+    if (!session.locale && session.state === CONVERSATION_STATES.INITIAL) {
+      session.locale = getLocale({ locale: detectLanguage(text) });
+      log(`Idioma detectado para ${userPhoneNumber}: ${session.locale}`);
+      await sessionRepository.saveSession(userPhoneNumber, session);
+    }
     
     // Verifica se é o gatilho de início
     if (normalizedText.includes("quero receber") && normalizedText.includes("carta") || 
         normalizedText.includes("quero carta") || 
         normalizedText.includes("receber carta") || 
+        normalizedText.includes("want my letter") || 
+        normalizedText.includes("quiero recibir") && normalizedText.includes("carta") || 
+        normalizedText.includes("quiero mi carta") || 
         normalizedText === "comecar" || 
-        normalizedText === "iniciar") {
+        normalizedText === "iniciar" || 
+        normalizedText === "start" || 
+        normalizedText === "empezar") {
       
-      log(`Gatilho de início detectado de ${userPhoneNumber}: "${normalizedText}"`);
+      log(`Gatilho de início detectado de ${userPhoneNumber}`);
+      
+      // Sem cartas disponíveis, a conversa não recomeça
+      if (!await hasLetterAllowance(userPhoneNumber, session)) {
+        return;
+      }
       
-      // Reinicia a conversa
+      // Reinicia a conversa, mantendo o idioma (ou adotando o idioma do gatilho)
+      // e a versão da sessão lida, exigida para salvá-la
       session = {
         phoneNumber: userPhoneNumber,
         state: CONVERSATION_STATES.INITIAL,
-        startTimestamp: Date.now()
+        startTimestamp: Date.now(),
+        locale: detectLanguage(text) || session.locale,
+        version: session.version
       };
-      await sessionService.saveSession(userPhoneNumber, session);
-      await startConversation(userPhoneNumber);
+      await sessionRepository.saveSession(userPhoneNumber, session);
+      await startConversation(userPhoneNumber, session);
+      return;
+    }
+    
+    // Troca de idioma, aceita em qualquer etapa
+    const languageCommand = matchLanguageCommand(text);
+    if (languageCommand) {
+      await changeLanguage(userPhoneNumber, languageCommand.locale, session);
       return;
     }
     
-    // Processa a mensagem com base no estado atual da conversa
+    // Etapas declaradas no fluxo de conversa
+    const step = flowEngine.getStepByState(conversationFlow, session.state);
+    if (step) {
+      await flowEngine.handleStepInput(
+        conversationFlow,
+        step,
+        userPhoneNumber,
+        { type: 'text', text },
+        session,
+        FLOW_HOOKS
+      );
+      return;
+    }
+    
+    // Demais estados da conversa
     switch (session.state) {
       case CONVERSATION_STATES.INITIAL:
-        await startConversation(userPhoneNumber);
-        break;
-        
-      case CONVERSATION_STATES.WAITING_NAME:
-        await processName(userPhoneNumber, text, session);
+        await startConversation(userPhoneNumber, session);
         break;
         
-      case CONVERSATION_STATES.WAITING_BUSINESS:
-        await processBusiness(userPhoneNumber, text, session);
-        break;
-        
-      case CONVERSATION_STATES.WAITING_PROFILE:
-        await processProfile(userPhoneNumber, text, session);
-        break;
-        
-      case CONVERSATION_STATES.WAITING_CHALLENGE:
-        await processChallenge(userPhoneNumber, text, session);
+      case CONVERSATION_STATES.GENERATING_LETTER:
+        // Só chega aqui quando a geração da carta falhou de vez ou ficou parada (ver isLetterInProgress)
+        await whatsappService.sendTextMessage(
+          userPhoneNumber,
+          t(getLocale(session), 'letterError')
+        );
         break;
         
       case CONVERSATION_STATES.LETTER_DELIVERED:
       case CONVERSATION_STATES.WAITING_COMMAND:
+      case CONVERSATION_STATES.CONVERSING:
         await processCommand(userPhoneNumber, text, session);
         break;
         
@@ -166,18 +637,21 @@ async function handleTextMessage(userPhoneNumber, messageText, session) {
         // Estado desconhecido, reinicia a conversa
         await whatsappService.sendTextMessage(
           userPhoneNumber,
-          "Algo deu errado, vamos começar novamente? Envie \"Quero receber a minha Carta!\" para reiniciar o processo."
+          t(getLocale(session), 'unknownState')
         );
         session.state = CONVERSATION_STATES.INITIAL;
-        await sessionService.saveSession(userPhoneNumber, session);
+        await sessionRepository.saveSession(userPhoneNumber, session);
     }
   } catch (error) {
-    log('Erro ao processar mensagem de texto:', error);
+    if (sessionRepository.isStorageError(error)) {
+      throw error;
+    }
+    logError('Erro ao processar mensagem de texto', error);
     
     // Envia mensagem de erro para o usuário
     await whatsappService.sendTextMessage(
       userPhoneNumber,
-      "Desculpe, ocorreu um erro inesperado. Por favor, tente novamente mais tarde ou envie \"Quero receber a minha Carta!\" para reiniciar o processo."
+      t(getLocale(session), 'textError')
     );
   }
 }
@@ -190,63 +664,89 @@ async function handleTextMessage(userPhoneNumber, messageText, session) {
  */
 async function handleImageMessage(userPhoneNumber, imageData, session) {
   try {
-    // Verifica se está no estado correto para receber imagens
-    if (session.state !== CONVERSATION_STATES.WAITING_PROFILE) {
+    const step = flowEngine.getStepByState(conversationFlow, session.state);
+    
+    // Fora do fluxo não há etapa esperando imagens
+    if (!step) {
       await whatsappService.sendTextMessage(
         userPhoneNumber,
-        "Desculpe, não estou esperando uma imagem neste momento. Por favor, siga as instruções anteriores ou envie \"Quero receber a minha Carta!\" para reiniciar."
+        conversationFlow.unexpectedInputMessages.image(session)
       );
       return;
     }
     
-    // Obtém a URL da imagem
-    const mediaId = imageData.id;
-    const imageUrl = await whatsappService.getMediaUrl(mediaId);
+    await flowEngine.handleStepInput(
+      conversationFlow,
+      step,
+      userPhoneNumber,
+      { type: 'image', image: imageData },
+      session,
+      FLOW_HOOKS
+    );
+  } catch (error) {
+    if (sessionRepository.isStorageError(error)) {
+      throw error;
+    }
+    logError('Erro ao processar mensagem de imagem', error);
+    
+    // Envia mensagem de erro para o usuário
+    await whatsappService.sendTextMessage(
+      userPhoneNumber,
+      t(getLocale(session), 'imageError')
+    );
+  }
+}
+
+/**
+ * Processa mensagens de áudio (notas de voz)
+ * O áudio é transcrito e segue o mesmo caminho de uma mensagem de texto
+ * @param {string} userPhoneNumber - Número de telefone do usuário
+ * @param {Object} audioData - Dados do áudio
+ * @param {Object} session - Dados da sessão do usuário
+ */
+async function handleAudioMessage(userPhoneNumber, audioData, session) {
+  try {
+    // Obtém e baixa o áudio
+    const audioUrl = await whatsappService.getMediaUrl(audioData.id);
+    const audioBuffer = audioUrl ? await whatsappService.downloadMedia(audioUrl) : null;
+    
+    const transcript = audioBuffer
+      ? await speechToTextService.transcribeAudio(audioBuffer, {
+        mimeType: audioData.mime_type,
+        // Idioma no formato ISO-639-1 esperado pelo Whisper (ex: 'pt')
+        language: session.locale ? getLocale(session).split('-')[0] : undefined
+      })
+      : '';
     
-    if (!imageUrl) {
+    if (!transcript) {
       await whatsappService.sendTextMessage(
         userPhoneNumber,
-        "Desculpe, não consegui processar sua imagem. Por favor, tente enviar novamente ou envie um link do seu perfil."
+        t(getLocale(session), 'audioNotUnderstood')
       );
       return;
     }
     
-    // Classifica o tipo de imagem (screenshot ou foto)
-    const imageType = await visionAnalysisService.classifyImageType(imageUrl);
+    log(`Áudio de ${userPhoneNumber} transcrito (${transcript.length} caracteres)`);
     
-    // Analisa a imagem
-    await whatsappService.sendTextMessage(
-      userPhoneNumber,
-      "Obrigado!"
-    );
+    // A transcrição costuma terminar com ponto final, o que atrapalharia nomes e comandos
+    const text = transcript.replace(/[.!]+$/, '');
     
-    let imageAnalysis = '';
-    try {
-      imageAnalysis = await visionAnalysisService.analyzeImageFromUrl(imageUrl);
-    } catch (error) {
-      log('Erro ao analisar imagem:', error);
-      imageAnalysis = '';
+    // Pedidos de privacidade também podem ser feitos por áudio
+    if (await handlePrivacyCommand(userPhoneNumber, text, session)) {
+      return;
     }
     
-    // Atualiza a sessão com os dados da imagem
-    session.imageUrl = imageUrl;
-    session.imageAnalysis = imageAnalysis;
-    session.inputType = imageType;
-    session.state = CONVERSATION_STATES.WAITING_CHALLENGE;
-    await sessionService.saveSession(userPhoneNumber, session);
-    
-    // Solicita o desafio
-    await whatsappService.sendTextMessage(
-      userPhoneNumber,
-      "Só mais uma coisa: me responda com sinceridade...\n\n🌐 *Se você pudesse escolher apenas UM desafio que, se resolvido, traria os resultados que você mais deseja, qual seria?*\n\n(Responda com apenas uma frase)"
-    );
+    await handleTextMessage(userPhoneNumber, text, session);
   } catch (error) {
-    log('Erro ao processar mensagem de imagem:', error);
+    if (sessionRepository.isStorageError(error)) {
+      throw error;
+    }
+    logError('Erro ao processar mensagem de áudio', error);
     
     // Envia mensagem de erro para o usuário
     await whatsappService.sendTextMessage(
       userPhoneNumber,
-      "Desculpe, ocorreu um erro ao processar sua imagem. Por favor, tente enviar um link do seu perfil em vez disso ou envie \"Quero receber a minha Carta!\" para reiniciar."
+      t(getLocale(session), 'audioError')
     );
   }
 }
@@ -254,313 +754,578 @@ async function handleImageMessage(userPhoneNumber, imageData, session) {
 /**
  * Inicia a conversa com o usuário
  * @param {string} userPhoneNumber - Número de telefone do usuário
+ * @param {Object} session - Dados da sessão do usuário
  */
-async function startConversation(userPhoneNumber) {
+async function startConversation(userPhoneNumber, session) {
   try {
     log(`Iniciando conversa para ${userPhoneNumber}`);
     
-    // Mensagem de boas-vindas
-    await whatsappService.sendTextMessage(
-      userPhoneNumber,
-      "Olá! 👋 Bem-vindo(a) à *CONSCIÊNC.IA* do evento \n\n🗺️ *Mapa do Lucro*: *Jornada do Extraordinário*!\n\nSou uma IA criada para gerar sua *Carta personalizada* — uma análise única e estratégica baseada no seu perfil e no momento atual.\n\nPara começar, preciso conhecer você melhor.🙂\n\nComo gostaria de ser chamado(a)?"
-    );
-    
-    // Atualiza o estado da sessão
-    const session = await sessionService.getSession(userPhoneNumber);
-    if (session) {
-      session.state = CONVERSATION_STATES.WAITING_NAME;
-      await sessionService.saveSession(userPhoneNumber, session);
-    } else {
-      // Cria uma nova sessão se não existir
-      const newSession = {
+    // Cria uma nova sessão se não existir
+    if (!session) {
+      session = {
         phoneNumber: userPhoneNumber,
-        state: CONVERSATION_STATES.WAITING_NAME,
+        state: CONVERSATION_STATES.INITIAL,
         startTimestamp: Date.now()
       };
-      await sessionService.saveSession(userPhoneNumber, newSession);
     }
+    
+    // Envia a primeira pergunta do fluxo (boas-vindas)
+    await flowEngine.startFlow(conversationFlow, userPhoneNumber, session);
   } catch (error) {
-    log('Erro ao iniciar conversa:', error);
+    if (sessionRepository.isStorageError(error)) {
+      throw error;
+    }
+    logError('Erro ao iniciar conversa', error);
     
     // Tenta enviar uma mensagem simplificada em caso de erro
     try {
       await whatsappService.sendTextMessage(
         userPhoneNumber,
-        "Olá! Bem-vindo(a) ao Conselheiro Consciênc.IA. Como gostaria de ser chamado(a)?"
+        t(getLocale(session), 'startFallback')
       );
     } catch (retryError) {
-      log('Erro na segunda tentativa de iniciar conversa:', retryError);
+      logError('Erro na segunda tentativa de iniciar conversa', retryError);
     }
   }
 }
 
 /**
- * Processa o nome do usuário
+ * Processa a resposta à autorização (LGPD) para analisar o perfil
+ * Sem autorização, o fluxo pula a etapa do perfil (ver conversationFlow).
  * @param {string} userPhoneNumber - Número de telefone do usuário
- * @param {string} name - Nome do usuário
+ * @param {Object} input - Entrada recebida na etapa
  * @param {Object} session - Dados da sessão do usuário
+ * @returns {Promise<boolean>} - Se o fluxo deve avançar
  */
-async function processName(userPhoneNumber, name, session) {
-  try {
-    // Valida o nome
-    if (!name || name.length < 2) {
-      await whatsappService.sendTextMessage(
-        userPhoneNumber,
-        "Por favor, informe um nome válido."
-      );
-      return;
-    }
-    
-    // Atualiza a sessão com o nome
-    session.name = name;
-    session.state = CONVERSATION_STATES.WAITING_BUSINESS;
-    await sessionService.saveSession(userPhoneNumber, session);
-    
-    // Solicita o negócio
-    await whatsappService.sendTextMessage(
-      userPhoneNumber,
-      `Obrigado, ${name}! 😊\n\nPara uma melhor experiência, gostaria de me contar *qual é o seu Negócio ou trabalho atual e o seu papel nele?*\n\n(Responda em apenas uma frase)`
-    );
-  } catch (error) {
-    log('Erro ao processar nome:', error);
-    
-    // Envia mensagem de erro para o usuário
+async function processConsent(userPhoneNumber, input, session) {
+  // Mantém o sublinhado dos ids dos botões
+  const answer = normalizeText(input.text.replace(/[^\p{L}\p{N}\s_]/gu, ''));
+  const locale = getLocale(session);
+
+  if (!CONSENT_ANSWERS.ACCEPT.includes(answer) && !CONSENT_ANSWERS.DECLINE.includes(answer)) {
+    await whatsappService.sendTextMessage(userPhoneNumber, t(locale, 'consentInvalid'));
+    return false;
+  }
+
+  session.consentGiven = CONSENT_ANSWERS.ACCEPT.includes(answer);
+  session.consentAt = Date.now();
+  await privacyService.recordConsent(userPhoneNumber, session.consentGiven);
+
+  if (!session.consentGiven) {
     await whatsappService.sendTextMessage(
       userPhoneNumber,
-      "Desculpe, ocorreu um erro ao processar seu nome. Por favor, tente novamente ou envie \"Quero receber a minha Carta!\" para reiniciar."
+      t(locale, 'consentDeclined', { nome: session.name || t(locale, 'defaultName') })
     );
   }
+
+  return true;
 }
 
 /**
- * Processa o negócio do usuário
+ * Processa o perfil informado em texto (URL ou @username)
  * @param {string} userPhoneNumber - Número de telefone do usuário
- * @param {string} business - Negócio do usuário
+ * @param {Object} input - Entrada recebida na etapa
  * @param {Object} session - Dados da sessão do usuário
+ * @returns {Promise<boolean>} - Se o fluxo deve avançar
  */
-async function processBusiness(userPhoneNumber, business, session) {
+async function processProfileLink(userPhoneNumber, input, session) {
+  // As análises do perfil são pagas: só são feitas se a carta ainda puder ser gerada
+  if (!await hasLetterAllowance(userPhoneNumber, session)) {
+    return false;
+  }
+  
+  const profileInput = input.text.trim();
+  
+  // Normaliza a entrada do perfil
+  let profileUrl = profileInput;
+  let inputType = 'username';
+  
+  // Verifica se é uma URL válida
+  if (isValidUrl(profileInput)) {
+    profileUrl = profileInput;
+    inputType = 'link';
+  } else if (profileInput.startsWith('@')) {
+    // É um username do Instagram
+    profileUrl = normalizeProfileUrl(profileInput);
+  }
+  
+  // Atualiza a sessão com os dados do perfil
+  session.profileUrl = profileUrl;
+  session.inputType = inputType;
+  
+  // Tenta extrair dados do perfil
   try {
-    // Verifica se o usuário quer pular esta etapa
-    if (business.toLowerCase() === "pular") {
-      session.business = null;
-    } else {
-      session.business = business;
-    }
-    
-    // Atualiza a sessão
-    session.state = CONVERSATION_STATES.WAITING_PROFILE;
-    await sessionService.saveSession(userPhoneNumber, session);
-    
-    // Solicita o perfil
-    await whatsappService.sendTextMessage(
-      userPhoneNumber,
-      "Perfeito! Agora, para gerar sua *Carta personalizada*, preciso analisar seu perfil digital. Consigo fazer isso com:\n\n1️⃣Um print do seu perfil (Instagram ou LinkedIn) *OU* \n2️⃣Apenas me diga seu @ (ex: @coworkingikigai).\n\n📝 Escolha *apenas UMA opção* e me envie agora para começar!"
-    );
+    session.profileData = await profileScraperService.scrapeProfile(profileUrl);
   } catch (error) {
-    log('Erro ao processar negócio:', error);
-    
-    // Envia mensagem de erro para o usuário
+    logError('Erro ao extrair dados do perfil', error);
+  }
+  
+  // Tenta analisar o perfil
+  try {
+    session.profileAnalysis = await profileScraperService.analyzeProfileWithAI(profileUrl);
+  } catch (error) {
+    logError('Erro ao analisar perfil', error);
+  }
+  
+  return true;
+}
+
+/**
+ * Processa o print do perfil enviado como imagem
+ * @param {string} userPhoneNumber - Número de telefone do usuário
+ * @param {Object} input - Entrada recebida na etapa
+ * @param {Object} session - Dados da sessão do usuário
+ * @returns {Promise<boolean>} - Se o fluxo deve avançar
+ */
+async function processProfileImage(userPhoneNumber, input, session) {
+  // As análises do print são pagas: só são feitas se a carta ainda puder ser gerada
+  if (!await hasLetterAllowance(userPhoneNumber, session)) {
+    return false;
+  }
+  
+  // Obtém a URL da imagem
+  const mediaId = input.image.id;
+  const imageUrl = await whatsappService.getMediaUrl(mediaId);
+  
+  if (!imageUrl) {
     await whatsappService.sendTextMessage(
       userPhoneNumber,
-      "Desculpe, ocorreu um erro ao processar sua informação. Por favor, tente novamente ou envie \"Quero receber a minha Carta!\" para reiniciar."
+      t(getLocale(session), 'imageNotProcessed')
     );
+    return false;
   }
+  
+  // O print fica registrado para ser apagado se o usuário pedir ("apagar meus dados")
+  await privacyRepository.addUserMedia(userPhoneNumber, mediaId);
+  
+  // Classifica o tipo de imagem (screenshot ou foto)
+  const imageType = await visionAnalysisService.classifyImageType(imageUrl);
+  
+  // Analisa a imagem
+  await whatsappService.sendTextMessage(
+    userPhoneNumber,
+    t(getLocale(session), 'imageReceived')
+  );
+  
+  let imageAnalysis = '';
+  try {
+    imageAnalysis = await visionAnalysisService.analyzeImageFromUrl(imageUrl);
+  } catch (error) {
+    logError('Erro ao analisar imagem', error);
+    imageAnalysis = '';
+  }
+  
+  // Atualiza a sessão com os dados da imagem
+  session.imageUrl = imageUrl;
+  session.imageAnalysis = imageAnalysis;
+  session.inputType = imageType;
+  
+  return true;
 }
 
 /**
- * Processa o perfil do usuário
+ * Enfileira a geração da carta ao final do fluxo de perguntas
+ * A carta é gerada pelo worker da fila de jobs (runLetterJob), fora da requisição
+ * do webhook, para não esbarrar no tempo limite da função serverless.
+ * Os limites de cartas são contados aqui, uma vez por carta gerada.
  * @param {string} userPhoneNumber - Número de telefone do usuário
- * @param {string} profileInput - Input do perfil (URL ou username)
  * @param {Object} session - Dados da sessão do usuário
  */
-async function processProfile(userPhoneNumber, profileInput, session) {
-  try {
-    // Normaliza a entrada do perfil
-    let profileUrl = profileInput;
-    let inputType = 'username';
-    
-    // Verifica se é uma URL válida
-    if (isValidUrl(profileInput)) {
-      profileUrl = profileInput;
-      inputType = 'link';
-    } else if (profileInput.startsWith('@')) {
-      // É um username do Instagram
-      profileUrl = normalizeProfileUrl(profileInput);
-    }
-    
-    // Atualiza a sessão com os dados do perfil
-    session.profileUrl = profileUrl;
-    session.inputType = inputType;
+async function generateLetter(userPhoneNumber, session) {
+  // Com um limite atingido, as respostas ficam guardadas na última etapa:
+  // respondê-la de novo depois tenta gerar a carta outra vez
+  if (!await checkLetterLimit(userPhoneNumber, session)) {
+    await sessionRepository.saveSession(userPhoneNumber, session);
+    return;
+  }
+  
+  session.state = CONVERSATION_STATES.GENERATING_LETTER;
+  session.letterRequestedAt = Date.now();
+  session.letterContent = null;
+  session.letterSentAt = null;
+  await sessionRepository.saveSession(userPhoneNumber, session);
+  
+  // Informa que está gerando a carta
+  await whatsappService.sendTextMessage(
+    userPhoneNumber,
+    t(getLocale(session), 'generatingLetter')
+  );
+  
+  await jobQueueService.enqueueJob(JOB_TYPES.GENERATE_LETTER, { phoneNumber: userPhoneNumber });
+}
+
+/**
+ * Gera e envia a carta de um job da fila (executado pelo worker)
+ * Como as mensagens recebidas, o job altera a sessão com o lock do usuário. O
+ * lock dura o prazo de execução do job (JOB_LEASE_SECONDS), e não os segundos
+ * de uma mensagem, para não expirar enquanto a carta é gerada.
+ * Erros (inclusive falhas de envio) são propagados para que a fila faça uma nova tentativa.
+ * @param {Object} job - Job com payload { phoneNumber }
+ */
+export async function runLetterJob(job) {
+  const userPhoneNumber = job.payload.phoneNumber;
+  await userLockService.withUserLock(userPhoneNumber, () => deliverLetter(job, userPhoneNumber), {
+    ttlSeconds: Math.max(config.JOB_LEASE_SECONDS, config.USER_LOCK_TTL_SECONDS)
+  });
+}
+
+/**
+ * Gera a carta (se ainda não foi gerada), envia e marca a sessão como entregue
+ * @param {Object} job - Job da fila
+ * @param {string} userPhoneNumber - Número de telefone do usuário
+ */
+async function deliverLetter(job, userPhoneNumber) {
+  const session = await sessionRepository.getSession(userPhoneNumber);
+  
+  // A sessão pode ter expirado ou sido reiniciada depois do enfileiramento
+  if (!session || session.state !== CONVERSATION_STATES.GENERATING_LETTER) {
+    log(`Job ${job.id} ignorado: a sessão de ${userPhoneNumber} não aguarda mais a carta`);
+    return;
+  }
+  
+  const locale = getLocale(session);
+  
+  // Uma tentativa anterior pode ter gerado a carta e falhado no envio
+  if (!session.letterContent) {
+    // Calcula o tempo de início para métricas
+    const startTime = Date.now();
     
-    // Tenta extrair dados do perfil
-    let profileData = null;
-    try {
-      profileData = await profileScraperService.scrapeProfile(profileUrl);
-      session.profileData = profileData;
-    } catch (error) {
-      log('Erro ao extrair dados do perfil:', error);
-    }
+    // Gera a carta com base nos dados do usuário
+    session.letterContent = await contentGenerationService.generateConscienceLetter({
+      name: session.name,
+      business: session.business,
+      profileUrl: session.profileUrl,
+      profileData: session.profileData,
+      profileAnalysis: session.profileAnalysis,
+      imageAnalysis: session.imageAnalysis,
+      businessChallenge: session.challenge,
+      personalChallenge: session.personalChallenge,
+      inputType: session.inputType,
+      locale
+    });
     
-    // Tenta analisar o perfil
-    let profileAnalysis = '';
-    try {
-      profileAnalysis = await profileScraperService.analyzeProfileWithAI(profileUrl);
-      session.profileAnalysis = profileAnalysis;
-    } catch (error) {
-      log('Erro ao analisar perfil:', error);
+    // Calcula o tempo de processamento
+    session.processingTime = (Date.now() - startTime) / 1000; // em segundos
+    await sessionRepository.saveSession(userPhoneNumber, session);
+  }
+  
+  // Uma tentativa anterior pode ter enviado a carta e falhado nas mensagens seguintes
+  if (!session.letterSentAt) {
+    await sendLetter(userPhoneNumber, session);
+    session.letterSentAt = Date.now();
+    await sessionRepository.saveSession(userPhoneNumber, session);
+  }
+  
+  // Envia mensagem de conclusão e apresenta o menu de comandos pós-carta
+  await sendRequiredText(userPhoneNumber, t(locale, 'letterDelivered'));
+  if (!await sendCommandMenu(userPhoneNumber, session)) {
+    throw new Error(`Falha ao enviar o menu de comandos para ${userPhoneNumber}`);
+  }
+  
+  // Atualiza a sessão apenas depois dos envios, para que uma nova tentativa reenvie o que faltou
+  session.state = CONVERSATION_STATES.LETTER_DELIVERED;
+  session.endTimestamp = Date.now();
+  session.status = 'completed';
+  await sessionRepository.saveSession(userPhoneNumber, session);
+  
+  // A conversa livre anterior se referia a outra carta
+  await threadService.resetThread(userPhoneNumber);
+  
+  // Salva a interação para o painel administrativo
+  await interactionRepository.saveInteractionFromSession(session);
+}
+
+/**
+ * Trata um job de carta que esgotou as tentativas: registra o erro e avisa o usuário
+ * @param {Object} job - Job com payload { phoneNumber }
+ * @param {Error} error - Último erro
+ */
+export async function failLetterJob(job, error) {
+  const userPhoneNumber = job.payload.phoneNumber;
+  logError(`Erro ao gerar carta para ${userPhoneNumber}`, error);
+  
+  const session = await sessionRepository.getSession(userPhoneNumber);
+  if (!session || session.state !== CONVERSATION_STATES.GENERATING_LETTER) {
+    return;
+  }
+  
+  // Atualiza o status da sessão (o estado é mantido para que o job possa ser reenviado pelo painel)
+  session.status = 'error';
+  session.endTimestamp = Date.now();
+  await sessionRepository.saveSession(userPhoneNumber, session);
+  
+  // Salva a interação com erro para o painel administrativo
+  await interactionRepository.saveInteractionFromSession(session);
+  
+  // Envia mensagem de erro para o usuário (a carta pode ter sido gerada e falhado no envio)
+  await whatsappService.sendTextMessage(
+    userPhoneNumber,
+    t(getLocale(session), session.letterContent ? 'letterSendError' : 'letterError')
+  );
+}
+
+// Processadores e callback de conclusão usados pelo motor de fluxo
+const FLOW_HOOKS = {
+  processors: {
+    consent: processConsent,
+    profileLink: processProfileLink,
+    profileImage: processProfileImage
+  },
+  onComplete: generateLetter
+};
+
+/**
+ * Envia um texto da entrega da carta
+ * @param {string} userPhoneNumber - Número de telefone do usuário
+ * @param {string} text - Texto da mensagem
+ * @throws {Error} - Se o envio falhar
+ */
+async function sendRequiredText(userPhoneNumber, text) {
+  if (!await whatsappService.sendTextMessage(userPhoneNumber, text)) {
+    throw new Error(`Falha ao enviar mensagem da carta para ${userPhoneNumber}`);
+  }
+}
+
+/**
+ * Envia a carta em texto, dividida em mensagens nas pausas "---"
+ * @param {string} userPhoneNumber - Número de telefone do usuário
+ * @param {string} letterContent - Conteúdo da carta
+ * @throws {Error} - Se alguma parte não for enviada
+ */
+async function sendLetterAsText(userPhoneNumber, letterContent) {
+  const parts = letterContent.split('---');
+
+  for (const part of parts) {
+    if (part.trim()) {
+      await sendRequiredText(userPhoneNumber, part.trim());
     }
-    
-    // Atualiza o estado da sessão
-    session.state = CONVERSATION_STATES.WAITING_CHALLENGE;
-    await sessionService.saveSession(userPhoneNumber, session);
-    
-    // Solicita o desafio
-    await whatsappService.sendTextMessage(
+  }
+}
+
+/**
+ * Envia a carta como documento PDF
+ * @param {string} userPhoneNumber - Número de telefone do usuário
+ * @param {Object} session - Dados da sessão do usuário (carta, nome e idioma)
+ * @returns {Promise<boolean>} - Sucesso ou falha no envio
+ */
+async function sendLetterAsPdf(userPhoneNumber, session) {
+  try {
+    const locale = getLocale(session);
+    const pdfBuffer = await letterPdfService.renderLetterPdf({
+      name: session.name,
+      letterContent: session.letterContent,
+      locale
+    });
+    const filename = `Carta-Consciencia-${normalizeText(session.name || 'participante').replace(/\s+/g, '-')}.pdf`;
+
+    return await whatsappService.sendDocumentMessage(
       userPhoneNumber,
-      "Agora me diga, com sinceridade...\n\n🌐 Se você pudesse escolher apenas *UM DESAFIO ATUAL* que, se resolvido, traria os resultados que você mais deseja, qual seria?\n\n(Responda com apenas uma frase)"
+      pdfBuffer,
+      filename,
+      t(locale, 'letterPdfCaption')
     );
   } catch (error) {
-    log('Erro ao processar perfil:', error);
-    
-    // Envia mensagem de erro para o usuário
-    await whatsappService.sendTextMessage(
-      userPhoneNumber,
-      "Desculpe, ocorreu um erro ao processar seu perfil. Por favor, tente novamente ou envie \"Quero receber a minha Carta!\" para reiniciar."
-    );
+    logError('Erro ao gerar PDF da carta', error);
+    return false;
   }
 }
 
 /**
- * Processa o desafio do usuário
+ * Envia o card da poesia no formato dos stories do Instagram
  * @param {string} userPhoneNumber - Número de telefone do usuário
- * @param {string} challenge - Desafio do usuário
- * @param {Object} session - Dados da sessão do usuário
+ * @param {Object} session - Dados da sessão do usuário (carta, nome e idioma)
  */
-async function processChallenge(userPhoneNumber, challenge, session) {
+async function sendStoryCard(userPhoneNumber, session) {
   try {
-    // Valida o desafio
-    if (!challenge || challenge.length < 2) {
-      await whatsappService.sendTextMessage(
-        userPhoneNumber,
-        "Por favor, informe um desafio válido em uma frase."
-      );
+    const locale = getLocale(session);
+    const cardBuffer = await storyCardService.renderStoryCard({
+      name: session.name,
+      letterContent: session.letterContent,
+      locale
+    });
+
+    if (!cardBuffer) {
       return;
     }
-    
-    // Atualiza a sessão com o desafio
-    session.challenge = challenge;
-    session.state = CONVERSATION_STATES.GENERATING_LETTER;
-    await sessionService.saveSession(userPhoneNumber, session);
-    
-    // Informa que está gerando a carta
-    await whatsappService.sendTextMessage(
+
+    await whatsappService.sendImageMessage(
       userPhoneNumber,
-      "⏳ Estou analisando suas informações e preparando sua *Carta da Consciênc.IA*…\nIsso pode levar alguns instantes...\n\n🌟 *Respire fundo enquanto a magia acontece*🪄"
+      cardBuffer,
+      t(locale, 'storyCardCaption')
     );
-    
-    // Gera a carta
-    let letterContent = '';
-    try {
-      // Calcula o tempo de início para métricas
-      const startTime = Date.now();
-      
-      // Gera a carta com base nos dados do usuário
-      letterContent = await contentGenerationService.generateConscienceLetter({
-        name: session.name,
-        business: session.business,
-        profileUrl: session.profileUrl,
-        profileData: session.profileData,
-        profileAnalysis: session.profileAnalysis,
-        imageAnalysis: session.imageAnalysis,
-        challenge: session.challenge,
-        inputType: session.inputType
-      });
-      
-      // Calcula o tempo de processamento
-      const processingTime = (Date.now() - startTime) / 1000; // em segundos
-      session.processingTime = processingTime;
-      
-      // Atualiza a sessão com a carta gerada
-      session.letterContent = letterContent;
-      session.state = CONVERSATION_STATES.LETTER_DELIVERED;
-      session.endTimestamp = Date.now();
-      session.status = 'completed';
-      await sessionService.saveSession(userPhoneNumber, session);
-      
-      // Salva a interação para o painel administrativo
-      await dashboardIntegrationService.saveInteractionFromSession(session);
-      
-      // Envia a carta para o usuário
-      await sendLetter(userPhoneNumber, letterContent);
-      
-      // Envia mensagem de conclusão
-      await whatsappService.sendTextMessage(
-        userPhoneNumber,
-        "💌 *Sua Carta foi entregue!* ✨\n\nEspero que tenha apreciado a experiência! 🌟\n\nPara saber mais sobre como a IA pode transformar o seu Negócio, conheça o *PROGRAMA CONSCIÊNC.IA*, criado pelos Mentores @RenatoHilel.oficial e @NunoArcanjo.poeta.\n\nVisite: https://www.floreon.app.br/conscienc-ia\n\nAproveite o MAPA DO LUCRO e não deixe de conversar pessoalmente com os criadores desta experiência!\n\nUm grande abraço, *Renato e Nuno*. 💫"
-      );
-    } catch (error) {
-      log('Erro ao gerar carta:', error);
-      
-      // Atualiza o status da sessão
-      session.status = 'error';
-      session.endTimestamp = Date.now();
-      await sessionService.saveSession(userPhoneNumber, session);
-      
-      // Salva a interação com erro para o painel administrativo
-      await dashboardIntegrationService.saveInteractionFromSession(session);
-      
-      // Envia mensagem de erro para o usuário
-      await whatsappService.sendTextMessage(
-        userPhoneNumber,
-        "Encontrei um obstáculo ao criar sua carta. Por favor, tente novamente mais tarde ou envie \"Quero receber a minha Carta!\" para reiniciar o processo."
-      );
-    }
   } catch (error) {
-    log('Erro ao processar desafio:', error);
-    
-    // Envia mensagem de erro para o usuário
-    await whatsappService.sendTextMessage(
-      userPhoneNumber,
-      "Encontrei um obstáculo ao processar seu desafio. Por favor, tente novamente ou envie \"Quero receber a minha Carta!\" para reiniciar."
-    );
+    // O card é um extra: uma falha aqui não deve interromper a entrega da carta
+    logError('Erro ao gerar card da poesia', error);
   }
 }
 
 /**
- * Envia a carta para o usuário
+ * Envia a carta para o usuário no formato configurado em LETTER_DELIVERY_MODE
+ * ('text', 'pdf' ou 'both')
  * @param {string} userPhoneNumber - Número de telefone do usuário
- * @param {string} letterContent - Conteúdo da carta
+ * @param {Object} session - Dados da sessão do usuário (carta, nome e idioma)
+ * @throws {Error} - Se a carta ou a mensagem final não forem enviadas
  */
-async function sendLetter(userPhoneNumber, letterContent) {
-  try {
-    // Divide a carta em partes menores para evitar problemas de envio
-    const parts = letterContent.split('---');
-    
-    // Envia cada parte da carta
-    for (const part of parts) {
-      if (part.trim()) {
-        await whatsappService.sendTextMessage(userPhoneNumber, part.trim());
-      }
+async function sendLetter(userPhoneNumber, session) {
+  const locale = getLocale(session);
+  const letterContent = session.letterContent;
+  const deliveryMode = config.LETTER_DELIVERY_MODE;
+
+  if (deliveryMode !== 'pdf') {
+    await sendLetterAsText(userPhoneNumber, letterContent);
+  }
+
+  if (deliveryMode === 'pdf' || deliveryMode === 'both') {
+    const pdfSent = await sendLetterAsPdf(userPhoneNumber, session);
+
+    // Se o PDF falhar, garante que o usuário receba a carta em texto
+    if (!pdfSent && deliveryMode === 'pdf') {
+      logWarning(`Falha ao enviar PDF da carta para ${userPhoneNumber}, enviando em texto`);
+      await sendLetterAsText(userPhoneNumber, letterContent);
     }
+  }
+
+  if (config.STORY_CARD_ENABLED) {
+    await sendStoryCard(userPhoneNumber, session);
+  }
+  
+  // Envia a mensagem final 
+  await sendRequiredText(userPhoneNumber, t(locale, 'communityMessage'));
+}
+
+/**
+ * Monta o menu de comandos pós-carta no idioma do usuário
+ * @param {string} locale - Idioma do usuário
+ * @returns {Object} - Menu no formato { body, button, sections } (os ids são os próprios comandos)
+ */
+function getCommandMenuList(locale) {
+  const row = (id, key) => ({
+    id,
+    title: t(locale, `${key}Title`),
+    description: t(locale, `${key}Description`)
+  });
+
+  return {
+    body: t(locale, 'commandMenuBody'),
+    button: t(locale, 'commandMenuButton'),
+    sections: [
+      {
+        title: t(locale, 'commandMenuSectionTitle'),
+        rows: [
+          row(COMMANDS.IA, 'menuIa'),
+          row(COMMANDS.INSPIRACAO, 'menuInspiration'),
+          row(COMMANDS.CARTA, 'menuLetter'),
+          row(COMMANDS.NOVA_CONVERSA, 'menuNewConversation'),
+          row(COMMANDS.IDIOMA, 'menuLanguage'),
+          row(COMMANDS.NAO, 'menuEnd')
+        ]
+      }
+    ]
+  };
+}
+
+/**
+ * Envia o menu de comandos pós-carta, como lista interativa ou texto
+ * @param {string} userPhoneNumber - Número de telefone do usuário
+ * @param {Object} session - Dados da sessão do usuário
+ * @returns {Promise<boolean>} - Sucesso ou falha no envio
+ */
+async function sendCommandMenu(userPhoneNumber, session) {
+  const locale = getLocale(session);
+  const menu = getCommandMenuList(locale);
+  
+  const sent = await whatsappService.sendListMessage(
+    userPhoneNumber,
+    menu.body,
+    menu.button,
+    menu.sections
+  );
+  
+  if (sent) {
+    return true;
+  }
+  
+  return whatsappService.sendTextMessage(userPhoneNumber, t(locale, 'commandMenuText'));
+}
+
+/**
+ * Identifica um pedido de troca de idioma (ex: "idioma", "language en", "idioma español")
+ * @param {string} text - Texto recebido
+ * @returns {Object|null} - { locale } (locale null quando o idioma não foi informado) ou null
+ */
+function matchLanguageCommand(text) {
+  const words = normalizeText(text.replace(/[^\p{L}\p{N}\s]/gu, ' ')).split(' ');
+  
+  if (words.length > 3 || !LANGUAGE_COMMAND_WORDS.includes(words[0])) {
+    return null;
+  }
+  
+  return { locale: resolveLocale(words.slice(1).join(' ')) };
+}
+
+/**
+ * Troca o idioma da conversa ou, sem idioma informado, pergunta qual idioma usar
+ * @param {string} userPhoneNumber - Número de telefone do usuário
+ * @param {string|null} locale - Novo idioma
+ * @param {Object} session - Dados da sessão do usuário
+ */
+async function changeLanguage(userPhoneNumber, locale, session) {
+  if (!locale) {
+    const currentLocale = getLocale(session);
+    const prompt = t(currentLocale, 'languagePrompt');
+    const buttons = LANGUAGE_OPTIONS.map(option => ({ id: option.id, title: t(currentLocale, option.titleKey) }));
+    const sent = await whatsappService.sendInteractiveButtons(userPhoneNumber, prompt, buttons);
     
-    // Envia a mensagem final 
-    await whatsappService.sendTextMessage(
-      userPhoneNumber,
-      "✏️E lembre-se:\n\n🗝️A chave para o seu próximo nível está no *fortalecimento da nossa comunidade*!🦾\n\nPor isso, acompanhe os perfis: \n\n1️⃣Método S.I.M. (@metodosimbrasil),\n2️⃣Mapa do Lucro (@mapadolucroh4b) e \n3️⃣IKIGAI (@coworkingikigai)."
-    );
-  } catch (error) {
-    log('Erro ao enviar carta:', error);
-    
-    // Tenta enviar uma mensagem simplificada em caso de erro
-    try {
-      await whatsappService.sendTextMessage(
-        userPhoneNumber,
-        "Desculpe, encontrei um problema ao enviar sua carta completa. Por favor, envie \"Quero receber a minha Carta!\" para tentar novamente."
-      );
-    } catch (retryError) {
-      log('Erro na segunda tentativa de enviar carta:', retryError);
+    if (!sent) {
+      const options = buttons.map(button => `${button.title}: *${button.id}*`).join('\n');
+      await whatsappService.sendTextMessage(userPhoneNumber, `${prompt}\n\n${options}`);
+    }
+    return;
+  }
+  
+  session.locale = locale;
+  await sessionRepository.saveSession(userPhoneNumber, session);
+  log(`Idioma de ${userPhoneNumber} alterado para ${locale}`);
+  
+  await whatsappService.sendTextMessage(userPhoneNumber, t(locale, 'languageChanged'));
+  
+  // Repete a pergunta da etapa atual (ou o menu) já no novo idioma
+  const step = flowEngine.getStepByState(conversationFlow, session.state);
+  if (step) {
+    await flowEngine.enterStep(conversationFlow, step.id, userPhoneNumber, session);
+  } else if (session.state === CONVERSATION_STATES.INITIAL) {
+    await startConversation(userPhoneNumber, session);
+  } else if (session.letterContent) {
+    await sendCommandMenu(userPhoneNumber, session);
+  }
+}
+
+/**
+ * Identifica o comando enviado após a entrega da carta
+ * @param {string} text - Texto recebido
+ * @param {string} locale - Idioma do usuário
+ * @returns {string|null} - Comando identificado (usar COMMANDS) ou null
+ */
+function matchCommand(text, locale) {
+  // Remove pontuação para comparar apenas as palavras
+  const normalizedText = normalizeText(text.replace(/[^\p{L}\p{N}\s]/gu, ' '));
+  
+  if (normalizedText.split(' ').length > MAX_COMMAND_WORDS) {
+    return null;
+  }
+  
+  const paddedText = ` ${normalizedText} `;
+  
+  const aliasesByCommand = COMMAND_ALIASES[locale] || COMMAND_ALIASES['pt-BR'];
+  
+  for (const command of Object.values(COMMANDS)) {
+    const aliases = [command, ...(aliasesByCommand[command] || [])];
+    if (aliases.some(alias => paddedText.includes(` ${alias} `))) {
+      return command;
     }
   }
+  
+  return null;
 }
 
 /**
@@ -570,33 +1335,127 @@ async function sendLetter(userPhoneNumber, letterContent) {
  * @param {Object} session - Dados da sessão do usuário
  */
 async function processCommand(userPhoneNumber, text, session) {
+  const locale = getLocale(session);
+  
   try {
     const normalizedText = normalizeText(text);
     
     // Verifica se é um comando para mostrar o próximo passo
     if (normalizedText.includes("proximo passo") || 
         normalizedText.includes("proximo") || 
-        normalizedText.includes("passo")) {
+        normalizedText.includes("passo") || 
+        normalizedText.includes("next step")) {
       
       await whatsappService.sendTextMessage(
         userPhoneNumber,
-        "🌟 *Próximos Passos* 🌟\n\nAgora que você recebeu sua Carta da Consciênc.IA, recomendo:\n\n1. Salve sua carta para referência futura\n2. Converse com Renato Hilel e Nuno Arcanjo sobre como a IA pode transformar seu negócio\n\nPara mais informações, acesse: https://www.floreon.app.br/conscienc-ia"
+        t(locale, 'nextSteps')
       );
       return;
     }
     
-    // Se não for um comando específico, envia uma mensagem padrão
-    await whatsappService.sendTextMessage(
-      userPhoneNumber,
-      "Obrigado por usar o Conselheiro Consciênc.IA!"
-    );
+    switch (matchCommand(text, locale)) {
+      case COMMANDS.IA: {
+        await whatsappService.sendTextMessage(
+          userPhoneNumber,
+          t(locale, 'iaPreparing')
+        );
+        const iaHelp = await contentGenerationService.generateIAHelp(session.name, session.challenge, locale);
+        await whatsappService.sendTextMessage(userPhoneNumber, iaHelp);
+        await sendCommandMenu(userPhoneNumber, session);
+        break;
+      }
+        
+      case COMMANDS.INSPIRACAO: {
+        const inspiration = await contentGenerationService.generateInspiration(session.name, session.challenge, locale);
+        await whatsappService.sendTextMessage(userPhoneNumber, inspiration);
+        await sendCommandMenu(userPhoneNumber, session);
+        break;
+      }
+        
+      case COMMANDS.CARTA:
+        if (!session.letterContent) {
+          await whatsappService.sendTextMessage(
+            userPhoneNumber,
+            t(locale, 'letterNotFound')
+          );
+          break;
+        }
+        await sendLetter(userPhoneNumber, session);
+        await sendCommandMenu(userPhoneNumber, session);
+        break;
+        
+      case COMMANDS.MENU:
+        await sendCommandMenu(userPhoneNumber, session);
+        break;
+        
+      case COMMANDS.NAO:
+        await whatsappService.sendTextMessage(
+          userPhoneNumber,
+          t(locale, 'goodbye', { nome: session.name || t(locale, 'defaultName') })
+        );
+        break;
+        
+      case COMMANDS.NOVA_CONVERSA:
+        await threadService.resetThread(userPhoneNumber);
+        session.state = CONVERSATION_STATES.LETTER_DELIVERED;
+        await sessionRepository.saveSession(userPhoneNumber, session);
+        await whatsappService.sendTextMessage(
+          userPhoneNumber,
+          t(locale, 'newConversation')
+        );
+        break;
+        
+      default:
+        // Sem comando reconhecido: segue na conversa livre com o Conselheiro
+        await continueConversation(userPhoneNumber, text, session);
+    }
   } catch (error) {
-    log('Erro ao processar comando:', error);
+    if (sessionRepository.isStorageError(error)) {
+      throw error;
+    }
+    logError('Erro ao processar comando', error);
     
     // Envia mensagem de erro para o usuário
     await whatsappService.sendTextMessage(
       userPhoneNumber,
-      "Desculpe, ocorreu um erro ao processar seu comando. Por favor, tente novamente ou envie \"Quero receber a minha Carta!\" para reiniciar."
+      t(locale, 'commandError')
     );
   }
 }
+
+/**
+ * Responde a uma mensagem livre com base na carta, no perfil e nos desafios
+ * @param {string} userPhoneNumber - Número de telefone do usuário
+ * @param {string} text - Mensagem do usuário
+ * @param {Object} session - Dados da sessão do usuário
+ */
+async function continueConversation(userPhoneNumber, text, session) {
+  if (session.state !== CONVERSATION_STATES.CONVERSING) {
+    session.state = CONVERSATION_STATES.CONVERSING;
+    await sessionRepository.saveSession(userPhoneNumber, session);
+  }
+  
+  const thread = await threadService.getThread(userPhoneNumber);
+  const history = thread ? thread.messages : [];
+  
+  const reply = await contentGenerationService.generateFollowUpReply(
+    {
+      name: session.name,
+      letterContent: session.letterContent,
+      profileAnalysis: session.profileAnalysis,
+      imageAnalysis: session.imageAnalysis,
+      businessChallenge: session.challenge,
+      personalChallenge: session.personalChallenge,
+      locale: getLocale(session)
+    },
+    history,
+    text
+  );
+  
+  await threadService.appendToThread(userPhoneNumber, [
+    { role: 'user', content: text },
+    { role: 'assistant', content: reply }
+  ]);
+  
+  await whatsappService.sendTextMessage(userPhoneNumber, reply);
+}
@@ -0,0 +1,20 @@
+// src/middleware/correlationIdMiddleware.js
+import { createCorrelationId, runWithLogContext } from '../utils/logger.js';
+
+const CORRELATION_HEADER = 'x-request-id';
+
+// Ids recebidos de proxies só são aceitos se forem curtos e sem caracteres especiais
+const VALID_CORRELATION_ID = /^[\w.-]{1,100}$/;
+
+/**
+ * Associa um id de correlação a cada requisição
+ * Todos os registros feitos durante a requisição (inclusive o processamento
+ * assíncrono iniciado por ela) incluem o id, devolvido no cabeçalho X-Request-Id.
+ */
+export function assignCorrelationId(req, res, next) {
+  const received = req.get(CORRELATION_HEADER);
+  const correlationId = received && VALID_CORRELATION_ID.test(received) ? received : createCorrelationId();
+
+  res.set('X-Request-Id', correlationId);
+  runWithLogContext({ correlationId }, next);
+}
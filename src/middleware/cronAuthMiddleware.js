@@ -0,0 +1,36 @@
+// src/middleware/cronAuthMiddleware.js
+import crypto from 'crypto';
+import config from '../config/env.js';
+import { logWarning, logError } from '../utils/logger.js';
+
+/**
+ * Compara o cabeçalho recebido com o esperado em tempo constante
+ * @param {string} received - Cabeçalho Authorization recebido
+ * @param {string} expected - Cabeçalho esperado
+ * @returns {boolean} - Verdadeiro se forem iguais
+ */
+function headersMatch(received, expected) {
+  const receivedBuffer = Buffer.from(received || '');
+  const expectedBuffer = Buffer.from(expected);
+
+  return receivedBuffer.length === expectedBuffer.length &&
+    crypto.timingSafeEqual(receivedBuffer, expectedBuffer);
+}
+
+/**
+ * Exige o segredo CRON_SECRET nas rotas do worker
+ * O Vercel Cron envia o segredo no cabeçalho "Authorization: Bearer <segredo>".
+ */
+export function verifyCronSecret(req, res, next) {
+  if (!config.CRON_SECRET) {
+    logError('CRON_SECRET não está definido, chamada do worker recusada');
+    return res.status(401).send('Não autorizado');
+  }
+
+  if (!headersMatch(req.get('authorization'), `Bearer ${config.CRON_SECRET}`)) {
+    logWarning(`Chamada do worker sem segredo válido recusada (IP: ${req.ip})`);
+    return res.status(401).send('Não autorizado');
+  }
+
+  return next();
+}
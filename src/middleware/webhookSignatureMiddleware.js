@@ -0,0 +1,66 @@
+// src/middleware/webhookSignatureMiddleware.js
+import crypto from 'crypto';
+import config from '../config/env.js';
+import { logWarning, logError } from '../utils/logger.js';
+
+const SIGNATURE_HEADER = 'x-hub-signature-256';
+const SIGNATURE_PREFIX = 'sha256=';
+
+/**
+ * Calcula a assinatura esperada para o corpo bruto da requisição
+ * @param {Buffer} rawBody - Corpo da requisição exatamente como foi recebido
+ * @param {string} appSecret - Chave secreta do app na Meta
+ * @returns {string} - Assinatura no formato 'sha256=<hex>'
+ */
+function computeSignature(rawBody, appSecret) {
+  return SIGNATURE_PREFIX + crypto.createHmac('sha256', appSecret).update(rawBody).digest('hex');
+}
+
+/**
+ * Compara duas assinaturas em tempo constante
+ * @param {string} received - Assinatura recebida no cabeçalho
+ * @param {string} expected - Assinatura calculada
+ * @returns {boolean} - Verdadeiro se forem iguais
+ */
+function signaturesMatch(received, expected) {
+  const receivedBuffer = Buffer.from(received);
+  const expectedBuffer = Buffer.from(expected);
+
+  return receivedBuffer.length === expectedBuffer.length &&
+    crypto.timingSafeEqual(receivedBuffer, expectedBuffer);
+}
+
+/**
+ * Valida a assinatura X-Hub-Signature-256 enviada pela Meta no webhook
+ * Depende de req.rawBody, preenchido pelo express.json() em api/index.js.
+ */
+export function verifyWebhookSignature(req, res, next) {
+  if (config.WEBHOOK_SIGNATURE_BYPASS) {
+    if (config.NODE_ENV !== 'production') {
+      logWarning('Validação da assinatura do webhook desativada (WEBHOOK_SIGNATURE_BYPASS)');
+      return next();
+    }
+    logWarning('WEBHOOK_SIGNATURE_BYPASS ignorado em produção');
+  }
+
+  if (!config.WHATSAPP_APP_SECRET) {
+    logError('WHATSAPP_APP_SECRET não está definido, requisição do webhook recusada');
+    return res.status(401).send('Assinatura inválida');
+  }
+
+  const signature = req.get(SIGNATURE_HEADER);
+
+  if (!signature || !req.rawBody) {
+    logWarning(`Requisição do webhook sem assinatura recusada (IP: ${req.ip})`);
+    return res.status(401).send('Assinatura inválida');
+  }
+
+  const expectedSignature = computeSignature(req.rawBody, config.WHATSAPP_APP_SECRET);
+
+  if (!signaturesMatch(signature, expectedSignature)) {
+    logWarning(`Requisição do webhook com assinatura inválida recusada (IP: ${req.ip})`);
+    return res.status(401).send('Assinatura inválida');
+  }
+
+  return next();
+}
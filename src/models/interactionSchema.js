@@ -0,0 +1,63 @@
+/**
+ * @fileoverview Esquema das interações exibidas no painel
+ * Cada interação resume uma conversa concluída (ou com falha) e é montada a
+ * partir da sessão em interactionRepository.saveInteractionFromSession.
+ */
+
+import { createSchema, pickFields } from './schema.js';
+
+const fields = {
+  // Dados básicos
+  phoneNumber: { type: 'string', required: true },
+  name: { type: 'string', required: true },
+  email: { type: 'string', required: true },
+  timestamp: { type: 'number', required: true },
+  startTimestamp: { type: 'number', required: true },
+  endTimestamp: { type: 'number', required: true },
+
+  // Dados do perfil
+  profileUrl: { type: 'string', required: true },
+  inputType: { type: 'string', required: true },
+  imageUrl: { type: 'string', required: true },
+
+  // Dados da carta
+  mainChallenge: { type: 'string', required: true },
+  personalChallenge: { type: 'string', required: true },
+  letterContent: { type: 'string', required: true },
+
+  // Status e métricas
+  status: { type: 'string', required: true, values: ['completed', 'error'] },
+  processingTime: { type: 'number', required: true }
+};
+
+export const interactionSchema = createSchema({
+  name: 'interaction',
+  version: 1,
+  fields,
+  migrations: {
+    // Interações anteriores ao esquema: sem e-mail nem desafio pessoal, e campos vazios ou ausentes
+    1: (interaction) => {
+      const migrated = pickFields(interaction, fields);
+      const timestamp = Number(migrated.timestamp) || Date.now();
+
+      return {
+        ...migrated,
+        name: migrated.name || 'Não informado',
+        email: migrated.email || '',
+        timestamp,
+        startTimestamp: Number(migrated.startTimestamp) || timestamp,
+        endTimestamp: Number(migrated.endTimestamp) || timestamp,
+        profileUrl: migrated.profileUrl || '',
+        inputType: migrated.inputType || 'text',
+        imageUrl: migrated.imageUrl || '',
+        mainChallenge: migrated.mainChallenge || 'Não informado',
+        personalChallenge: migrated.personalChallenge || 'Não informado',
+        letterContent: migrated.letterContent || '',
+        status: fields.status.values.includes(migrated.status) ? migrated.status : (migrated.letterContent ? 'completed' : 'error'),
+        processingTime: Number(migrated.processingTime) || 0
+      };
+    }
+  }
+});
+
+export default interactionSchema;
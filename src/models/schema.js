@@ -0,0 +1,167 @@
+/**
+ * @fileoverview Definição de esquemas versionados dos documentos armazenados
+ * Cada esquema descreve os campos permitidos de um documento (tipo, se é
+ * obrigatório, se aceita null e os valores válidos) e as migrações que levam
+ * um documento gravado por uma versão anterior da aplicação até a versão atual.
+ * A versão do esquema fica no campo schemaVersion de cada documento; documentos
+ * sem esse campo são tratados como versão 0 (gravados antes dos esquemas).
+ */
+
+// Tipos de campo aceitos e a verificação de cada um
+const TYPE_CHECKS = {
+  string: (value) => typeof value === 'string',
+  number: (value) => typeof value === 'number' && Number.isFinite(value),
+  boolean: (value) => typeof value === 'boolean',
+  object: (value) => typeof value === 'object' && !Array.isArray(value),
+  array: (value) => Array.isArray(value),
+  any: () => true
+};
+
+/**
+ * Erro lançado quando um documento não respeita o esquema
+ */
+export class SchemaValidationError extends Error {
+  constructor(schemaName, errors) {
+    super(`Documento inválido para o esquema ${schemaName}: ${errors.join('; ')}`);
+    this.name = 'SchemaValidationError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Cria um esquema versionado
+ * @param {Object} definition - Definição do esquema
+ * @param {string} definition.name - Nome do esquema (usado nas mensagens de erro)
+ * @param {number} definition.version - Versão atual do esquema
+ * @param {Object} definition.fields - Campos por nome: { type, required, nullable, values }
+ * @param {Object} definition.migrations - Migrações por versão de destino: (documento, contexto) => documento
+ * @returns {Object} - Esquema com validate, assertValid, migrate e load
+ */
+export function createSchema({ name, version, fields, migrations = {} }) {
+  for (let target = 1; target <= version; target++) {
+    if (typeof migrations[target] !== 'function') {
+      throw new Error(`Esquema ${name}: falta a migração para a versão ${target}`);
+    }
+  }
+
+  /**
+   * Lista os problemas de um documento em relação ao esquema
+   * Campos ausentes (undefined) só são erro quando obrigatórios; campos fora do esquema são sempre erro.
+   * @param {Object} document - Documento
+   * @returns {Array<string>} - Problemas encontrados (vazio se o documento for válido)
+   */
+  function validate(document) {
+    if (!document || typeof document !== 'object' || Array.isArray(document)) {
+      return ['o documento deve ser um objeto'];
+    }
+
+    const errors = [];
+
+    if (document.schemaVersion !== version) {
+      errors.push(`schemaVersion deve ser ${version} (recebido: ${document.schemaVersion})`);
+    }
+
+    for (const [field, rule] of Object.entries(fields)) {
+      const value = document[field];
+
+      if (value === undefined) {
+        if (rule.required) {
+          errors.push(`${field} é obrigatório`);
+        }
+        continue;
+      }
+
+      if (value === null) {
+        if (rule.nullable === false || rule.required) {
+          errors.push(`${field} não pode ser null`);
+        }
+        continue;
+      }
+
+      if (!TYPE_CHECKS[rule.type](value)) {
+        errors.push(`${field} deve ser do tipo ${rule.type}`);
+      } else if (rule.values && !rule.values.includes(value)) {
+        errors.push(`${field} tem valor inválido: ${value}`);
+      }
+    }
+
+    for (const field of Object.keys(document)) {
+      if (field !== 'schemaVersion' && !fields[field]) {
+        errors.push(`${field} não faz parte do esquema`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Lança SchemaValidationError se o documento não respeitar o esquema
+   * @param {Object} document - Documento
+   */
+  function assertValid(document) {
+    const errors = validate(document);
+    if (errors.length > 0) {
+      throw new SchemaValidationError(name, errors);
+    }
+  }
+
+  /**
+   * Aplica, em ordem, as migrações pendentes de um documento
+   * @param {Object} document - Documento como foi lido do armazenamento
+   * @param {Object} context - Dados externos ao documento usados pelas migrações (por exemplo, o id)
+   * @returns {Object} - { document, migrated } com o documento na versão atual
+   */
+  function migrate(document, context = {}) {
+    const from = document.schemaVersion || 0;
+
+    if (from > version) {
+      throw new SchemaValidationError(name, [`schemaVersion ${from} é mais nova que a suportada (${version})`]);
+    }
+
+    let migrated = document;
+    for (let target = from + 1; target <= version; target++) {
+      migrated = { ...migrations[target]({ ...migrated }, context), schemaVersion: target };
+    }
+
+    return { document: migrated, migrated: from < version };
+  }
+
+  /**
+   * Migra e valida um documento lido do armazenamento
+   * @param {Object} document - Documento como foi lido do armazenamento
+   * @param {Object} context - Dados externos ao documento usados pelas migrações
+   * @returns {Object} - { document, migrated } com o documento válido na versão atual
+   */
+  function load(document, context = {}) {
+    const result = migrate(document, context);
+    assertValid(result.document);
+    return result;
+  }
+
+  return {
+    name,
+    version,
+    fields,
+    validate,
+    assertValid,
+    migrate,
+    load
+  };
+}
+
+/**
+ * Mantém no documento apenas os campos do esquema
+ * Usado pelas migrações para descartar campos que deixaram de existir.
+ * @param {Object} document - Documento
+ * @param {Object} fields - Campos do esquema
+ * @returns {Object} - Documento sem os campos desconhecidos
+ */
+export function pickFields(document, fields) {
+  return Object.fromEntries(Object.entries(document).filter(([field]) => fields[field]));
+}
+
+export default {
+  createSchema,
+  pickFields,
+  SchemaValidationError
+};
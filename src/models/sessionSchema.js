@@ -0,0 +1,94 @@
+/**
+ * @fileoverview Esquema da sessão de conversa
+ * Descreve os campos que a sessão de um usuário pode ter e as migrações das
+ * sessões gravadas por versões anteriores. Ao criar um campo novo na sessão
+ * (por exemplo, o campo de uma nova etapa do fluxo), declare-o aqui; se o
+ * formato de um campo existente mudar, suba a versão e adicione a migração.
+ */
+
+import { createSchema, pickFields } from './schema.js';
+import { CONVERSATION_STATES } from '../config/conversationFlow.js';
+import { SUPPORTED_LOCALES } from '../config/messages.js';
+
+// Estados usados pelas sessões gravadas antes do fluxo declarativo
+const LEGACY_STATES = {
+  NEW: CONVERSATION_STATES.INITIAL,
+  AWAITING_NAME: CONVERSATION_STATES.WAITING_NAME,
+  AWAITING_EMAIL: CONVERSATION_STATES.WAITING_EMAIL,
+  AWAITING_PROFILE: CONVERSATION_STATES.WAITING_PROFILE,
+  AWAITING_BUSINESS_CHALLENGE: CONVERSATION_STATES.WAITING_CHALLENGE,
+  AWAITING_PERSONAL_CHALLENGE: CONVERSATION_STATES.WAITING_PERSONAL_CHALLENGE,
+  PROCESSING_LETTER: CONVERSATION_STATES.GENERATING_LETTER,
+  LETTER_DELIVERED: CONVERSATION_STATES.LETTER_DELIVERED,
+  CONVERSING: CONVERSATION_STATES.CONVERSING
+};
+
+const fields = {
+  // Controle da sessão (version é a versão de gravação usada pelo repositório, não a do esquema)
+  phoneNumber: { type: 'string', required: true },
+  state: { type: 'string', required: true, values: Object.values(CONVERSATION_STATES) },
+  startTimestamp: { type: 'number', required: true },
+  version: { type: 'number' },
+  lastUpdated: { type: 'number' },
+  locale: { type: 'string', values: SUPPORTED_LOCALES },
+
+  // Respostas das etapas do fluxo (null quando a etapa foi pulada)
+  name: { type: 'string' },
+  email: { type: 'string' },
+  business: { type: 'string' },
+  challenge: { type: 'string' },
+  personalChallenge: { type: 'string' },
+
+  // Autorização (LGPD) para analisar o perfil e quando ela foi respondida
+  consentGiven: { type: 'boolean' },
+  consentAt: { type: 'number' },
+
+  // Perfil informado por link/@ ou por print
+  profileUrl: { type: 'string' },
+  inputType: { type: 'string' },
+  profileData: { type: 'object' },
+  profileAnalysis: { type: 'string' },
+  imageUrl: { type: 'string' },
+  imageAnalysis: { type: 'string' },
+
+  // Carta (letterRequestedAt: quando a geração foi enfileirada)
+  letterRequestedAt: { type: 'number' },
+  letterContent: { type: 'string' },
+  letterSentAt: { type: 'number' },
+  processingTime: { type: 'number' },
+  endTimestamp: { type: 'number' },
+  status: { type: 'string', values: ['completed', 'error'] },
+
+  // Lembrete de conversa abandonada: estado em que foi enviado e quando
+  reminderState: { type: 'string', values: Object.values(CONVERSATION_STATES) },
+  reminderSentAt: { type: 'number' }
+};
+
+export const sessionSchema = createSchema({
+  name: 'session',
+  version: 1,
+  fields,
+  migrations: {
+    // Sessões anteriores ao esquema: estados antigos em maiúsculas, campos de controle
+    // ausentes e campos que não são mais usados
+    1: (session, { id }) => {
+      const migrated = pickFields(session, fields);
+
+      migrated.phoneNumber = migrated.phoneNumber || id;
+      migrated.state = LEGACY_STATES[migrated.state] || migrated.state || CONVERSATION_STATES.INITIAL;
+      migrated.startTimestamp = Number(migrated.startTimestamp) || migrated.lastUpdated || Date.now();
+
+      if (migrated.locale && !SUPPORTED_LOCALES.includes(migrated.locale)) {
+        delete migrated.locale;
+      }
+
+      if (migrated.status && !fields.status.values.includes(migrated.status)) {
+        delete migrated.status;
+      }
+
+      return migrated;
+    }
+  }
+});
+
+export default sessionSchema;
@@ -1,6 +1,19 @@
 import express from 'express';
-import interactionService from '../services/interactionService.js';
+import interactionRepository from '../storage/interactionRepository.js';
+import sessionRepository from '../storage/sessionRepository.js';
+import messageCatalogService from '../services/messageCatalogService.js';
+import metricsService from '../services/metricsService.js';
+import webhookOutcomeService from '../services/webhookOutcomeService.js';
+import deliveryStatusService from '../services/deliveryStatusService.js';
+import customerServiceWindowService from '../services/customerServiceWindowService.js';
+import jobQueueService from '../services/jobQueueService.js';
+import rateLimitService from '../services/rateLimitService.js';
+import reminderService from '../services/reminderService.js';
+import campaignService from '../services/campaignService.js';
+import privacyService from '../services/privacyService.js';
+import { SUPPORTED_LOCALES, DEFAULT_LOCALE } from '../config/messages.js';
 import { adminAuth } from '../middleware/authMiddleware.js';
+import { logError } from '../utils/logger.js';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
@@ -19,10 +32,10 @@ router.get('/', (req, res) => {
 // 📊 API: Lista de interações
 router.get('/api/interactions', async (req, res) => {
   try {
-    const interactions = await interactionService.listInteractions();
+    const interactions = await interactionRepository.listInteractions();
     return res.json(interactions);
   } catch (err) {
-    console.error('Erro ao buscar interações:', err);
+    logError('Erro ao buscar interações', err);
     return res.status(500).send('Erro ao buscar interações');
   }
 });
@@ -30,23 +43,250 @@ router.get('/api/interactions', async (req, res) => {
 // 📈 API: Estatísticas resumidas
 router.get('/api/stats', async (req, res) => {
   try {
-    const stats = await interactionService.getInteractionStats();
+    const stats = await interactionRepository.getInteractionStats();
+    stats.metrics = await metricsService.getMetrics();
     return res.json(stats);
   } catch (err) {
-    console.error('Erro ao buscar estatísticas:', err);
+    logError('Erro ao buscar estatísticas', err);
     return res.status(500).send('Erro ao buscar estatísticas');
   }
 });
 
+// 📬 API: Taxas de entrega e leitura, falhas de entrega com códigos de erro e
+// mensagens não entregues com a janela de 24 horas fechada
+router.get('/api/deliveries', async (req, res) => {
+  try {
+    const stats = await deliveryStatusService.getDeliveryStats();
+    const failures = await deliveryStatusService.listFailures(50);
+    const windowFailures = await customerServiceWindowService.listWindowFailures(50);
+    return res.json({ stats, failures, windowFailures });
+  } catch (err) {
+    logError('Erro ao buscar entregas', err);
+    return res.status(500).send('Erro ao buscar entregas');
+  }
+});
+
+// ⏳ API: Fila de jobs (quantidade por etapa e jobs que esgotaram as tentativas)
+router.get('/api/jobs', async (req, res) => {
+  try {
+    const counts = await jobQueueService.getQueueCounts();
+    const deadJobs = await jobQueueService.listDeadJobs(50);
+    return res.json({ counts, deadJobs });
+  } catch (err) {
+    logError('Erro ao buscar fila de jobs', err);
+    return res.status(500).send('Erro ao buscar fila de jobs');
+  }
+});
+
+// ⏳ API: Reenfileirar um job que esgotou as tentativas
+router.post('/api/jobs/dead/:id/retry', async (req, res) => {
+  try {
+    const job = await jobQueueService.retryDeadJob(req.params.id);
+    if (!job) {
+      return res.status(404).send('Job não encontrado');
+    }
+    return res.json(job);
+  } catch (err) {
+    logError('Erro ao reenfileirar job', err);
+    return res.status(500).send('Erro ao reenfileirar job');
+  }
+});
+
+// ⏳ API: Descartar um job que esgotou as tentativas
+router.delete('/api/jobs/dead/:id', async (req, res) => {
+  try {
+    const discarded = await jobQueueService.discardDeadJob(req.params.id);
+    if (!discarded) {
+      return res.status(404).send('Job não encontrado');
+    }
+    return res.sendStatus(204);
+  } catch (err) {
+    logError('Erro ao descartar job', err);
+    return res.status(500).send('Erro ao descartar job');
+  }
+});
+
+// 🚦 API: Limites de uso e números bloqueados no momento
+router.get('/api/rate-limits', async (req, res) => {
+  try {
+    const status = await rateLimitService.getRateLimitStatus();
+    const throttled = await rateLimitService.listThrottledNumbers();
+    return res.json({ ...status, throttled });
+  } catch (err) {
+    logError('Erro ao buscar limites de uso', err);
+    return res.status(500).send('Erro ao buscar limites de uso');
+  }
+});
+
+// 🚦 API: Desbloquear um número
+router.delete('/api/rate-limits/:phoneNumber', async (req, res) => {
+  try {
+    await rateLimitService.unblockNumber(req.params.phoneNumber);
+    return res.sendStatus(204);
+  } catch (err) {
+    logError('Erro ao desbloquear número', err);
+    return res.status(500).send('Erro ao desbloquear número');
+  }
+});
+
+// 🔔 API: Lembretes de conversas abandonadas (configuração e quantidade enviada)
+router.get('/api/reminders', async (req, res) => {
+  try {
+    return res.json(await reminderService.getReminderStatus());
+  } catch (err) {
+    logError('Erro ao buscar lembretes', err);
+    return res.status(500).send('Erro ao buscar lembretes');
+  }
+});
+
+// 🔔 API: Ligar ou desligar os lembretes
+router.put('/api/reminders', async (req, res) => {
+  try {
+    const enabled = req.body && req.body.enabled;
+
+    if (typeof enabled !== 'boolean') {
+      return res.status(400).send('Informe enabled (true ou false)');
+    }
+
+    await reminderService.setEnabled(enabled);
+    return res.json(await reminderService.getReminderStatus());
+  } catch (err) {
+    logError('Erro ao alterar lembretes', err);
+    return res.status(500).send('Erro ao alterar lembretes');
+  }
+});
+
+// 📣 API: Campanhas com o andamento do envio e limite de envios por minuto
+router.get('/api/campaigns', async (req, res) => {
+  try {
+    return res.json(await campaignService.getCampaignStatus());
+  } catch (err) {
+    logError('Erro ao buscar campanhas', err);
+    return res.status(500).send('Erro ao buscar campanhas');
+  }
+});
+
+// 📣 API: Quantidade de destinatários de um segmento (pré-visualização)
+router.post('/api/campaigns/preview', async (req, res) => {
+  try {
+    const segment = req.body && req.body.segment;
+    const errors = campaignService.validateSegment(segment);
+
+    if (errors.length > 0) {
+      return res.status(400).send(errors.join('; '));
+    }
+
+    return res.json(await campaignService.previewAudience(segment));
+  } catch (err) {
+    logError('Erro ao pré-visualizar campanha', err);
+    return res.status(500).send('Erro ao pré-visualizar campanha');
+  }
+});
+
+// 📣 API: Criar uma campanha (o envio começa na próxima execução do Cron ou do worker)
+router.post('/api/campaigns', async (req, res) => {
+  try {
+    const errors = campaignService.validateCampaign(req.body);
+
+    if (errors.length > 0) {
+      return res.status(400).send(errors.join('; '));
+    }
+
+    return res.status(201).json(await campaignService.createCampaign(req.body));
+  } catch (err) {
+    logError('Erro ao criar campanha', err);
+    return res.status(500).send('Erro ao criar campanha');
+  }
+});
+
+// 📣 API: Campanha com o resultado de cada destinatário
+router.get('/api/campaigns/:id', async (req, res) => {
+  try {
+    const campaign = await campaignService.getCampaignDetails(req.params.id);
+    if (!campaign) {
+      return res.status(404).send('Campanha não encontrada');
+    }
+
+    return res.json(campaign);
+  } catch (err) {
+    logError('Erro ao buscar campanha', err);
+    return res.status(500).send('Erro ao buscar campanha');
+  }
+});
+
+// 📣 API: Pausar o envio de uma campanha
+router.post('/api/campaigns/:id/pause', async (req, res) => {
+  try {
+    const campaign = await campaignService.pauseCampaign(req.params.id);
+    if (!campaign) {
+      return res.status(409).send('Campanha não encontrada ou não está em andamento');
+    }
+
+    return res.json(campaign);
+  } catch (err) {
+    logError('Erro ao pausar campanha', err);
+    return res.status(500).send('Erro ao pausar campanha');
+  }
+});
+
+// 📣 API: Retomar o envio de uma campanha pausada
+router.post('/api/campaigns/:id/resume', async (req, res) => {
+  try {
+    const campaign = await campaignService.resumeCampaign(req.params.id);
+    if (!campaign) {
+      return res.status(409).send('Campanha não encontrada ou não está pausada');
+    }
+
+    return res.json(campaign);
+  } catch (err) {
+    logError('Erro ao retomar campanha', err);
+    return res.status(500).send('Erro ao retomar campanha');
+  }
+});
+
+// 🔒 API: Privacidade (LGPD) - números que pediram para não receber mensagens e auditoria dos pedidos
+router.get('/api/privacy', async (req, res) => {
+  try {
+    return res.json(await privacyService.getPrivacyStatus(100));
+  } catch (err) {
+    logError('Erro ao buscar pedidos de privacidade', err);
+    return res.status(500).send('Erro ao buscar pedidos de privacidade');
+  }
+});
+
+// 🛠️ API: Manutenção - migra todas as sessões e interações para a versão atual do esquema
+router.post('/api/maintenance/migrate', async (req, res) => {
+  try {
+    const sessions = await sessionRepository.migrateAllSessions();
+    const interactions = await interactionRepository.migrateAllInteractions();
+    return res.json({ sessions, interactions });
+  } catch (err) {
+    logError('Erro ao migrar dados armazenados', err);
+    return res.status(500).send('Erro ao migrar dados armazenados');
+  }
+});
+
+// 🧾 API: Resultado do processamento de cada mensagem recebida pelo webhook (depuração)
+router.get('/api/webhook/outcomes', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+    const outcomes = await webhookOutcomeService.listOutcomes(limit);
+    return res.json(outcomes);
+  } catch (err) {
+    logError('Erro ao buscar resultados do webhook', err);
+    return res.status(500).send('Erro ao buscar resultados do webhook');
+  }
+});
+
 // 📦 Exportar como JSON
 router.get('/export/json', async (req, res) => {
   try {
-    const interactions = await interactionService.listInteractions();
+    const interactions = await interactionRepository.listInteractions();
     res.setHeader('Content-Type', 'application/json');
     res.setHeader('Content-Disposition', 'attachment; filename=interacoes.json');
     return res.status(200).send(JSON.stringify(interactions, null, 2));
   } catch (err) {
-    console.error('Erro ao exportar JSON:', err);
+    logError('Erro ao exportar JSON', err);
     return res.status(500).send('Erro ao exportar JSON');
   }
 });
@@ -54,16 +294,18 @@ router.get('/export/json', async (req, res) => {
 // 📦 Exportar como CSV
 router.get('/export/csv', async (req, res) => {
   try {
-    const interactions = await interactionService.listInteractions();
-    const header = ['Nome', 'Telefone', 'TipoInput', 'Perfil', 'ImagemURL', 'Desafio', 'CartaGerada'].join(';');
+    const interactions = await interactionRepository.listInteractions();
+    const header = ['Nome', 'Telefone', 'Email', 'TipoInput', 'Perfil', 'ImagemURL', 'Desafio', 'DesafioPessoal', 'CartaGerada'].join(';');
     const csvLines = interactions.map(inter => {
       const fields = [
         inter.name || '',
         inter.phoneNumber || '',
+        inter.email || '',
         inter.inputType || '',
         inter.profileUrl || '',
         inter.imageId || '',
         inter.mainChallenge || '',
+        inter.personalChallenge || '',
         (inter.letterContent ? inter.letterContent.replace(/(\r\n|\n|\r)/g, ' ') : '')
       ];
       return fields.map(f => `"${f.replace(/"/g, '""')}"`).join(';');
@@ -73,11 +315,82 @@ router.get('/export/csv', async (req, res) => {
     res.setHeader('Content-Disposition', 'attachment; filename=interacoes.csv');
     return res.status(200).send(csvContent);
   } catch (err) {
-    console.error('Erro ao exportar CSV:', err);
+    logError('Erro ao exportar CSV', err);
     return res.status(500).send('Erro ao exportar CSV');
   }
 });
 
+// 💬 Editor de mensagens
+router.get('/messages', (req, res) => {
+  res.sendFile(path.join(process.cwd(), 'src/views/admin/messages.html'));
+});
+
+// 💬 API: Catálogo de mensagens de um idioma
+router.get('/api/messages', async (req, res) => {
+  try {
+    const locale = req.query.locale || DEFAULT_LOCALE;
+    if (!SUPPORTED_LOCALES.includes(locale)) {
+      return res.status(400).send('Idioma não suportado');
+    }
+
+    const messages = await messageCatalogService.listMessages(locale);
+    return res.json({
+      locale,
+      locales: SUPPORTED_LOCALES,
+      sampleParams: messageCatalogService.SAMPLE_PARAMS,
+      messages
+    });
+  } catch (err) {
+    logError('Erro ao buscar mensagens', err);
+    return res.status(500).send('Erro ao buscar mensagens');
+  }
+});
+
+// 💬 API: Pré-visualização de uma mensagem com valores de exemplo
+router.post('/api/messages/preview', (req, res) => {
+  const text = req.body && typeof req.body.text === 'string' ? req.body.text : '';
+  return res.json({ text: messageCatalogService.previewMessage(text) });
+});
+
+// 💬 API: Personalizar uma mensagem
+router.put('/api/messages/:locale/:key', async (req, res) => {
+  try {
+    const { locale, key } = req.params;
+    const text = req.body && req.body.text;
+
+    if (typeof text !== 'string' || !text.trim()) {
+      return res.status(400).send('O texto da mensagem é obrigatório');
+    }
+
+    const saved = await messageCatalogService.saveOverride(locale, key, text);
+    if (!saved) {
+      return res.status(404).send('Mensagem não encontrada');
+    }
+
+    return res.json(messageCatalogService.getMessageDetails(locale, key));
+  } catch (err) {
+    logError('Erro ao salvar mensagem', err);
+    return res.status(500).send('Erro ao salvar mensagem');
+  }
+});
+
+// 💬 API: Restaurar o texto padrão de uma mensagem
+router.delete('/api/messages/:locale/:key', async (req, res) => {
+  try {
+    const { locale, key } = req.params;
+
+    const reset = await messageCatalogService.resetOverride(locale, key);
+    if (!reset) {
+      return res.status(404).send('Mensagem não encontrada');
+    }
+
+    return res.json(messageCatalogService.getMessageDetails(locale, key));
+  } catch (err) {
+    logError('Erro ao restaurar mensagem', err);
+    return res.status(500).send('Erro ao restaurar mensagem');
+  }
+});
+
 // 🔐 Logout (reautenticação)
 router.get('/logout', (req, res) => {
   res.set('WWW-Authenticate', 'Basic realm="Admin Dashboard"');
@@ -0,0 +1,24 @@
+import express from 'express';
+import { runWorker } from '../workers/jobWorker.js';
+import reminderService from '../services/reminderService.js';
+import campaignService from '../services/campaignService.js';
+import { verifyCronSecret } from '../middleware/cronAuthMiddleware.js';
+import { logError } from '../utils/logger.js';
+
+const router = express.Router();
+
+// Executa os jobs pendentes e envia os lembretes de conversas abandonadas e os
+// templates das campanhas (chamada pelo Vercel Cron com GET ou por outro agendador)
+router.all('/run', verifyCronSecret, async (req, res) => {
+  try {
+    const summary = await runWorker();
+    const reminders = await reminderService.sendDueReminders();
+    const campaigns = await campaignService.sendCampaignMessages();
+    return res.status(200).json({ ...summary, reminders, campaigns });
+  } catch (error) {
+    logError('Erro ao executar o worker da fila de jobs', error);
+    return res.status(500).send('ERROR');
+  }
+});
+
+export default router;
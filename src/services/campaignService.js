@@ -0,0 +1,443 @@
+import crypto from 'crypto';
+import storage, { KEY_PREFIXES } from '../storage/storage.js';
+import campaignRepository, { CampaignConflictError } from '../storage/campaignRepository.js';
+import interactionRepository, { MAX_INTERACTIONS } from '../storage/interactionRepository.js';
+import whatsappService from './whatsappService.js';
+import privacyService from './privacyService.js';
+import { t, TEMPLATE_LANGUAGES, DEFAULT_LOCALE } from './i18nService.js';
+import config from '../config/env.js';
+import { normalizeText } from '../utils/validators.js';
+import { log, logError } from '../utils/logger.js';
+
+/**
+ * Serviço de campanhas
+ * Envia um template aprovado aos participantes que já passaram pelo evento
+ * (ex: divulgação do Programa Consciênc.IA). O público é um segmento das
+ * interações salvas (situação, período e palavra-chave do desafio). O envio é
+ * feito aos poucos pela rota do Cron e pelo worker contínuo, no máximo
+ * CAMPAIGN_MESSAGES_PER_MINUTE templates por minuto, e pode ser pausado e
+ * retomado pelo painel. O resultado de cada destinatário fica registrado.
+ */
+
+// Situações de uma campanha
+export const CAMPAIGN_STATUS = {
+  RUNNING: 'running',
+  PAUSED: 'paused',
+  COMPLETED: 'completed'
+};
+
+// Situações das interações que podem formar o público
+export const SEGMENT_STATUSES = ['all', 'completed', 'error'];
+
+// Intervalo do limite de envios (a rota do Cron e o worker contínuo chamam o envio)
+const RUN_INTERVAL_MS = 60 * 1000;
+
+// Tempo após o qual uma execução deixa de iniciar novos envios: termina antes de o
+// intervalo acabar (e outra execução começar) e dentro do limite da função serverless
+const SEND_TIME_BUDGET_MS = 15 * 1000;
+
+// Nome gravado pelo interactionRepository quando o participante não informou o nome
+const UNKNOWN_NAME = 'Não informado';
+
+// Formato das datas do segmento (AAAA-MM-DD)
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Tentativas de gravar uma alteração da campanha quando outro processo a altera ao mesmo tempo
+const MAX_UPDATE_ATTEMPTS = 3;
+
+/**
+ * Valida os dados de uma nova campanha enviados pelo painel
+ * @param {Object} input - { name, templateName, language, includeName, segment }
+ * @returns {Array<string>} - Erros encontrados (vazio se a campanha for válida)
+ */
+export function validateCampaign(input) {
+  const errors = [];
+  const { name, templateName, language, includeName, segment } = input || {};
+
+  if (typeof name !== 'string' || !name.trim()) {
+    errors.push('Informe o nome da campanha');
+  }
+
+  if (typeof templateName !== 'string' || !templateName.trim()) {
+    errors.push('Informe o nome do template aprovado');
+  }
+
+  if (!Object.values(TEMPLATE_LANGUAGES).includes(language)) {
+    errors.push(`Idioma do template deve ser um destes: ${Object.values(TEMPLATE_LANGUAGES).join(', ')}`);
+  }
+
+  if (includeName !== undefined && typeof includeName !== 'boolean') {
+    errors.push('includeName deve ser true ou false');
+  }
+
+  return [...errors, ...validateSegment(segment)];
+}
+
+/**
+ * Valida o segmento do público
+ * @param {Object} segment - { status, from, to, keyword }
+ * @returns {Array<string>} - Erros encontrados (vazio se o segmento for válido)
+ */
+export function validateSegment(segment) {
+  const errors = [];
+  const { status = 'all', from, to, keyword } = segment || {};
+
+  if (!SEGMENT_STATUSES.includes(status)) {
+    errors.push(`Situação deve ser uma destas: ${SEGMENT_STATUSES.join(', ')}`);
+  }
+
+  for (const [field, value] of Object.entries({ from, to })) {
+    if (value && (!DATE_PATTERN.test(value) || Number.isNaN(Date.parse(value)))) {
+      errors.push(`Data inválida em ${field} (use AAAA-MM-DD)`);
+    }
+  }
+
+  if (keyword !== undefined && keyword !== null && typeof keyword !== 'string') {
+    errors.push('A palavra-chave deve ser um texto');
+  }
+
+  return errors;
+}
+
+/**
+ * Monta a lista de destinatários de um segmento a partir das interações salvas
+ * Cada número aparece uma única vez, com o nome da interação mais recente.
+ * @param {Object} segment - { status, from, to, keyword }
+ * @returns {Promise<Array<Object>>} - Destinatários ({ phoneNumber, name })
+ */
+async function buildAudience(segment = {}) {
+  const { status = 'all', from, to, keyword } = segment;
+  const fromTimestamp = from ? new Date(`${from}T00:00:00`).getTime() : 0;
+  const toTimestamp = to ? new Date(`${to}T23:59:59.999`).getTime() : Infinity;
+  const normalizedKeyword = normalizeText(keyword);
+
+  const recipients = new Map();
+
+  // As interações vêm das mais recentes para as mais antigas
+  for (const interaction of await interactionRepository.listInteractions(MAX_INTERACTIONS)) {
+    if (recipients.has(interaction.phoneNumber)) {
+      continue;
+    }
+
+    if (status !== 'all' && interaction.status !== status) {
+      continue;
+    }
+
+    if (interaction.timestamp < fromTimestamp || interaction.timestamp > toTimestamp) {
+      continue;
+    }
+
+    if (normalizedKeyword) {
+      const challenges = normalizeText(`${interaction.mainChallenge} ${interaction.personalChallenge}`);
+      if (!challenges.includes(normalizedKeyword)) {
+        continue;
+      }
+    }
+
+    recipients.set(interaction.phoneNumber, {
+      phoneNumber: interaction.phoneNumber,
+      name: interaction.name !== UNKNOWN_NAME ? interaction.name : null
+    });
+  }
+
+  return [...recipients.values()];
+}
+
+/**
+ * Conta os destinatários de um segmento (pré-visualização no painel)
+ * @param {Object} segment - { status, from, to, keyword }
+ * @returns {Promise<Object>} - { count }
+ */
+export async function previewAudience(segment) {
+  const audience = await buildAudience(segment);
+  return { count: audience.length };
+}
+
+/**
+ * Cria uma campanha e coloca seus destinatários na fila de envio
+ * O envio começa na próxima execução do Cron ou do worker.
+ * @param {Object} input - Dados validados por validateCampaign
+ * @returns {Promise<Object>} - Campanha criada
+ */
+export async function createCampaign({ name, templateName, language, includeName = false, segment = {} }) {
+  const audience = await buildAudience(segment);
+  const now = Date.now();
+
+  const campaign = {
+    id: crypto.randomUUID(),
+    name: name.trim(),
+    templateName: templateName.trim(),
+    language,
+    includeName,
+    segment,
+    status: CAMPAIGN_STATUS.RUNNING,
+    total: audience.length,
+    createdAt: now,
+    updatedAt: now,
+    completedAt: null
+  };
+
+  await campaignRepository.addRecipients(campaign.id, audience);
+  await campaignRepository.saveCampaign(campaign);
+
+  log(`Campanha "${campaign.name}" criada com ${campaign.total} destinatário(s) (template ${campaign.templateName})`);
+  return campaign;
+}
+
+/**
+ * Altera a situação de uma campanha que ainda esteja na situação exigida
+ * A campanha é lida de novo e a condição verificada outra vez se outro processo
+ * (o envio ou o painel) a alterar entre a leitura e a gravação.
+ * @param {string} id - Id da campanha
+ * @param {string} from - Situação exigida
+ * @param {string} to - Nova situação
+ * @returns {Promise<Object|null>} - Campanha alterada ou null se não encontrada ou em outra situação
+ * @throws {CampaignConflictError} - Se a campanha for alterada por outro processo em todas as tentativas
+ */
+async function updateStatus(id, from, to) {
+  for (let attempt = 1; ; attempt++) {
+    const campaign = await campaignRepository.getCampaign(id);
+    if (!campaign || campaign.status !== from) {
+      return null;
+    }
+
+    campaign.status = to;
+    campaign.updatedAt = Date.now();
+    if (to === CAMPAIGN_STATUS.COMPLETED) {
+      campaign.completedAt = campaign.updatedAt;
+    }
+
+    try {
+      await campaignRepository.saveCampaign(campaign);
+      return campaign;
+    } catch (error) {
+      if (!(error instanceof CampaignConflictError) || attempt >= MAX_UPDATE_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+}
+
+/**
+ * Altera a situação de uma campanha em andamento ou pausada
+ * @param {string} id - Id da campanha
+ * @param {string} from - Situação exigida
+ * @param {string} to - Nova situação
+ * @returns {Promise<Object|null>} - Campanha alterada ou null se não encontrada ou em outra situação
+ */
+async function changeStatus(id, from, to) {
+  const campaign = await updateStatus(id, from, to);
+
+  if (campaign) {
+    log(`Campanha "${campaign.name}" ${to === CAMPAIGN_STATUS.PAUSED ? 'pausada' : 'retomada'} pelo painel`);
+  }
+  return campaign;
+}
+
+/**
+ * Pausa o envio de uma campanha
+ * @param {string} id - Id da campanha
+ * @returns {Promise<Object|null>} - Campanha pausada ou null se não estiver em andamento
+ */
+export async function pauseCampaign(id) {
+  return changeStatus(id, CAMPAIGN_STATUS.RUNNING, CAMPAIGN_STATUS.PAUSED);
+}
+
+/**
+ * Retoma o envio de uma campanha pausada
+ * @param {string} id - Id da campanha
+ * @returns {Promise<Object|null>} - Campanha retomada ou null se não estiver pausada
+ */
+export async function resumeCampaign(id) {
+  return changeStatus(id, CAMPAIGN_STATUS.PAUSED, CAMPAIGN_STATUS.RUNNING);
+}
+
+/**
+ * Envia o template da campanha a um destinatário e registra o resultado
+ * @param {Object} campaign - Campanha
+ * @param {Object} recipient - Destinatário ({ phoneNumber, name })
+ * @returns {Promise<string>} - Resultado: 'sent', 'failed' ou 'skipped'
+ */
+async function sendToRecipient(campaign, recipient) {
+  const result = { phoneNumber: recipient.phoneNumber, name: recipient.name, timestamp: Date.now() };
+
+  // Um destinatário já processado (ex: fila recriada) não recebe o template de novo
+  if (await campaignRepository.getRecipientResult(campaign.id, recipient.phoneNumber)) {
+    return 'skipped';
+  }
+
+  // Quem pediu para não receber mensagens ("parar") fica registrado como ignorado
+  if (await privacyService.isOptedOut(recipient.phoneNumber)) {
+    await campaignRepository.saveRecipientResult(campaign.id, {
+      ...result,
+      status: 'skipped',
+      error: 'O número pediu para não receber mensagens'
+    });
+    return 'skipped';
+  }
+
+  const components = [];
+  if (campaign.includeName) {
+    const locale = Object.keys(TEMPLATE_LANGUAGES).find(key => TEMPLATE_LANGUAGES[key] === campaign.language) || DEFAULT_LOCALE;
+    components.push({
+      type: 'body',
+      parameters: [{ type: 'text', text: recipient.name || t(locale, 'defaultName') }]
+    });
+  }
+
+  try {
+    const response = await whatsappService.sendTemplateMessage(
+      recipient.phoneNumber,
+      campaign.templateName,
+      campaign.language,
+      components
+    );
+
+    if (response) {
+      result.status = 'sent';
+      result.wamid = response.messages?.[0]?.id || null;
+    } else {
+      result.status = 'failed';
+      result.error = 'Template recusado pela API do WhatsApp';
+    }
+  } catch (error) {
+    logError(`Erro ao enviar campanha "${campaign.name}" para ${recipient.phoneNumber}`, error);
+    result.status = 'failed';
+    result.error = error.message;
+  }
+
+  await campaignRepository.saveRecipientResult(campaign.id, result);
+  return result.status;
+}
+
+/**
+ * Envia os templates pendentes das campanhas em andamento, das mais antigas para as mais novas
+ * Executada no máximo uma vez por minuto, mesmo com várias instâncias, com até
+ * CAMPAIGN_MESSAGES_PER_MINUTE envios por execução e sem iniciar novos envios
+ * depois de timeBudgetMs. Uma campanha pausada pelo painel para no destinatário
+ * seguinte. Cada destinatário fica na lista de processamento até o resultado ser
+ * registrado; os deixados ali por uma execução interrompida voltam para a fila.
+ * @param {Object} options - Opções
+ * @param {boolean} options.force - Ignora o intervalo mínimo entre execuções
+ * @param {number} options.timeBudgetMs - Tempo após o qual nenhum novo envio é iniciado
+ * @returns {Promise<Object>} - Resumo { sent, failed, skipped, completed }
+ */
+export async function sendCampaignMessages({ force = false, timeBudgetMs = SEND_TIME_BUDGET_MS } = {}) {
+  const summary = { sent: 0, failed: 0, skipped: 0, completed: 0 };
+
+  const campaigns = (await campaignRepository.listCampaigns())
+    .filter(campaign => campaign.status === CAMPAIGN_STATUS.RUNNING)
+    .reverse();
+
+  if (campaigns.length === 0) {
+    return summary;
+  }
+
+  if (!force && !await storage.set(KEY_PREFIXES.CAMPAIGN_RUN, String(Date.now()), { ttlMs: RUN_INTERVAL_MS, onlyIfAbsent: true })) {
+    return summary;
+  }
+
+  const startedAt = Date.now();
+  let remaining = config.CAMPAIGN_MESSAGES_PER_MINUTE;
+
+  // Com o intervalo obtido, nenhuma outra execução está enviando: o que ficou em processamento foi interrompido
+  for (const { id, name } of campaigns) {
+    const requeued = await campaignRepository.requeueProcessingRecipients(id);
+    if (requeued > 0) {
+      log(`Campanha "${name}": ${requeued} destinatário(s) de um envio interrompido devolvido(s) à fila`);
+    }
+  }
+
+  for (const { id } of campaigns) {
+    while (remaining > 0 && Date.now() - startedAt < timeBudgetMs) {
+      const campaign = await campaignRepository.getCampaign(id);
+      if (!campaign || campaign.status !== CAMPAIGN_STATUS.RUNNING) {
+        break;
+      }
+
+      const recipient = await campaignRepository.takeNextRecipient(id);
+      if (!recipient) {
+        // Pausada pelo painel neste meio tempo, a campanha fica pausada e é concluída depois de retomada
+        if (await updateStatus(id, CAMPAIGN_STATUS.RUNNING, CAMPAIGN_STATUS.COMPLETED)) {
+          summary.completed++;
+          log(`Campanha "${campaign.name}" concluída`);
+        }
+        break;
+      }
+
+      const result = await sendToRecipient(campaign, recipient);
+      await campaignRepository.acknowledgeRecipient(id, recipient);
+      summary[result]++;
+
+      if (result !== 'skipped') {
+        remaining--;
+      }
+    }
+  }
+
+  if (summary.sent + summary.failed > 0) {
+    log(`Campanhas: ${summary.sent} template(s) enviado(s), ${summary.failed} com falha`);
+  }
+
+  return summary;
+}
+
+/**
+ * Acrescenta à campanha os contadores de resultado e os destinatários pendentes
+ * @param {Object} campaign - Campanha
+ * @returns {Promise<Object>} - Campanha com { sent, failed, skipped, pending }
+ */
+async function withProgress(campaign) {
+  const counts = await campaignRepository.getResultCounts(campaign.id);
+
+  return {
+    ...campaign,
+    sent: counts.sent || 0,
+    failed: counts.failed || 0,
+    skipped: counts.skipped || 0,
+    pending: await campaignRepository.countPendingRecipients(campaign.id)
+  };
+}
+
+/**
+ * Obtém o limite de envio e as campanhas com o andamento do envio, para o painel
+ * @returns {Promise<Object>} - { messagesPerMinute, campaigns } (das mais recentes para as mais antigas)
+ */
+export async function getCampaignStatus() {
+  const campaigns = await campaignRepository.listCampaigns();
+
+  return {
+    messagesPerMinute: config.CAMPAIGN_MESSAGES_PER_MINUTE,
+    campaigns: await Promise.all(campaigns.map(withProgress))
+  };
+}
+
+/**
+ * Obtém uma campanha com o andamento e o resultado de cada destinatário já processado
+ * @param {string} id - Id da campanha
+ * @returns {Promise<Object|null>} - Campanha com results ou null se não encontrada
+ */
+export async function getCampaignDetails(id) {
+  const campaign = await campaignRepository.getCampaign(id);
+  if (!campaign) {
+    return null;
+  }
+
+  return {
+    ...await withProgress(campaign),
+    results: await campaignRepository.listRecipientResults(id)
+  };
+}
+
+export default {
+  validateCampaign,
+  validateSegment,
+  previewAudience,
+  createCampaign,
+  pauseCampaign,
+  resumeCampaign,
+  sendCampaignMessages,
+  getCampaignStatus,
+  getCampaignDetails,
+  CAMPAIGN_STATUS
+};
@@ -1,5 +1,6 @@
 import * as openaiService from './openaiService.js';
-import { log } from '../utils/logger.js';
+import { logError } from '../utils/logger.js';
+import { t, DEFAULT_LOCALE } from './i18nService.js';
 
 /**
  * Serviço para geração de conteúdo personalizado
@@ -14,7 +15,7 @@ export async function generateConscienceLetter(userData) {
   try {
     return await openaiService.generateConscienceLetter(userData);
   } catch (error) {
-    log('Erro ao gerar carta de consciência:', error);
+    logError('Erro ao gerar carta de consciência', error);
     throw error;
   }
 }
@@ -23,20 +24,20 @@ export async function generateConscienceLetter(userData) {
  * Gera uma sugestão de como a IA pode ajudar com o desafio
  * @param {string} name - Nome do usuário
  * @param {string} challenge - Desafio mencionado pelo usuário
+ * @param {string} locale - Idioma do usuário
  * @returns {Promise<string>} - Texto com sugestões de IA
  */
-export async function generateIAHelp(name, challenge) {
+export async function generateIAHelp(name, challenge, locale = DEFAULT_LOCALE) {
   try {
-    return await openaiService.generateIAHelp(name, challenge);
+    return await openaiService.generateIAHelp(name, challenge, locale);
   } catch (error) {
-    log('Erro ao gerar sugestão de IA:', error);
+    logError('Erro ao gerar sugestão de IA', error);
     
     // Fallback em caso de erro
-    return `${name || 'Alma empreendedora'}, a IA não é apenas tecnologia, é uma extensão da sua intuição para superar "${challenge || 'os desafios do seu caminho'}". 
-
-Imagine ter um oráculo digital que antecipa tendências antes que se tornem visíveis, um assistente que automatiza o mundano para que você habite o extraordinário, e um amplificador que transforma seu sussurro em um chamado que ressoa pelo universo digital.
-
-As ferramentas existem. A magia está em como você as usa para manifestar sua visão única no mundo.`;
+    return t(locale, 'iaHelpFallback', {
+      nome: name || t(locale, 'iaHelpFallbackName'),
+      desafio: challenge || t(locale, 'iaHelpFallbackChallenge')
+    });
   }
 }
 
@@ -44,26 +45,36 @@ As ferramentas existem. A magia está em como você as usa para manifestar sua v
  * Gera uma inspiração personalizada
  * @param {string} name - Nome do usuário
  * @param {string} challenge - Desafio mencionado pelo usuário
+ * @param {string} locale - Idioma do usuário
  * @returns {Promise<string>} - Texto inspiracional
  */
-export async function generateInspiration(name, challenge) {
+export async function generateInspiration(name, challenge, locale = DEFAULT_LOCALE) {
   try {
-    return await openaiService.generateInspiration(name, challenge);
+    return await openaiService.generateInspiration(name, challenge, locale);
   } catch (error) {
-    log('Erro ao gerar inspiração:', error);
+    logError('Erro ao gerar inspiração', error);
     
     // Fallback em caso de erro
-    return `🪷 Pílula de Inspiração
-
-Nos mares do sonho, veleje sem temor,
-Cada solução é um farol que guia com amor.
-Na dança das ondas, encontre a harmonia,
-E com cada venda, celebre a sinfonia.
+    return t(locale, 'inspirationFallback', { nome: name || t(locale, 'inspirationFallbackName') });
+  }
+}
 
-${name || 'Alma vibrante'}, teu espírito é forte, tua visão é clara,
-Escalar é arte, e a tua luz nunca para.
-Com coragem e propósito, o mundo vais iluminar,
-E com cada passo, mais longe vais chegar.`;
+/**
+ * Gera a resposta do Conselheiro na conversa livre após a carta
+ * @param {Object} context - Contexto do usuário (nome, carta, análises, desafios e idioma)
+ * @param {Array<Object>} history - Mensagens anteriores no formato { role, content }
+ * @param {string} message - Nova mensagem do usuário
+ * @returns {Promise<string>} - Texto da resposta
+ */
+export async function generateFollowUpReply(context, history, message) {
+  try {
+    return await openaiService.generateFollowUpReply(context, history, message);
+  } catch (error) {
+    logError('Erro ao gerar resposta da conversa', error);
+    
+    // Fallback em caso de erro
+    const locale = context.locale || DEFAULT_LOCALE;
+    return t(locale, 'followUpFallback', { nome: context.name || t(locale, 'iaHelpFallbackName') });
   }
 }
 
@@ -86,7 +97,7 @@ export async function generateProfileSummary(profileData) {
     
     return response;
   } catch (error) {
-    log('Erro ao gerar resumo de perfil:', error);
+    logError('Erro ao gerar resumo de perfil', error);
     return '';
   }
 }
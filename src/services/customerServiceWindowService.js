@@ -0,0 +1,136 @@
+import storage, { KEY_PREFIXES } from '../storage/storage.js';
+import messageLogRepository from '../storage/messageLogRepository.js';
+import metricsService, { METRICS } from './metricsService.js';
+import { logWarning } from '../utils/logger.js';
+
+/**
+ * Serviço da janela de atendimento do WhatsApp
+ * A API só permite mensagens livres (texto, mídia, botões) até 24 horas depois
+ * da última mensagem recebida do usuário; fora dessa janela, apenas templates
+ * aprovados. Este serviço guarda o horário da última mensagem recebida de cada
+ * número para saber se a janela está aberta, e registra as mensagens que não
+ * puderam ser entregues porque a janela estava fechada.
+ */
+
+// Duração da janela de atendimento
+export const CUSTOMER_SERVICE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Código de erro da API para mensagem livre fora da janela (é preciso reengajar com um template)
+export const RE_ENGAGEMENT_ERROR_CODE = 131047;
+
+// Quantidade máxima de falhas por janela fechada mantidas para o painel
+const MAX_WINDOW_FAILURES = 200;
+
+/**
+ * Monta a chave do horário da última mensagem recebida de um número
+ * @param {string} phoneNumber - Número de telefone
+ * @returns {string} - Chave no armazenamento
+ */
+function getKey(phoneNumber) {
+  return `${KEY_PREFIXES.LAST_INBOUND}${phoneNumber}`;
+}
+
+/**
+ * Registra uma mensagem recebida do usuário (abre ou renova a janela)
+ * O registro expira junto com a janela.
+ * @param {string} phoneNumber - Número de telefone
+ * @param {number} timestamp - Horário da mensagem em ms (padrão: agora)
+ */
+export async function recordInboundMessage(phoneNumber, timestamp = Date.now()) {
+  const remainingMs = timestamp + CUSTOMER_SERVICE_WINDOW_MS - Date.now();
+  if (remainingMs <= 0) {
+    return;
+  }
+
+  await storage.set(getKey(phoneNumber), String(timestamp), { ttlMs: remainingMs });
+}
+
+/**
+ * Obtém o horário da última mensagem recebida do usuário dentro da janela
+ * @param {string} phoneNumber - Número de telefone
+ * @returns {Promise<number|null>} - Horário em ms ou null se a janela estiver fechada
+ */
+export async function getLastInboundTimestamp(phoneNumber) {
+  const value = await storage.get(getKey(phoneNumber));
+  return value ? parseInt(value, 10) : null;
+}
+
+/**
+ * Verifica se mensagens livres ainda podem ser enviadas ao usuário
+ * @param {string} phoneNumber - Número de telefone
+ * @param {number} now - Horário de referência em ms (padrão: agora)
+ * @returns {Promise<boolean>} - Verdadeiro se a janela de 24 horas estiver aberta
+ */
+export async function isWindowOpen(phoneNumber, now = Date.now()) {
+  const lastInbound = await getLastInboundTimestamp(phoneNumber);
+  return lastInbound !== null && now - lastInbound < CUSTOMER_SERVICE_WINDOW_MS;
+}
+
+/**
+ * Fecha a janela de um número
+ * @param {string} phoneNumber - Número de telefone
+ */
+export async function closeWindow(phoneNumber) {
+  await storage.del(getKey(phoneNumber));
+}
+
+/**
+ * Registra uma mensagem não entregue porque a janela de 24 horas estava fechada
+ * @param {Object} failure - Dados da falha
+ * @param {string} failure.to - Número de destino
+ * @param {string} failure.type - Tipo da mensagem (text, interactive, document, image)
+ * @param {string} failure.reason - Motivo: 'no_template' (sem template para o tipo),
+ *   'template_failed' (o template foi recusado) ou 're_engagement' (a API recusou a mensagem livre)
+ * @param {string} failure.template - Nome do template usado, se houver
+ * @param {number} failure.errorCode - Código de erro da API, se houver
+ */
+export async function recordWindowFailure({ to, type, reason, template = null, errorCode = null }) {
+  logWarning(`Mensagem (${type}) para ${to} não entregue com a janela de 24 horas fechada: ${reason}`);
+
+  await messageLogRepository.appendWindowFailure({
+    to,
+    type,
+    reason,
+    template,
+    errorCode,
+    timestamp: Date.now()
+  }, MAX_WINDOW_FAILURES);
+  await metricsService.incrementMetric(METRICS.OUTBOUND_WINDOW_CLOSED);
+}
+
+/**
+ * Trata a recusa de uma mensagem livre pela API por janela fechada (erro 131047)
+ * A janela do número é fechada, para que os próximos envios já usem os templates.
+ * @param {string} phoneNumber - Número de telefone
+ * @param {string} type - Tipo da mensagem recusada
+ */
+export async function recordReEngagementError(phoneNumber, type) {
+  await closeWindow(phoneNumber);
+  await recordWindowFailure({
+    to: phoneNumber,
+    type,
+    reason: 're_engagement',
+    errorCode: RE_ENGAGEMENT_ERROR_CODE
+  });
+}
+
+/**
+ * Lista as mensagens não entregues por janela fechada
+ * @param {number} limit - Quantidade máxima de falhas
+ * @returns {Promise<Array<Object>>} - Falhas mais recentes primeiro
+ */
+export async function listWindowFailures(limit = 50) {
+  return messageLogRepository.listWindowFailures(limit);
+}
+
+export default {
+  recordInboundMessage,
+  getLastInboundTimestamp,
+  isWindowOpen,
+  closeWindow,
+  recordWindowFailure,
+  recordReEngagementError,
+  listWindowFailures,
+  CUSTOMER_SERVICE_WINDOW_MS,
+  RE_ENGAGEMENT_ERROR_CODE
+};
@@ -0,0 +1,239 @@
+import messageLogRepository from '../storage/messageLogRepository.js';
+import metricsService, { METRICS } from './metricsService.js';
+import customerServiceWindowService, { RE_ENGAGEMENT_ERROR_CODE } from './customerServiceWindowService.js';
+import { logWarning, logError } from '../utils/logger.js';
+
+/**
+ * Serviço de acompanhamento de entregas
+ * Registra o id (wamid) de cada mensagem enviada e atualiza sua situação
+ * (enviada, entregue, lida ou com falha) a partir dos webhooks de status da Meta.
+ */
+
+// Situações de entrega, em ordem de progresso (a falha é tratada à parte)
+const STATUS_ORDER = ['accepted', 'sent', 'delivered', 'read'];
+const FAILED_STATUS = 'failed';
+
+// Tempo que o registro de cada mensagem enviada é mantido
+const OUTBOUND_EXPIRATION_SECONDS = 30 * 24 * 3600;
+
+// Quantidade máxima de falhas mantidas para o painel
+const MAX_FAILURES = 200;
+
+/**
+ * Nome da métrica de um tipo de mensagem (ex: 'outbound_sent:document')
+ * @param {string} metric - Métrica base (usar METRICS)
+ * @param {string} type - Tipo da mensagem
+ * @returns {string} - Nome da métrica
+ */
+function getTypeMetric(metric, type) {
+  return `${metric}:${type}`;
+}
+
+/**
+ * Incrementa uma métrica no total e no tipo da mensagem
+ * @param {string} metric - Métrica base (usar METRICS)
+ * @param {Object} record - Registro da mensagem
+ */
+async function incrementDeliveryMetric(metric, record) {
+  if (record.untracked) {
+    return;
+  }
+
+  await metricsService.incrementMetric(metric);
+  await metricsService.incrementMetric(getTypeMetric(metric, record.type));
+}
+
+/**
+ * Salva o registro de uma mensagem enviada
+ * @param {Object} record - Registro da mensagem
+ */
+async function saveOutboundMessage(record) {
+  await messageLogRepository.saveOutboundMessage(record, OUTBOUND_EXPIRATION_SECONDS);
+}
+
+/**
+ * Registra uma mensagem enviada pela API do WhatsApp
+ * @param {Object} message - Dados da mensagem { wamid, to, type }
+ */
+export async function recordOutboundMessage({ wamid, to, type }) {
+  try {
+    const record = {
+      wamid,
+      to,
+      type,
+      status: 'accepted',
+      sentAt: Date.now()
+    };
+    await saveOutboundMessage(record);
+    await incrementDeliveryMetric(METRICS.OUTBOUND_SENT, record);
+  } catch (error) {
+    // O acompanhamento não deve interromper o envio
+    logError(`Erro ao registrar mensagem enviada ${wamid}`, error);
+  }
+}
+
+/**
+ * Atualiza a situação de uma mensagem a partir de um status do webhook
+ * Os status podem chegar fora de ordem (ex: "read" antes de "delivered") e
+ * repetidos; cada etapa é contabilizada uma única vez.
+ * @param {Object} status - Status recebido ({ id, status, timestamp, recipient_id, errors })
+ */
+async function applyStatus(status) {
+  // Mensagens enviadas antes do acompanhamento (sem registro) não entram nas taxas,
+  // mas suas falhas continuam visíveis no painel
+  const record = await messageLogRepository.getOutboundMessage(status.id) || {
+    wamid: status.id,
+    to: status.recipient_id,
+    type: 'unknown',
+    status: 'accepted',
+    untracked: true
+  };
+  const timestamp = Number(status.timestamp || 0) * 1000 || Date.now();
+
+  if (status.status === FAILED_STATUS) {
+    if (record.status === FAILED_STATUS) {
+      return;
+    }
+
+    const error = (status.errors && status.errors[0]) || {};
+    record.status = FAILED_STATUS;
+    record.failedAt = timestamp;
+    record.error = {
+      code: error.code,
+      title: error.title || error.message,
+      details: error.error_data && error.error_data.details
+    };
+
+    await saveOutboundMessage(record);
+    await incrementDeliveryMetric(METRICS.OUTBOUND_FAILED, record);
+    await recordFailure(record);
+    logWarning(`Falha na entrega da mensagem ${record.wamid} para ${record.to}: ${record.error.code} ${record.error.title}`);
+
+    // Mensagem livre recusada por janela de 24 horas fechada
+    if (record.error.code === RE_ENGAGEMENT_ERROR_CODE) {
+      await customerServiceWindowService.recordReEngagementError(record.to, record.type);
+    }
+    return;
+  }
+
+  // Sem registro (inclusive os apagados a pedido do usuário), só as falhas são guardadas
+  if (record.untracked) {
+    return;
+  }
+
+  const newRank = STATUS_ORDER.indexOf(status.status);
+  if (newRank < 0 || record.status === FAILED_STATUS || newRank <= STATUS_ORDER.indexOf(record.status)) {
+    return;
+  }
+
+  // "read" implica "delivered", mesmo que o status de entrega não tenha chegado
+  if (newRank >= STATUS_ORDER.indexOf('delivered') && !record.deliveredAt) {
+    record.deliveredAt = timestamp;
+    await incrementDeliveryMetric(METRICS.OUTBOUND_DELIVERED, record);
+  }
+
+  if (status.status === 'read') {
+    record.readAt = timestamp;
+    await incrementDeliveryMetric(METRICS.OUTBOUND_READ, record);
+  }
+
+  record.status = status.status;
+  await saveOutboundMessage(record);
+}
+
+/**
+ * Registra uma falha de entrega para o painel
+ * @param {Object} record - Registro da mensagem com falha
+ */
+async function recordFailure(record) {
+  const failure = {
+    wamid: record.wamid,
+    to: record.to,
+    type: record.type,
+    errorCode: record.error.code,
+    errorTitle: record.error.title,
+    errorDetails: record.error.details,
+    sentAt: record.sentAt,
+    failedAt: record.failedAt
+  };
+
+  await messageLogRepository.appendDeliveryFailure(failure, MAX_FAILURES);
+}
+
+/**
+ * Processa os status recebidos pelo webhook, em ordem cronológica
+ * @param {Array<Object>} statuses - Status do lote (value.statuses)
+ */
+export async function processStatuses(statuses) {
+  const orderedStatuses = [...statuses].sort((a, b) => Number(a.timestamp || 0) - Number(b.timestamp || 0));
+
+  for (const status of orderedStatuses) {
+    try {
+      await applyStatus(status);
+    } catch (error) {
+      logError(`Erro ao processar status ${status.status} da mensagem ${status.id}`, error);
+    }
+  }
+}
+
+/**
+ * Calcula a proporção entre dois contadores
+ * @param {number} value - Contador
+ * @param {number} total - Total
+ * @returns {number} - Proporção entre 0 e 1 (0 se não houver total)
+ */
+function getRate(value, total) {
+  return total > 0 ? value / total : 0;
+}
+
+/**
+ * Obtém as estatísticas de entrega, no total e por tipo de mensagem
+ * @returns {Promise<Object>} - { sent, delivered, read, failed, deliveryRate, readRate, byType, sentAsTemplate, windowClosed }
+ */
+export async function getDeliveryStats() {
+  const metrics = await metricsService.getMetrics();
+
+  const buildStats = (suffix = '') => {
+    const sent = metrics[`${METRICS.OUTBOUND_SENT}${suffix}`] || 0;
+    const delivered = metrics[`${METRICS.OUTBOUND_DELIVERED}${suffix}`] || 0;
+    const read = metrics[`${METRICS.OUTBOUND_READ}${suffix}`] || 0;
+    const failed = metrics[`${METRICS.OUTBOUND_FAILED}${suffix}`] || 0;
+
+    return {
+      sent,
+      delivered,
+      read,
+      failed,
+      deliveryRate: getRate(delivered, sent),
+      readRate: getRate(read, sent)
+    };
+  };
+
+  const types = Object.keys(metrics)
+    .filter(name => name.startsWith(`${METRICS.OUTBOUND_SENT}:`))
+    .map(name => name.split(':')[1]);
+
+  return {
+    ...buildStats(),
+    byType: Object.fromEntries(types.map(type => [type, buildStats(`:${type}`)])),
+    // Mensagens livres enviadas como template ou não entregues com a janela de 24 horas fechada
+    sentAsTemplate: metrics[METRICS.OUTBOUND_SENT_AS_TEMPLATE] || 0,
+    windowClosed: metrics[METRICS.OUTBOUND_WINDOW_CLOSED] || 0
+  };
+}
+
+/**
+ * Lista as falhas de entrega mais recentes
+ * @param {number} limit - Limite de falhas
+ * @returns {Promise<Array<Object>>} - Falhas, das mais recentes para as mais antigas
+ */
+export async function listFailures(limit = 50) {
+  return messageLogRepository.listDeliveryFailures(limit);
+}
+
+export default {
+  recordOutboundMessage,
+  processStatuses,
+  getDeliveryStats,
+  listFailures
+};
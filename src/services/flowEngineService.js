@@ -0,0 +1,232 @@
+import sessionRepository from '../storage/sessionRepository.js';
+import whatsappService from './whatsappService.js';
+import { logError } from '../utils/logger.js';
+import { normalizeText } from '../utils/validators.js';
+
+/**
+ * Motor de fluxo de conversa
+ * Executa as etapas declaradas em src/config/conversationFlow.js: envia a
+ * pergunta de cada etapa, valida a resposta, grava o campo na sessão e avança.
+ */
+
+/**
+ * Resolve um valor que pode ser estático ou função da sessão
+ * @param {string|Function|Object} value - Valor ou função
+ * @param {Object} session - Dados da sessão do usuário
+ * @returns {*} - Valor resolvido
+ */
+function resolve(value, session) {
+  return typeof value === 'function' ? value(session) : value;
+}
+
+/**
+ * Monta os botões de resposta de uma etapa (opções, respostas prontas e botão para pular)
+ * @param {Object} step - Etapa do fluxo
+ * @param {Object} session - Dados da sessão do usuário
+ * @returns {Array<Object>} - Botões no formato { id, title }
+ */
+function getStepButtons(step, session) {
+  const buttons = [...(step.choices || []), ...(step.answers || [])]
+    .map(option => ({ id: option.id, title: resolve(option.title, session) }));
+
+  if (step.skipKeyword) {
+    buttons.push({ id: resolve(step.skipKeyword, session), title: resolve(step.skipLabel, session) || 'Pular' });
+  }
+
+  return buttons;
+}
+
+/**
+ * Obtém uma etapa do fluxo pelo id
+ * @param {Object} flow - Definição do fluxo
+ * @param {string} stepId - Id da etapa
+ * @returns {Object|null} - Etapa ou null se não existir
+ */
+export function getStep(flow, stepId) {
+  return flow.steps.find(step => step.id === stepId) || null;
+}
+
+/**
+ * Obtém a etapa que aguarda resposta no estado informado
+ * @param {Object} flow - Definição do fluxo
+ * @param {string} state - Estado atual da sessão
+ * @returns {Object|null} - Etapa ou null se o estado não pertencer ao fluxo
+ */
+export function getStepByState(flow, state) {
+  return flow.steps.find(step => step.state === state) || null;
+}
+
+/**
+ * Obtém o lembrete da etapa que aguarda resposta (conversa abandonada)
+ * @param {Object} flow - Definição do fluxo
+ * @param {string} state - Estado atual da sessão
+ * @param {Object} session - Dados da sessão do usuário
+ * @returns {string|null} - Texto do lembrete ou null se a etapa não tiver lembrete
+ */
+export function getStepReminder(flow, state, session) {
+  const step = getStepByState(flow, state);
+  return step && step.reminder ? resolve(step.reminder, session) : null;
+}
+
+/**
+ * Entra em uma etapa: atualiza o estado da sessão e envia a pergunta
+ * @param {Object} flow - Definição do fluxo
+ * @param {string} stepId - Id da etapa
+ * @param {string} userPhoneNumber - Número de telefone do usuário
+ * @param {Object} session - Dados da sessão do usuário
+ */
+export async function enterStep(flow, stepId, userPhoneNumber, session) {
+  const step = getStep(flow, stepId);
+
+  if (!step) {
+    throw new Error(`Etapa do fluxo não encontrada: ${stepId}`);
+  }
+
+  session.state = step.state;
+  await sessionRepository.saveSession(userPhoneNumber, session);
+
+  const prompt = resolve(step.prompt, session);
+  const buttons = getStepButtons(step, session);
+
+  // Envia com botões quando a etapa tem opções; se falhar, envia como texto
+  if (buttons.length > 0) {
+    const sent = await whatsappService.sendInteractiveButtons(userPhoneNumber, prompt, buttons);
+    if (sent) {
+      return;
+    }
+  }
+
+  await whatsappService.sendTextMessage(userPhoneNumber, prompt);
+}
+
+/**
+ * Inicia o fluxo a partir da primeira etapa
+ * @param {Object} flow - Definição do fluxo
+ * @param {string} userPhoneNumber - Número de telefone do usuário
+ * @param {Object} session - Dados da sessão do usuário
+ */
+export async function startFlow(flow, userPhoneNumber, session) {
+  await enterStep(flow, flow.firstStep, userPhoneNumber, session);
+}
+
+/**
+ * Avança para a próxima etapa ou encerra o fluxo
+ * @param {Object} flow - Definição do fluxo
+ * @param {Object} step - Etapa concluída
+ * @param {string} userPhoneNumber - Número de telefone do usuário
+ * @param {Object} session - Dados da sessão do usuário
+ * @param {Object} hooks - Processadores e callback de conclusão
+ */
+async function advance(flow, step, userPhoneNumber, session, hooks) {
+  const nextStepId = resolve(step.next, session);
+
+  if (nextStepId) {
+    await enterStep(flow, nextStepId, userPhoneNumber, session);
+    return;
+  }
+
+  // Fim do fluxo
+  if (hooks.onComplete) {
+    await hooks.onComplete(userPhoneNumber, session);
+  } else {
+    await sessionRepository.saveSession(userPhoneNumber, session);
+  }
+}
+
+/**
+ * Processa a resposta do usuário para a etapa atual
+ * @param {Object} flow - Definição do fluxo
+ * @param {Object} step - Etapa que aguarda resposta
+ * @param {string} userPhoneNumber - Número de telefone do usuário
+ * @param {Object} input - Entrada recebida ({ type: 'text', text } ou { type: 'image', image })
+ * @param {Object} session - Dados da sessão do usuário
+ * @param {Object} hooks - { processors, onComplete }
+ */
+export async function handleStepInput(flow, step, userPhoneNumber, input, session, hooks = {}) {
+  try {
+    // Verifica se a etapa aceita este tipo de mensagem
+    if (!step.inputTypes.includes(input.type)) {
+      const messages = flow.unexpectedInputMessages || {};
+      await whatsappService.sendTextMessage(
+        userPhoneNumber,
+        resolve(messages[input.type] || messages.default, session)
+      );
+      return;
+    }
+
+    const value = input.type === 'text' ? input.text.trim() : null;
+
+    // Verifica se o usuário escolheu uma das opções da etapa
+    const choice = value !== null && (step.choices || []).find(option => option.id === normalizeText(value));
+    if (choice) {
+      await whatsappService.sendTextMessage(userPhoneNumber, resolve(choice.reply, session));
+      return;
+    }
+
+    // Verifica se o usuário quer pular esta etapa
+    if (value !== null && step.skipKeyword && normalizeText(value) === resolve(step.skipKeyword, session)) {
+      if (step.field) {
+        session[step.field] = null;
+      }
+      await advance(flow, step, userPhoneNumber, session, hooks);
+      return;
+    }
+
+    // Etapas com processador próprio (ex: análise de perfil)
+    const processorName = step.processors && step.processors[input.type];
+    if (processorName) {
+      const processor = hooks.processors && hooks.processors[processorName];
+
+      if (!processor) {
+        throw new Error(`Processador de etapa não registrado: ${processorName}`);
+      }
+
+      // O processador retorna false para manter o usuário na etapa
+      const shouldAdvance = await processor(userPhoneNumber, input, session);
+      if (shouldAdvance === false) {
+        return;
+      }
+
+      await advance(flow, step, userPhoneNumber, session, hooks);
+      return;
+    }
+
+    // Valida a resposta
+    if (step.validator && !step.validator(value, session)) {
+      await whatsappService.sendTextMessage(
+        userPhoneNumber,
+        resolve(step.invalidMessage, session)
+      );
+      return;
+    }
+
+    if (step.field) {
+      session[step.field] = step.transform ? step.transform(value, session) : value;
+    }
+
+    await advance(flow, step, userPhoneNumber, session, hooks);
+  } catch (error) {
+    // Falhas do armazenamento sobem até o webhook, que pede o reenvio da mensagem
+    if (sessionRepository.isStorageError(error)) {
+      throw error;
+    }
+    
+    logError(`Erro ao processar etapa ${step.id}`, error);
+
+    // Envia mensagem de erro para o usuário
+    const errorMessage = resolve(step.errorMessage, session);
+    await whatsappService.sendTextMessage(
+      userPhoneNumber,
+      typeof errorMessage === 'object' ? errorMessage[input.type] : errorMessage
+    );
+  }
+}
+
+export default {
+  getStep,
+  getStepByState,
+  getStepReminder,
+  enterStep,
+  startFlow,
+  handleStepInput
+};
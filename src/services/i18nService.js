@@ -0,0 +1,140 @@
+import { SUPPORTED_LOCALES, DEFAULT_LOCALE } from '../config/messages.js';
+import { getTemplate, formatMessage } from './messageCatalogService.js';
+import { logWarning } from '../utils/logger.js';
+import { normalizeText } from '../utils/validators.js';
+
+/**
+ * Serviço de internacionalização
+ * Resolve as mensagens do catálogo (messageCatalogService) no idioma do usuário e detecta o idioma
+ * a partir do texto recebido.
+ */
+
+// Palavras frequentes de cada idioma (já normalizadas), usadas na detecção
+const LANGUAGE_HINTS = {
+  'pt-BR': ['ola', 'oi', 'quero', 'receber', 'minha', 'meu', 'comecar', 'iniciar', 'obrigado', 'obrigada', 'voce', 'nao', 'sim', 'bom', 'boa', 'dia', 'tarde', 'noite', 'tudo', 'bem', 'eu', 'um', 'uma', 'com', 'para', 'e'],
+  en: ['hi', 'hello', 'hey', 'i', 'want', 'my', 'letter', 'start', 'begin', 'get', 'thanks', 'thank', 'you', 'yes', 'good', 'morning', 'evening', 'the', 'and', 'please', 'name', 'is', 'to'],
+  es: ['hola', 'quiero', 'recibir', 'mi', 'empezar', 'comenzar', 'gracias', 'usted', 'tu', 'yo', 'si', 'buenos', 'buenas', 'dias', 'por', 'favor', 'el', 'la', 'y', 'con', 'nombre']
+};
+
+// Formas aceitas para escolher um idioma (comando "idioma en", botões etc.)
+const LOCALE_ALIASES = {
+  'pt-BR': ['pt', 'pt br', 'ptbr', 'portugues', 'portuguese', 'brasil'],
+  en: ['en', 'english', 'ingles', 'eng'],
+  es: ['es', 'espanol', 'spanish', 'castellano', 'esp']
+};
+
+// Código de idioma dos templates aprovados na Meta
+export const TEMPLATE_LANGUAGES = {
+  'pt-BR': 'pt_BR',
+  en: 'en',
+  es: 'es'
+};
+
+// Nome de cada idioma usado nas instruções enviadas à OpenAI
+const LANGUAGE_NAMES = {
+  'pt-BR': 'português do Brasil',
+  en: 'inglês',
+  es: 'espanhol'
+};
+
+/**
+ * Obtém o idioma da sessão do usuário
+ * @param {Object} session - Dados da sessão do usuário
+ * @returns {string} - Idioma (ex: 'pt-BR')
+ */
+export function getLocale(session) {
+  const locale = session && session.locale;
+  return SUPPORTED_LOCALES.includes(locale) ? locale : DEFAULT_LOCALE;
+}
+
+/**
+ * Obtém uma mensagem do catálogo no idioma informado
+ * @param {string} locale - Idioma (ex: 'pt-BR', 'en', 'es')
+ * @param {string} key - Chave da mensagem
+ * @param {Object} params - Valores para os trechos entre chaves (ex: { nome: 'Ana' })
+ * @returns {string} - Mensagem com os valores substituídos
+ */
+export function t(locale, key, params = {}) {
+  const template = getTemplate(locale, key);
+
+  if (template === undefined) {
+    logWarning(`Mensagem não encontrada no catálogo: ${key}`);
+    return key;
+  }
+
+  return formatMessage(template, params);
+}
+
+/**
+ * Detecta o idioma de um texto a partir de palavras frequentes
+ * @param {string} text - Texto recebido
+ * @returns {string|null} - Idioma detectado ou null se não for possível decidir
+ */
+export function detectLanguage(text) {
+  const words = normalizeText((text || '').replace(/[^\p{L}\p{N}\s]/gu, ' ')).split(' ').filter(Boolean);
+
+  if (words.length === 0) {
+    return null;
+  }
+
+  const scores = Object.entries(LANGUAGE_HINTS)
+    .map(([locale, hints]) => [locale, words.filter(word => hints.includes(word)).length])
+    .sort((a, b) => b[1] - a[1]);
+
+  const [[bestLocale, bestScore], [, secondScore]] = scores;
+
+  // Empate ou nenhuma pista: deixa o idioma em aberto
+  if (bestScore === 0 || bestScore === secondScore) {
+    return null;
+  }
+
+  return bestLocale;
+}
+
+/**
+ * Converte o nome ou código de um idioma para um idioma suportado
+ * @param {string} value - Texto informado (ex: "en", "English", "español")
+ * @returns {string|null} - Idioma suportado ou null se não for reconhecido
+ */
+export function resolveLocale(value) {
+  const normalizedValue = normalizeText((value || '').replace(/[^\p{L}\s]/gu, ' '));
+
+  for (const [locale, aliases] of Object.entries(LOCALE_ALIASES)) {
+    if (aliases.includes(normalizedValue)) {
+      return locale;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Obtém o nome de um idioma para as instruções da OpenAI
+ * @param {string} locale - Idioma
+ * @returns {string} - Nome do idioma em português
+ */
+export function getLanguageName(locale) {
+  return LANGUAGE_NAMES[locale] || LANGUAGE_NAMES[DEFAULT_LOCALE];
+}
+
+/**
+ * Obtém o código de idioma usado pelos templates do WhatsApp
+ * @param {string} locale - Idioma
+ * @returns {string} - Código do idioma do template (ex: 'pt_BR')
+ */
+export function getTemplateLanguage(locale) {
+  return TEMPLATE_LANGUAGES[locale] || TEMPLATE_LANGUAGES[DEFAULT_LOCALE];
+}
+
+export { SUPPORTED_LOCALES, DEFAULT_LOCALE };
+
+export default {
+  getLocale,
+  t,
+  detectLanguage,
+  resolveLocale,
+  getLanguageName,
+  getTemplateLanguage,
+  SUPPORTED_LOCALES,
+  DEFAULT_LOCALE
+};
@@ -0,0 +1,319 @@
+import crypto from 'crypto';
+import storage, { KEY_PREFIXES } from '../storage/storage.js';
+import config from '../config/env.js';
+import { log, logWarning, logError, getCorrelationId, runWithLogContext } from '../utils/logger.js';
+
+/**
+ * Serviço de fila de jobs
+ * Tarefas demoradas (como a geração da carta) são enfileiradas pelo webhook e
+ * executadas depois por um worker (cron ou processo contínuo), para que a
+ * resposta à Meta não dependa do tempo de execução da função serverless.
+ * Jobs com falha são repetidos com espera crescente; quando esgotam as
+ * tentativas, vão para a lista de falhas exibida no painel.
+ */
+
+// Tipos de job conhecidos
+export const JOB_TYPES = {
+  GENERATE_LETTER: 'generate_letter'
+};
+
+// Quantidade máxima de jobs com falha mantidos para o painel
+const MAX_DEAD_JOBS = 200;
+
+/**
+ * Calcula a espera antes da próxima tentativa (exponencial)
+ * @param {number} attempts - Tentativas já realizadas
+ * @returns {number} - Espera em milissegundos
+ */
+function getRetryDelayMs(attempts) {
+  return config.JOB_RETRY_BASE_SECONDS * 1000 * Math.pow(2, attempts - 1);
+}
+
+/**
+ * Enfileira um job para execução pelo worker
+ * @param {string} type - Tipo do job (usar JOB_TYPES)
+ * @param {Object} payload - Dados necessários para executar o job
+ * @returns {Promise<Object>} - Job enfileirado
+ */
+export async function enqueueJob(type, payload) {
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    payload,
+    attempts: 0,
+    maxAttempts: config.JOB_MAX_ATTEMPTS,
+    createdAt: Date.now(),
+    // Id de correlação da requisição que enfileirou o job, mantido nos registros da execução
+    correlationId: getCorrelationId()
+  };
+
+  await storage.lpush(KEY_PREFIXES.JOBS_READY, JSON.stringify(job));
+  log(`Job ${job.type} enfileirado: ${job.id}`);
+  return job;
+}
+
+/**
+ * Libera os jobs agendados cujo horário chegou e os jobs interrompidos
+ * @param {number} now - Momento atual (timestamp em ms)
+ */
+async function promoteDueJobs(now) {
+  const dueJobs = await storage.zrangebyscore(KEY_PREFIXES.JOBS_DELAYED, 0, now);
+  for (const entry of dueJobs) {
+    // Apenas quem remove o job do agendamento o coloca na fila (vários workers)
+    if (await storage.zrem(KEY_PREFIXES.JOBS_DELAYED, entry) === 1) {
+      await storage.lpush(KEY_PREFIXES.JOBS_READY, entry);
+    }
+  }
+
+  // Jobs cujo prazo de execução expirou (worker interrompido) voltam à fila,
+  // contando a execução interrompida como tentativa
+  const processingJobs = await storage.hgetall(KEY_PREFIXES.JOBS_PROCESSING);
+  for (const [jobId, entry] of Object.entries(processingJobs)) {
+    const job = JSON.parse(entry);
+    if (job.leaseUntil <= now && await storage.hdel(KEY_PREFIXES.JOBS_PROCESSING, jobId) === 1) {
+      delete job.leaseUntil;
+      job.attempts += 1;
+      job.lastError = 'Execução interrompida (prazo esgotado)';
+      await storage.lpush(KEY_PREFIXES.JOBS_READY, JSON.stringify(job));
+    }
+  }
+}
+
+/**
+ * Retira o próximo job da fila e o registra como em execução
+ * Depois do prazo de execução (JOB_LEASE_SECONDS), o job volta à fila.
+ * @returns {Promise<Object|null>} - Job ou null se a fila estiver vazia
+ */
+async function claimNextJob() {
+  const entry = await storage.rpop(KEY_PREFIXES.JOBS_READY);
+  if (!entry) {
+    return null;
+  }
+
+  const job = JSON.parse(entry);
+  const leaseUntil = Date.now() + config.JOB_LEASE_SECONDS * 1000;
+  await storage.hset(KEY_PREFIXES.JOBS_PROCESSING, job.id, JSON.stringify({ ...job, leaseUntil }));
+  return job;
+}
+
+/**
+ * Remove um job do registro de jobs em execução
+ * @param {string} jobId - Id do job
+ */
+async function finishJob(jobId) {
+  await storage.hdel(KEY_PREFIXES.JOBS_PROCESSING, jobId);
+}
+
+/**
+ * Agenda uma nova tentativa de um job
+ * @param {Object} job - Job com falha
+ */
+async function scheduleRetry(job) {
+  const runAt = Date.now() + getRetryDelayMs(job.attempts);
+  await storage.zadd(KEY_PREFIXES.JOBS_DELAYED, runAt, JSON.stringify(job));
+  logWarning(`Job ${job.type} ${job.id} falhou (tentativa ${job.attempts}/${job.maxAttempts}), nova tentativa em ${new Date(runAt).toISOString()}: ${job.lastError}`);
+}
+
+/**
+ * Move um job que esgotou as tentativas para a lista de falhas
+ * @param {Object} job - Job com falha
+ * @param {Object} handler - Handler do tipo do job
+ * @param {Error} error - Último erro
+ */
+async function moveToDeadLetter(job, handler, error) {
+  job.failedAt = Date.now();
+  await storage.lpush(KEY_PREFIXES.JOBS_DEAD, JSON.stringify(job));
+  await storage.ltrim(KEY_PREFIXES.JOBS_DEAD, 0, MAX_DEAD_JOBS - 1);
+  logError(`Job ${job.type} ${job.id} esgotou as tentativas (${job.attempts}/${job.maxAttempts}): ${job.lastError}`);
+
+  if (handler && handler.onDeadLetter) {
+    try {
+      await handler.onDeadLetter(job, error);
+    } catch (deadLetterError) {
+      logError(`Erro ao tratar falha definitiva do job ${job.id}`, deadLetterError);
+    }
+  }
+}
+
+/**
+ * Executa um job, agendando nova tentativa ou movendo para a lista de falhas em caso de erro
+ * @param {Object} job - Job a executar
+ * @param {Object} handlers - Handlers por tipo de job ({ run, onDeadLetter })
+ * @returns {Promise<string>} - 'completed', 'retried' ou 'dead'
+ */
+async function runJob(job, handlers) {
+  const handler = handlers[job.type];
+
+  // Jobs interrompidos (prazo de execução expirado) também contam como tentativa
+  if (job.attempts >= job.maxAttempts) {
+    await finishJob(job.id);
+    await moveToDeadLetter(job, handler, new Error(job.lastError));
+    return 'dead';
+  }
+
+  job.attempts += 1;
+
+  try {
+    if (!handler) {
+      throw new Error(`Tipo de job desconhecido: ${job.type}`);
+    }
+
+    await handler.run(job);
+    await finishJob(job.id);
+    log(`Job ${job.type} ${job.id} concluído (tentativa ${job.attempts})`);
+    return 'completed';
+  } catch (error) {
+    job.lastError = error.message;
+    await finishJob(job.id);
+
+    if (handler && job.attempts < job.maxAttempts) {
+      await scheduleRetry(job);
+      return 'retried';
+    }
+
+    await moveToDeadLetter(job, handler, error);
+    return 'dead';
+  }
+}
+
+/**
+ * Processa os jobs pendentes até esvaziar a fila ou atingir os limites
+ * @param {Object} handlers - Handlers por tipo de job: { [tipo]: { run(job), onDeadLetter(job, error) } }
+ * @param {Object} options - Limites da execução
+ * @param {number} options.maxJobs - Quantidade máxima de jobs
+ * @param {number} options.timeBudgetMs - Tempo após o qual nenhum novo job é iniciado
+ * @returns {Promise<Object>} - Resumo { completed, retried, dead }
+ */
+export async function processJobs(handlers, { maxJobs = 10, timeBudgetMs = config.JOB_WORKER_TIME_BUDGET_SECONDS * 1000 } = {}) {
+  const startedAt = Date.now();
+  const summary = { completed: 0, retried: 0, dead: 0 };
+
+  await promoteDueJobs(startedAt);
+
+  for (let count = 0; count < maxJobs && Date.now() - startedAt < timeBudgetMs; count++) {
+    const job = await claimNextJob();
+    if (!job) {
+      break;
+    }
+
+    const context = job.correlationId ? { correlationId: job.correlationId, jobId: job.id } : { jobId: job.id };
+    const result = await runWithLogContext(context, () => runJob(job, handlers));
+    summary[result]++;
+  }
+
+  return summary;
+}
+
+/**
+ * Lista os jobs que esgotaram as tentativas
+ * @param {number} limit - Limite de jobs
+ * @returns {Promise<Array<Object>>} - Jobs, dos mais recentes para os mais antigos
+ */
+export async function listDeadJobs(limit = 50) {
+  const entries = await storage.lrange(KEY_PREFIXES.JOBS_DEAD, 0, limit - 1);
+  return entries.map(entry => JSON.parse(entry));
+}
+
+/**
+ * Remove um job da lista de falhas
+ * @param {string} jobId - Id do job
+ * @returns {Promise<Object|null>} - Job removido ou null se não encontrado
+ */
+async function removeDeadJob(jobId) {
+  const entries = await storage.lrange(KEY_PREFIXES.JOBS_DEAD, 0, -1);
+  const entry = entries.find(item => JSON.parse(item).id === jobId);
+
+  // Apenas quem remove o job da lista o devolve
+  if (!entry || await storage.lrem(KEY_PREFIXES.JOBS_DEAD, 1, entry) === 0) {
+    return null;
+  }
+
+  return JSON.parse(entry);
+}
+
+/**
+ * Devolve à fila um job da lista de falhas, com as tentativas zeradas
+ * @param {string} jobId - Id do job
+ * @returns {Promise<Object|null>} - Job reenfileirado ou null se não encontrado
+ */
+export async function retryDeadJob(jobId) {
+  const job = await removeDeadJob(jobId);
+
+  if (!job) {
+    return null;
+  }
+
+  job.attempts = 0;
+  delete job.failedAt;
+
+  await storage.lpush(KEY_PREFIXES.JOBS_READY, JSON.stringify(job));
+  log(`Job ${job.type} ${job.id} reenfileirado pelo painel`);
+  return job;
+}
+
+/**
+ * Descarta um job da lista de falhas
+ * @param {string} jobId - Id do job
+ * @returns {Promise<boolean>} - Verdadeiro se o job foi encontrado
+ */
+export async function discardDeadJob(jobId) {
+  const job = await removeDeadJob(jobId);
+  return Boolean(job);
+}
+
+/**
+ * Remove os jobs de um número que aguardam execução ou estão na lista de falhas
+ * Usada no pedido para apagar os dados do usuário. Um job já em execução não é
+ * removido: sem a sessão, ele termina sem gerar a carta.
+ * @param {string} phoneNumber - Número de telefone (payload.phoneNumber)
+ * @returns {Promise<number>} - Quantidade de jobs removidos
+ */
+export async function deleteNumberJobs(phoneNumber) {
+  const belongsToNumber = (entry) => JSON.parse(entry).payload?.phoneNumber === phoneNumber;
+  let removed = 0;
+
+  for (const entry of await storage.zrangebyscore(KEY_PREFIXES.JOBS_DELAYED, '-inf', '+inf')) {
+    if (belongsToNumber(entry)) {
+      removed += await storage.zrem(KEY_PREFIXES.JOBS_DELAYED, entry);
+    }
+  }
+
+  for (const key of [KEY_PREFIXES.JOBS_READY, KEY_PREFIXES.JOBS_DEAD]) {
+    for (const entry of new Set(await storage.lrange(key, 0, -1))) {
+      if (belongsToNumber(entry)) {
+        removed += await storage.lrem(key, 0, entry);
+      }
+    }
+  }
+
+  if (removed > 0) {
+    log(`${removed} job(s) de ${phoneNumber} removido(s) da fila`);
+  }
+  return removed;
+}
+
+/**
+ * Obtém a quantidade de jobs em cada etapa da fila
+ * @returns {Promise<Object>} - { ready, delayed, processing, dead }
+ */
+export async function getQueueCounts() {
+  const [ready, delayed, processing, dead] = await Promise.all([
+    storage.llen(KEY_PREFIXES.JOBS_READY),
+    storage.zcard(KEY_PREFIXES.JOBS_DELAYED),
+    storage.hlen(KEY_PREFIXES.JOBS_PROCESSING),
+    storage.llen(KEY_PREFIXES.JOBS_DEAD)
+  ]);
+
+  return { ready, delayed, processing, dead };
+}
+
+export default {
+  enqueueJob,
+  processJobs,
+  listDeadJobs,
+  retryDeadJob,
+  discardDeadJob,
+  deleteNumberJobs,
+  getQueueCounts,
+  JOB_TYPES
+};
@@ -0,0 +1,186 @@
+import PDFDocument from 'pdfkit';
+import config from '../config/env.js';
+import { logError } from '../utils/logger.js';
+import { t, DEFAULT_LOCALE } from './i18nService.js';
+import { splitLetterSections, stripEmojis, isPoemSection } from '../utils/letterParser.js';
+
+/**
+ * Serviço de renderização da Carta da Consciênc.IA em PDF
+ * Gera um documento com a identidade do evento, o nome do usuário, as seções
+ * da carta e a poesia em destaque.
+ */
+
+// Identidade visual (mesmas cores do painel administrativo)
+const COLORS = {
+  primary: '#6c5ce7',
+  secondary: '#a29bfe',
+  text: '#2d3436',
+  muted: '#636e72'
+};
+
+const PAGE_MARGIN = 60;
+const HEADER_HEIGHT = 110;
+
+/**
+ * Escreve um texto interpretando os trechos em *negrito* do WhatsApp
+ * @param {PDFDocument} doc - Documento PDF
+ * @param {string} text - Texto a ser escrito
+ * @param {Object} fonts - Fontes ({ regular, bold })
+ * @param {Object} options - Opções de texto do PDFKit
+ */
+function writeFormattedText(doc, text, fonts, options = {}) {
+  // Itálico e riscado não têm equivalente aqui: mantém apenas o texto
+  const plainText = text.replace(/[_~]([^_~\n]+)[_~]/g, '$1');
+  const parts = plainText.split(/(\*[^*\n]+\*)/).filter(Boolean);
+
+  parts.forEach((part, index) => {
+    const isBold = part.startsWith('*') && part.endsWith('*');
+    doc
+      .font(isBold ? fonts.bold : fonts.regular)
+      .text(isBold ? part.slice(1, -1) : part, {
+        ...options,
+        continued: index < parts.length - 1
+      });
+  });
+}
+
+/**
+ * Desenha o cabeçalho com a identidade do evento
+ * @param {PDFDocument} doc - Documento PDF
+ * @param {string} name - Nome do usuário
+ * @param {Date} date - Data da carta
+ * @param {string} locale - Idioma do usuário
+ */
+function drawHeader(doc, name, date, locale) {
+  doc.rect(0, 0, doc.page.width, HEADER_HEIGHT).fill(COLORS.primary);
+
+  doc
+    .fillColor('white')
+    .font('Helvetica-Bold')
+    .fontSize(24)
+    .text('CONSCIÊNC.IA', PAGE_MARGIN, 32, { characterSpacing: 2 })
+    .font('Helvetica')
+    .fontSize(11)
+    .text(`${config.EVENT_NAME} · ${config.EVENT_TAGLINE}`, PAGE_MARGIN, 66);
+
+  doc
+    .fillColor(COLORS.primary)
+    .font('Times-Bold')
+    .fontSize(20)
+    .text(t(locale, 'letterTitle', { nome: name || t(locale, 'defaultName') }), PAGE_MARGIN, HEADER_HEIGHT + 30)
+    .fillColor(COLORS.muted)
+    .font('Helvetica')
+    .fontSize(10)
+    .text(date.toLocaleDateString(locale, { day: '2-digit', month: 'long', year: 'numeric' }))
+    .moveDown(1.5);
+}
+
+/**
+ * Desenha um separador entre as seções da carta
+ * @param {PDFDocument} doc - Documento PDF
+ */
+function drawDivider(doc) {
+  const centerX = doc.page.width / 2;
+
+  doc.moveDown(0.8);
+  doc
+    .strokeColor(COLORS.secondary)
+    .lineWidth(1)
+    .moveTo(centerX - 40, doc.y)
+    .lineTo(centerX + 40, doc.y)
+    .stroke();
+  doc.moveDown(0.8);
+}
+
+/**
+ * Desenha o rodapé em todas as páginas
+ * @param {PDFDocument} doc - Documento PDF
+ */
+function drawFooters(doc) {
+  const range = doc.bufferedPageRange();
+
+  for (let i = range.start; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+
+    // Evita que o texto do rodapé crie uma nova página
+    const bottomMargin = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+
+    doc
+      .fillColor(COLORS.muted)
+      .font('Helvetica')
+      .fontSize(8)
+      .text(
+        `Programa Consciênc.IA · ${config.PROGRAM_URL} · ${i + 1}/${range.count}`,
+        PAGE_MARGIN,
+        doc.page.height - 40,
+        { width: doc.page.width - PAGE_MARGIN * 2, align: 'center' }
+      );
+
+    doc.page.margins.bottom = bottomMargin;
+  }
+}
+
+/**
+ * Renderiza a carta em PDF
+ * @param {Object} letterData - Dados da carta ({ name, letterContent, date, locale })
+ * @returns {Promise<Buffer>} - Conteúdo do arquivo PDF
+ */
+export function renderLetterPdf({ name, letterContent, date = new Date(), locale = DEFAULT_LOCALE }) {
+  return new Promise((resolve, reject) => {
+    try {
+      const doc = new PDFDocument({
+        size: 'A4',
+        margin: PAGE_MARGIN,
+        bufferPages: true,
+        info: {
+          Title: `Carta da Consciênc.IA - ${name || 'Participante'}`,
+          Author: 'Consciênc.IA'
+        }
+      });
+
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      drawHeader(doc, name, date, locale);
+
+      const sections = splitLetterSections(letterContent);
+      const textWidth = doc.page.width - PAGE_MARGIN * 2;
+
+      sections.forEach((section, index) => {
+        // As fontes padrão do PDF não têm emojis
+        const text = stripEmojis(section);
+        const poem = isPoemSection(section);
+
+        doc.fillColor(poem ? COLORS.primary : COLORS.text).fontSize(poem ? 13 : 12);
+
+        writeFormattedText(
+          doc,
+          text,
+          poem
+            ? { regular: 'Times-Italic', bold: 'Times-BoldItalic' }
+            : { regular: 'Times-Roman', bold: 'Times-Bold' },
+          {
+            width: textWidth,
+            align: poem ? 'center' : 'left',
+            lineGap: 4
+          }
+        );
+
+        if (index < sections.length - 1) {
+          drawDivider(doc);
+        }
+      });
+
+      drawFooters(doc);
+      doc.end();
+    } catch (error) {
+      logError('Erro ao renderizar PDF da carta', error);
+      reject(error);
+    }
+  });
+}
+
+export default { renderLetterPdf };
@@ -0,0 +1,226 @@
+import messages, { SUPPORTED_LOCALES, DEFAULT_LOCALE } from '../config/messages.js';
+import config from '../config/env.js';
+import storage, { KEY_PREFIXES } from '../storage/storage.js';
+import { log } from '../utils/logger.js';
+
+/**
+ * Serviço do catálogo de mensagens
+ * Resolve o texto de cada mensagem na seguinte ordem: personalização salva pelo
+ * painel, variável de ambiente (apenas pt-BR) e texto padrão de
+ * src/config/messages.js.
+ */
+
+// Variáveis de ambiente que substituem mensagens do catálogo (pt-BR)
+const ENV_MESSAGE_KEYS = {
+  WELCOME_MESSAGE_1: 'namePrompt',
+  WELCOME_MESSAGE_2: 'emailPrompt',
+  PROFILE_REQUEST_MESSAGE: 'profilePrompt',
+  BUSINESS_CHALLENGE_MESSAGE: 'challengePrompt',
+  PERSONAL_CHALLENGE_MESSAGE: 'personalChallengePrompt',
+  PROCESSING_MESSAGE: 'generatingLetter',
+  FINAL_MESSAGE: 'letterDelivered',
+  GENERIC_ERROR_MESSAGE: 'textError'
+};
+
+// Valores de exemplo usados na pré-visualização do painel
+export const SAMPLE_PARAMS = {
+  nome: 'Ana',
+  desafio: 'atrair mais clientes'
+};
+
+// Tempo que as personalizações ficam em memória antes de serem relidas do armazenamento
+const OVERRIDES_CACHE_MS = 60 * 1000;
+
+// Personalizações em memória, no formato { 'idioma:chave': texto }
+let overrides = {};
+let overridesLoadedAt = 0;
+
+/**
+ * Monta o identificador de uma mensagem personalizada
+ * @param {string} locale - Idioma
+ * @param {string} key - Chave da mensagem
+ * @returns {string} - Identificador no formato 'idioma:chave'
+ */
+function getOverrideField(locale, key) {
+  return `${locale}:${key}`;
+}
+
+/**
+ * Obtém o texto definido por variável de ambiente para uma mensagem
+ * @param {string} locale - Idioma
+ * @param {string} key - Chave da mensagem
+ * @returns {string|undefined} - Texto ou undefined se não houver variável definida
+ */
+function getEnvMessage(locale, key) {
+  if (locale !== DEFAULT_LOCALE) {
+    return undefined;
+  }
+
+  const envName = Object.keys(ENV_MESSAGE_KEYS).find(name => ENV_MESSAGE_KEYS[name] === key);
+  return (envName && config[envName]) || undefined;
+}
+
+/**
+ * Verifica se a mensagem existe no catálogo
+ * @param {string} locale - Idioma
+ * @param {string} key - Chave da mensagem
+ * @returns {boolean} - Verdadeiro se o idioma é suportado e a chave existe
+ */
+function isKnownMessage(locale, key) {
+  return SUPPORTED_LOCALES.includes(locale) && Object.hasOwn(messages[DEFAULT_LOCALE], key);
+}
+
+/**
+ * Substitui os trechos entre chaves de uma mensagem
+ * @param {string} template - Texto com trechos como {nome}
+ * @param {Object} params - Valores para os trechos (ex: { nome: 'Ana' })
+ * @returns {string} - Texto com os valores substituídos (trechos sem valor são mantidos)
+ */
+export function formatMessage(template, params = {}) {
+  return template.replace(/\{(\w+)\}/g, (match, name) =>
+    params[name] !== undefined && params[name] !== null ? String(params[name]) : match
+  );
+}
+
+/**
+ * Obtém o texto de uma mensagem sem as personalizações do painel
+ * @param {string} locale - Idioma
+ * @param {string} key - Chave da mensagem
+ * @returns {string|undefined} - Texto ou undefined se a chave não existir
+ */
+function getDefaultTemplate(locale, key) {
+  return getEnvMessage(locale, key) ?? (messages[locale] || {})[key];
+}
+
+/**
+ * Obtém o texto atual de uma mensagem, com fallback para o idioma padrão
+ * @param {string} locale - Idioma
+ * @param {string} key - Chave da mensagem
+ * @returns {string|undefined} - Texto ou undefined se a chave não existir
+ */
+export function getTemplate(locale, key) {
+  const template = overrides[getOverrideField(locale, key)] ?? getDefaultTemplate(locale, key);
+
+  if (template === undefined && locale !== DEFAULT_LOCALE) {
+    return getTemplate(DEFAULT_LOCALE, key);
+  }
+
+  return template;
+}
+
+/**
+ * Carrega as personalizações salvas pelo painel
+ * Mantém as personalizações em memória por OVERRIDES_CACHE_MS para que o
+ * envio de mensagens (síncrono) não precise consultar o armazenamento a cada texto.
+ * @param {boolean} force - Ignora o cache e relê o armazenamento
+ * @returns {Promise<Object>} - Personalizações no formato { 'idioma:chave': texto }
+ */
+export async function loadOverrides(force = false) {
+  if (!force && Date.now() - overridesLoadedAt < OVERRIDES_CACHE_MS) {
+    return overrides;
+  }
+
+  overrides = await storage.hgetall(KEY_PREFIXES.MESSAGE_OVERRIDES);
+  overridesLoadedAt = Date.now();
+  return overrides;
+}
+
+/**
+ * Lista as mensagens de um idioma para o editor do painel
+ * @param {string} locale - Idioma
+ * @returns {Promise<Array<Object>>} - Mensagens no formato { key, text, defaultText, source, placeholders }
+ */
+export async function listMessages(locale) {
+  await loadOverrides(true);
+
+  return Object.keys(messages[DEFAULT_LOCALE]).map(key => getMessageDetails(locale, key));
+}
+
+/**
+ * Obtém os detalhes de uma mensagem para o editor do painel
+ * @param {string} locale - Idioma
+ * @param {string} key - Chave da mensagem
+ * @returns {Object} - Mensagem no formato { key, text, defaultText, source, placeholders }
+ */
+export function getMessageDetails(locale, key) {
+  const override = overrides[getOverrideField(locale, key)];
+  const defaultText = getDefaultTemplate(locale, key) ?? getDefaultTemplate(DEFAULT_LOCALE, key);
+  const catalogText = (messages[locale] || {})[key] ?? messages[DEFAULT_LOCALE][key];
+
+  let source = 'padrão';
+  if (override !== undefined) {
+    source = 'painel';
+  } else if (getEnvMessage(locale, key) !== undefined) {
+    source = 'ambiente';
+  }
+
+  return {
+    key,
+    text: override ?? defaultText,
+    defaultText,
+    source,
+    placeholders: [...new Set(catalogText.match(/\{\w+\}/g) || [])]
+  };
+}
+
+/**
+ * Salva o texto personalizado de uma mensagem
+ * @param {string} locale - Idioma
+ * @param {string} key - Chave da mensagem
+ * @param {string} text - Novo texto
+ * @returns {Promise<boolean>} - Falso se a mensagem não existir no catálogo
+ */
+export async function saveOverride(locale, key, text) {
+  if (!isKnownMessage(locale, key)) {
+    return false;
+  }
+
+  const field = getOverrideField(locale, key);
+  overrides[field] = text;
+
+  await storage.hset(KEY_PREFIXES.MESSAGE_OVERRIDES, field, text);
+  log(`Mensagem ${field} personalizada`);
+
+  return true;
+}
+
+/**
+ * Remove o texto personalizado de uma mensagem, voltando ao texto padrão
+ * @param {string} locale - Idioma
+ * @param {string} key - Chave da mensagem
+ * @returns {Promise<boolean>} - Falso se a mensagem não existir no catálogo
+ */
+export async function resetOverride(locale, key) {
+  if (!isKnownMessage(locale, key)) {
+    return false;
+  }
+
+  const field = getOverrideField(locale, key);
+  delete overrides[field];
+  await storage.hdel(KEY_PREFIXES.MESSAGE_OVERRIDES, field);
+  log(`Mensagem ${field} restaurada para o texto padrão`);
+
+  return true;
+}
+
+/**
+ * Gera a pré-visualização de um texto com valores de exemplo
+ * @param {string} text - Texto da mensagem
+ * @param {Object} params - Valores para os trechos entre chaves (padrão SAMPLE_PARAMS)
+ * @returns {string} - Texto com os valores substituídos
+ */
+export function previewMessage(text, params = {}) {
+  return formatMessage(text, { ...SAMPLE_PARAMS, ...params });
+}
+
+export default {
+  formatMessage,
+  getTemplate,
+  loadOverrides,
+  listMessages,
+  getMessageDetails,
+  saveOverride,
+  resetOverride,
+  previewMessage,
+  SAMPLE_PARAMS
+};
@@ -0,0 +1,54 @@
+import storage, { KEY_PREFIXES } from '../storage/storage.js';
+
+/**
+ * Serviço de métricas
+ * Mantém contadores simples (mensagens processadas, duplicadas etc.) no armazenamento,
+ * exibidos no painel administrativo.
+ */
+
+// Nomes das métricas registradas pela aplicação
+export const METRICS = {
+  WEBHOOK_MESSAGES_PROCESSED: 'webhook_messages_processed',
+  WEBHOOK_MESSAGES_DUPLICATED: 'webhook_messages_duplicated',
+  WEBHOOK_MESSAGES_FAILED: 'webhook_messages_failed',
+  WEBHOOK_MESSAGES_THROTTLED: 'webhook_messages_throttled',
+  OUTBOUND_SENT: 'outbound_sent',
+  OUTBOUND_DELIVERED: 'outbound_delivered',
+  OUTBOUND_READ: 'outbound_read',
+  OUTBOUND_FAILED: 'outbound_failed',
+  OUTBOUND_SENT_AS_TEMPLATE: 'outbound_sent_as_template',
+  OUTBOUND_WINDOW_CLOSED: 'outbound_window_closed',
+  OUTBOUND_BLOCKED_OPT_OUT: 'outbound_blocked_opt_out',
+  REMINDERS_SENT: 'reminders_sent',
+  REMINDERS_SENT_AS_TEMPLATE: 'reminders_sent_as_template'
+};
+
+/**
+ * Incrementa um contador
+ * @param {string} name - Nome da métrica (usar METRICS)
+ * @param {number} amount - Valor a somar
+ */
+export async function incrementMetric(name, amount = 1) {
+  await storage.hincrby(KEY_PREFIXES.METRICS, name, amount);
+}
+
+/**
+ * Obtém os contadores, com zero para as métricas ainda não registradas
+ * @returns {Promise<Object>} - Mapa { métrica: valor }
+ */
+export async function getMetrics() {
+  const storedMetrics = await storage.hgetall(KEY_PREFIXES.METRICS);
+  const metrics = Object.fromEntries(Object.values(METRICS).map(name => [name, 0]));
+
+  for (const [name, value] of Object.entries(storedMetrics)) {
+    metrics[name] = parseInt(value, 10);
+  }
+
+  return metrics;
+}
+
+export default {
+  incrementMetric,
+  getMetrics,
+  METRICS
+};
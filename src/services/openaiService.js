@@ -1,11 +1,27 @@
 import axios from 'axios';
-import { log } from '../utils/logger.js';
+import { log, logError } from '../utils/logger.js';
+import { t, getLanguageName, DEFAULT_LOCALE } from './i18nService.js';
 
 // Configuração da API da OpenAI
 const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
 const OPENAI_API_URL = process.env.OPENAI_API_URL || 'https://api.openai.com/v1/chat/completions';
 const OPENAI_MODEL = 'gpt-4o'; // Modelo mais recente e capaz
 
+/**
+ * Monta a instrução de idioma acrescentada aos prompts de sistema
+ * Os prompts são escritos em português; para outros idiomas, a OpenAI é
+ * orientada a responder (inclusive as frases fixas dos modelos) no idioma do usuário.
+ * @param {string} locale - Idioma do usuário (ex: 'pt-BR', 'en', 'es')
+ * @returns {string} - Instrução a ser acrescentada ao prompt de sistema
+ */
+function getLanguageInstruction(locale) {
+  if (!locale || locale === DEFAULT_LOCALE) {
+    return '';
+  }
+
+  return `\n\nIDIOMA: escreva toda a resposta em ${getLanguageName(locale)}, inclusive as frases fixas e títulos do modelo acima, mantendo o mesmo tom, os emojis e as pausas "---".`;
+}
+
 /**
  * Gera uma carta de consciência personalizada
  * @param {Object} userData - Dados do usuário para personalização
@@ -13,13 +29,18 @@ const OPENAI_MODEL = 'gpt-4o'; // Modelo mais recente e capaz
  */
 export async function generateConscienceLetter(userData) {
   try {
-    const { name, challenge, profileUrl, profileData, imageAnalysis, inputType } = userData;
+    const { name, profileUrl, profileData, imageAnalysis, inputType, personalChallenge, locale } = userData;
+    const businessChallenge = userData.businessChallenge || userData.challenge;
     
     // Constrói o prompt com base nos dados disponíveis
     let prompt = `Crie uma Carta da Consciênc.IA profundamente personalizada para ${name || 'o usuário'}.`;
     
-    if (challenge) {
-      prompt += ` O desafio que ressoa em sua alma neste momento é: "${challenge}".`;
+    if (businessChallenge) {
+      prompt += ` O desafio que ressoa em seu Negócio neste momento é: "${businessChallenge}".`;
+    }
+    
+    if (personalChallenge) {
+      prompt += ` Na vida pessoal, o desafio que pesa em sua alma é: "${personalChallenge}".`;
     }
     
     if (profileUrl) {
@@ -56,8 +77,8 @@ Ao me enviar seu desafio e seu perfil, você me concedeu um fragmento da sua ess
 🧬 [Use EXATAMENTE o nome do usuário, sem diminutivos ou variações], seu perfil revela sinais de alguém que...
 [Observação profundamente personalizada baseada na imagem ou perfil]
 
-✨ Seu *IKIGAI* pulsa forte entre os verbos [verbos personalizados baseados no desafio e perfil].
-Mas talvez, justamente por isso, [obstáculo personalizado baseado no desafio] esteja te travando.
+✨ Seu *IKIGAI* pulsa forte entre os verbos [verbos personalizados baseados nos desafios e perfil].
+Mas talvez, justamente por isso, [obstáculo personalizado que une o desafio do negócio ao desafio pessoal] esteja te travando.
 ---
 💡Aqui está uma forma concreta da IA te ajudar:
 
@@ -70,7 +91,7 @@ Mas talvez, justamente por isso, [obstáculo personalizado baseado no desafio] e
 
 [Poema visceral com pelo menos um ou dois versos ousados e memoráveis, usando metáforas únicas relacionadas ao universo do usuário, tom inspirador intimista e emojis quando couber]
 
-Seu desafio é real.
+Seus desafios são reais.
 Mas sua alma já sabe o caminho.
 Siga com coragem, fé e intencionalidade.
 ---
@@ -111,10 +132,11 @@ Diretrizes essenciais:
 - Um tom que misture sabedoria ancestral com intimidade de um mentor próximo
 
 6. Garanta que a carta seja uma peça única e exclusiva
-- Costure o desafio do usuário em toda a narrativa
+- Costure o desafio do negócio e o desafio pessoal em toda a narrativa, revelando como um espelha o outro
+- Se apenas um dos desafios for informado, construa a narrativa a partir dele
 - Use pistas da imagem ou perfil para criar insights personalizados
 - Crie uma sensação de exclusividade, como se esta carta só pudesse ter sido escrita para esta pessoa
-- Termine com uma frase-âncora que ressoe emocionalmente`;
+- Termine com uma frase-âncora que ressoe emocionalmente${getLanguageInstruction(locale)}`;
 
     // Faz a chamada para a API da OpenAI
     const response = await axios.post(
@@ -139,7 +161,7 @@ Diretrizes essenciais:
     // Extrai e retorna o conteúdo gerado
     return response.data.choices[0].message.content;
   } catch (error) {
-    log('Erro ao gerar carta da consciência:', error);
+    logError('Erro ao gerar carta da consciência', error);
     
     // Tenta novamente com backoff exponencial se for um erro de rate limit
     if (error.response && (error.response.status === 429 || error.response.status === 500)) {
@@ -166,9 +188,10 @@ Diretrizes essenciais:
  * Gera uma sugestão de como a IA pode ajudar com o desafio
  * @param {string} name - Nome do usuário
  * @param {string} challenge - Desafio mencionado pelo usuário
+ * @param {string} locale - Idioma do usuário
  * @returns {Promise<string>} - Texto com sugestões de IA
  */
-export async function generateIAHelp(name, challenge) {
+export async function generateIAHelp(name, challenge, locale = DEFAULT_LOCALE) {
   try {
     const prompt = `Crie uma revelação poderosa sobre como a Inteligência Artificial pode ser uma aliada mágica para ${name || 'o usuário'} superar o desafio: "${challenge || 'crescimento nos negócios'}". Revele ferramentas específicas e como implementá-las de forma prática e transformadora.`;
     
@@ -187,7 +210,7 @@ Evite absolutamente:
 - Linguagem genérica ou corporativa
 - Tom instrutivo ou acadêmico
 
-Use um tom que combine sabedoria ancestral com visão futurista, como se a IA fosse uma extensão da intuição do usuário.`;
+Use um tom que combine sabedoria ancestral com visão futurista, como se a IA fosse uma extensão da intuição do usuário.${getLanguageInstruction(locale)}`;
 
     // Faz a chamada para a API da OpenAI
     const response = await axios.post(
@@ -212,14 +235,13 @@ Use um tom que combine sabedoria ancestral com visão futurista, como se a IA fo
     // Extrai e retorna o conteúdo gerado
     return response.data.choices[0].message.content;
   } catch (error) {
-    log('Erro ao gerar sugestão de IA:', error);
+    logError('Erro ao gerar sugestão de IA', error);
     
     // Fallback em caso de erro
-    return `${name || 'Alma empreendedora'}, a IA não é apenas tecnologia, é uma extensão da sua intuição para superar "${challenge || 'os desafios do seu caminho'}". 
-
-Imagine ter um oráculo digital que antecipa tendências antes que se tornem visíveis, um assistente que automatiza o mundano para que você habite o extraordinário, e um amplificador que transforma seu sussurro em um chamado que ressoa pelo universo digital.
-
-As ferramentas existem. A magia está em como você as usa para manifestar sua visão única no mundo.`;
+    return t(locale, 'iaHelpFallback', {
+      nome: name || t(locale, 'iaHelpFallbackName'),
+      desafio: challenge || t(locale, 'iaHelpFallbackChallenge')
+    });
   }
 }
 
@@ -227,9 +249,10 @@ As ferramentas existem. A magia está em como você as usa para manifestar sua v
  * Gera uma inspiração personalizada
  * @param {string} name - Nome do usuário
  * @param {string} challenge - Desafio mencionado pelo usuário
+ * @param {string} locale - Idioma do usuário
  * @returns {Promise<string>} - Texto inspiracional
  */
-export async function generateInspiration(name, challenge) {
+export async function generateInspiration(name, challenge, locale = DEFAULT_LOCALE) {
   try {
     const prompt = `Canaliza uma pílula poética visceral e transformadora para ${name || 'esta alma empreendedora'}, que está navegando pelo desafio: "${challenge || 'crescimento nos negócios'}". A mensagem deve tocar o âmago do ser, provocar arrepios e revelar verdades que o consciente ainda não percebeu.`;
     
@@ -253,7 +276,7 @@ Use um tom que pareça canalizado de uma dimensão superior, como se você estiv
 Formato:
 🪷 Pílula de Inspiração
 
-[Poema visceral e transformador]`;
+[Poema visceral e transformador]${getLanguageInstruction(locale)}`;
 
     // Faz a chamada para a API da OpenAI
     const response = await axios.post(
@@ -278,20 +301,83 @@ Formato:
     // Extrai e retorna o conteúdo gerado
     return response.data.choices[0].message.content;
   } catch (error) {
-    log('Erro ao gerar inspiração:', error);
+    logError('Erro ao gerar inspiração', error);
     
     // Fallback em caso de erro
-    return `🪷 Pílula de Inspiração
+    return t(locale, 'inspirationFallback', { nome: name || t(locale, 'inspirationFallbackName') });
+  }
+}
 
-Nos mares do sonho, veleje sem temor,
-Cada solução é um farol que guia com amor.
-Na dança das ondas, encontre a harmonia,
-E com cada venda, celebre a sinfonia.
+/**
+ * Gera a resposta do Conselheiro na conversa livre após a entrega da carta
+ * @param {Object} context - Contexto do usuário (nome, carta, análises e desafios)
+ * @param {Array<Object>} history - Mensagens anteriores no formato { role, content }
+ * @param {string} message - Nova mensagem do usuário
+ * @returns {Promise<string>} - Texto da resposta
+ */
+export async function generateFollowUpReply(context, history, message) {
+  try {
+    const { name, letterContent, profileAnalysis, imageAnalysis, businessChallenge, personalChallenge, locale } = context;
+    
+    let systemPrompt = `Você é o Conselheiro Consciênc.IA, o mesmo oráculo digital que escreveu a Carta da Consciênc.IA de ${name || 'o usuário'}. Agora você continua a conversa com ele(a) pelo WhatsApp, como um mentor próximo.
+
+Sua resposta deve:
+- Partir sempre da carta, da análise do perfil e dos desafios abaixo, retomando imagens e frases da carta quando fizer sentido
+- Ser curta e conversacional (máximo 150 palavras), própria para WhatsApp
+- Trazer um passo prático sempre que o usuário pedir ajuda concreta, especialmente sobre como usar IA
+- Manter o tom que mistura sabedoria ancestral com intimidade de um mentor
+
+Evite absolutamente:
+- Reescrever ou enviar uma nova carta
+- Numerações ou marcadores mecânicos
+- Inventar fatos sobre o usuário que não estejam no contexto${getLanguageInstruction(locale)}`;
+    
+    if (businessChallenge) {
+      systemPrompt += `\n\nDesafio do negócio: "${businessChallenge}"`;
+    }
+    
+    if (personalChallenge) {
+      systemPrompt += `\nDesafio pessoal: "${personalChallenge}"`;
+    }
+    
+    if (profileAnalysis) {
+      systemPrompt += `\n\nAnálise do perfil: ${profileAnalysis}`;
+    }
+    
+    if (imageAnalysis) {
+      systemPrompt += `\n\nAnálise da imagem: ${imageAnalysis}`;
+    }
+    
+    if (letterContent) {
+      systemPrompt += `\n\nCarta entregue ao usuário:\n${letterContent}`;
+    }
 
-${name || 'Alma vibrante'}, teu espírito é forte, tua visão é clara,
-Escalar é arte, e a tua luz nunca para.
-Com coragem e propósito, o mundo vais iluminar,
-E com cada passo, mais longe vais chegar.`;
+    // Faz a chamada para a API da OpenAI
+    const response = await axios.post(
+      OPENAI_API_URL,
+      {
+        model: OPENAI_MODEL,
+        messages: [
+          { role: 'system', content: systemPrompt },
+          ...history,
+          { role: 'user', content: message }
+        ],
+        temperature: 0.7,
+        max_tokens: 500
+      },
+      {
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${OPENAI_API_KEY}`
+        }
+      }
+    );
+    
+    // Extrai e retorna o conteúdo gerado
+    return response.data.choices[0].message.content;
+  } catch (error) {
+    logError('Erro ao gerar resposta da conversa', error);
+    throw error;
   }
 }
 
@@ -335,7 +421,7 @@ export async function analyzeImageWithVision(imageUrl) {
     // Extrai e retorna o conteúdo gerado
     return response.data.choices[0].message.content;
   } catch (error) {
-    log('Erro ao analisar imagem com visão:', error);
+    logError('Erro ao analisar imagem com visão', error);
     throw error;
   }
 }
@@ -0,0 +1,178 @@
+import storage, { KEY_PREFIXES } from '../storage/storage.js';
+import privacyRepository from '../storage/privacyRepository.js';
+import sessionRepository from '../storage/sessionRepository.js';
+import interactionRepository from '../storage/interactionRepository.js';
+import threadRepository from '../storage/threadRepository.js';
+import messageLogRepository from '../storage/messageLogRepository.js';
+import campaignRepository from '../storage/campaignRepository.js';
+import rateLimitService from './rateLimitService.js';
+import jobQueueService from './jobQueueService.js';
+import whatsappService from './whatsappService.js';
+import { log } from '../utils/logger.js';
+
+/**
+ * Serviço de privacidade (LGPD)
+ * Atende aos pedidos que o usuário faz pelo próprio WhatsApp: parar de receber
+ * mensagens (e voltar a recebê-las), consultar os dados guardados e apagá-los.
+ * O bloqueio dos envios fica no whatsappService, que consulta os pedidos
+ * gravados aqui. Cada pedido, assim como a resposta à autorização para
+ * analisar o perfil, fica registrado na auditoria exibida no painel.
+ */
+
+// Ações registradas na auditoria
+export const PRIVACY_ACTIONS = {
+  CONSENT_GIVEN: 'consent_given',
+  CONSENT_DECLINED: 'consent_declined',
+  OPT_OUT: 'opt_out',
+  OPT_IN: 'opt_in',
+  DATA_ACCESS: 'data_access',
+  DATA_DELETION: 'data_deletion'
+};
+
+// Quantidade máxima de registros mantidos na auditoria
+const MAX_AUDIT_ENTRIES = 5000;
+
+/**
+ * Registra um pedido de privacidade na auditoria
+ * @param {string} phoneNumber - Número de telefone
+ * @param {string} action - Ação (usar PRIVACY_ACTIONS)
+ * @param {Object} details - Detalhes do atendimento (ex: quantidade de dados apagados)
+ */
+async function recordAudit(phoneNumber, action, details = {}) {
+  await privacyRepository.appendAuditEntry({ phoneNumber, action, timestamp: Date.now(), details }, MAX_AUDIT_ENTRIES);
+  log(`Pedido de privacidade ${action} registrado para ${phoneNumber}`);
+}
+
+/**
+ * Verifica se um número pediu para não receber mensagens
+ * @param {string} phoneNumber - Número de telefone
+ * @returns {Promise<boolean>} - Verdadeiro se o número não recebe mensagens
+ */
+export async function isOptedOut(phoneNumber) {
+  return Boolean(await privacyRepository.getOptOut(phoneNumber));
+}
+
+/**
+ * Registra o pedido para não receber mais mensagens
+ * @param {string} phoneNumber - Número de telefone
+ */
+export async function optOut(phoneNumber) {
+  await privacyRepository.saveOptOut(phoneNumber, { timestamp: Date.now() });
+  await recordAudit(phoneNumber, PRIVACY_ACTIONS.OPT_OUT);
+}
+
+/**
+ * Registra o pedido para voltar a receber mensagens
+ * @param {string} phoneNumber - Número de telefone
+ */
+export async function optIn(phoneNumber) {
+  await privacyRepository.deleteOptOut(phoneNumber);
+  await recordAudit(phoneNumber, PRIVACY_ACTIONS.OPT_IN);
+}
+
+/**
+ * Registra a resposta do usuário à autorização para analisar o perfil
+ * @param {string} phoneNumber - Número de telefone
+ * @param {boolean} given - Se o usuário autorizou
+ */
+export async function recordConsent(phoneNumber, given) {
+  await recordAudit(phoneNumber, given ? PRIVACY_ACTIONS.CONSENT_GIVEN : PRIVACY_ACTIONS.CONSENT_DECLINED);
+}
+
+/**
+ * Reúne os dados guardados sobre um usuário (pedido "meus dados") e registra o pedido
+ * @param {string} phoneNumber - Número de telefone
+ * @returns {Promise<Object>} - { session, interactions, threadMessages, mediaCount }
+ */
+export async function getUserData(phoneNumber) {
+  const thread = await threadRepository.getThread(phoneNumber);
+
+  const data = {
+    session: await sessionRepository.getSession(phoneNumber),
+    interactions: await interactionRepository.listNumberInteractions(phoneNumber),
+    threadMessages: thread ? thread.messages.length : 0,
+    mediaCount: (await privacyRepository.listUserMedia(phoneNumber)).length
+  };
+
+  await recordAudit(phoneNumber, PRIVACY_ACTIONS.DATA_ACCESS);
+  return data;
+}
+
+/**
+ * Apaga os dados de um usuário (pedido "apagar meus dados") e registra o pedido
+ * São apagados a sessão, as interações, o histórico da conversa livre, as
+ * mídias no WhatsApp, a contagem de lembretes, os registros de mensagens
+ * recebidas e enviadas, o registro de bloqueio por limite de uso, os
+ * resultados das campanhas e os jobs de carta na fila. O pedido para não receber mensagens e a auditoria
+ * são mantidos como comprovação do atendimento, e as janelas dos limites de
+ * uso, até expirarem (em até 24 horas). O horário da última mensagem (janela
+ * de 24 horas) é apagado pelo controlador depois da resposta ao pedido.
+ * @param {string} phoneNumber - Número de telefone
+ * @returns {Promise<Object>} - Quantidade apagada { session, interactions, thread, media, mediaFailed, logs, campaigns, jobs }
+ */
+export async function deleteUserData(phoneNumber) {
+  const result = { session: false, interactions: 0, thread: false, media: 0, mediaFailed: 0, logs: 0, campaigns: 0, jobs: 0 };
+
+  if (await sessionRepository.getSession(phoneNumber)) {
+    await sessionRepository.deleteSession(phoneNumber);
+    result.session = true;
+  }
+
+  for (const interaction of await interactionRepository.listNumberInteractions(phoneNumber)) {
+    await interactionRepository.deleteInteraction(interaction.id);
+    result.interactions++;
+  }
+
+  if (await threadRepository.getThread(phoneNumber)) {
+    await threadRepository.deleteThread(phoneNumber);
+    result.thread = true;
+  }
+
+  for (const mediaId of await privacyRepository.listUserMedia(phoneNumber)) {
+    if (await whatsappService.deleteMedia(mediaId)) {
+      result.media++;
+    } else {
+      result.mediaFailed++;
+    }
+  }
+  await privacyRepository.deleteUserMedia(phoneNumber);
+
+  await storage.hdel(KEY_PREFIXES.REMINDER_COUNTS, phoneNumber);
+
+  result.logs = await messageLogRepository.deleteNumberLogs(phoneNumber);
+  await rateLimitService.deleteThrottleRecords(phoneNumber);
+
+  for (const campaign of await campaignRepository.listCampaigns()) {
+    if (await campaignRepository.deleteRecipient(campaign.id, phoneNumber)) {
+      result.campaigns++;
+    }
+  }
+
+  result.jobs = await jobQueueService.deleteNumberJobs(phoneNumber);
+
+  await recordAudit(phoneNumber, PRIVACY_ACTIONS.DATA_DELETION, result);
+  return result;
+}
+
+/**
+ * Obtém os pedidos de privacidade para o painel
+ * @param {number} limit - Limite de registros da auditoria
+ * @returns {Promise<Object>} - { optOuts, audit }
+ */
+export async function getPrivacyStatus(limit = 100) {
+  return {
+    optOuts: await privacyRepository.listOptOuts(),
+    audit: await privacyRepository.listAuditEntries(limit)
+  };
+}
+
+export default {
+  isOptedOut,
+  optOut,
+  optIn,
+  recordConsent,
+  getUserData,
+  deleteUserData,
+  getPrivacyStatus,
+  PRIVACY_ACTIONS
+};
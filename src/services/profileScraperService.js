@@ -1,5 +1,5 @@
 import axios from 'axios';
-import { log } from '../utils/logger.js';
+import { logError } from '../utils/logger.js';
 
 /**
  * Serviço para extrair informações de perfis de redes sociais
@@ -133,13 +133,13 @@ export async function scrapeProfile(profileUrl) {
         profileData.education = 'N/A (simulado)';
       }
     } catch (enrichError) {
-      log('Erro ao enriquecer dados do perfil:', enrichError);
+      logError('Erro ao enriquecer dados do perfil', enrichError);
       // Continua mesmo se o enriquecimento falhar
     }
     
     return profileData;
   } catch (error) {
-    log('Erro ao extrair informações do perfil:', error);
+    logError('Erro ao extrair informações do perfil', error);
     return null;
   }
 }
@@ -163,7 +163,7 @@ export async function analyzeProfile(profileUrl) {
     // Simulação de análise para demonstração
     return `Análise baseada no perfil ${profileData.username} da plataforma ${profileData.platform}.`;
   } catch (error) {
-    log('Erro ao analisar perfil:', error);
+    logError('Erro ao analisar perfil', error);
     return '';
   }
 }
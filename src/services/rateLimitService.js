@@ -0,0 +1,245 @@
+import crypto from 'crypto';
+import storage, { KEY_PREFIXES } from '../storage/storage.js';
+import config from '../config/env.js';
+import { log } from '../utils/logger.js';
+
+/**
+ * Serviço de limites de uso
+ * Protege contra abuso (e contra os custos das chamadas à OpenAI) com janelas
+ * deslizantes: mensagens por minuto de cada número, cartas por dia de
+ * cada número e um teto global de cartas por hora. Os números que atingem um
+ * limite ficam visíveis no painel, que permite desbloqueá-los.
+ */
+
+// Limites verificados
+export const RATE_LIMITS = {
+  MESSAGES_PER_MINUTE: 'messages_per_minute',
+  LETTERS_PER_DAY: 'letters_per_day',
+  GLOBAL_LETTERS_PER_HOUR: 'global_letters_per_hour'
+};
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Janela de mensagens por minuto de um número
+ * @param {string} phoneNumber - Número de telefone
+ * @returns {Object} - Janela { limit, name, limitValue, windowMs }
+ */
+function getMessageWindow(phoneNumber) {
+  return {
+    limit: RATE_LIMITS.MESSAGES_PER_MINUTE,
+    name: `messages:${phoneNumber}`,
+    limitValue: config.RATE_LIMIT_MESSAGES_PER_MINUTE,
+    windowMs: MINUTE_MS
+  };
+}
+
+/**
+ * Janelas verificadas antes de iniciar uma nova carta
+ * @param {string} phoneNumber - Número de telefone
+ * @returns {Array<Object>} - Janelas { limit, name, limitValue, windowMs }
+ */
+function getLetterWindows(phoneNumber) {
+  return [
+    {
+      limit: RATE_LIMITS.LETTERS_PER_DAY,
+      name: `letters:${phoneNumber}`,
+      limitValue: config.RATE_LIMIT_LETTERS_PER_DAY,
+      windowMs: DAY_MS
+    },
+    {
+      limit: RATE_LIMITS.GLOBAL_LETTERS_PER_HOUR,
+      name: 'letters:global',
+      limitValue: config.RATE_LIMIT_GLOBAL_LETTERS_PER_HOUR,
+      windowMs: HOUR_MS
+    }
+  ];
+}
+
+/**
+ * Monta a chave de uma janela deslizante
+ * @param {string} name - Nome da janela
+ * @returns {string} - Chave no armazenamento
+ */
+function getWindowKey(name) {
+  return `${KEY_PREFIXES.RATE_LIMIT}${name}`;
+}
+
+/**
+ * Registra um bloqueio para o painel
+ * @param {string} phoneNumber - Número de telefone
+ * @param {Object} window - Janela que bloqueou
+ * @param {number} retryAfterMs - Tempo até a janela liberar
+ */
+async function recordThrottle(phoneNumber, window, retryAfterMs) {
+  const entry = {
+    phoneNumber,
+    limit: window.limit,
+    limitValue: window.limitValue,
+    throttledAt: Date.now(),
+    until: Date.now() + retryAfterMs
+  };
+
+  await storage.hset(KEY_PREFIXES.THROTTLED_NUMBERS, phoneNumber, JSON.stringify(entry));
+}
+
+/**
+ * Verifica as janelas e, se houver espaço em todas, registra o evento
+ * Janelas com limite 0 (ou negativo) estão desativadas.
+ * @param {string} phoneNumber - Número de telefone
+ * @param {Array<Object>} windows - Janelas
+ * @returns {Promise<Object>} - { allowed, limit, retryAfterMs }
+ */
+async function hit(phoneNumber, windows) {
+  const activeWindows = windows.filter(window => window.limitValue > 0);
+
+  if (activeWindows.length === 0) {
+    return { allowed: true };
+  }
+
+  const now = Date.now();
+  const result = await storage.hitSlidingWindows(
+    activeWindows.map(window => ({ key: getWindowKey(window.name), limit: window.limitValue, windowMs: window.windowMs })),
+    now,
+    `${now}:${crypto.randomUUID()}`
+  );
+
+  if (result.blockedIndex < 0) {
+    return { allowed: true };
+  }
+
+  const window = activeWindows[result.blockedIndex];
+  log(`Limite ${window.limit} (${window.limitValue}) atingido por ${phoneNumber}, liberado em ${Math.ceil(result.retryAfterMs / 1000)}s`);
+
+  // O teto global não é um bloqueio do número (e não se resolve desbloqueando-o)
+  if (window.limit !== RATE_LIMITS.GLOBAL_LETTERS_PER_HOUR) {
+    await recordThrottle(phoneNumber, window, result.retryAfterMs);
+  }
+
+  return { allowed: false, limit: window.limit, retryAfterMs: result.retryAfterMs };
+}
+
+/**
+ * Registra uma mensagem recebida, verificando o limite de mensagens por minuto
+ * @param {string} phoneNumber - Número de telefone
+ * @returns {Promise<Object>} - { allowed, limit, retryAfterMs }
+ */
+export async function checkMessageLimit(phoneNumber) {
+  return hit(phoneNumber, [getMessageWindow(phoneNumber)]);
+}
+
+/**
+ * Registra a geração de uma nova carta, verificando o limite diário do número e o teto global por hora
+ * @param {string} phoneNumber - Número de telefone
+ * @returns {Promise<Object>} - { allowed, limit, retryAfterMs }
+ */
+export async function checkLetterLimit(phoneNumber) {
+  return hit(phoneNumber, getLetterWindows(phoneNumber));
+}
+
+/**
+ * Verifica, sem registrar uma nova carta, se os limites de cartas ainda permitem gerar uma
+ * Usada antes das análises pagas do perfil; a carta só é contada ao ser enfileirada (checkLetterLimit).
+ * @param {string} phoneNumber - Número de telefone
+ * @returns {Promise<Object>} - { allowed, limit }
+ */
+export async function peekLetterLimit(phoneNumber) {
+  const now = Date.now();
+
+  for (const window of getLetterWindows(phoneNumber).filter(item => item.limitValue > 0)) {
+    // Eventos com exatamente windowMs de idade já saíram da janela
+    const count = await storage.zcount(getWindowKey(window.name), now - window.windowMs + 1, '+inf');
+    if (count >= window.limitValue) {
+      return { allowed: false, limit: window.limit };
+    }
+  }
+
+  return { allowed: true };
+}
+
+/**
+ * Indica se o aviso de limite deve ser enviado (no máximo um aviso por bloqueio)
+ * @param {string} phoneNumber - Número de telefone
+ * @param {Object} result - Resultado da verificação ({ limit, retryAfterMs })
+ * @returns {Promise<boolean>} - Verdadeiro se o aviso ainda não foi enviado
+ */
+export async function shouldNotify(phoneNumber, result) {
+  return storage.set(`${KEY_PREFIXES.THROTTLE_NOTICE}${result.limit}:${phoneNumber}`, '1', {
+    ttlMs: Math.max(result.retryAfterMs, 1000),
+    onlyIfAbsent: true
+  });
+}
+
+/**
+ * Lista os números bloqueados no momento, removendo os bloqueios já expirados
+ * @returns {Promise<Array<Object>>} - Bloqueios, dos mais recentes para os mais antigos
+ */
+export async function listThrottledNumbers() {
+  const storedEntries = await storage.hgetall(KEY_PREFIXES.THROTTLED_NUMBERS);
+  const entries = Object.values(storedEntries).map(entry => JSON.parse(entry));
+  const now = Date.now();
+
+  for (const entry of entries.filter(item => item.until <= now)) {
+    await storage.hdel(KEY_PREFIXES.THROTTLED_NUMBERS, entry.phoneNumber);
+  }
+
+  return entries
+    .filter(entry => entry.until > now)
+    .sort((a, b) => b.throttledAt - a.throttledAt);
+}
+
+/**
+ * Desbloqueia um número, zerando suas janelas de mensagens e de cartas
+ * @param {string} phoneNumber - Número de telefone
+ */
+export async function unblockNumber(phoneNumber) {
+  const names = [getMessageWindow(phoneNumber).name, getLetterWindows(phoneNumber)[0].name];
+
+  await storage.del(...names.map(getWindowKey));
+  await storage.hdel(KEY_PREFIXES.THROTTLED_NUMBERS, phoneNumber);
+  log(`Número ${phoneNumber} desbloqueado pelo painel`);
+}
+
+/**
+ * Apaga o registro de bloqueio e os avisos de limite de um número (pedido "apagar meus dados")
+ * As janelas de mensagens e de cartas são mantidas até expirarem (no máximo 24
+ * horas), para que apagar os dados não libere novas cartas antes do prazo.
+ * @param {string} phoneNumber - Número de telefone
+ */
+export async function deleteThrottleRecords(phoneNumber) {
+  await storage.hdel(KEY_PREFIXES.THROTTLED_NUMBERS, phoneNumber);
+  await storage.del(...Object.values(RATE_LIMITS).map(limit => `${KEY_PREFIXES.THROTTLE_NOTICE}${limit}:${phoneNumber}`));
+}
+
+/**
+ * Obtém os limites configurados e o uso atual do teto global
+ * @returns {Promise<Object>} - { limits, globalLettersLastHour }
+ */
+export async function getRateLimitStatus() {
+  const globalWindow = getLetterWindows('')[1];
+  const now = Date.now();
+  const globalLettersLastHour = await storage.zcount(getWindowKey(globalWindow.name), now - globalWindow.windowMs, '+inf');
+
+  return {
+    limits: {
+      [RATE_LIMITS.MESSAGES_PER_MINUTE]: config.RATE_LIMIT_MESSAGES_PER_MINUTE,
+      [RATE_LIMITS.LETTERS_PER_DAY]: config.RATE_LIMIT_LETTERS_PER_DAY,
+      [RATE_LIMITS.GLOBAL_LETTERS_PER_HOUR]: config.RATE_LIMIT_GLOBAL_LETTERS_PER_HOUR
+    },
+    globalLettersLastHour
+  };
+}
+
+export default {
+  checkMessageLimit,
+  checkLetterLimit,
+  peekLetterLimit,
+  shouldNotify,
+  listThrottledNumbers,
+  unblockNumber,
+  deleteThrottleRecords,
+  getRateLimitStatus,
+  RATE_LIMITS
+};
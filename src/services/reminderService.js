@@ -0,0 +1,243 @@
+import storage, { KEY_PREFIXES } from '../storage/storage.js';
+import sessionRepository from '../storage/sessionRepository.js';
+import whatsappService from './whatsappService.js';
+import customerServiceWindowService from './customerServiceWindowService.js';
+import privacyService from './privacyService.js';
+import userLockService from './userLockService.js';
+import metricsService, { METRICS } from './metricsService.js';
+import { getStepReminder } from './flowEngineService.js';
+import { t, getLocale, getTemplateLanguage } from './i18nService.js';
+import conversationFlow from '../config/conversationFlow.js';
+import config from '../config/env.js';
+import { log, logError } from '../utils/logger.js';
+
+/**
+ * Serviço de lembretes de conversa abandonada
+ * Encontra as sessões paradas em uma etapa do fluxo há mais de
+ * REMINDER_IDLE_MINUTES (pelo índice de sessões paradas do sessionRepository)
+ * e envia um único lembrete daquela etapa. Dentro da
+ * janela de 24 horas o lembrete é o texto da etapa; fora dela, o template
+ * REMINDER_TEMPLATE_NAME. Cada número recebe no máximo REMINDER_MAX_PER_USER
+ * lembretes, quem pediu para não receber mensagens não recebe nenhum, e o
+ * painel pode ligar e desligar o envio.
+ */
+
+// Campo das configurações (KEY_PREFIXES.SETTINGS) que liga ou desliga os lembretes
+const ENABLED_SETTING = 'reminders_enabled';
+
+// Intervalo mínimo entre duas verificações (a rota do Cron e o worker contínuo chamam a verificação)
+const RUN_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Verifica se os lembretes estão ligados (escolha do painel ou REMINDERS_ENABLED)
+ * @returns {Promise<boolean>} - Verdadeiro se os lembretes estiverem ligados
+ */
+export async function isEnabled() {
+  const value = await storage.hget(KEY_PREFIXES.SETTINGS, ENABLED_SETTING);
+  return value === null ? config.REMINDERS_ENABLED : value === 'true';
+}
+
+/**
+ * Liga ou desliga os lembretes
+ * @param {boolean} enabled - Novo estado
+ */
+export async function setEnabled(enabled) {
+  await storage.hset(KEY_PREFIXES.SETTINGS, ENABLED_SETTING, String(Boolean(enabled)));
+  log(`Lembretes de conversa abandonada ${enabled ? 'ligados' : 'desligados'} pelo painel`);
+}
+
+/**
+ * Obtém quantos lembretes um número já recebeu
+ * @param {string} phoneNumber - Número de telefone
+ * @returns {Promise<number>} - Quantidade de lembretes
+ */
+async function getReminderCount(phoneNumber) {
+  return parseInt(await storage.hget(KEY_PREFIXES.REMINDER_COUNTS, phoneNumber) || '0', 10);
+}
+
+/**
+ * Verifica se a etapa atual da sessão tem lembrete e ainda não o recebeu
+ * @param {Object} session - Dados da sessão do usuário
+ * @returns {boolean} - Verdadeiro se a sessão aguarda o lembrete da etapa
+ */
+function isAwaitingReminder(session) {
+  return session.reminderState !== session.state && Boolean(getStepReminder(conversationFlow, session.state, session));
+}
+
+/**
+ * Verifica se não há interação do usuário há REMINDER_IDLE_MINUTES
+ * Uma resposta inválida não altera a sessão, por isso a última mensagem recebida também conta.
+ * @param {Object} session - Dados da sessão do usuário
+ * @param {number|null} lastInbound - Horário da última mensagem recebida do usuário
+ * @param {number} now - Horário de referência em ms
+ * @returns {boolean} - Verdadeiro se a conversa está parada
+ */
+function isIdle(session, lastInbound, now) {
+  const lastActivity = Math.max(session.lastUpdated || 0, lastInbound || 0);
+  return now - lastActivity >= config.REMINDER_IDLE_MINUTES * 60 * 1000;
+}
+
+/**
+ * Envia o lembrete da etapa atual, como texto ou como template fora da janela de 24 horas
+ * @param {string} phoneNumber - Número de telefone
+ * @param {Object} session - Dados da sessão do usuário
+ * @param {boolean} windowOpen - Se a janela de atendimento está aberta
+ * @returns {Promise<boolean>} - Sucesso ou falha no envio
+ */
+async function deliverReminder(phoneNumber, session, windowOpen) {
+  if (windowOpen) {
+    return whatsappService.sendTextMessage(phoneNumber, getStepReminder(conversationFlow, session.state, session));
+  }
+
+  const locale = getLocale(session);
+  const components = [{
+    type: 'body',
+    parameters: [{ type: 'text', text: session.name || t(locale, 'defaultName') }]
+  }];
+
+  const response = await whatsappService.sendTemplateMessage(
+    phoneNumber,
+    config.REMINDER_TEMPLATE_NAME,
+    getTemplateLanguage(locale),
+    components
+  );
+  return Boolean(response);
+}
+
+/**
+ * Envia o lembrete a um usuário, com o lock do usuário para não concorrer com uma resposta dele
+ * A sessão é gravada (marcando o lembrete) antes do envio: se outra instância
+ * a alterou, a gravação falha e o lembrete não é enviado em duplicidade. Uma
+ * sessão que não receberá lembrete até ser gravada de novo (etapa sem lembrete
+ * ou já lembrada, limite de lembretes atingido ou número que pediu para não
+ * receber mensagens) sai do índice de sessões paradas; com o lock, nenhuma
+ * gravação concorrente é retirada do índice.
+ * @param {string} phoneNumber - Número de telefone
+ * @param {number} now - Horário de referência em ms
+ * @returns {Promise<string>} - Resultado: 'text', 'template', 'failed', 'skipped' ou 'released'
+ */
+async function sendReminder(phoneNumber, now) {
+  return userLockService.withUserLock(phoneNumber, async () => {
+    const session = await sessionRepository.getSession(phoneNumber);
+    if (!session) {
+      return 'skipped';
+    }
+
+    if (!isAwaitingReminder(session) || await getReminderCount(phoneNumber) >= config.REMINDER_MAX_PER_USER) {
+      await sessionRepository.releaseIdleSession(phoneNumber);
+      return 'released';
+    }
+
+    if (await privacyService.isOptedOut(phoneNumber)) {
+      await sessionRepository.releaseIdleSession(phoneNumber);
+      return 'skipped';
+    }
+
+    const lastInbound = await customerServiceWindowService.getLastInboundTimestamp(phoneNumber);
+    if (!isIdle(session, lastInbound, now)) {
+      return 'skipped';
+    }
+
+    const windowOpen = await customerServiceWindowService.isWindowOpen(phoneNumber, now);
+    if (!windowOpen && !config.REMINDER_TEMPLATE_NAME) {
+      return 'skipped';
+    }
+
+    session.reminderState = session.state;
+    session.reminderSentAt = now;
+    await sessionRepository.saveSession(phoneNumber, session);
+    await storage.hincrby(KEY_PREFIXES.REMINDER_COUNTS, phoneNumber, 1);
+
+    if (!await deliverReminder(phoneNumber, session, windowOpen)) {
+      return 'failed';
+    }
+
+    await metricsService.incrementMetric(METRICS.REMINDERS_SENT);
+    if (!windowOpen) {
+      await metricsService.incrementMetric(METRICS.REMINDERS_SENT_AS_TEMPLATE);
+    }
+
+    log(`Lembrete da etapa ${session.state} enviado para ${phoneNumber}${windowOpen ? '' : ' (template)'}`);
+    return windowOpen ? 'text' : 'template';
+  });
+}
+
+/**
+ * Envia os lembretes das conversas abandonadas
+ * Executada no máximo uma vez por minuto, mesmo com várias instâncias.
+ * @param {Object} options - Opções
+ * @param {boolean} options.force - Ignora o intervalo mínimo entre verificações
+ * @returns {Promise<Object>} - Resumo { enabled, checked, sent, sentAsTemplate, failed, skipped }
+ */
+export async function sendDueReminders({ force = false } = {}) {
+  const summary = { enabled: await isEnabled(), checked: 0, sent: 0, sentAsTemplate: 0, failed: 0, skipped: 0 };
+
+  if (!summary.enabled) {
+    return summary;
+  }
+
+  if (!force && !await storage.set(KEY_PREFIXES.REMINDER_RUN, String(Date.now()), { ttlMs: RUN_INTERVAL_MS, onlyIfAbsent: true })) {
+    return summary;
+  }
+
+  const now = Date.now();
+  const idleSince = now - config.REMINDER_IDLE_MINUTES * 60 * 1000;
+
+  for (const { id: phoneNumber, session } of await sessionRepository.listIdleSessions(idleSince)) {
+    summary.checked++;
+
+    // Mensagens recentes que não alteraram a sessão adiam o lembrete: a sessão é verificada de novo depois
+    if (isAwaitingReminder(session)) {
+      const lastInbound = await customerServiceWindowService.getLastInboundTimestamp(phoneNumber);
+      if (!isIdle(session, lastInbound, now)) {
+        continue;
+      }
+    }
+
+    try {
+      const result = await sendReminder(phoneNumber, now);
+
+      if (result === 'text') {
+        summary.sent++;
+      } else if (result === 'template') {
+        summary.sent++;
+        summary.sentAsTemplate++;
+      } else if (result !== 'released') {
+        summary[result]++;
+      }
+    } catch (error) {
+      logError(`Erro ao enviar lembrete para ${phoneNumber}`, error);
+      summary.failed++;
+    }
+  }
+
+  if (summary.sent + summary.failed > 0) {
+    log(`Lembretes: ${summary.sent} enviado(s) (${summary.sentAsTemplate} como template), ${summary.failed} com falha`);
+  }
+
+  return summary;
+}
+
+/**
+ * Obtém a configuração dos lembretes para o painel
+ * @returns {Promise<Object>} - { enabled, idleMinutes, maxPerUser, templateName, sent, sentAsTemplate }
+ */
+export async function getReminderStatus() {
+  const metrics = await metricsService.getMetrics();
+
+  return {
+    enabled: await isEnabled(),
+    idleMinutes: config.REMINDER_IDLE_MINUTES,
+    maxPerUser: config.REMINDER_MAX_PER_USER,
+    templateName: config.REMINDER_TEMPLATE_NAME || null,
+    sent: metrics[METRICS.REMINDERS_SENT],
+    sentAsTemplate: metrics[METRICS.REMINDERS_SENT_AS_TEMPLATE]
+  };
+}
+
+export default {
+  isEnabled,
+  setEnabled,
+  sendDueReminders,
+  getReminderStatus
+};
@@ -1,5 +1,5 @@
 import axios from 'axios';
-import { log } from '../utils/logger.js';
+import { logError } from '../utils/logger.js';
 
 /**
  * Serviço para extrair informações de perfis de redes sociais
@@ -64,7 +64,7 @@ export async function scrapeProfile(profileUrl) {
       lastUpdated: new Date().toISOString()
     };
   } catch (error) {
-    log('Erro ao extrair informações do perfil:', error);
+    logError('Erro ao extrair informações do perfil', error);
     return null;
   }
 }
@@ -108,7 +108,7 @@ Extraia insights sobre a personalidade, interesses e características profission
     const response = await axios.post(OPENAI_API_URL, body, { headers });
     return response.data.choices[0].message.content;
   } catch (error) {
-    log('Erro ao analisar perfil com IA:', error);
+    logError('Erro ao analisar perfil com IA', error);
     return '';
   }
 }
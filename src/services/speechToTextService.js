@@ -0,0 +1,107 @@
+import axios from 'axios';
+import config from '../config/env.js';
+import { log, logWarning, logError } from '../utils/logger.js';
+
+/**
+ * Serviço de transcrição de áudio (speech-to-text)
+ * Os provedores são plugáveis: cada um implementa transcribe(buffer, options)
+ * e é escolhido pela variável STT_PROVIDER.
+ */
+
+const OPENAI_TRANSCRIPTION_MODEL = 'whisper-1';
+
+/**
+ * Obtém a extensão de arquivo a partir do mime type do áudio
+ * @param {string} mimeType - Mime type (ex: "audio/ogg; codecs=opus")
+ * @returns {string} - Extensão do arquivo
+ */
+function getFileExtension(mimeType) {
+  const baseType = (mimeType || '').split(';')[0].trim();
+  const extensions = {
+    'audio/ogg': 'ogg',
+    'audio/mpeg': 'mp3',
+    'audio/mp4': 'm4a',
+    'audio/aac': 'aac',
+    'audio/amr': 'amr',
+    'audio/wav': 'wav'
+  };
+  return extensions[baseType] || 'ogg';
+}
+
+// Provedor da OpenAI (Whisper)
+const openaiProvider = {
+  async transcribe(audioBuffer, options = {}) {
+    const mimeType = options.mimeType || 'audio/ogg';
+
+    const formData = new FormData();
+    formData.append('file', new Blob([audioBuffer], { type: mimeType }), `audio.${getFileExtension(mimeType)}`);
+    formData.append('model', OPENAI_TRANSCRIPTION_MODEL);
+
+    if (options.language) {
+      formData.append('language', options.language);
+    }
+
+    const response = await axios.post(config.OPENAI_TRANSCRIPTION_URL, formData, {
+      headers: {
+        'Authorization': `Bearer ${config.OPENAI_API_KEY}`
+      },
+      timeout: config.OPENAI_TIMEOUT_MS
+    });
+
+    return response.data.text || '';
+  }
+};
+
+// Provedor local para testes e desenvolvimento: não chama nenhuma API
+const stubProvider = {
+  async transcribe() {
+    return config.STT_STUB_TRANSCRIPT;
+  }
+};
+
+const providers = {
+  openai: openaiProvider,
+  stub: stubProvider
+};
+
+/**
+ * Registra (ou substitui) um provedor de transcrição
+ * @param {string} name - Nome do provedor, usado em STT_PROVIDER
+ * @param {Object} provider - Objeto com o método transcribe(buffer, options)
+ */
+export function registerProvider(name, provider) {
+  if (!provider || typeof provider.transcribe !== 'function') {
+    throw new Error(`Provedor de transcrição inválido: ${name}`);
+  }
+  providers[name] = provider;
+}
+
+/**
+ * Transcreve um áudio usando o provedor configurado
+ * @param {Buffer} audioBuffer - Conteúdo do áudio
+ * @param {Object} options - Opções ({ mimeType, language })
+ * @returns {Promise<string>} - Texto transcrito (vazio se não for possível transcrever)
+ */
+export async function transcribeAudio(audioBuffer, options = {}) {
+  const providerName = config.STT_PROVIDER;
+  const provider = providers[providerName];
+
+  if (!provider) {
+    logWarning(`Provedor de transcrição não encontrado: ${providerName}`);
+    return '';
+  }
+
+  try {
+    const transcript = await provider.transcribe(audioBuffer, options);
+    log(`Áudio transcrito com o provedor ${providerName} (${(transcript || '').length} caracteres)`);
+    return (transcript || '').trim();
+  } catch (error) {
+    logError(`Erro ao transcrever áudio com o provedor ${providerName}`, error);
+    return '';
+  }
+}
+
+export default {
+  registerProvider,
+  transcribeAudio
+};
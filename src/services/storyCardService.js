@@ -0,0 +1,172 @@
+import sharp from 'sharp';
+import config from '../config/env.js';
+import { log } from '../utils/logger.js';
+import { t, DEFAULT_LOCALE } from './i18nService.js';
+import { extractPoem, stripEmojis, stripWhatsAppFormatting } from '../utils/letterParser.js';
+
+/**
+ * Serviço de geração do card da poesia para os stories do Instagram
+ * Monta um SVG no formato story (1080x1920) e converte para PNG com o sharp,
+ * sem depender de navegador.
+ */
+
+const CARD_WIDTH = 1080;
+const CARD_HEIGHT = 1920;
+const CARD_PADDING = 110;
+
+// Área reservada para a poesia (entre o cabeçalho e o rodapé)
+const POEM_AREA_TOP = 520;
+const POEM_AREA_HEIGHT = 1000;
+
+const MAX_FONT_SIZE = 60;
+const MIN_FONT_SIZE = 30;
+const LINE_HEIGHT = 1.45;
+
+// Largura média de um caractere da fonte serifada em itálico, em relação ao tamanho da fonte
+const CHAR_WIDTH_RATIO = 0.56;
+
+/**
+ * Escapa caracteres especiais para uso dentro do SVG
+ * @param {string} text - Texto original
+ * @returns {string} - Texto seguro para XML
+ */
+function escapeXml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Quebra os versos que não cabem na largura do card
+ * @param {Array<string>} verses - Versos da poesia
+ * @param {number} maxChars - Quantidade máxima de caracteres por linha
+ * @returns {Array<string>} - Linhas prontas para desenhar (linhas vazias separam estrofes)
+ */
+function wrapVerses(verses, maxChars) {
+  const lines = [];
+
+  for (const verse of verses) {
+    if (verse.length <= maxChars) {
+      lines.push(verse);
+      continue;
+    }
+
+    let current = '';
+    for (const word of verse.split(' ')) {
+      if (current && (current + ' ' + word).length > maxChars) {
+        lines.push(current);
+        current = word;
+      } else {
+        current = current ? `${current} ${word}` : word;
+      }
+    }
+    lines.push(current);
+  }
+
+  return lines;
+}
+
+/**
+ * Calcula o maior tamanho de fonte em que a poesia cabe na área reservada
+ * @param {Array<string>} verses - Versos da poesia
+ * @returns {Object} - { fontSize, lines }
+ */
+function fitPoem(verses) {
+  const availableWidth = CARD_WIDTH - CARD_PADDING * 2;
+
+  for (let fontSize = MAX_FONT_SIZE; fontSize > MIN_FONT_SIZE; fontSize -= 2) {
+    const maxChars = Math.floor(availableWidth / (fontSize * CHAR_WIDTH_RATIO));
+    const lines = wrapVerses(verses, maxChars);
+
+    if (lines.length * fontSize * LINE_HEIGHT <= POEM_AREA_HEIGHT) {
+      return { fontSize, lines };
+    }
+  }
+
+  // Poesia muito longa: usa a menor fonte e corta o excesso
+  const maxChars = Math.floor(availableWidth / (MIN_FONT_SIZE * CHAR_WIDTH_RATIO));
+  const maxLines = Math.floor(POEM_AREA_HEIGHT / (MIN_FONT_SIZE * LINE_HEIGHT));
+  const lines = wrapVerses(verses, maxChars);
+
+  return {
+    fontSize: MIN_FONT_SIZE,
+    lines: lines.length > maxLines ? [...lines.slice(0, maxLines - 1), '(...)'] : lines
+  };
+}
+
+/**
+ * Monta o SVG do card
+ * @param {string} signature - Assinatura do card (ex: "Poesia para Ana")
+ * @param {Array<string>} verses - Versos da poesia
+ * @returns {string} - Conteúdo SVG
+ */
+function buildCardSvg(signature, verses) {
+  const { fontSize, lines } = fitPoem(verses);
+  const lineHeight = fontSize * LINE_HEIGHT;
+  const centerX = CARD_WIDTH / 2;
+
+  // Centraliza o bloco de versos na vertical dentro da área reservada
+  const blockHeight = lines.length * lineHeight;
+  const firstLineY = POEM_AREA_TOP + (POEM_AREA_HEIGHT - blockHeight) / 2 + fontSize;
+
+  const poemLines = lines
+    .map((line, index) => `<text x="${centerX}" y="${Math.round(firstLineY + index * lineHeight)}" class="poem">${escapeXml(line)}</text>`)
+    .join('\n    ');
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${CARD_WIDTH}" height="${CARD_HEIGHT}" viewBox="0 0 ${CARD_WIDTH} ${CARD_HEIGHT}">
+  <defs>
+    <linearGradient id="background" x1="0" y1="0" x2="0.4" y2="1">
+      <stop offset="0%" stop-color="#6c5ce7"/>
+      <stop offset="100%" stop-color="#2d1f6e"/>
+    </linearGradient>
+    <style>
+      .brand { font-family: sans-serif; font-weight: bold; fill: #ffffff; letter-spacing: 8px; }
+      .event { font-family: sans-serif; fill: #dcd7ff; }
+      .poem { font-family: serif; font-style: italic; fill: #ffffff; font-size: ${fontSize}px; }
+      .signature { font-family: serif; fill: #ffffff; }
+      .footer { font-family: sans-serif; fill: #a29bfe; }
+    </style>
+  </defs>
+  <rect width="${CARD_WIDTH}" height="${CARD_HEIGHT}" fill="url(#background)"/>
+  <rect x="50" y="50" width="${CARD_WIDTH - 100}" height="${CARD_HEIGHT - 100}" rx="36" fill="none" stroke="#a29bfe" stroke-opacity="0.6" stroke-width="3"/>
+  <g text-anchor="middle">
+    <text x="${centerX}" y="250" class="brand" font-size="76">CONSCIÊNC.IA</text>
+    <text x="${centerX}" y="330" class="event" font-size="38">${escapeXml(config.EVENT_NAME)}</text>
+    <text x="${centerX}" y="385" class="event" font-size="32">${escapeXml(config.EVENT_TAGLINE)}</text>
+    <line x1="${centerX - 70}" y1="450" x2="${centerX + 70}" y2="450" stroke="#a29bfe" stroke-width="3"/>
+    ${poemLines}
+    <line x1="${centerX - 70}" y1="1590" x2="${centerX + 70}" y2="1590" stroke="#a29bfe" stroke-width="3"/>
+    <text x="${centerX}" y="1675" class="signature" font-size="44">${escapeXml(signature)}</text>
+    <text x="${centerX}" y="1760" class="footer" font-size="30">${escapeXml(config.PROGRAM_URL)}</text>
+  </g>
+</svg>`;
+}
+
+/**
+ * Gera o card da poesia da carta em PNG (formato story)
+ * @param {Object} cardData - Dados do card ({ name, letterContent, locale })
+ * @returns {Promise<Buffer|null>} - Conteúdo do PNG ou null se a carta não tiver poesia
+ */
+export async function renderStoryCard({ name, letterContent, locale = DEFAULT_LOCALE }) {
+  const poem = extractPoem(letterContent);
+
+  if (!poem) {
+    log('Carta sem poesia, card para stories não gerado');
+    return null;
+  }
+
+  // As fontes do servidor não têm emojis nem a formatação do WhatsApp
+  const verses = stripWhatsAppFormatting(stripEmojis(poem))
+    .split('\n')
+    .map(verse => verse.trim());
+
+  const signature = t(locale, 'storyCardSignature', { nome: stripEmojis(name || '') || t(locale, 'defaultName') });
+  const svg = buildCardSvg(signature, verses);
+
+  return sharp(Buffer.from(svg)).png().toBuffer();
+}
+
+export default { renderStoryCard };
@@ -0,0 +1,76 @@
+import threadRepository from '../storage/threadRepository.js';
+import config from '../config/env.js';
+import { log } from '../utils/logger.js';
+
+/**
+ * Serviço de threads da conversa livre com o Conselheiro
+ * Mantém o histórico de mensagens de cada usuário após a entrega da carta,
+ * expirando após THREAD_EXPIRATION_HOURS sem interação.
+ */
+
+// Quantidade máxima de mensagens mantidas no histórico de cada usuário
+const MAX_THREAD_MESSAGES = 20;
+
+/**
+ * Verifica se um thread expirou por inatividade
+ * @param {Object} threadInfo - Informações do thread
+ * @returns {boolean} - Verdadeiro se o thread expirou
+ */
+function isExpired(threadInfo) {
+  const expirationMs = config.THREAD_EXPIRATION_HOURS * 3600 * 1000;
+  return Date.now() - threadInfo.lastInteractionTimestamp > expirationMs;
+}
+
+/**
+ * Obtém o thread ativo de um usuário
+ * @param {string} userPhoneNumber - Número de telefone do usuário
+ * @returns {Promise<Object|null>} - Thread ou null se não existir ou tiver expirado
+ */
+export async function getThread(userPhoneNumber) {
+  const threadInfo = await threadRepository.getThread(userPhoneNumber);
+
+  if (threadInfo && isExpired(threadInfo)) {
+    log(`Thread de ${userPhoneNumber} expirado, iniciando um novo`);
+    await resetThread(userPhoneNumber);
+    return null;
+  }
+
+  return threadInfo;
+}
+
+/**
+ * Adiciona mensagens ao thread do usuário, criando-o se necessário
+ * @param {string} userPhoneNumber - Número de telefone do usuário
+ * @param {Array<Object>} messages - Mensagens no formato { role, content }
+ * @returns {Promise<Object>} - Thread atualizado
+ */
+export async function appendToThread(userPhoneNumber, messages) {
+  const threadInfo = await getThread(userPhoneNumber) || {
+    threadId: `thread_${Date.now()}_${Math.random().toString(36).substring(2, 10)}`,
+    createdAt: Date.now(),
+    messages: []
+  };
+
+  threadInfo.messages = [...threadInfo.messages, ...messages].slice(-MAX_THREAD_MESSAGES);
+  threadInfo.lastInteractionTimestamp = Date.now();
+
+  await threadRepository.saveThread(userPhoneNumber, threadInfo);
+
+  return threadInfo;
+}
+
+/**
+ * Apaga o histórico da conversa livre de um usuário
+ * @param {string} userPhoneNumber - Número de telefone do usuário
+ * @returns {Promise<boolean>} - Status de sucesso da operação
+ */
+export async function resetThread(userPhoneNumber) {
+  await threadRepository.deleteThread(userPhoneNumber);
+  return true;
+}
+
+export default {
+  getThread,
+  appendToThread,
+  resetThread
+};
@@ -0,0 +1,79 @@
+import crypto from 'crypto';
+import storage, { KEY_PREFIXES } from '../storage/storage.js';
+import config from '../config/env.js';
+
+/**
+ * Serviço de lock por usuário
+ * Garante que as mensagens de um mesmo número sejam processadas uma de cada vez,
+ * mesmo quando chegam em requisições do webhook executadas em paralelo
+ * (em instâncias diferentes da função serverless).
+ */
+
+// Intervalo entre as tentativas de obter um lock ocupado
+const RETRY_INTERVAL_MS = 200;
+
+/**
+ * Erro lançado quando o lock não é liberado dentro do tempo de espera
+ */
+export class LockTimeoutError extends Error {
+  constructor(phoneNumber) {
+    super(`Tempo de espera pelo lock de ${phoneNumber} esgotado`);
+    this.name = 'LockTimeoutError';
+  }
+}
+
+/**
+ * Tenta obter o lock uma vez
+ * @param {string} name - Nome do lock
+ * @param {string} token - Identificador de quem obtém o lock
+ * @param {number} ttlSeconds - Tempo após o qual o lock expira
+ * @returns {Promise<boolean>} - Verdadeiro se obteve o lock
+ */
+async function tryAcquire(name, token, ttlSeconds) {
+  return storage.set(`${KEY_PREFIXES.LOCK}${name}`, token, {
+    ttlMs: ttlSeconds * 1000,
+    onlyIfAbsent: true
+  });
+}
+
+/**
+ * Libera o lock, apenas se ainda pertencer a quem o obteve
+ * @param {string} name - Nome do lock
+ * @param {string} token - Identificador usado ao obter o lock
+ */
+async function release(name, token) {
+  // Compara e remove em uma única operação, para não liberar um lock que expirou e foi obtido por outro
+  await storage.deleteIfEquals(`${KEY_PREFIXES.LOCK}${name}`, token);
+}
+
+/**
+ * Executa uma função com o lock do usuário, aguardando se outro processamento o detiver
+ * @param {string} phoneNumber - Número de telefone do usuário
+ * @param {Function} fn - Função assíncrona a executar
+ * @param {Object} options - Opções
+ * @param {number} options.ttlSeconds - Expiração do lock, maior que a duração máxima de fn
+ * @returns {Promise<*>} - Retorno da função
+ * @throws {LockTimeoutError} - Se o lock não for obtido em USER_LOCK_WAIT_SECONDS
+ */
+export async function withUserLock(phoneNumber, fn, { ttlSeconds = config.USER_LOCK_TTL_SECONDS } = {}) {
+  const name = `user:${phoneNumber}`;
+  const token = crypto.randomUUID();
+  const deadline = Date.now() + config.USER_LOCK_WAIT_SECONDS * 1000;
+
+  while (!await tryAcquire(name, token, ttlSeconds)) {
+    if (Date.now() >= deadline) {
+      throw new LockTimeoutError(phoneNumber);
+    }
+    await new Promise(resolve => setTimeout(resolve, RETRY_INTERVAL_MS));
+  }
+
+  try {
+    return await fn();
+  } finally {
+    await release(name, token);
+  }
+}
+
+export default {
+  withUserLock
+};
@@ -1,5 +1,5 @@
 import axios from 'axios';
-import { log } from '../utils/logger.js';
+import { logError } from '../utils/logger.js';
 
 /**
  * Serviço para análise de imagens usando GPT-4o Vision
@@ -14,7 +14,7 @@ export async function analyzeProfileImage(imageUrl) {
   try {
     return await openaiService.analyzeImageWithVision(imageUrl);
   } catch (err) {
-    log('Erro na análise de imagem de perfil:', err);
+    logError('Erro na análise de imagem de perfil', err);
     return '';
   }
 }
@@ -66,7 +66,7 @@ export async function classifyImageType(imageUrl) {
       return 'image';
     }
   } catch (err) {
-    log('Erro na classificação do tipo de imagem:', err);
+    logError('Erro na classificação do tipo de imagem', err);
     return 'image'; // Padrão para caso de erro
   }
 }
@@ -112,7 +112,7 @@ export async function analyzeImageFromUrl(imageUrl) {
     const response = await axios.post(OPENAI_API_URL, body, { headers } );
     return response.data.choices[0].message.content;
   } catch (err) {
-    log('Erro na análise de imagem a partir de URL:', err);
+    logError('Erro na análise de imagem a partir de URL', err);
     return '';
   }
 }
@@ -0,0 +1,103 @@
+import storage, { KEY_PREFIXES } from '../storage/storage.js';
+import config from '../config/env.js';
+import { log } from '../utils/logger.js';
+
+/**
+ * Serviço de idempotência do webhook
+ * A Meta reenvia o webhook quando a resposta demora ou falha, então a mesma
+ * mensagem pode chegar mais de uma vez. Cada id de mensagem é registrado antes
+ * do processamento para que os reenvios sejam ignorados.
+ */
+
+// Situações de uma mensagem registrada
+const MESSAGE_STATUS = {
+  PROCESSING: 'processing',
+  DONE: 'done'
+};
+
+// Margem somada ao tempo máximo de processamento antes de liberar uma mensagem em processamento
+const PROCESSING_MARGIN_SECONDS = 30;
+
+/**
+ * Tempo de expiração do registro de uma mensagem já processada
+ * @returns {number} - Tempo em segundos
+ */
+function getExpirationSeconds() {
+  return config.WEBHOOK_DEDUP_TTL_HOURS * 3600;
+}
+
+/**
+ * Tempo de expiração do registro de uma mensagem em processamento
+ * Um pouco maior que o tempo máximo de processamento (espera pelo lock do
+ * usuário mais a validade do lock): se a função for interrompida sem liberar
+ * a mensagem, o reenvio da Meta volta a processá-la depois desse prazo.
+ * @returns {number} - Tempo em segundos
+ */
+function getProcessingExpirationSeconds() {
+  return config.USER_LOCK_WAIT_SECONDS + config.USER_LOCK_TTL_SECONDS + PROCESSING_MARGIN_SECONDS;
+}
+
+/**
+ * Monta a chave do registro de uma mensagem
+ * @param {string} messageId - Id da mensagem (wamid)
+ * @returns {string} - Chave no armazenamento
+ */
+function getKey(messageId) {
+  return `${KEY_PREFIXES.WEBHOOK_MESSAGE}${messageId}`;
+}
+
+/**
+ * Registra o início do processamento de uma mensagem
+ * @param {string} messageId - Id da mensagem (wamid)
+ * @returns {Promise<boolean>} - Verdadeiro se a mensagem deve ser processada; falso se for um reenvio
+ */
+export async function claimMessage(messageId) {
+  if (!messageId) {
+    return true;
+  }
+
+  const claimed = await storage.set(getKey(messageId), MESSAGE_STATUS.PROCESSING, {
+    ttlSeconds: getProcessingExpirationSeconds(),
+    onlyIfAbsent: true
+  });
+
+  if (claimed) {
+    return true;
+  }
+
+  const status = await storage.get(getKey(messageId));
+  const situation = status === MESSAGE_STATUS.PROCESSING ? 'ainda em processamento' : 'já processada';
+  log(`Mensagem duplicada ignorada: ${messageId} (${situation})`);
+  return false;
+}
+
+/**
+ * Marca uma mensagem como processada
+ * @param {string} messageId - Id da mensagem (wamid)
+ */
+export async function completeMessage(messageId) {
+  if (!messageId) {
+    return;
+  }
+
+  await storage.set(getKey(messageId), MESSAGE_STATUS.DONE, { ttlSeconds: getExpirationSeconds() });
+}
+
+/**
+ * Remove o registro de uma mensagem cujo processamento falhou,
+ * para que o reenvio da Meta possa processá-la novamente
+ * @param {string} messageId - Id da mensagem (wamid)
+ */
+export async function releaseMessage(messageId) {
+  if (!messageId) {
+    return;
+  }
+
+  await storage.del(getKey(messageId));
+}
+
+export default {
+  claimMessage,
+  completeMessage,
+  releaseMessage
+};
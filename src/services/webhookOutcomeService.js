@@ -0,0 +1,45 @@
+import messageLogRepository from '../storage/messageLogRepository.js';
+
+/**
+ * Serviço de resultados do webhook
+ * Guarda o resultado do processamento de cada mensagem recebida (processada,
+ * duplicada, acima do limite ou com falha) para depuração no painel administrativo.
+ */
+
+// Quantidade máxima de resultados mantidos
+const MAX_OUTCOMES = 500;
+
+// Situações possíveis de uma mensagem
+export const OUTCOME_STATUS = {
+  PROCESSED: 'processed',
+  DUPLICATE: 'duplicate',
+  THROTTLED: 'throttled',
+  FAILED: 'failed'
+};
+
+/**
+ * Registra os resultados de um lote do webhook
+ * @param {Array<Object>} outcomes - Resultados por mensagem
+ */
+export async function recordOutcomes(outcomes) {
+  if (outcomes.length === 0) {
+    return;
+  }
+
+  await messageLogRepository.appendWebhookOutcomes(outcomes, MAX_OUTCOMES);
+}
+
+/**
+ * Lista os resultados mais recentes
+ * @param {number} limit - Limite de resultados
+ * @returns {Promise<Array<Object>>} - Resultados, dos mais recentes para os mais antigos
+ */
+export async function listOutcomes(limit = 100) {
+  return messageLogRepository.listWebhookOutcomes(limit);
+}
+
+export default {
+  recordOutcomes,
+  listOutcomes,
+  OUTCOME_STATUS
+};
@@ -1,5 +1,13 @@
 import axios from 'axios';
-import { log } from '../utils/logger.js';
+import { log, logDebug, logWarning, logError } from '../utils/logger.js';
+import deliveryStatusService from './deliveryStatusService.js';
+import customerServiceWindowService, { RE_ENGAGEMENT_ERROR_CODE } from './customerServiceWindowService.js';
+import metricsService, { METRICS } from './metricsService.js';
+import sessionRepository from '../storage/sessionRepository.js';
+import privacyRepository from '../storage/privacyRepository.js';
+import { getLocale, getTemplateLanguage } from './i18nService.js';
+import windowTemplates, { TEMPLATE_PARAMETER_MAX_LENGTH } from '../config/windowTemplates.js';
+import config from '../config/env.js';
 
 // Configurações
 const WHATSAPP_API_VERSION = 'v22.0'; // Atualizado para a versão v22.0 que funcionou no curl
@@ -8,6 +16,14 @@ const INITIAL_TIMEOUT = 30000; // 30 segundos
 const RETRY_DELAY = 2000; // 2 segundos
 const MAX_MESSAGE_LENGTH = 1000; // Limite de caracteres para mensagens do WhatsApp
 
+// Limites das mensagens interativas da API
+const MAX_INTERACTIVE_BODY_LENGTH = 1024;
+const MAX_REPLY_BUTTONS = 3;
+const MAX_BUTTON_TITLE_LENGTH = 20;
+const MAX_LIST_ROWS = 10;
+const MAX_LIST_ROW_TITLE_LENGTH = 24;
+const MAX_LIST_ROW_DESCRIPTION_LENGTH = 72;
+
 /**
  * Obtém o valor de uma variável de ambiente de forma robusta
  * @param {string} name - Nome da variável de ambiente
@@ -32,22 +48,21 @@ function getEnvVar(name, defaultValue = '') {
     }
   }
   
-  log(`Variável de ambiente ${name} não encontrada, usando valor padrão: ${defaultValue}`);
+  logWarning(`Variável de ambiente ${name} não encontrada, usando valor padrão: ${defaultValue}`);
   return defaultValue;
 }
 
 // Obtém as variáveis de ambiente de forma robusta
 const WHATSAPP_TOKEN = getEnvVar('WHATSAPP_TOKEN', '');
 const WHATSAPP_PHONE_ID = getEnvVar('WHATSAPP_PHONE_ID', '');
-const WHATSAPP_VERIFY_TOKEN = getEnvVar('WHATSAPP_VERIFY_TOKEN', 'consciencia-ia-token');
 
 // Verifica se as variáveis essenciais estão definidas
 if (!WHATSAPP_TOKEN) {
-  log('ERRO: WHATSAPP_TOKEN não está definido!');
+  logError('WHATSAPP_TOKEN não está definido!');
 }
 
 if (!WHATSAPP_PHONE_ID) {
-  log('ERRO: WHATSAPP_PHONE_ID não está definido!');
+  logError('WHATSAPP_PHONE_ID não está definido!');
 }
 
 // Configuração do cliente axios com timeout aumentado
@@ -67,13 +82,28 @@ const whatsappClient = axios.create({
  */
 const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
+/**
+ * Registra o id (wamid) da mensagem enviada para acompanhar sua entrega
+ * @param {Object} responseData - Resposta da API ao envio
+ * @param {string} to - Número de telefone de destino
+ * @param {string} type - Tipo da mensagem (text, interactive, document, image, template)
+ */
+async function trackOutboundMessage(responseData, to, type) {
+  const wamid = responseData?.messages?.[0]?.id;
+  
+  if (wamid) {
+    await deliveryStatusService.recordOutboundMessage({ wamid, to, type });
+  }
+}
+
 /**
  * Divide uma mensagem longa em partes menores
  * @param {string} text - Texto da mensagem
+ * @param {number} maxLength - Tamanho máximo de cada parte
  * @returns {Array<string>} - Array de partes da mensagem
  */
-function splitLongMessage(text) {
-  if (!text || text.length <= MAX_MESSAGE_LENGTH) {
+function splitLongMessage(text, maxLength = MAX_MESSAGE_LENGTH) {
+  if (!text || text.length <= maxLength) {
     return [text];
   }
   
@@ -82,13 +112,13 @@ function splitLongMessage(text) {
   
   while (remainingText.length > 0) {
     // Encontra um ponto final, interrogação ou exclamação próximo ao limite
-    let splitIndex = MAX_MESSAGE_LENGTH;
+    let splitIndex = maxLength;
     
     // Procura por um ponto final, interrogação ou exclamação antes do limite
-    const lastPeriod = remainingText.lastIndexOf('.', MAX_MESSAGE_LENGTH);
-    const lastQuestion = remainingText.lastIndexOf('?', MAX_MESSAGE_LENGTH);
-    const lastExclamation = remainingText.lastIndexOf('!', MAX_MESSAGE_LENGTH);
-    const lastNewLine = remainingText.lastIndexOf('\n', MAX_MESSAGE_LENGTH);
+    const lastPeriod = remainingText.lastIndexOf('.', maxLength);
+    const lastQuestion = remainingText.lastIndexOf('?', maxLength);
+    const lastExclamation = remainingText.lastIndexOf('!', maxLength);
+    const lastNewLine = remainingText.lastIndexOf('\n', maxLength);
     
     // Encontra o último ponto de quebra válido
     const possibleBreaks = [lastPeriod, lastQuestion, lastExclamation, lastNewLine]
@@ -100,8 +130,8 @@ function splitLongMessage(text) {
     }
     
     // Se não encontrou um ponto de quebra adequado, divide no limite
-    if (splitIndex <= 0 || splitIndex > MAX_MESSAGE_LENGTH) {
-      splitIndex = MAX_MESSAGE_LENGTH;
+    if (splitIndex <= 0 || splitIndex > maxLength) {
+      splitIndex = maxLength;
       
       // Tenta não cortar palavras
       const lastSpace = remainingText.lastIndexOf(' ', splitIndex);
@@ -120,28 +150,115 @@ function splitLongMessage(text) {
   return parts;
 }
 
+/**
+ * Verifica se o destinatário pediu para não receber mensagens (comando "parar")
+ * Vale para todo envio: respostas, carta, lembretes, campanhas e templates.
+ * @param {string} to - Número de telefone de destino
+ * @returns {Promise<boolean>} - Verdadeiro se o envio deve ser bloqueado
+ */
+async function isOptedOut(to) {
+  if (!await privacyRepository.getOptOut(to)) {
+    return false;
+  }
+
+  log(`Envio para ${to} bloqueado: o número pediu para não receber mensagens`);
+  await metricsService.incrementMetric(METRICS.OUTBOUND_BLOCKED_OPT_OUT);
+  return true;
+}
+
+/**
+ * Envia uma mídia para a API e a registra como mídia do usuário, para que possa ser apagada a pedido dele
+ * @param {string} to - Número de telefone do destinatário
+ * @param {Buffer} buffer - Conteúdo do arquivo
+ * @param {string} mimeType - Mime type do arquivo
+ * @param {string} filename - Nome do arquivo
+ * @returns {Promise<string|null>} - ID da mídia ou null em caso de erro
+ */
+async function uploadUserMedia(to, buffer, mimeType, filename) {
+  const mediaId = await uploadMedia(buffer, mimeType, filename);
+
+  if (mediaId) {
+    await privacyRepository.addUserMedia(to, mediaId);
+  }
+
+  return mediaId;
+}
+
+/**
+ * Envia como template aprovado uma mensagem livre destinada a um usuário fora da janela de 24 horas
+ * O template de cada tipo de mensagem e seus parâmetros vêm de config/windowTemplates.js;
+ * sem template para o tipo, a mensagem não é enviada e a falha é registrada.
+ * @param {string} to - Número de telefone de destino
+ * @param {string} type - Tipo da mensagem (text, interactive, document, image)
+ * @param {Object} content - Conteúdo usado nos parâmetros ({ text } ou { mediaId, filename, caption })
+ * @returns {Promise<boolean>} - Sucesso ou falha no envio
+ */
+async function sendAsWindowTemplate(to, type, content) {
+  const template = windowTemplates[type];
+
+  if (!template || !template.name) {
+    await customerServiceWindowService.recordWindowFailure({ to, type, reason: 'no_template' });
+    return false;
+  }
+
+  // O idioma do template segue o da sessão, quando ela ainda existe
+  const session = await sessionRepository.getSession(to);
+  const language = getTemplateLanguage(getLocale(session));
+
+  // Textos longos não cabem em um parâmetro e são enviados em mais de um template
+  const contents = content.text
+    ? splitLongMessage(content.text, TEMPLATE_PARAMETER_MAX_LENGTH).map(text => ({ ...content, text }))
+    : [content];
+
+  log(`Janela de 24 horas fechada para ${to}, enviando ${type} pelo template ${template.name}`);
+
+  for (const part of contents) {
+    const response = await sendTemplateMessage(to, template.name, language, template.components(part));
+
+    if (!response) {
+      await customerServiceWindowService.recordWindowFailure({ to, type, reason: 'template_failed', template: template.name });
+      return false;
+    }
+  }
+
+  await metricsService.incrementMetric(METRICS.OUTBOUND_SENT_AS_TEMPLATE);
+  return true;
+}
+
 /**
  * Envia uma mensagem de texto para um número de telefone via WhatsApp
  * Implementa retry com backoff exponencial
+ * Fora da janela de 24 horas, a mensagem é enviada pelo template de texto.
  * @param {string} to - Número de telefone de destino
  * @param {string} text - Texto da mensagem
+ * @param {Object} options - Opções adicionais
+ * @param {boolean} options.ignoreOptOut - Envia mesmo para quem pediu para não receber mensagens
+ *   (apenas respostas aos pedidos de privacidade feitos pelo próprio usuário)
  * @returns {Promise<boolean>} - Sucesso ou falha no envio
  */
-export async function sendTextMessage(to, text) {
+export async function sendTextMessage(to, text, options = {}) {
   try {
     if (!to || !text) {
-      log('ERRO: Número de telefone e texto são obrigatórios');
+      logError('Número de telefone e texto são obrigatórios');
       return false;
     }
     
-    log(`Enviando mensagem para ${to}: ${text.substring(0, 50)}...`);
+    log(`Enviando mensagem para ${to} (${text.length} caracteres)`);
     
     // Verifica se as variáveis essenciais estão definidas
     if (!WHATSAPP_TOKEN || !WHATSAPP_PHONE_ID) {
-      log('ERRO: Variáveis de ambiente WHATSAPP_TOKEN ou WHATSAPP_PHONE_ID não definidas');
+      logError('Variáveis de ambiente WHATSAPP_TOKEN ou WHATSAPP_PHONE_ID não definidas');
       return false;
     }
     
+    if (!options.ignoreOptOut && await isOptedOut(to)) {
+      return false;
+    }
+    
+    if (!await customerServiceWindowService.isWindowOpen(to)) {
+      return await sendAsWindowTemplate(to, 'text', { text });
+    }
+    
     // Divide mensagens longas
     const messageParts = splitLongMessage(text);
     let finalSuccess = true;
@@ -160,20 +277,20 @@ export async function sendTextMessage(to, text) {
         }
       };
       
-      log(`Payload: ${JSON.stringify(payload)}`);
+      logDebug('Payload da mensagem', payload);
       
       // Implementa retry com backoff exponencial
       let success = false;
       for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
         try {
-          log(`Tentativa ${attempt} de enviar mensagem para ${to}`);
+          logDebug(`Tentativa ${attempt} de enviar mensagem para ${to}`);
           
           // Aumenta o timeout a cada tentativa
           const timeout = INITIAL_TIMEOUT * attempt;
           
           // Usando o formato exato da URL que funcionou no curl
           const url = `${WHATSAPP_PHONE_ID}/messages`;
-          log(`URL: https://graph.facebook.com/${WHATSAPP_API_VERSION}/${url}`);
+          logDebug(`URL: https://graph.facebook.com/${WHATSAPP_API_VERSION}/${url}`);
           
           const response = await whatsappClient({
             method: 'post',
@@ -183,7 +300,8 @@ export async function sendTextMessage(to, text) {
           });
           
           log(`Mensagem enviada com sucesso para ${to}. Status: ${response.status}`);
-          log(`Resposta: ${JSON.stringify(response.data)}`);
+          logDebug('Resposta da API', response.data);
+          await trackOutboundMessage(response.data, to, 'text');
           success = true;
           break;
         } catch (error) {
@@ -191,17 +309,23 @@ export async function sendTextMessage(to, text) {
           const errorCode = error.response?.data?.error?.code || 'N/A';
           const statusCode = error.response?.status || 'N/A';
           
-          log(`Erro na tentativa ${attempt} ao enviar mensagem: ${errorMessage} (Código: ${errorCode}, Status: ${statusCode})`);
+          logError(`Erro na tentativa ${attempt} ao enviar mensagem: ${errorMessage} (Código: ${errorCode}, Status: ${statusCode})`);
+          
+          // Janela de 24 horas fechada: novas tentativas seriam recusadas do mesmo jeito
+          if (errorCode === RE_ENGAGEMENT_ERROR_CODE) {
+            await customerServiceWindowService.recordReEngagementError(to, 'text');
+            return false;
+          }
           
           // Se for a última tentativa, registra falha
           if (attempt === MAX_RETRIES) {
-            log(`Erro detalhado ao enviar mensagem: ${error}`);
+            logError('Erro detalhado ao enviar mensagem', error);
             log('Resultado do envio de mensagem: Falha');
             finalSuccess = false;
           } else {
             // Calcula o delay com backoff exponencial
             const delay = RETRY_DELAY * Math.pow(2, attempt - 1);
-            log(`Aguardando ${delay}ms antes da próxima tentativa...`);
+            logDebug(`Aguardando ${delay}ms antes da próxima tentativa...`);
             await sleep(delay);
           }
         }
@@ -215,13 +339,77 @@ export async function sendTextMessage(to, text) {
     
     return finalSuccess;
   } catch (error) {
-    log(`Erro geral ao enviar mensagem: ${error.message}`);
+    logError('Erro geral ao enviar mensagem', error);
     return false;
   }
 }
 
+/**
+ * Envia um payload para o endpoint de mensagens da API
+ * Implementa retry com backoff exponencial
+ * @param {Object} payload - Payload da mensagem
+ * @param {string} description - Descrição usada nos logs (ex: "template boas_vindas")
+ * @returns {Promise<Object|null>} - Resposta da API ou null em caso de erro
+ */
+async function postMessage(payload, description) {
+  // Verifica se as variáveis essenciais estão definidas
+  if (!WHATSAPP_TOKEN || !WHATSAPP_PHONE_ID) {
+    logError('Variáveis de ambiente WHATSAPP_TOKEN ou WHATSAPP_PHONE_ID não definidas');
+    return null;
+  }
+  
+  for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
+    try {
+      logDebug(`Tentativa ${attempt} de enviar ${description} para ${payload.to}`);
+      
+      // Aumenta o timeout a cada tentativa
+      const timeout = INITIAL_TIMEOUT * attempt;
+      
+      // Usando o formato exato da URL que funcionou no curl
+      const url = `${WHATSAPP_PHONE_ID}/messages`;
+      
+      const response = await whatsappClient({
+        method: 'post',
+        url: url,
+        data: payload,
+        timeout: timeout
+      });
+      
+      log(`Envio de ${description} para ${payload.to} concluído. Status: ${response.status}`);
+      await trackOutboundMessage(response.data, payload.to, payload.type);
+      return response.data;
+    } catch (error) {
+      const errorMessage = error.response?.data?.error?.message || error.message || 'Erro desconhecido';
+      const errorCode = error.response?.data?.error?.code || 'N/A';
+      const statusCode = error.response?.status || 'N/A';
+      
+      logError(`Erro na tentativa ${attempt} ao enviar ${description}: ${errorMessage} (Código: ${errorCode}, Status: ${statusCode})`);
+      
+      // Janela de 24 horas fechada: novas tentativas seriam recusadas do mesmo jeito
+      if (errorCode === RE_ENGAGEMENT_ERROR_CODE) {
+        await customerServiceWindowService.recordReEngagementError(payload.to, payload.type);
+        return null;
+      }
+      
+      // Se for a última tentativa, retorna null
+      if (attempt === MAX_RETRIES) {
+        logError(`Erro detalhado ao enviar ${description}`, error);
+        return null;
+      }
+      
+      // Calcula o delay com backoff exponencial
+      const delay = RETRY_DELAY * Math.pow(2, attempt - 1);
+      logDebug(`Aguardando ${delay}ms antes da próxima tentativa...`);
+      await sleep(delay);
+    }
+  }
+  
+  return null;
+}
+
 /**
  * Envia uma mensagem com template via WhatsApp
+ * Templates podem ser enviados mesmo fora da janela de 24 horas.
  * @param {string} to - Número de telefone do destinatário
  * @param {string} templateName - Nome do template
  * @param {string} language - Código do idioma (ex: pt_BR)
@@ -231,7 +419,11 @@ export async function sendTextMessage(to, text) {
 async function sendTemplateMessage(to, templateName, language = 'pt_BR', components = []) {
   try {
     if (!to || !templateName) {
-      log('ERRO: Número de telefone e nome do template são obrigatórios');
+      logError('Número de telefone e nome do template são obrigatórios');
+      return null;
+    }
+
+    if (await isOptedOut(to)) {
       return null;
     }
 
@@ -254,53 +446,171 @@ async function sendTemplateMessage(to, templateName, language = 'pt_BR', compone
       payload.template.components = components;
     }
     
-    // Implementa retry com backoff exponencial
-    for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
-      try {
-        log(`Tentativa ${attempt} de enviar template ${templateName} para ${to}`);
-        
-        // Aumenta o timeout a cada tentativa
-        const timeout = INITIAL_TIMEOUT * attempt;
-        
-        // Usando o formato exato da URL que funcionou no curl
-        const url = `${WHATSAPP_PHONE_ID}/messages`;
-        
-        const response = await whatsappClient({
-          method: 'post',
-          url: url,
-          data: payload,
-          timeout: timeout
-        });
-        
-        log(`Template enviado com sucesso para ${to}. Status: ${response.status}`);
-        return response.data;
-      } catch (error) {
-        const errorMessage = error.response?.data?.error?.message || error.message || 'Erro desconhecido';
-        const errorCode = error.response?.data?.error?.code || 'N/A';
-        const statusCode = error.response?.status || 'N/A';
-        
-        log(`Erro na tentativa ${attempt} ao enviar template: ${errorMessage} (Código: ${errorCode}, Status: ${statusCode})`);
-        
-        // Se for a última tentativa, retorna null
-        if (attempt === MAX_RETRIES) {
-          log(`Erro detalhado ao enviar template: ${error}`);
-          return null;
+    return await postMessage(payload, `template ${templateName}`);
+  } catch (error) {
+    logError('Erro geral ao enviar template', error);
+    return null;
+  }
+}
+
+/**
+ * Envia uma mensagem interativa com botões de resposta (máximo 3)
+ * Fora da janela de 24 horas, o texto e as opções são enviados pelo template de texto.
+ * @param {string} to - Número de telefone do destinatário
+ * @param {string} bodyText - Texto da mensagem
+ * @param {Array<Object>} buttons - Botões no formato { id, title }
+ * @param {Object} options - Opções adicionais ({ header, footer })
+ * @returns {Promise<boolean>} - Sucesso ou falha no envio
+ */
+export async function sendInteractiveButtons(to, bodyText, buttons, options = {}) {
+  try {
+    if (!to || !bodyText || !buttons || buttons.length === 0) {
+      logError('Número de telefone, texto e botões são obrigatórios');
+      return false;
+    }
+    
+    if (buttons.length > MAX_REPLY_BUTTONS || bodyText.length > MAX_INTERACTIVE_BODY_LENGTH) {
+      logWarning(`Mensagem interativa excede os limites da API (${buttons.length} botões, ${bodyText.length} caracteres)`);
+      return false;
+    }
+    
+    if (await isOptedOut(to)) {
+      return false;
+    }
+    
+    if (!await customerServiceWindowService.isWindowOpen(to)) {
+      const options = buttons.map(button => `• ${button.title}`).join('\n');
+      return await sendAsWindowTemplate(to, 'interactive', { text: `${bodyText}\n${options}` });
+    }
+    
+    const payload = {
+      messaging_product: 'whatsapp',
+      recipient_type: 'individual',
+      to: to,
+      type: 'interactive',
+      interactive: {
+        type: 'button',
+        body: { text: bodyText },
+        action: {
+          buttons: buttons.map(button => ({
+            type: 'reply',
+            reply: {
+              id: button.id,
+              title: button.title.substring(0, MAX_BUTTON_TITLE_LENGTH)
+            }
+          }))
         }
-        
-        // Calcula o delay com backoff exponencial
-        const delay = RETRY_DELAY * Math.pow(2, attempt - 1);
-        log(`Aguardando ${delay}ms antes da próxima tentativa...`);
-        await sleep(delay);
       }
+    };
+    
+    if (options.header) {
+      payload.interactive.header = { type: 'text', text: options.header };
     }
     
-    return null;
+    if (options.footer) {
+      payload.interactive.footer = { text: options.footer };
+    }
+    
+    const response = await postMessage(payload, 'mensagem com botões');
+    return Boolean(response);
   } catch (error) {
-    log(`Erro geral ao enviar template: ${error.message}`);
-    return null;
+    logError('Erro geral ao enviar mensagem com botões', error);
+    return false;
   }
 }
 
+/**
+ * Envia uma mensagem interativa de lista
+ * Fora da janela de 24 horas, o texto e as opções são enviados pelo template de texto.
+ * @param {string} to - Número de telefone do destinatário
+ * @param {string} bodyText - Texto da mensagem
+ * @param {string} buttonText - Texto do botão que abre a lista
+ * @param {Array<Object>} sections - Seções no formato { title, rows: [{ id, title, description }] }
+ * @param {Object} options - Opções adicionais ({ header, footer })
+ * @returns {Promise<boolean>} - Sucesso ou falha no envio
+ */
+export async function sendListMessage(to, bodyText, buttonText, sections, options = {}) {
+  try {
+    if (!to || !bodyText || !buttonText || !sections || sections.length === 0) {
+      logError('Número de telefone, texto, botão e seções são obrigatórios');
+      return false;
+    }
+    
+    const rowCount = sections.reduce((total, section) => total + section.rows.length, 0);
+    if (rowCount > MAX_LIST_ROWS || bodyText.length > MAX_INTERACTIVE_BODY_LENGTH) {
+      logWarning(`Lista excede os limites da API (${rowCount} opções, ${bodyText.length} caracteres)`);
+      return false;
+    }
+    
+    if (await isOptedOut(to)) {
+      return false;
+    }
+    
+    if (!await customerServiceWindowService.isWindowOpen(to)) {
+      const options = sections.flatMap(section => section.rows).map(row => `• ${row.title}`).join('\n');
+      return await sendAsWindowTemplate(to, 'interactive', { text: `${bodyText}\n${options}` });
+    }
+    
+    const payload = {
+      messaging_product: 'whatsapp',
+      recipient_type: 'individual',
+      to: to,
+      type: 'interactive',
+      interactive: {
+        type: 'list',
+        body: { text: bodyText },
+        action: {
+          button: buttonText.substring(0, MAX_BUTTON_TITLE_LENGTH),
+          sections: sections.map(section => ({
+            title: section.title ? section.title.substring(0, MAX_LIST_ROW_TITLE_LENGTH) : undefined,
+            rows: section.rows.map(row => ({
+              id: row.id,
+              title: row.title.substring(0, MAX_LIST_ROW_TITLE_LENGTH),
+              description: row.description ? row.description.substring(0, MAX_LIST_ROW_DESCRIPTION_LENGTH) : undefined
+            }))
+          }))
+        }
+      }
+    };
+    
+    if (options.header) {
+      payload.interactive.header = { type: 'text', text: options.header };
+    }
+    
+    if (options.footer) {
+      payload.interactive.footer = { text: options.footer };
+    }
+    
+    const response = await postMessage(payload, 'mensagem de lista');
+    return Boolean(response);
+  } catch (error) {
+    logError('Erro geral ao enviar mensagem de lista', error);
+    return false;
+  }
+}
+
+/**
+ * Extrai a resposta de uma mensagem interativa (botão ou lista) recebida no webhook
+ * @param {Object} message - Mensagem recebida no webhook
+ * @returns {Object|null} - Resposta no formato { id, title } ou null se não for interativa
+ */
+export function parseInteractiveReply(message) {
+  if (!message) return null;
+  
+  // Respostas de botões e listas enviados por sendInteractiveButtons/sendListMessage
+  if (message.type === 'interactive' && message.interactive) {
+    const reply = message.interactive.button_reply || message.interactive.list_reply;
+    return reply ? { id: reply.id, title: reply.title } : null;
+  }
+  
+  // Botões de resposta rápida de templates
+  if (message.type === 'button' && message.button) {
+    return { id: message.button.payload || message.button.text, title: message.button.text };
+  }
+  
+  return null;
+}
+
 /**
  * Obtém a URL de uma mídia do WhatsApp
  * @param {string} mediaId - ID da mídia
@@ -308,25 +618,25 @@ async function sendTemplateMessage(to, templateName, language = 'pt_BR', compone
  */
 export async function getMediaUrl(mediaId) {
   try {
-    log(`Obtendo URL da mídia ${mediaId}`);
+    logDebug(`Obtendo URL da mídia ${mediaId}`);
     
     // Verifica se as variáveis essenciais estão definidas
     if (!WHATSAPP_TOKEN) {
-      log('ERRO: Variável de ambiente WHATSAPP_TOKEN não definida');
+      logError('Variável de ambiente WHATSAPP_TOKEN não definida');
       return null;
     }
     
     const response = await whatsappClient.get(`${mediaId}`);
     
     if (response.data && response.data.url) {
-      log(`URL da mídia obtida com sucesso: ${response.data.url.substring(0, 50)}...`);
+      logDebug('URL da mídia obtida com sucesso');
       return response.data.url;
     }
     
-    log('URL da mídia não encontrada na resposta');
+    logWarning('URL da mídia não encontrada na resposta');
     return null;
   } catch (error) {
-    log(`Erro ao obter URL da mídia: ${error.message}`);
+    logError('Erro ao obter URL da mídia', error);
     return null;
   }
 }
@@ -338,11 +648,11 @@ export async function getMediaUrl(mediaId) {
  */
 export async function downloadMedia(mediaUrl) {
   try {
-    log(`Baixando mídia de ${mediaUrl}`);
+    logDebug('Baixando mídia');
     
     // Verifica se as variáveis essenciais estão definidas
     if (!WHATSAPP_TOKEN) {
-      log('ERRO: Variável de ambiente WHATSAPP_TOKEN não definida');
+      logError('Variável de ambiente WHATSAPP_TOKEN não definida');
       return null;
     }
     
@@ -357,11 +667,174 @@ export async function downloadMedia(mediaUrl) {
     log('Mídia baixada com sucesso');
     return Buffer.from(response.data, 'binary');
   } catch (error) {
-    log(`Erro ao baixar mídia: ${error.message}`);
+    logError('Erro ao baixar mídia', error);
     return null;
   }
 }
 
+/**
+ * Envia um arquivo para o endpoint de mídia da API
+ * @param {Buffer} buffer - Conteúdo do arquivo
+ * @param {string} mimeType - Mime type do arquivo (ex: application/pdf)
+ * @param {string} filename - Nome do arquivo
+ * @returns {Promise<string|null>} - ID da mídia ou null em caso de erro
+ */
+export async function uploadMedia(buffer, mimeType, filename) {
+  try {
+    log(`Enviando mídia ${filename} (${buffer.length} bytes)`);
+
+    // Verifica se as variáveis essenciais estão definidas
+    if (!WHATSAPP_TOKEN || !WHATSAPP_PHONE_ID) {
+      logError('Variáveis de ambiente WHATSAPP_TOKEN ou WHATSAPP_PHONE_ID não definidas');
+      return null;
+    }
+
+    const formData = new FormData();
+    formData.append('messaging_product', 'whatsapp');
+    formData.append('type', mimeType);
+    formData.append('file', new Blob([buffer], { type: mimeType }), filename);
+
+    // O Content-Type (multipart com boundary) é definido pelo próprio FormData
+    const response = await whatsappClient.post(`${WHATSAPP_PHONE_ID}/media`, formData, {
+      headers: { 'Content-Type': undefined },
+      timeout: INITIAL_TIMEOUT
+    });
+
+    log(`Mídia ${filename} enviada com sucesso. ID: ${response.data.id}`);
+    return response.data.id || null;
+  } catch (error) {
+    const errorMessage = error.response?.data?.error?.message || error.message || 'Erro desconhecido';
+    logError(`Erro ao enviar mídia ${filename}: ${errorMessage}`);
+    return null;
+  }
+}
+
+/**
+ * Apaga uma mídia da API do WhatsApp
+ * @param {string} mediaId - ID da mídia
+ * @returns {Promise<boolean>} - Sucesso ou falha na operação
+ */
+export async function deleteMedia(mediaId) {
+  try {
+    log(`Apagando mídia ${mediaId}`);
+
+    // Verifica se as variáveis essenciais estão definidas
+    if (!WHATSAPP_TOKEN) {
+      logError('Variável de ambiente WHATSAPP_TOKEN não definida');
+      return false;
+    }
+
+    await whatsappClient.delete(`${mediaId}`);
+
+    log(`Mídia ${mediaId} apagada com sucesso`);
+    return true;
+  } catch (error) {
+    const errorMessage = error.response?.data?.error?.message || error.message || 'Erro desconhecido';
+    logError(`Erro ao apagar mídia ${mediaId}: ${errorMessage}`);
+    return false;
+  }
+}
+
+/**
+ * Envia um documento (ex: PDF) via WhatsApp
+ * Fora da janela de 24 horas, o documento é enviado pelo template de documento.
+ * @param {string} to - Número de telefone do destinatário
+ * @param {Buffer|string} document - Conteúdo do arquivo ou ID de uma mídia já enviada
+ * @param {string} filename - Nome do arquivo exibido para o usuário
+ * @param {string} caption - Legenda opcional
+ * @param {string} mimeType - Mime type do arquivo (usado apenas para Buffer)
+ * @returns {Promise<boolean>} - Sucesso ou falha no envio
+ */
+export async function sendDocumentMessage(to, document, filename, caption = '', mimeType = 'application/pdf') {
+  if (!to || !document) {
+    logError('Número de telefone e documento são obrigatórios');
+    return false;
+  }
+
+  if (await isOptedOut(to)) {
+    return false;
+  }
+
+  const mediaId = Buffer.isBuffer(document)
+    ? await uploadUserMedia(to, document, mimeType, filename)
+    : document;
+
+  if (!mediaId) {
+    return false;
+  }
+
+  if (!await customerServiceWindowService.isWindowOpen(to)) {
+    return sendAsWindowTemplate(to, 'document', { mediaId, filename, caption });
+  }
+
+  const payload = {
+    messaging_product: 'whatsapp',
+    recipient_type: 'individual',
+    to: to,
+    type: 'document',
+    document: {
+      id: mediaId,
+      filename: filename
+    }
+  };
+
+  if (caption) {
+    payload.document.caption = caption;
+  }
+
+  const result = await postMessage(payload, `documento ${filename}`);
+  return result !== null;
+}
+
+/**
+ * Envia uma imagem via WhatsApp
+ * Fora da janela de 24 horas, a imagem é enviada pelo template de imagem.
+ * @param {string} to - Número de telefone do destinatário
+ * @param {Buffer|string} image - Conteúdo da imagem ou ID de uma mídia já enviada
+ * @param {string} caption - Legenda opcional
+ * @param {string} mimeType - Mime type da imagem (usado apenas para Buffer)
+ * @returns {Promise<boolean>} - Sucesso ou falha no envio
+ */
+export async function sendImageMessage(to, image, caption = '', mimeType = 'image/png') {
+  if (!to || !image) {
+    logError('Número de telefone e imagem são obrigatórios');
+    return false;
+  }
+
+  if (await isOptedOut(to)) {
+    return false;
+  }
+
+  const mediaId = Buffer.isBuffer(image)
+    ? await uploadUserMedia(to, image, mimeType, `imagem.${mimeType.split('/')[1] || 'png'}`)
+    : image;
+
+  if (!mediaId) {
+    return false;
+  }
+
+  if (!await customerServiceWindowService.isWindowOpen(to)) {
+    return sendAsWindowTemplate(to, 'image', { mediaId, caption });
+  }
+
+  const payload = {
+    messaging_product: 'whatsapp',
+    recipient_type: 'individual',
+    to: to,
+    type: 'image',
+    image: {
+      id: mediaId
+    }
+  };
+
+  if (caption) {
+    payload.image.caption = caption;
+  }
+
+  const result = await postMessage(payload, 'imagem');
+  return result !== null;
+}
+
 /**
  * Marca uma mensagem como lida
  * @param {string} messageId - ID da mensagem
@@ -370,11 +843,11 @@ export async function downloadMedia(mediaUrl) {
 export async function markMessageAsRead(messageId) {
   try {
     if (!messageId) {
-      log('ERRO: ID da mensagem é obrigatório');
+      logError('ID da mensagem é obrigatório');
       return false;
     }
 
-    log(`Marcando mensagem ${messageId} como lida`);
+    logDebug(`Marcando mensagem ${messageId} como lida`);
     
     const payload = {
       messaging_product: 'whatsapp',
@@ -390,10 +863,10 @@ export async function markMessageAsRead(messageId) {
       data: payload
     });
     
-    log(`Mensagem marcada como lida com sucesso. Status: ${response.status}`);
+    logDebug(`Mensagem marcada como lida com sucesso. Status: ${response.status}`);
     return true;
   } catch (error) {
-    log(`Erro ao marcar mensagem como lida: ${error.message}`);
+    logError('Erro ao marcar mensagem como lida', error);
     return false;
   }
 }
@@ -405,14 +878,20 @@ export async function markMessageAsRead(messageId) {
  * @returns {boolean} - Resultado da verificação
  */
 export function verifyWebhook(mode, token) {
-  log(`Verificando webhook: mode=${mode}, token=${token}`);
+  log(`Verificando webhook: mode=${mode}`);
+  
+  // Só o nome exato da variável é aceito: o token não é procurado em variações do nome
+  if (!config.WHATSAPP_VERIFY_TOKEN) {
+    logError('WHATSAPP_VERIFY_TOKEN não está definido, verificação do webhook recusada');
+    return false;
+  }
   
-  if (mode === 'subscribe' && token === WHATSAPP_VERIFY_TOKEN) {
+  if (mode === 'subscribe' && token === config.WHATSAPP_VERIFY_TOKEN) {
     log('Webhook verificado com sucesso');
     return true;
   }
   
-  log('Falha na verificação do webhook');
+  logWarning('Falha na verificação do webhook');
   return false;
 }
 
@@ -420,8 +899,15 @@ export function verifyWebhook(mode, token) {
 export default {
   sendTextMessage,
   sendTemplateMessage,
+  sendInteractiveButtons,
+  sendListMessage,
+  parseInteractiveReply,
   getMediaUrl,
   downloadMedia,
+  uploadMedia,
+  deleteMedia,
+  sendDocumentMessage,
+  sendImageMessage,
   markMessageAsRead,
   verifyWebhook
 };
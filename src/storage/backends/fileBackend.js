@@ -0,0 +1,58 @@
+/**
+ * @fileoverview Backend de armazenamento em arquivo JSON
+ * Backend em memória cujo estado é carregado de um arquivo ao iniciar e
+ * gravado nele a cada alteração, para que os dados sobrevivam a reinícios
+ * durante o desenvolvimento local. Não deve ser compartilhado por mais de um
+ * processo (cada um sobrescreveria as gravações do outro).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createMemoryBackend } from './memoryBackend.js';
+import { logInfo, logError } from '../../utils/logger.js';
+
+/**
+ * Lê o estado salvo no arquivo
+ * @param {string} filePath - Caminho do arquivo
+ * @returns {Object} - Estado (vazio se o arquivo não existir ou estiver corrompido)
+ */
+function readState(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logError(`Erro ao ler ${filePath}, iniciando com armazenamento vazio`, error);
+    }
+    return {};
+  }
+}
+
+/**
+ * Cria um backend em arquivo JSON
+ * @param {string} filePath - Caminho do arquivo (STORAGE_FILE_PATH)
+ * @returns {Object} - Backend de armazenamento
+ */
+export function createFileBackend(filePath) {
+  const resolvedPath = path.resolve(filePath);
+  let backend;
+
+  // Grava em um arquivo temporário e renomeia, para não deixar o arquivo pela metade
+  const persist = () => {
+    try {
+      fs.mkdirSync(path.dirname(resolvedPath), { recursive: true });
+      fs.writeFileSync(`${resolvedPath}.tmp`, JSON.stringify(backend.exportState()));
+      fs.renameSync(`${resolvedPath}.tmp`, resolvedPath);
+    } catch (error) {
+      logError(`Erro ao gravar ${resolvedPath}`, error);
+    }
+  };
+
+  backend = createMemoryBackend({ initialState: readState(resolvedPath), onChange: persist });
+  logInfo(`Armazenamento em arquivo: ${resolvedPath}`);
+
+  return { ...backend, name: 'file' };
+}
+
+export default {
+  createFileBackend
+};
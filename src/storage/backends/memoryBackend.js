@@ -0,0 +1,398 @@
+/**
+ * @fileoverview Backend de armazenamento em memória
+ * Implementa, na memória do processo, o mesmo subconjunto de comandos do Redis
+ * usado pela aplicação (textos, hashes, listas e conjuntos ordenados, com
+ * expiração). Serve para desenvolvimento e testes offline, como fallback
+ * quando o Redis está indisponível e como base do backend em arquivo JSON.
+ * Cada operação é executada de forma síncrona, portanto é atômica dentro do processo.
+ */
+
+/**
+ * Converte os índices de LRANGE/LTRIM (negativos contam do fim) em um intervalo de slice
+ * @param {number} length - Tamanho da lista
+ * @param {number} start - Índice inicial
+ * @param {number} stop - Índice final (inclusivo)
+ * @returns {Array<number>} - [início, fim exclusivo]
+ */
+function toSliceRange(length, start, stop) {
+  const from = start < 0 ? Math.max(length + start, 0) : start;
+  const to = stop < 0 ? length + stop : Math.min(stop, length - 1);
+  return [from, Math.max(to + 1, from)];
+}
+
+/**
+ * Converte um limite de pontuação do Redis ('-inf', '+inf' ou número)
+ * @param {number|string} score - Limite
+ * @returns {number} - Limite numérico
+ */
+function parseScore(score) {
+  if (score === '-inf') return -Infinity;
+  if (score === '+inf' || score === 'inf') return Infinity;
+  return Number(score);
+}
+
+/**
+ * Cria um backend em memória
+ * @param {Object} options - Opções
+ * @param {Object} options.initialState - Estado exportado por exportState() (para restaurar dados)
+ * @param {Function} options.onChange - Chamada após cada alteração (usada para persistir o estado)
+ * @returns {Object} - Backend de armazenamento
+ */
+export function createMemoryBackend({ initialState = {}, onChange = () => {} } = {}) {
+  // Cada chave guarda { type, value, expiresAt }; hashes e conjuntos ordenados usam Map
+  const entries = new Map();
+
+  for (const [key, entry] of Object.entries(initialState)) {
+    const value = entry.type === 'hash' || entry.type === 'zset' ? new Map(Object.entries(entry.value)) : entry.value;
+    entries.set(key, { type: entry.type, value, expiresAt: entry.expiresAt || null });
+  }
+
+  /**
+   * Obtém a entrada de uma chave, removendo-a se tiver expirado
+   * @param {string} key - Chave
+   * @param {string} type - Tipo esperado
+   * @returns {Object|null} - Entrada ou null se não existir
+   */
+  function getEntry(key, type) {
+    const entry = entries.get(key);
+
+    if (!entry) {
+      return null;
+    }
+
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+
+    if (entry.type !== type) {
+      throw new Error(`WRONGTYPE: a chave ${key} guarda um valor do tipo ${entry.type}`);
+    }
+
+    return entry;
+  }
+
+  /**
+   * Obtém a entrada de uma chave, criando-a vazia se não existir
+   * @param {string} key - Chave
+   * @param {string} type - Tipo da entrada
+   * @param {Function} createValue - Cria o valor vazio
+   * @returns {Object} - Entrada
+   */
+  function getOrCreateEntry(key, type, createValue) {
+    let entry = getEntry(key, type);
+
+    if (!entry) {
+      entry = { type, value: createValue(), expiresAt: null };
+      entries.set(key, entry);
+    }
+
+    return entry;
+  }
+
+  /**
+   * Remove a chave se a coleção ficou vazia (como no Redis)
+   * @param {string} key - Chave
+   * @param {Object} entry - Entrada
+   */
+  function dropIfEmpty(key, entry) {
+    const size = Array.isArray(entry.value) ? entry.value.length : entry.value.size;
+    if (size === 0) {
+      entries.delete(key);
+    }
+  }
+
+  /**
+   * Lista os membros de um conjunto ordenado dentro de um intervalo de pontuação
+   * @param {Object|null} entry - Entrada
+   * @param {number|string} min - Pontuação mínima
+   * @param {number|string} max - Pontuação máxima
+   * @returns {Array<string>} - Membros no intervalo, em ordem crescente de pontuação
+   */
+  function membersByScore(entry, min, max) {
+    if (!entry) {
+      return [];
+    }
+
+    return [...entry.value.entries()]
+      .filter(([, score]) => score >= parseScore(min) && score <= parseScore(max))
+      .sort((a, b) => a[1] - b[1])
+      .map(([member]) => member);
+  }
+
+  /**
+   * Executa uma operação que altera os dados e notifica onChange
+   * @param {Function} operation - Operação síncrona
+   * @returns {Promise<*>} - Retorno da operação
+   */
+  async function mutate(operation) {
+    const result = operation();
+    onChange();
+    return result;
+  }
+
+  return {
+    name: 'memory',
+
+    async get(key) {
+      const entry = getEntry(key, 'string');
+      return entry ? entry.value : null;
+    },
+
+    set(key, value, { ttlSeconds, ttlMs, onlyIfAbsent = false } = {}) {
+      return mutate(() => {
+        if (onlyIfAbsent && entries.has(key) && getEntry(key, entries.get(key).type)) {
+          return false;
+        }
+
+        const ttl = ttlMs || (ttlSeconds && ttlSeconds * 1000);
+        entries.set(key, { type: 'string', value: String(value), expiresAt: ttl ? Date.now() + ttl : null });
+        return true;
+      });
+    },
+
+    del(...keys) {
+      return mutate(() => keys.filter(key => entries.delete(key)).length);
+    },
+
+    expire(key, ttlSeconds) {
+      return mutate(() => {
+        const entry = entries.has(key) ? getEntry(key, entries.get(key).type) : null;
+        if (!entry) {
+          return false;
+        }
+
+        entry.expiresAt = Date.now() + ttlSeconds * 1000;
+        return true;
+      });
+    },
+
+    async keys(prefix) {
+      return [...entries.keys()].filter(key => key.startsWith(prefix) && getEntry(key, entries.get(key).type));
+    },
+
+    async hget(key, field) {
+      const entry = getEntry(key, 'hash');
+      return entry && entry.value.has(field) ? entry.value.get(field) : null;
+    },
+
+    hset(key, field, value) {
+      return mutate(() => {
+        getOrCreateEntry(key, 'hash', () => new Map()).value.set(field, String(value));
+      });
+    },
+
+    hdel(key, field) {
+      return mutate(() => {
+        const entry = getEntry(key, 'hash');
+        if (!entry || !entry.value.delete(field)) {
+          return 0;
+        }
+
+        dropIfEmpty(key, entry);
+        return 1;
+      });
+    },
+
+    async hgetall(key) {
+      const entry = getEntry(key, 'hash');
+      return entry ? Object.fromEntries(entry.value) : {};
+    },
+
+    hincrby(key, field, amount) {
+      return mutate(() => {
+        const hash = getOrCreateEntry(key, 'hash', () => new Map()).value;
+        const value = parseInt(hash.get(field) || '0', 10) + amount;
+        hash.set(field, String(value));
+        return value;
+      });
+    },
+
+    async hlen(key) {
+      const entry = getEntry(key, 'hash');
+      return entry ? entry.value.size : 0;
+    },
+
+    lpush(key, ...values) {
+      return mutate(() => {
+        const list = getOrCreateEntry(key, 'list', () => []).value;
+        list.unshift(...values.map(String).reverse());
+        return list.length;
+      });
+    },
+
+    rpop(key) {
+      return mutate(() => {
+        const entry = getEntry(key, 'list');
+        if (!entry) {
+          return null;
+        }
+
+        const value = entry.value.pop();
+        dropIfEmpty(key, entry);
+        return value;
+      });
+    },
+
+    lmove(source, destination) {
+      return mutate(() => {
+        const entry = getEntry(source, 'list');
+        if (!entry) {
+          return null;
+        }
+
+        const value = entry.value.pop();
+        dropIfEmpty(source, entry);
+        getOrCreateEntry(destination, 'list', () => []).value.unshift(value);
+        return value;
+      });
+    },
+
+    async lrange(key, start, stop) {
+      const entry = getEntry(key, 'list');
+      return entry ? entry.value.slice(...toSliceRange(entry.value.length, start, stop)) : [];
+    },
+
+    ltrim(key, start, stop) {
+      return mutate(() => {
+        const entry = getEntry(key, 'list');
+        if (entry) {
+          entry.value = entry.value.slice(...toSliceRange(entry.value.length, start, stop));
+          dropIfEmpty(key, entry);
+        }
+      });
+    },
+
+    lrem(key, count, value) {
+      return mutate(() => {
+        const entry = getEntry(key, 'list');
+        if (!entry) {
+          return 0;
+        }
+
+        let removed = 0;
+        entry.value = entry.value.filter(item => {
+          if (item === value && (count === 0 || removed < count)) {
+            removed++;
+            return false;
+          }
+          return true;
+        });
+        dropIfEmpty(key, entry);
+        return removed;
+      });
+    },
+
+    async llen(key) {
+      const entry = getEntry(key, 'list');
+      return entry ? entry.value.length : 0;
+    },
+
+    zadd(key, score, member) {
+      return mutate(() => {
+        getOrCreateEntry(key, 'zset', () => new Map()).value.set(member, Number(score));
+      });
+    },
+
+    zrem(key, member) {
+      return mutate(() => {
+        const entry = getEntry(key, 'zset');
+        if (!entry || !entry.value.delete(member)) {
+          return 0;
+        }
+
+        dropIfEmpty(key, entry);
+        return 1;
+      });
+    },
+
+    async zrangebyscore(key, min, max) {
+      return membersByScore(getEntry(key, 'zset'), min, max);
+    },
+
+    async zcard(key) {
+      const entry = getEntry(key, 'zset');
+      return entry ? entry.value.size : 0;
+    },
+
+    async zcount(key, min, max) {
+      return membersByScore(getEntry(key, 'zset'), min, max).length;
+    },
+
+    setIfVersion(key, expectedVersion, value, ttlSeconds) {
+      return mutate(() => {
+        const entry = getEntry(key, 'string');
+        const version = entry ? Number(JSON.parse(entry.value).version) || 0 : 0;
+
+        if (version !== expectedVersion) {
+          return false;
+        }
+
+        entries.set(key, { type: 'string', value, expiresAt: ttlSeconds ? Date.now() + ttlSeconds * 1000 : null });
+        return true;
+      });
+    },
+
+    deleteIfEquals(key, value) {
+      return mutate(() => {
+        const entry = getEntry(key, 'string');
+        return Boolean(entry && entry.value === value && entries.delete(key));
+      });
+    },
+
+    hitSlidingWindows(windows, now, eventId) {
+      return mutate(() => {
+        for (const [index, window] of windows.entries()) {
+          const entry = getEntry(window.key, 'zset');
+          if (!entry) {
+            continue;
+          }
+
+          for (const [member, score] of entry.value.entries()) {
+            if (score <= now - window.windowMs) {
+              entry.value.delete(member);
+            }
+          }
+
+          if (entry.value.size >= window.limit) {
+            const oldest = Math.min(...entry.value.values());
+            return { blockedIndex: index, retryAfterMs: oldest + window.windowMs - now };
+          }
+        }
+
+        for (const window of windows) {
+          const entry = getOrCreateEntry(window.key, 'zset', () => new Map());
+          entry.value.set(eventId, now);
+          entry.expiresAt = Date.now() + window.windowMs;
+        }
+
+        return { blockedIndex: -1, retryAfterMs: 0 };
+      });
+    },
+
+    /**
+     * Exporta os dados ainda válidos em formato serializável (JSON)
+     * @returns {Object} - Estado no formato aceito por initialState
+     */
+    exportState() {
+      const state = {};
+
+      for (const [key, entry] of entries.entries()) {
+        if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+          continue;
+        }
+
+        const value = entry.value instanceof Map ? Object.fromEntries(entry.value) : entry.value;
+        state[key] = { type: entry.type, value, expiresAt: entry.expiresAt };
+      }
+
+      return state;
+    },
+
+    async close() {}
+  };
+}
+
+export default {
+  createMemoryBackend
+};
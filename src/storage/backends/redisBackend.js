@@ -0,0 +1,201 @@
+/**
+ * @fileoverview Backend de armazenamento no Redis
+ * Mantém a única conexão da aplicação com o Redis e expõe os mesmos comandos
+ * do backend em memória. As operações que precisam ser atômicas entre
+ * instâncias (gravação com versão, lock e janelas deslizantes) usam scripts Lua.
+ */
+
+import Redis from 'ioredis';
+import config from '../../config/env.js';
+import { logInfo, logError, logWarning } from '../../utils/logger.js';
+
+// Grava o valor apenas se a versão armazenada for a esperada (compare-and-set)
+// KEYS: chave; ARGV: versão esperada, valor e expiração (s, 0 para não expirar)
+const SET_IF_VERSION_SCRIPT = `
+local current = redis.call('GET', KEYS[1])
+local version = 0
+if current then
+  version = tonumber(cjson.decode(current).version) or 0
+end
+if version ~= tonumber(ARGV[1]) then
+  return 0
+end
+if tonumber(ARGV[3]) > 0 then
+  redis.call('SET', KEYS[1], ARGV[2], 'EX', ARGV[3])
+else
+  redis.call('SET', KEYS[1], ARGV[2])
+end
+return 1
+`;
+
+// Remove a chave apenas se ainda guardar o valor informado (liberação de lock)
+const DELETE_IF_EQUALS_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('DEL', KEYS[1])
+end
+return 0
+`;
+
+// Janelas deslizantes: verifica todas as janelas e, se nenhuma estiver no limite, registra o evento em todas
+// KEYS: janelas; ARGV: agora, id do evento e, para cada janela, limite e duração (ms)
+// Retorna { índice da janela que bloqueou (0 se nenhuma), ms até liberar }
+const SLIDING_WINDOW_SCRIPT = `
+local now = tonumber(ARGV[1])
+for i, key in ipairs(KEYS) do
+  local limit = tonumber(ARGV[1 + i * 2])
+  local window = tonumber(ARGV[2 + i * 2])
+  redis.call('ZREMRANGEBYSCORE', key, '-inf', now - window)
+  if redis.call('ZCARD', key) >= limit then
+    local oldest = redis.call('ZRANGE', key, 0, 0, 'WITHSCORES')
+    return {i, tonumber(oldest[2]) + window - now}
+  end
+end
+for i, key in ipairs(KEYS) do
+  redis.call('ZADD', key, now, ARGV[2])
+  redis.call('PEXPIRE', key, tonumber(ARGV[2 + i * 2]))
+end
+return {0, 0}
+`;
+
+/**
+ * Cria o cliente Redis com reconexão e TLS (URLs rediss://)
+ * @param {string} url - URL de conexão
+ * @returns {Redis} - Cliente ioredis
+ */
+function createClient(url) {
+  logInfo(`Conectando ao Redis: ${url.substring(0, url.indexOf('://') + 3)}... (REDIS_TLS_REJECT_UNAUTHORIZED: ${config.REDIS_TLS_REJECT_UNAUTHORIZED})`);
+
+  const redisOptions = {
+    maxRetriesPerRequest: 3,
+    connectTimeout: 15000,
+    retryStrategy(times) {
+      const delay = Math.min(times * 200, 2000);
+      logInfo(`Tentativa de reconexão Redis #${times}. Próxima tentativa em ${delay}ms.`);
+      return delay;
+    }
+  };
+
+  if (url.startsWith('rediss://')) {
+    redisOptions.tls = {
+      rejectUnauthorized: config.REDIS_TLS_REJECT_UNAUTHORIZED
+    };
+  }
+
+  const client = new Redis(url, redisOptions);
+
+  client.on('ready', () => logInfo('Cliente Redis pronto para uso.'));
+  client.on('error', (err) => {
+    logError('Erro de conexão/operação com o Redis', err);
+    if (err.message && (err.message.includes('SSL') || err.message.includes('TLS'))) {
+      logError(`Detalhes do erro TLS: code=${err.code}, syscall=${err.syscall}, reason=${err.reason}`);
+    }
+  });
+  client.on('close', () => logWarning('Conexão com o Redis fechada.'));
+  client.on('end', () => logWarning('Conexão com o Redis terminada (não haverá mais reconexões).'));
+
+  return client;
+}
+
+/**
+ * Cria um backend no Redis
+ * @param {string} url - URL de conexão (REDIS_URL)
+ * @returns {Object} - Backend de armazenamento
+ */
+export function createRedisBackend(url) {
+  const redis = createClient(url);
+
+  return {
+    name: 'redis',
+
+    // Falso enquanto a conexão estiver caída (reconectando ou encerrada)
+    isAvailable: () => !['reconnecting', 'close', 'end'].includes(redis.status),
+
+    get: (key) => redis.get(key),
+
+    async set(key, value, { ttlSeconds, ttlMs, onlyIfAbsent = false } = {}) {
+      const args = [];
+      if (ttlMs) {
+        args.push('PX', ttlMs);
+      } else if (ttlSeconds) {
+        args.push('EX', ttlSeconds);
+      }
+      if (onlyIfAbsent) {
+        args.push('NX');
+      }
+
+      return await redis.set(key, value, ...args) === 'OK';
+    },
+
+    del: (...keys) => redis.del(...keys),
+    expire: async (key, ttlSeconds) => await redis.expire(key, ttlSeconds) === 1,
+
+    async keys(prefix) {
+      const keys = [];
+      let cursor = '0';
+
+      do {
+        const [nextCursor, batch] = await redis.scan(cursor, 'MATCH', `${prefix}*`, 'COUNT', 200);
+        cursor = nextCursor;
+        keys.push(...batch);
+      } while (cursor !== '0');
+
+      return [...new Set(keys)];
+    },
+
+    hget: (key, field) => redis.hget(key, field),
+    async hset(key, field, value) {
+      await redis.hset(key, field, value);
+    },
+    hdel: (key, field) => redis.hdel(key, field),
+    hgetall: (key) => redis.hgetall(key),
+    hincrby: (key, field, amount) => redis.hincrby(key, field, amount),
+    hlen: (key) => redis.hlen(key),
+
+    lpush: (key, ...values) => redis.lpush(key, ...values),
+    rpop: (key) => redis.rpop(key),
+    lmove: (source, destination) => redis.lmove(source, destination, 'RIGHT', 'LEFT'),
+    lrange: (key, start, stop) => redis.lrange(key, start, stop),
+    async ltrim(key, start, stop) {
+      await redis.ltrim(key, start, stop);
+    },
+    lrem: (key, count, value) => redis.lrem(key, count, value),
+    llen: (key) => redis.llen(key),
+
+    async zadd(key, score, member) {
+      await redis.zadd(key, score, member);
+    },
+    zrem: (key, member) => redis.zrem(key, member),
+    zrangebyscore: (key, min, max) => redis.zrangebyscore(key, min, max),
+    zcard: (key) => redis.zcard(key),
+    zcount: (key, min, max) => redis.zcount(key, min, max),
+
+    async setIfVersion(key, expectedVersion, value, ttlSeconds) {
+      return await redis.eval(SET_IF_VERSION_SCRIPT, 1, key, expectedVersion, value, ttlSeconds || 0) === 1;
+    },
+
+    async deleteIfEquals(key, value) {
+      return await redis.eval(DELETE_IF_EQUALS_SCRIPT, 1, key, value) === 1;
+    },
+
+    async hitSlidingWindows(windows, now, eventId) {
+      const [blockedIndex, retryAfterMs] = await redis.eval(
+        SLIDING_WINDOW_SCRIPT,
+        windows.length,
+        ...windows.map(window => window.key),
+        now,
+        eventId,
+        ...windows.flatMap(window => [window.limit, window.windowMs])
+      );
+
+      return { blockedIndex: blockedIndex - 1, retryAfterMs };
+    },
+
+    async close() {
+      await redis.quit();
+    }
+  };
+}
+
+export default {
+  createRedisBackend
+};
@@ -0,0 +1,227 @@
+import storage, { KEY_PREFIXES } from './storage.js';
+
+/**
+ * Repositório de campanhas
+ * Guarda as campanhas de envio de template criadas pelo painel. Cada campanha
+ * fica em uma chave própria, gravada com controle de versão para que o envio
+ * e a pausa pelo painel não sobrescrevam a situação um do outro, e o índice
+ * KEY_PREFIXES.CAMPAIGNS as ordena pela criação. Os destinatários ainda não
+ * processados ficam em uma fila própria e, durante o envio, em uma lista de
+ * processamento até o resultado ser registrado; o resultado de cada
+ * destinatário fica em um hash e os contadores (enviados, com falha,
+ * ignorados) em outro.
+ */
+
+/**
+ * Erro lançado quando a campanha foi alterada por outro processo depois de lida
+ */
+export class CampaignConflictError extends Error {
+  constructor(id, expectedVersion) {
+    super(`Campanha ${id} alterada por outro processo (versão esperada: ${expectedVersion})`);
+    this.name = 'CampaignConflictError';
+  }
+}
+
+/**
+ * Monta a chave de uma campanha
+ * @param {string} id - Id da campanha
+ * @returns {string} - Chave no armazenamento
+ */
+function getKey(id) {
+  return `${KEY_PREFIXES.CAMPAIGN}${id}`;
+}
+
+/**
+ * Salva uma campanha nova ou alterada
+ * A gravação só acontece se a campanha armazenada ainda estiver na versão lida
+ * (campaign.version); caso outro processo a tenha alterado nesse meio tempo,
+ * lança CampaignConflictError em vez de sobrescrever a alteração.
+ * @param {Object} campaign - Campanha (com id; version é atualizada)
+ * @throws {CampaignConflictError} - Se a campanha foi alterada depois de lida
+ */
+export async function saveCampaign(campaign) {
+  const expectedVersion = campaign.version || 0;
+  const version = expectedVersion + 1;
+
+  const saved = await storage.setIfVersion(
+    getKey(campaign.id),
+    expectedVersion,
+    JSON.stringify({ ...campaign, version })
+  );
+
+  if (!saved) {
+    throw new CampaignConflictError(campaign.id, expectedVersion);
+  }
+
+  if (expectedVersion === 0) {
+    await storage.zadd(KEY_PREFIXES.CAMPAIGNS, campaign.createdAt, campaign.id);
+  }
+  campaign.version = version;
+}
+
+/**
+ * Obtém uma campanha
+ * @param {string} id - Id da campanha
+ * @returns {Promise<Object|null>} - Campanha ou null se não encontrada
+ */
+export async function getCampaign(id) {
+  const data = await storage.get(getKey(id));
+  return data ? JSON.parse(data) : null;
+}
+
+/**
+ * Lista as campanhas, das mais recentes para as mais antigas
+ * @returns {Promise<Array<Object>>} - Campanhas
+ */
+export async function listCampaigns() {
+  const campaigns = [];
+
+  for (const id of await storage.zrangebyscore(KEY_PREFIXES.CAMPAIGNS, '-inf', '+inf')) {
+    const campaign = await getCampaign(id);
+    if (campaign) {
+      campaigns.push(campaign);
+    }
+  }
+
+  return campaigns.reverse();
+}
+
+/**
+ * Coloca os destinatários na fila da campanha, na ordem informada
+ * @param {string} id - Id da campanha
+ * @param {Array<Object>} recipients - Destinatários ({ phoneNumber, name })
+ */
+export async function addRecipients(id, recipients) {
+  if (recipients.length > 0) {
+    await storage.lpush(`${KEY_PREFIXES.CAMPAIGN_RECIPIENTS}${id}`, ...recipients.map(recipient => JSON.stringify(recipient)));
+  }
+}
+
+/**
+ * Move o próximo destinatário da fila da campanha para a lista de processamento
+ * O destinatário só sai da lista de processamento em acknowledgeRecipient, depois
+ * de registrado o resultado: se o processo cair durante o envio, ele é devolvido
+ * à fila por requeueProcessingRecipients.
+ * @param {string} id - Id da campanha
+ * @returns {Promise<Object|null>} - Destinatário ou null se a fila estiver vazia
+ */
+export async function takeNextRecipient(id) {
+  const data = await storage.lmove(`${KEY_PREFIXES.CAMPAIGN_RECIPIENTS}${id}`, `${KEY_PREFIXES.CAMPAIGN_PROCESSING}${id}`);
+  return data ? JSON.parse(data) : null;
+}
+
+/**
+ * Retira da lista de processamento um destinatário cujo resultado já foi registrado
+ * @param {string} id - Id da campanha
+ * @param {Object} recipient - Destinatário obtido por takeNextRecipient
+ */
+export async function acknowledgeRecipient(id, recipient) {
+  await storage.lrem(`${KEY_PREFIXES.CAMPAIGN_PROCESSING}${id}`, 1, JSON.stringify(recipient));
+}
+
+/**
+ * Devolve à fila os destinatários deixados na lista de processamento por um envio interrompido
+ * Só deve ser chamada quando nenhum outro envio da campanha estiver em andamento.
+ * @param {string} id - Id da campanha
+ * @returns {Promise<number>} - Quantidade de destinatários devolvidos
+ */
+export async function requeueProcessingRecipients(id) {
+  let count = 0;
+
+  while (await storage.lmove(`${KEY_PREFIXES.CAMPAIGN_PROCESSING}${id}`, `${KEY_PREFIXES.CAMPAIGN_RECIPIENTS}${id}`)) {
+    count++;
+  }
+
+  return count;
+}
+
+/**
+ * Conta os destinatários que ainda não foram processados
+ * @param {string} id - Id da campanha
+ * @returns {Promise<number>} - Quantidade de destinatários na fila e em processamento
+ */
+export async function countPendingRecipients(id) {
+  const [queued, processing] = await Promise.all([
+    storage.llen(`${KEY_PREFIXES.CAMPAIGN_RECIPIENTS}${id}`),
+    storage.llen(`${KEY_PREFIXES.CAMPAIGN_PROCESSING}${id}`)
+  ]);
+  return queued + processing;
+}
+
+/**
+ * Registra o resultado do envio a um destinatário e atualiza o contador correspondente
+ * @param {string} id - Id da campanha
+ * @param {Object} result - Resultado ({ phoneNumber, name, status, wamid, error, timestamp })
+ */
+export async function saveRecipientResult(id, result) {
+  await storage.hset(`${KEY_PREFIXES.CAMPAIGN_RESULTS}${id}`, result.phoneNumber, JSON.stringify(result));
+  await storage.hincrby(`${KEY_PREFIXES.CAMPAIGN_COUNTS}${id}`, result.status, 1);
+}
+
+/**
+ * Obtém o resultado do envio a um destinatário
+ * @param {string} id - Id da campanha
+ * @param {string} phoneNumber - Número do destinatário
+ * @returns {Promise<Object|null>} - Resultado ou null se ainda não processado
+ */
+export async function getRecipientResult(id, phoneNumber) {
+  const data = await storage.hget(`${KEY_PREFIXES.CAMPAIGN_RESULTS}${id}`, phoneNumber);
+  return data ? JSON.parse(data) : null;
+}
+
+/**
+ * Lista os resultados dos destinatários já processados, dos mais recentes para os mais antigos
+ * @param {string} id - Id da campanha
+ * @returns {Promise<Array<Object>>} - Resultados
+ */
+export async function listRecipientResults(id) {
+  const results = Object.values(await storage.hgetall(`${KEY_PREFIXES.CAMPAIGN_RESULTS}${id}`)).map(data => JSON.parse(data));
+  return results.sort((a, b) => b.timestamp - a.timestamp);
+}
+
+/**
+ * Remove um número da campanha: o resultado do envio e, se ainda pendente, o lugar na fila
+ * (ou na lista de processamento). Os contadores não guardam números e não são alterados.
+ * @param {string} id - Id da campanha
+ * @param {string} phoneNumber - Número do destinatário
+ * @returns {Promise<boolean>} - Verdadeiro se o número estava na campanha
+ */
+export async function deleteRecipient(id, phoneNumber) {
+  let removed = await storage.hdel(`${KEY_PREFIXES.CAMPAIGN_RESULTS}${id}`, phoneNumber) > 0;
+
+  for (const key of [`${KEY_PREFIXES.CAMPAIGN_RECIPIENTS}${id}`, `${KEY_PREFIXES.CAMPAIGN_PROCESSING}${id}`]) {
+    for (const entry of new Set(await storage.lrange(key, 0, -1))) {
+      if (JSON.parse(entry).phoneNumber === phoneNumber && await storage.lrem(key, 0, entry) > 0) {
+        removed = true;
+      }
+    }
+  }
+
+  return removed;
+}
+
+/**
+ * Obtém os contadores de resultados da campanha
+ * @param {string} id - Id da campanha
+ * @returns {Promise<Object>} - Quantidade por resultado ({ sent, failed, skipped })
+ */
+export async function getResultCounts(id) {
+  const counts = await storage.hgetall(`${KEY_PREFIXES.CAMPAIGN_COUNTS}${id}`);
+  return Object.fromEntries(Object.entries(counts).map(([status, value]) => [status, parseInt(value, 10)]));
+}
+
+export default {
+  saveCampaign,
+  getCampaign,
+  listCampaigns,
+  addRecipients,
+  takeNextRecipient,
+  acknowledgeRecipient,
+  requeueProcessingRecipients,
+  countPendingRecipients,
+  saveRecipientResult,
+  getRecipientResult,
+  listRecipientResults,
+  deleteRecipient,
+  getResultCounts
+};
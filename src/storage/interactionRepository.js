@@ -0,0 +1,267 @@
+import storage, { KEY_PREFIXES } from './storage.js';
+import interactionSchema from '../models/interactionSchema.js';
+import { log, logWarning, logError } from '../utils/logger.js';
+
+/**
+ * Repositório de interações
+ * Guarda um resumo de cada conversa concluída (ou com falha) para o painel
+ * administrativo. Cada interação fica em sua própria chave, e o índice
+ * KEY_PREFIXES.INTERACTIONS_INDEX mantém as chaves das mais recentes. As
+ * interações seguem o esquema de src/models/interactionSchema.js.
+ */
+
+// Tempo que cada interação é mantida (30 dias)
+const INTERACTION_EXPIRATION_SECONDS = 30 * 24 * 3600;
+
+// Quantidade máxima de interações mantidas no índice
+export const MAX_INTERACTIONS = 1000;
+
+/**
+ * Calcula quanto tempo ainda resta para a interação expirar
+ * @param {Object} interaction - Interação
+ * @returns {number} - Segundos restantes (no mínimo 1)
+ */
+function getRemainingSeconds(interaction) {
+  const elapsedSeconds = Math.floor((Date.now() - interaction.timestamp) / 1000);
+  return Math.max(INTERACTION_EXPIRATION_SECONDS - elapsedSeconds, 1);
+}
+
+/**
+ * Salva uma interação
+ * @param {Object} interactionData - Dados da interação
+ * @returns {Promise<boolean>} - Status de sucesso da operação
+ * @throws {SchemaValidationError} - Se a interação não respeitar o esquema
+ */
+export async function saveInteraction(interactionData) {
+  if (!interactionData) return false;
+
+  // Adiciona timestamp se não existir
+  if (!interactionData.timestamp) {
+    interactionData.timestamp = Date.now();
+  }
+
+  const document = { ...interactionData, schemaVersion: interactionSchema.version };
+  interactionSchema.assertValid(document);
+
+  const key = `${KEY_PREFIXES.INTERACTION}${Date.now()}:${Math.random().toString(36).substring(2, 10)}`;
+
+  await storage.set(key, JSON.stringify(document), { ttlSeconds: INTERACTION_EXPIRATION_SECONDS });
+  await storage.lpush(KEY_PREFIXES.INTERACTIONS_INDEX, key);
+  await storage.ltrim(KEY_PREFIXES.INTERACTIONS_INDEX, 0, MAX_INTERACTIONS - 1);
+
+  return true;
+}
+
+/**
+ * Salva a interação de uma sessão no formato exibido pelo painel administrativo
+ * @param {Object} sessionData - Dados da sessão do usuário
+ * @returns {Promise<boolean>} - Status de sucesso da operação
+ */
+export async function saveInteractionFromSession(sessionData) {
+  if (!sessionData || !sessionData.phoneNumber) {
+    logWarning('Dados de sessão inválidos para salvar interação');
+    return false;
+  }
+
+  const interactionData = {
+    // Dados básicos
+    phoneNumber: sessionData.phoneNumber,
+    name: sessionData.name || 'Não informado',
+    email: sessionData.email || '',
+    timestamp: Date.now(),
+    startTimestamp: sessionData.startTimestamp || Date.now(),
+    endTimestamp: Date.now(),
+
+    // Dados do perfil
+    profileUrl: sessionData.profileUrl || '',
+    inputType: sessionData.inputType || 'text',
+    imageUrl: sessionData.imageUrl || '',
+
+    // Dados da carta
+    mainChallenge: sessionData.challenge || 'Não informado',
+    personalChallenge: sessionData.personalChallenge || 'Não informado',
+    letterContent: sessionData.letterContent || '',
+
+    // Status da interação
+    status: sessionData.letterContent ? 'completed' : 'error',
+
+    // Métricas
+    processingTime: sessionData.startTimestamp ?
+      (Date.now() - sessionData.startTimestamp) / 1000 : 0
+  };
+
+  try {
+    await saveInteraction(interactionData);
+    log(`Interação salva com sucesso para o painel: ${sessionData.phoneNumber}`);
+    return true;
+  } catch (error) {
+    logError('Erro ao salvar interação para o painel', error);
+    return false;
+  }
+}
+
+/**
+ * Lista as interações mais recentes
+ * Interações gravadas em versões anteriores do esquema são migradas na leitura.
+ * @param {number} limit - Número máximo de interações a retornar
+ * @returns {Promise<Array>} - Interações (com id), das mais recentes para as mais antigas
+ */
+export async function listInteractions(limit = 100) {
+  const interactions = [];
+
+  for (const key of await storage.lrange(KEY_PREFIXES.INTERACTIONS_INDEX, 0, limit - 1)) {
+    const data = await storage.get(key);
+    if (!data) {
+      continue;
+    }
+
+    try {
+      interactions.push({
+        id: key.slice(KEY_PREFIXES.INTERACTION.length),
+        ...interactionSchema.load(JSON.parse(data)).document
+      });
+    } catch (error) {
+      logError(`Erro ao analisar dados da interação ${key}`, error);
+    }
+  }
+
+  return interactions;
+}
+
+/**
+ * Lista todas as interações de um número, inclusive as que já saíram do índice
+ * Percorre as chaves das interações, pois o índice guarda apenas as
+ * MAX_INTERACTIONS mais recentes. Usada nos pedidos de privacidade, que
+ * precisam encontrar todos os dados do número.
+ * @param {string} phoneNumber - Número de telefone
+ * @returns {Promise<Array>} - Interações (com id), das mais recentes para as mais antigas
+ */
+export async function listNumberInteractions(phoneNumber) {
+  const interactions = [];
+
+  for (const key of await storage.keys(KEY_PREFIXES.INTERACTION)) {
+    const data = await storage.get(key);
+    if (!data) {
+      continue;
+    }
+
+    let interaction;
+    try {
+      interaction = JSON.parse(data);
+    } catch (error) {
+      logError(`Erro ao analisar dados da interação ${key}`, error);
+      continue;
+    }
+
+    if (interaction.phoneNumber !== phoneNumber) {
+      continue;
+    }
+
+    // Uma interação fora do esquema também pertence ao número e é listada como foi gravada
+    try {
+      interaction = interactionSchema.load(interaction).document;
+    } catch (error) {
+      logWarning(`Interação ${key} fora do esquema: ${error.message}`);
+    }
+
+    interactions.push({ id: key.slice(KEY_PREFIXES.INTERACTION.length), ...interaction });
+  }
+
+  return interactions.sort((a, b) => b.timestamp - a.timestamp);
+}
+
+/**
+ * Remove uma interação e a retira do índice
+ * @param {string} id - Id da interação (retornado por listInteractions)
+ */
+export async function deleteInteraction(id) {
+  const key = `${KEY_PREFIXES.INTERACTION}${id}`;
+
+  await storage.del(key);
+  await storage.lrem(KEY_PREFIXES.INTERACTIONS_INDEX, 0, key);
+}
+
+/**
+ * Migra para a versão atual do esquema todas as interações do índice
+ * A interação migrada mantém o prazo de expiração original (30 dias desde o registro).
+ * Interações inválidas são apenas relatadas, para análise no painel.
+ * @returns {Promise<Object>} - { total, migrated, unchanged, invalid: [{ id, errors }] }
+ */
+export async function migrateAllInteractions() {
+  const result = { total: 0, migrated: 0, unchanged: 0, invalid: [] };
+
+  for (const key of await storage.lrange(KEY_PREFIXES.INTERACTIONS_INDEX, 0, -1)) {
+    const data = await storage.get(key);
+    if (!data) {
+      continue;
+    }
+
+    const id = key.slice(KEY_PREFIXES.INTERACTION.length);
+    result.total++;
+
+    let parsed;
+    try {
+      parsed = interactionSchema.load(JSON.parse(data));
+    } catch (error) {
+      result.invalid.push({ id, errors: error.errors || [error.message] });
+      continue;
+    }
+
+    if (!parsed.migrated) {
+      result.unchanged++;
+      continue;
+    }
+
+    await storage.set(key, JSON.stringify(parsed.document), { ttlSeconds: getRemainingSeconds(parsed.document) });
+    result.migrated++;
+  }
+
+  log(`Migração de interações concluída: ${result.migrated} migradas, ${result.unchanged} já atualizadas, ${result.invalid.length} inválidas`);
+  return result;
+}
+
+/**
+ * Obtém estatísticas das interações
+ * @returns {Promise<Object>} - Objeto com estatísticas
+ */
+export async function getInteractionStats() {
+  const stats = {
+    total: 0,
+    completed: 0,
+    error: 0,
+    avgProcessingTime: 0,
+    lastInteraction: null
+  };
+
+  const interactions = await listInteractions(MAX_INTERACTIONS);
+
+  if (interactions.length > 0) {
+    stats.total = interactions.length;
+    stats.completed = interactions.filter(i => i.status === 'completed').length;
+    stats.error = interactions.filter(i => i.status === 'error').length;
+
+    // Calcula tempo médio de processamento
+    const processingTimes = interactions
+      .filter(i => i.processingTime)
+      .map(i => i.processingTime);
+
+    if (processingTimes.length > 0) {
+      stats.avgProcessingTime = processingTimes.reduce((sum, time) => sum + time, 0) / processingTimes.length;
+    }
+
+    // Obtém a interação mais recente
+    stats.lastInteraction = interactions.sort((a, b) => b.timestamp - a.timestamp)[0];
+  }
+
+  return stats;
+}
+
+export default {
+  saveInteraction,
+  saveInteractionFromSession,
+  listInteractions,
+  listNumberInteractions,
+  deleteInteraction,
+  getInteractionStats,
+  migrateAllInteractions
+};
@@ -0,0 +1,177 @@
+import storage, { KEY_PREFIXES } from './storage.js';
+
+/**
+ * Repositório de registros de mensagens
+ * Guarda o resultado do processamento das mensagens recebidas pelo webhook e a
+ * situação de entrega das mensagens enviadas, com as falhas mais recentes
+ * (inclusive as causadas pela janela de 24 horas fechada) separadas para o painel.
+ * As mensagens enviadas a cada número ficam indexadas, para que os registros
+ * possam ser apagados a pedido do usuário.
+ */
+
+/**
+ * Adiciona registros ao início de uma lista, mantendo apenas os mais recentes
+ * @param {string} key - Chave da lista
+ * @param {Array<Object>} entries - Registros, do mais antigo para o mais recente
+ * @param {number} maxEntries - Quantidade máxima de registros mantidos
+ */
+async function prepend(key, entries, maxEntries) {
+  await storage.lpush(key, ...entries.map(entry => JSON.stringify(entry)));
+  await storage.ltrim(key, 0, maxEntries - 1);
+}
+
+/**
+ * Lê os registros mais recentes de uma lista
+ * @param {string} key - Chave da lista
+ * @param {number} limit - Limite de registros
+ * @returns {Promise<Array<Object>>} - Registros, dos mais recentes para os mais antigos
+ */
+async function readLatest(key, limit) {
+  const entries = await storage.lrange(key, 0, limit - 1);
+  return entries.map(entry => JSON.parse(entry));
+}
+
+/**
+ * Remove de uma lista os registros que atendem a uma condição
+ * @param {string} key - Chave da lista
+ * @param {Function} predicate - Condição aplicada a cada registro
+ * @returns {Promise<number>} - Quantidade de registros removidos
+ */
+async function removeMatching(key, predicate) {
+  let removed = 0;
+
+  for (const entry of new Set(await storage.lrange(key, 0, -1))) {
+    if (predicate(JSON.parse(entry))) {
+      removed += await storage.lrem(key, 0, entry);
+    }
+  }
+
+  return removed;
+}
+
+/**
+ * Registra o resultado do processamento de mensagens do webhook
+ * @param {Array<Object>} outcomes - Resultados por mensagem
+ * @param {number} maxEntries - Quantidade máxima de resultados mantidos
+ */
+export async function appendWebhookOutcomes(outcomes, maxEntries) {
+  await prepend(KEY_PREFIXES.WEBHOOK_OUTCOMES, outcomes, maxEntries);
+}
+
+/**
+ * Obtém os resultados mais recentes do processamento de mensagens do webhook
+ * @param {number} limit - Limite de resultados
+ * @returns {Promise<Array<Object>>} - Resultados, dos mais recentes para os mais antigos
+ */
+export async function listWebhookOutcomes(limit) {
+  return readLatest(KEY_PREFIXES.WEBHOOK_OUTCOMES, limit);
+}
+
+/**
+ * Salva o registro de uma mensagem enviada (situação de entrega)
+ * @param {Object} record - Registro da mensagem, identificado por record.wamid
+ * @param {number} expirationSeconds - Tempo de expiração do registro em segundos
+ */
+export async function saveOutboundMessage(record, expirationSeconds) {
+  await storage.set(`${KEY_PREFIXES.OUTBOUND_MESSAGE}${record.wamid}`, JSON.stringify(record), {
+    ttlSeconds: expirationSeconds
+  });
+
+  if (!record.to) {
+    return;
+  }
+
+  // O índice do número (conjunto ordenado pelo envio) expira junto com o registro mais recente
+  const indexKey = `${KEY_PREFIXES.OUTBOUND_BY_NUMBER}${record.to}`;
+  await storage.zadd(indexKey, record.sentAt || Date.now(), record.wamid);
+  await storage.expire(indexKey, expirationSeconds);
+}
+
+/**
+ * Lista os ids das mensagens enviadas a um número que ainda têm registro
+ * @param {string} phoneNumber - Número de telefone
+ * @returns {Promise<Array<string>>} - Ids das mensagens (wamid)
+ */
+async function listOutboundMessageIds(phoneNumber) {
+  return storage.zrangebyscore(`${KEY_PREFIXES.OUTBOUND_BY_NUMBER}${phoneNumber}`, '-inf', '+inf');
+}
+
+/**
+ * Obtém o registro de uma mensagem enviada
+ * @param {string} wamid - Id da mensagem retornado pela API do WhatsApp
+ * @returns {Promise<Object|null>} - Registro ou null se não encontrado
+ */
+export async function getOutboundMessage(wamid) {
+  const data = await storage.get(`${KEY_PREFIXES.OUTBOUND_MESSAGE}${wamid}`);
+  return data ? JSON.parse(data) : null;
+}
+
+/**
+ * Registra uma falha de entrega
+ * @param {Object} failure - Dados da falha
+ * @param {number} maxEntries - Quantidade máxima de falhas mantidas
+ */
+export async function appendDeliveryFailure(failure, maxEntries) {
+  await prepend(KEY_PREFIXES.DELIVERY_FAILURES, [failure], maxEntries);
+}
+
+/**
+ * Obtém as falhas de entrega mais recentes
+ * @param {number} limit - Limite de falhas
+ * @returns {Promise<Array<Object>>} - Falhas, das mais recentes para as mais antigas
+ */
+export async function listDeliveryFailures(limit) {
+  return readLatest(KEY_PREFIXES.DELIVERY_FAILURES, limit);
+}
+
+/**
+ * Registra uma mensagem não entregue porque a janela de 24 horas estava fechada
+ * @param {Object} failure - Dados da falha
+ * @param {number} maxEntries - Quantidade máxima de falhas mantidas
+ */
+export async function appendWindowFailure(failure, maxEntries) {
+  await prepend(KEY_PREFIXES.WINDOW_FAILURES, [failure], maxEntries);
+}
+
+/**
+ * Obtém as falhas mais recentes por janela de 24 horas fechada
+ * @param {number} limit - Limite de falhas
+ * @returns {Promise<Array<Object>>} - Falhas, das mais recentes para as mais antigas
+ */
+export async function listWindowFailures(limit) {
+  return readLatest(KEY_PREFIXES.WINDOW_FAILURES, limit);
+}
+
+/**
+ * Apaga os registros de mensagens de um número: resultados do webhook, mensagens
+ * enviadas, falhas de entrega e falhas por janela de 24 horas fechada
+ * @param {string} phoneNumber - Número de telefone
+ * @returns {Promise<number>} - Quantidade de registros apagados
+ */
+export async function deleteNumberLogs(phoneNumber) {
+  const wamids = await listOutboundMessageIds(phoneNumber);
+  let removed = 0;
+
+  if (wamids.length > 0) {
+    removed += await storage.del(...wamids.map(wamid => `${KEY_PREFIXES.OUTBOUND_MESSAGE}${wamid}`));
+  }
+  await storage.del(`${KEY_PREFIXES.OUTBOUND_BY_NUMBER}${phoneNumber}`);
+
+  removed += await removeMatching(KEY_PREFIXES.WEBHOOK_OUTCOMES, outcome => outcome.from === phoneNumber);
+  removed += await removeMatching(KEY_PREFIXES.DELIVERY_FAILURES, failure => failure.to === phoneNumber);
+  removed += await removeMatching(KEY_PREFIXES.WINDOW_FAILURES, failure => failure.to === phoneNumber);
+
+  return removed;
+}
+
+export default {
+  appendWebhookOutcomes,
+  listWebhookOutcomes,
+  saveOutboundMessage,
+  getOutboundMessage,
+  appendDeliveryFailure,
+  listDeliveryFailures,
+  appendWindowFailure,
+  listWindowFailures,
+  deleteNumberLogs
+};
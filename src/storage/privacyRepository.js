@@ -0,0 +1,110 @@
+import storage, { KEY_PREFIXES } from './storage.js';
+
+/**
+ * Repositório de privacidade (LGPD)
+ * Guarda os números que pediram para não receber mensagens, o registro de
+ * auditoria dos pedidos de privacidade e as mídias enviadas e recebidas de
+ * cada usuário, para que possam ser apagadas a pedido dele.
+ */
+
+// Tempo que as mídias ficam disponíveis na API do WhatsApp (30 dias)
+const USER_MEDIA_EXPIRATION_SECONDS = 30 * 24 * 3600;
+
+/**
+ * Registra que um número pediu para não receber mensagens
+ * @param {string} phoneNumber - Número de telefone
+ * @param {Object} record - Registro do pedido ({ timestamp })
+ */
+export async function saveOptOut(phoneNumber, record) {
+  await storage.hset(KEY_PREFIXES.OPT_OUTS, phoneNumber, JSON.stringify(record));
+}
+
+/**
+ * Remove o pedido de não receber mensagens de um número
+ * @param {string} phoneNumber - Número de telefone
+ */
+export async function deleteOptOut(phoneNumber) {
+  await storage.hdel(KEY_PREFIXES.OPT_OUTS, phoneNumber);
+}
+
+/**
+ * Obtém o pedido de não receber mensagens de um número
+ * @param {string} phoneNumber - Número de telefone
+ * @returns {Promise<Object|null>} - Registro do pedido ou null se o número recebe mensagens
+ */
+export async function getOptOut(phoneNumber) {
+  const data = await storage.hget(KEY_PREFIXES.OPT_OUTS, phoneNumber);
+  return data ? JSON.parse(data) : null;
+}
+
+/**
+ * Lista os números que pediram para não receber mensagens, dos pedidos mais recentes para os mais antigos
+ * @returns {Promise<Array<Object>>} - Pedidos ({ phoneNumber, timestamp })
+ */
+export async function listOptOuts() {
+  const optOuts = Object.entries(await storage.hgetall(KEY_PREFIXES.OPT_OUTS))
+    .map(([phoneNumber, data]) => ({ phoneNumber, ...JSON.parse(data) }));
+  return optOuts.sort((a, b) => b.timestamp - a.timestamp);
+}
+
+/**
+ * Adiciona um registro à auditoria, mantendo apenas os mais recentes
+ * @param {Object} entry - Registro ({ phoneNumber, action, timestamp, details })
+ * @param {number} maxEntries - Quantidade máxima de registros mantidos
+ */
+export async function appendAuditEntry(entry, maxEntries) {
+  await storage.lpush(KEY_PREFIXES.PRIVACY_AUDIT, JSON.stringify(entry));
+  await storage.ltrim(KEY_PREFIXES.PRIVACY_AUDIT, 0, maxEntries - 1);
+}
+
+/**
+ * Lê os registros mais recentes da auditoria
+ * @param {number} limit - Limite de registros
+ * @returns {Promise<Array<Object>>} - Registros, dos mais recentes para os mais antigos
+ */
+export async function listAuditEntries(limit) {
+  const entries = await storage.lrange(KEY_PREFIXES.PRIVACY_AUDIT, 0, limit - 1);
+  return entries.map(entry => JSON.parse(entry));
+}
+
+/**
+ * Registra uma mídia enviada ou recebida de um usuário
+ * As mídias ficam em um conjunto ordenado pelo horário do registro, que expira
+ * junto com a mais recente na API do WhatsApp.
+ * @param {string} phoneNumber - Número de telefone
+ * @param {string} mediaId - ID da mídia no WhatsApp
+ */
+export async function addUserMedia(phoneNumber, mediaId) {
+  const key = `${KEY_PREFIXES.USER_MEDIA}${phoneNumber}`;
+  await storage.zadd(key, Date.now(), mediaId);
+  await storage.expire(key, USER_MEDIA_EXPIRATION_SECONDS);
+}
+
+/**
+ * Lista as mídias enviadas e recebidas de um usuário
+ * @param {string} phoneNumber - Número de telefone
+ * @returns {Promise<Array<string>>} - IDs das mídias, das mais antigas para as mais recentes
+ */
+export async function listUserMedia(phoneNumber) {
+  return storage.zrangebyscore(`${KEY_PREFIXES.USER_MEDIA}${phoneNumber}`, '-inf', '+inf');
+}
+
+/**
+ * Remove o registro das mídias de um usuário
+ * @param {string} phoneNumber - Número de telefone
+ */
+export async function deleteUserMedia(phoneNumber) {
+  await storage.del(`${KEY_PREFIXES.USER_MEDIA}${phoneNumber}`);
+}
+
+export default {
+  saveOptOut,
+  deleteOptOut,
+  getOptOut,
+  listOptOuts,
+  appendAuditEntry,
+  listAuditEntries,
+  addUserMedia,
+  listUserMedia,
+  deleteUserMedia
+};
@@ -0,0 +1,257 @@
+import storage, { KEY_PREFIXES, StorageUnavailableError } from './storage.js';
+import sessionSchema from '../models/sessionSchema.js';
+import { log, logWarning, logError } from '../utils/logger.js';
+
+/**
+ * Repositório de sessões
+ * Guarda o estado da conversa de cada usuário (etapa do fluxo, respostas e
+ * carta gerada), com controle de versão para que duas instâncias não
+ * sobrescrevam as alterações uma da outra. As sessões seguem o esquema de
+ * src/models/sessionSchema.js: são migradas ao serem lidas e validadas antes
+ * de serem gravadas. Um índice ordenado pela última gravação de cada sessão
+ * permite encontrar as conversas paradas sem percorrer todas as sessões.
+ */
+
+// Tempo de expiração da sessão (26 horas) para evitar dados obsoletos; maior que a janela de
+// atendimento de 24 horas, para que o lembrete fora da janela (template) ainda encontre a sessão
+const SESSION_EXPIRATION_SECONDS = 26 * 3600;
+
+/**
+ * Erro lançado quando a sessão foi alterada por outro processo depois de lida
+ */
+export class SessionConflictError extends Error {
+  constructor(userId, expectedVersion) {
+    super(`Sessão de ${userId} alterada por outro processo (versão esperada: ${expectedVersion})`);
+    this.name = 'SessionConflictError';
+  }
+}
+
+/**
+ * Verifica se um erro veio da gravação da sessão ou do armazenamento compartilhado
+ * Esses erros não são tratados pelas etapas da conversa: chegam ao webhook, que
+ * recusa o lote para que a Meta reenvie a mensagem.
+ * @param {Error} error - Erro capturado
+ * @returns {boolean} - Verdadeiro para SessionConflictError e StorageUnavailableError
+ */
+export function isStorageError(error) {
+  return error instanceof SessionConflictError || error instanceof StorageUnavailableError;
+}
+
+/**
+ * Monta a chave da sessão de um usuário
+ * @param {string} userId - ID do usuário (número de telefone)
+ * @returns {string} - Chave no armazenamento
+ */
+function getKey(userId) {
+  return `${KEY_PREFIXES.SESSION}${userId}`;
+}
+
+/**
+ * Interpreta uma sessão armazenada, migrando-a para a versão atual do esquema
+ * @param {string} userId - ID do usuário (número de telefone)
+ * @param {string} data - Sessão em JSON
+ * @returns {Object} - { document, migrated } com a sessão válida
+ * @throws {SchemaValidationError|SyntaxError} - Se a sessão não puder ser migrada para um documento válido
+ */
+function parseSession(userId, data) {
+  return sessionSchema.load(JSON.parse(data), { id: userId });
+}
+
+/**
+ * Recupera os dados da sessão para um determinado usuário (número de telefone).
+ * Sessões gravadas em versões anteriores do esquema são migradas; uma sessão que
+ * não pode ser aproveitada é descartada e o usuário recomeça a conversa.
+ * @param {string} userId - ID do usuário (número de telefone)
+ * @returns {Promise<Object|null>} - Dados da sessão ou null se não existir
+ */
+export async function getSession(userId) {
+  if (!userId) return null;
+
+  const data = await storage.get(getKey(userId));
+  if (!data) {
+    return null;
+  }
+
+  try {
+    return parseSession(userId, data).document;
+  } catch (error) {
+    logWarning(`Sessão de ${userId} inválida descartada: ${error.message}`);
+    await storage.deleteIfEquals(getKey(userId), data);
+    return null;
+  }
+}
+
+/**
+ * Salva ou atualiza os dados da sessão para um determinado usuário.
+ * A gravação só acontece se a sessão armazenada ainda estiver na versão lida
+ * (sessionData.version); caso outro processo a tenha alterado nesse meio tempo,
+ * lança SessionConflictError em vez de sobrescrever a alteração.
+ * @param {string} userId - ID do usuário (número de telefone)
+ * @param {Object} sessionData - Dados da sessão a serem salvos (version, lastUpdated e schemaVersion são atualizados)
+ * @returns {Promise<boolean>} - Status de sucesso da operação
+ * @throws {SchemaValidationError} - Se a sessão não respeitar o esquema
+ */
+export async function saveSession(userId, sessionData) {
+  if (!userId || !sessionData) return false;
+
+  const expectedVersion = sessionData.version || 0;
+  const version = expectedVersion + 1;
+  const lastUpdated = Date.now();
+  const document = { ...sessionData, schemaVersion: sessionSchema.version, version, lastUpdated };
+
+  sessionSchema.assertValid(document);
+
+  const saved = await storage.setIfVersion(
+    getKey(userId),
+    expectedVersion,
+    JSON.stringify(document),
+    SESSION_EXPIRATION_SECONDS
+  );
+
+  if (!saved) {
+    throw new SessionConflictError(userId, expectedVersion);
+  }
+
+  await storage.zadd(KEY_PREFIXES.SESSION_ACTIVITY, lastUpdated, userId);
+
+  sessionData.schemaVersion = sessionSchema.version;
+  sessionData.version = version;
+  sessionData.lastUpdated = lastUpdated;
+  return true;
+}
+
+/**
+ * Exclui a sessão para um determinado usuário (por exemplo, quando a conversa termina).
+ * @param {string} userId - ID do usuário (número de telefone)
+ * @returns {Promise<boolean>} - Status de sucesso da operação
+ */
+export async function deleteSession(userId) {
+  if (!userId) return false;
+
+  await storage.del(getKey(userId));
+  await storage.zrem(KEY_PREFIXES.SESSION_ACTIVITY, userId);
+  return true;
+}
+
+/**
+ * Lista as sessões sem gravações desde um horário, das mais antigas para as mais recentes
+ * Sessões expiradas são retiradas do índice ao serem encontradas.
+ * @param {number} idleSince - Horário em ms: sessões gravadas pela última vez até ele
+ * @returns {Promise<Array<Object>>} - Sessões { id, session, lastUpdated }
+ */
+export async function listIdleSessions(idleSince) {
+  const sessions = [];
+
+  for (const id of await storage.zrangebyscore(KEY_PREFIXES.SESSION_ACTIVITY, '-inf', idleSince)) {
+    const session = await getSession(id);
+
+    if (!session) {
+      await storage.zrem(KEY_PREFIXES.SESSION_ACTIVITY, id);
+      continue;
+    }
+
+    sessions.push({ id, session, lastUpdated: session.lastUpdated || 0 });
+  }
+
+  return sessions;
+}
+
+/**
+ * Retira uma sessão do índice de sessões paradas até a próxima gravação
+ * @param {string} userId - ID do usuário (número de telefone)
+ */
+export async function releaseIdleSession(userId) {
+  await storage.zrem(KEY_PREFIXES.SESSION_ACTIVITY, userId);
+}
+
+/**
+ * Lista todas as sessões ativas (para fins administrativos/depuração).
+ * @returns {Promise<Array<Object>>} - Sessões { id, session, lastUpdated }, das mais recentes para as mais antigas
+ */
+export async function listSessions() {
+  const sessions = [];
+
+  for (const key of await storage.keys(KEY_PREFIXES.SESSION)) {
+    const data = await storage.get(key);
+    if (!data) {
+      continue;
+    }
+
+    const id = key.slice(KEY_PREFIXES.SESSION.length);
+
+    try {
+      const { document: session } = parseSession(id, data);
+      sessions.push({
+        id,
+        session,
+        lastUpdated: session.lastUpdated || 0
+      });
+    } catch (error) {
+      logError(`Erro ao analisar dados da sessão ${key}`, error);
+    }
+  }
+
+  return sessions.sort((a, b) => b.lastUpdated - a.lastUpdated);
+}
+
+/**
+ * Migra para a versão atual do esquema todas as sessões armazenadas
+ * A gravação mantém a versão de controle da sessão (o conteúdo migrado equivale
+ * ao anterior) e só acontece se a sessão não tiver sido alterada durante a
+ * migração; nesse caso ela já foi gravada no formato atual por quem a alterou.
+ * Sessões inválidas são apenas relatadas, para análise no painel.
+ * @returns {Promise<Object>} - { total, migrated, unchanged, conflicts, invalid: [{ id, errors }] }
+ */
+export async function migrateAllSessions() {
+  const result = { total: 0, migrated: 0, unchanged: 0, conflicts: 0, invalid: [] };
+
+  for (const key of await storage.keys(KEY_PREFIXES.SESSION)) {
+    const data = await storage.get(key);
+    if (!data) {
+      continue;
+    }
+
+    const id = key.slice(KEY_PREFIXES.SESSION.length);
+    result.total++;
+
+    let parsed;
+    try {
+      parsed = parseSession(id, data);
+    } catch (error) {
+      result.invalid.push({ id, errors: error.errors || [error.message] });
+      continue;
+    }
+
+    if (!parsed.migrated) {
+      result.unchanged++;
+      continue;
+    }
+
+    const saved = await storage.setIfVersion(
+      key,
+      parsed.document.version || 0,
+      JSON.stringify(parsed.document),
+      SESSION_EXPIRATION_SECONDS
+    );
+
+    if (saved) {
+      result.migrated++;
+    } else {
+      result.conflicts++;
+    }
+  }
+
+  log(`Migração de sessões concluída: ${result.migrated} migradas, ${result.unchanged} já atualizadas, ${result.conflicts} alteradas durante a migração, ${result.invalid.length} inválidas`);
+  return result;
+}
+
+export default {
+  isStorageError,
+  getSession,
+  saveSession,
+  deleteSession,
+  listSessions,
+  listIdleSessions,
+  releaseIdleSession,
+  migrateAllSessions
+};
@@ -0,0 +1,161 @@
+/**
+ * @fileoverview Camada de armazenamento da aplicação
+ * Seleciona o backend pela variável STORAGE_BACKEND ('redis', 'memory' ou
+ * 'file') e mantém uma única instância (uma única conexão com o Redis) para
+ * toda a aplicação. Todas as chaves usam os prefixos de KEY_PREFIXES.
+ * Com o Redis, uma operação que falha é repetida no backend em memória, para
+ * que uma indisponibilidade momentânea não interrompa as conversas. As
+ * operações de coordenação (locks, deduplicação, versões e limites) não têm
+ * fallback: a memória de uma instância não é vista pelas outras.
+ */
+
+import config from '../config/env.js';
+import { createMemoryBackend } from './backends/memoryBackend.js';
+import { createRedisBackend } from './backends/redisBackend.js';
+import { createFileBackend } from './backends/fileBackend.js';
+import { logInfo, logError } from '../utils/logger.js';
+
+// Prefixos das chaves, agrupados pelo dado que guardam
+export const KEY_PREFIXES = {
+  SESSION: 'session:',
+  SESSION_ACTIVITY: 'sessions:activity',
+  INTERACTION: 'interaction:',
+  INTERACTIONS_INDEX: 'interactions:list',
+  THREAD: 'thread:',
+  MESSAGE_OVERRIDES: 'messages:overrides',
+  WEBHOOK_MESSAGE: 'webhook:message:',
+  WEBHOOK_OUTCOMES: 'webhook:outcomes',
+  OUTBOUND_MESSAGE: 'outbound:message:',
+  OUTBOUND_BY_NUMBER: 'outbound:number:',
+  DELIVERY_FAILURES: 'outbound:failures',
+  WINDOW_FAILURES: 'outbound:window-failures',
+  METRICS: 'metrics:counters',
+  JOBS_READY: 'jobs:ready',
+  JOBS_DELAYED: 'jobs:delayed',
+  JOBS_PROCESSING: 'jobs:processing',
+  JOBS_DEAD: 'jobs:dead',
+  LOCK: 'lock:',
+  RATE_LIMIT: 'ratelimit:',
+  THROTTLED_NUMBERS: 'ratelimit:throttled',
+  THROTTLE_NOTICE: 'ratelimit:notice:',
+  LAST_INBOUND: 'window:inbound:',
+  REMINDER_COUNTS: 'reminders:counts',
+  REMINDER_RUN: 'reminders:run',
+  CAMPAIGNS: 'campaigns:index',
+  CAMPAIGN: 'campaign:data:',
+  CAMPAIGN_RECIPIENTS: 'campaign:recipients:',
+  CAMPAIGN_PROCESSING: 'campaign:processing:',
+  CAMPAIGN_RESULTS: 'campaign:results:',
+  CAMPAIGN_COUNTS: 'campaign:counts:',
+  CAMPAIGN_RUN: 'campaigns:run',
+  OPT_OUTS: 'privacy:optouts',
+  PRIVACY_AUDIT: 'privacy:audit',
+  USER_MEDIA: 'privacy:media:',
+  SETTINGS: 'settings'
+};
+
+// Backends disponíveis
+export const STORAGE_BACKENDS = {
+  REDIS: 'redis',
+  MEMORY: 'memory',
+  FILE: 'file'
+};
+
+// Operações atômicas usadas para coordenar as instâncias, que falham em vez de usar o fallback
+const COORDINATION_OPERATIONS = new Set(['setIfVersion', 'deleteIfEquals', 'hitSlidingWindows']);
+
+/**
+ * Erro lançado quando uma operação de coordenação não pode ser executada no backend principal
+ */
+export class StorageUnavailableError extends Error {
+  constructor(operation, cause) {
+    super(`Armazenamento indisponível para a operação ${operation}`, { cause });
+    this.name = 'StorageUnavailableError';
+  }
+}
+
+/**
+ * Verifica se uma operação coordena as instâncias e não pode usar o fallback
+ * Um set com onlyIfAbsent obtém locks e registra mensagens recebidas: na memória
+ * de uma instância, duas instâncias obteriam o mesmo lock.
+ * @param {string} operation - Nome da operação
+ * @param {Array} args - Argumentos da operação
+ * @returns {boolean} - Verdadeiro se a operação exige o backend principal
+ */
+function isCoordinationOperation(operation, args) {
+  return COORDINATION_OPERATIONS.has(operation) || (operation === 'set' && Boolean(args[2]?.onlyIfAbsent));
+}
+
+/**
+ * Repete no backend de fallback as operações que falharem no principal
+ * Enquanto a conexão estiver caída, as operações vão direto para o fallback,
+ * sem esperar as tentativas de cada comando. As operações de coordenação
+ * lançam StorageUnavailableError, para que a requisição falhe e seja repetida.
+ * @param {Object} primary - Backend principal (Redis)
+ * @param {Object} fallback - Backend em memória
+ * @returns {Object} - Backend com fallback
+ */
+function withFallback(primary, fallback) {
+  const backend = { name: primary.name };
+
+  for (const [operation, fn] of Object.entries(primary)) {
+    if (typeof fn !== 'function' || operation === 'isAvailable') {
+      continue;
+    }
+
+    backend[operation] = async (...args) => {
+      const failClosed = isCoordinationOperation(operation, args);
+
+      if (!primary.isAvailable()) {
+        if (failClosed) {
+          throw new StorageUnavailableError(operation);
+        }
+        return fallback[operation](...args);
+      }
+
+      try {
+        return await fn(...args);
+      } catch (error) {
+        if (failClosed) {
+          logError(`Erro na operação ${operation} do Redis`, error);
+          throw new StorageUnavailableError(operation, error);
+        }
+        logError(`Erro na operação ${operation} do Redis, usando a memória desta instância`, error);
+        return fallback[operation](...args);
+      }
+    };
+  }
+
+  return backend;
+}
+
+/**
+ * Cria o backend configurado
+ * Sem STORAGE_BACKEND, usa o Redis se REDIS_URL estiver definida e a memória caso contrário.
+ * @returns {Object} - Backend de armazenamento
+ */
+function createStorage() {
+  const backendName = config.STORAGE_BACKEND || (config.REDIS_URL ? STORAGE_BACKENDS.REDIS : STORAGE_BACKENDS.MEMORY);
+
+  switch (backendName) {
+    case STORAGE_BACKENDS.REDIS:
+      if (!config.REDIS_URL) {
+        throw new Error('STORAGE_BACKEND=redis exige REDIS_URL');
+      }
+      return withFallback(createRedisBackend(config.REDIS_URL), createMemoryBackend());
+
+    case STORAGE_BACKENDS.FILE:
+      return createFileBackend(config.STORAGE_FILE_PATH);
+
+    case STORAGE_BACKENDS.MEMORY:
+      logInfo('Armazenamento em memória: os dados serão perdidos ao reiniciar');
+      return createMemoryBackend();
+
+    default:
+      throw new Error(`STORAGE_BACKEND inválido: ${backendName} (use redis, memory ou file)`);
+  }
+}
+
+const storage = createStorage();
+
+export default storage;
@@ -0,0 +1,53 @@
+import storage, { KEY_PREFIXES } from './storage.js';
+import config from '../config/env.js';
+
+/**
+ * Repositório de threads
+ * Guarda o histórico da conversa livre de cada usuário com o Conselheiro.
+ * A expiração por inatividade é decidida pelo threadService; aqui a chave
+ * apenas expira junto, para não acumular threads abandonados.
+ */
+
+/**
+ * Monta a chave do thread de um usuário
+ * @param {string} phoneNumber - Número de telefone do usuário
+ * @returns {string} - Chave no armazenamento
+ */
+function getKey(phoneNumber) {
+  return `${KEY_PREFIXES.THREAD}${phoneNumber}`;
+}
+
+/**
+ * Obtém o thread de um usuário
+ * @param {string} phoneNumber - Número de telefone do usuário
+ * @returns {Promise<Object|null>} - Thread ou null se não encontrado
+ */
+export async function getThread(phoneNumber) {
+  const data = await storage.get(getKey(phoneNumber));
+  return data ? JSON.parse(data) : null;
+}
+
+/**
+ * Salva o thread de um usuário
+ * @param {string} phoneNumber - Número de telefone do usuário
+ * @param {Object} threadInfo - Thread
+ */
+export async function saveThread(phoneNumber, threadInfo) {
+  await storage.set(getKey(phoneNumber), JSON.stringify(threadInfo), {
+    ttlSeconds: config.THREAD_EXPIRATION_HOURS * 3600
+  });
+}
+
+/**
+ * Remove o thread de um usuário
+ * @param {string} phoneNumber - Número de telefone do usuário
+ */
+export async function deleteThread(phoneNumber) {
+  await storage.del(getKey(phoneNumber));
+}
+
+export default {
+  getThread,
+  saveThread,
+  deleteThread
+};
@@ -0,0 +1,87 @@
+/**
+ * Utilitário para interpretar o texto da Carta da Consciênc.IA
+ * A carta gerada pela OpenAI usa "---" como pausa entre seções e a
+ * formatação do WhatsApp (*negrito*, _itálico_).
+ */
+
+// Emojis e símbolos pictográficos (não suportados pelas fontes padrão de PDF/imagem)
+const EMOJI_REGEX = /[\p{Extended_Pictographic}\u{1F1E6}-\u{1F1FF}\u{FE0F}\u{200D}\u{20E3}]/gu;
+
+/**
+ * Divide a carta em seções
+ * @param {string} letterContent - Texto da carta
+ * @returns {Array<string>} - Seções não vazias, na ordem original
+ */
+export function splitLetterSections(letterContent) {
+  if (!letterContent) return [];
+
+  return letterContent
+    .split('---')
+    .map(section => section.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Remove os emojis de um texto
+ * @param {string} text - Texto original
+ * @returns {string} - Texto sem emojis
+ */
+export function stripEmojis(text) {
+  if (!text) return '';
+
+  return text
+    .replace(EMOJI_REGEX, '')
+    .replace(/[ \t]{2,}/g, ' ')
+    .split('\n')
+    .map(line => line.trim())
+    .join('\n');
+}
+
+/**
+ * Remove a formatação do WhatsApp (*negrito*, _itálico_, ~riscado~)
+ * @param {string} text - Texto original
+ * @returns {string} - Texto sem marcadores de formatação
+ */
+export function stripWhatsAppFormatting(text) {
+  if (!text) return '';
+
+  return text.replace(/[*_~]([^*_~\n]+)[*_~]/g, '$1');
+}
+
+/**
+ * Verifica se uma seção da carta é a poesia
+ * @param {string} section - Texto da seção
+ * @returns {boolean} - Verdadeiro se a seção contém a poesia
+ */
+export function isPoemSection(section) {
+  // "poem" cobre também "poema" (cartas em inglês e espanhol)
+  return /poesia|poem/i.test(section || '');
+}
+
+/**
+ * Extrai os versos da poesia da carta
+ * A seção da poesia começa com a frase de apresentação ("...a IA te presenteia
+ * com uma poesia:", ou o equivalente no idioma da carta), que não faz parte dos versos.
+ * @param {string} letterContent - Texto da carta
+ * @returns {string|null} - Versos da poesia ou null se a carta não tiver poesia
+ */
+export function extractPoem(letterContent) {
+  const section = splitLetterSections(letterContent).find(isPoemSection);
+
+  if (!section) return null;
+
+  const introEnd = section.search(/(poesia|poem)[^\n]*:/i);
+  const verses = introEnd >= 0
+    ? section.substring(section.indexOf(':', introEnd) + 1)
+    : section;
+
+  return verses.trim() || null;
+}
+
+export default {
+  splitLetterSections,
+  stripEmojis,
+  stripWhatsAppFormatting,
+  isPoemSection,
+  extractPoem
+};
@@ -1,15 +1,195 @@
-export function logInfo(message, data = null) {
-  console.log(`[INFO] ${message}`);
-  if (data) {
-    console.log(data);
+/**
+ * @fileoverview Logger estruturado da aplicação
+ * Cada registro é uma linha JSON com o horário, o nível, a mensagem, o id de
+ * correlação da requisição (ou da execução do worker) e os dados informados.
+ * Telefones, e-mails, tokens e o conteúdo das mensagens dos usuários são
+ * mascarados antes da escrita. O nível mínimo é definido por LOG_LEVEL.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import crypto from 'crypto';
+import config from '../config/env.js';
+
+// Níveis aceitos em LOG_LEVEL, do mais detalhado ao mais grave
+export const LOG_LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40
+};
+
+const minLevel = LOG_LEVELS[config.LOG_LEVEL] || LOG_LEVELS.info;
+
+// Contexto (correlationId, messageId, jobId) incluído em todos os registros da execução
+const logContext = new AsyncLocalStorage();
+
+const REDACTED = '[REDACTED]';
+
+// Campos com credenciais: o valor nunca é registrado
+const SECRET_FIELD_PATTERN = /token|secret|password|authorization|api[-_]?key|signature|cookie/i;
+
+// Campos com o conteúdo das mensagens ou dados informados pelos usuários
+const CONTENT_FIELDS = new Set([
+  'body', 'text', 'caption', 'transcript', 'content', 'name', 'profile', 'email', 'business',
+  'challenge', 'personalChallenge', 'profileData', 'profileAnalysis', 'imageAnalysis', 'letterContent'
+]);
+
+// Profundidade máxima percorrida nos dados de um registro
+const MAX_DEPTH = 10;
+
+/**
+ * Mascara telefones, e-mails e tokens em um texto
+ * Telefones mantêm os 4 últimos dígitos e e-mails, o domínio, para permitir a investigação.
+ * @param {string} text - Texto original
+ * @returns {string} - Texto mascarado
+ */
+export function redactText(text) {
+  return text
+    .replace(/Bearer\s+[\w.~+/=-]+/gi, `Bearer ${REDACTED}`)
+    .replace(/\b([\w.]*(?:token|secret|key|password))=[^&\s,;]+/gi, `$1=${REDACTED}`)
+    .replace(/\bsk-[\w-]{10,}/g, REDACTED)
+    .replace(/[\w.+-]+@([\w-]+(?:\.[\w-]+)+)/g, '***@$1')
+    .replace(/(?<![\w:+])\+?\d{11,15}(?!\d)/g, (phone) => `***${phone.slice(-4)}`);
+}
+
+/**
+ * Converte um erro em objeto serializável, com a resposta da API quando houver
+ * @param {Error} error - Erro
+ * @returns {Object} - { name, message, code, status, response, stack }
+ */
+function serializeError(error) {
+  const serialized = { name: error.name, message: error.message };
+
+  if (error.code) serialized.code = error.code;
+  if (error.response) {
+    serialized.status = error.response.status;
+    serialized.response = error.response.data;
   }
+  serialized.stack = error.stack;
+
+  return serialized;
 }
 
-export function logError(message, error = null) {
-  console.error(`[ERROR] ${message}`);
-  if (error) {
-    console.error(error);
+/**
+ * Mascara os dados de um registro
+ * @param {*} value - Valor original
+ * @param {number} depth - Profundidade atual
+ * @param {WeakSet} seen - Objetos já visitados (referências circulares)
+ * @returns {*} - Valor mascarado
+ */
+function redactValue(value, depth = 0, seen = new WeakSet()) {
+  if (typeof value === 'string') {
+    return redactText(value);
+  }
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (Buffer.isBuffer(value)) {
+    return `[Buffer ${value.length} bytes]`;
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (seen.has(value) || depth >= MAX_DEPTH) {
+    return '[...]';
+  }
+  seen.add(value);
+
+  if (value instanceof Error) {
+    const { name, ...fields } = serializeError(value);
+    return { name, ...redactValue(fields, depth, seen) };
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redactValue(item, depth + 1, seen));
+  }
+
+  const redacted = {};
+  for (const [field, fieldValue] of Object.entries(value)) {
+    if (SECRET_FIELD_PATTERN.test(field) || (CONTENT_FIELDS.has(field) && fieldValue !== null && fieldValue !== undefined)) {
+      redacted[field] = REDACTED;
+    } else {
+      redacted[field] = redactValue(fieldValue, depth + 1, seen);
+    }
   }
+  return redacted;
+}
+
+/**
+ * Escreve um registro, se o nível estiver habilitado
+ * @param {string} level - Nível (usar LOG_LEVELS)
+ * @param {string} message - Mensagem
+ * @param {*} data - Dados adicionais ou erro
+ */
+function write(level, message, data) {
+  if (LOG_LEVELS[level] < minLevel) {
+    return;
+  }
+
+  const entry = {
+    timestamp: new Date().toISOString(),
+    level,
+    message: redactText(String(message)),
+    ...logContext.getStore()
+  };
+
+  if (data instanceof Error) {
+    entry.error = redactValue(data);
+  } else if (data !== null && data !== undefined) {
+    entry.data = redactValue(data);
+  }
+
+  const line = JSON.stringify(entry);
+  if (level === 'error') {
+    console.error(line);
+  } else if (level === 'warn') {
+    console.warn(line);
+  } else {
+    console.log(line);
+  }
+}
+
+/**
+ * Gera um novo id de correlação
+ * @returns {string} - Id de correlação
+ */
+export function createCorrelationId() {
+  return crypto.randomUUID();
+}
+
+/**
+ * Executa uma função com campos adicionais no contexto dos registros
+ * Os campos se somam aos do contexto atual e valem para todo o código
+ * assíncrono iniciado pela função.
+ * @param {Object} context - Campos do contexto (ex: { correlationId }, { jobId })
+ * @param {Function} fn - Função a executar
+ * @returns {*} - Retorno da função
+ */
+export function runWithLogContext(context, fn) {
+  return logContext.run({ ...logContext.getStore(), ...context }, fn);
+}
+
+/**
+ * Obtém o id de correlação da execução atual
+ * @returns {string|undefined} - Id de correlação ou undefined fora de uma requisição ou execução do worker
+ */
+export function getCorrelationId() {
+  return logContext.getStore()?.correlationId;
+}
+
+export function logDebug(message, data = null) {
+  write('debug', message, data);
+}
+
+export function logInfo(message, data = null) {
+  write('info', message, data);
+}
+
+export function logWarning(message, data = null) {
+  write('warn', message, data);
+}
+
+export function logError(message, error = null) {
+  write('error', message, error);
 }
 
 // Alias genérico para manter compatibilidade com "log"
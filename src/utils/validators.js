@@ -101,3 +101,18 @@ export function normalizeProfileUrl(input) {
   // Se não for reconhecido, retorna o input original
   return input;
 }
+
+/**
+ * Normaliza o texto removendo acentos, espaços extras e convertendo para minúsculas
+ * @param {string} text - Texto a ser normalizado
+ * @returns {string} - Texto normalizado
+ */
+export function normalizeText(text) {
+  if (!text) return '';
+  
+  // Remove acentos
+  const normalized = text.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+  
+  // Remove espaços extras e converte para minúsculas
+  return normalized.toLowerCase().trim().replace(/\s+/g, ' ');
+}
@@ -0,0 +1,83 @@
+/**
+ * @fileoverview Worker da fila de jobs
+ * Executa os jobs enfileirados pelo webhook (geração da carta). Pode ser chamado
+ * periodicamente pela rota /jobs/run (Vercel Cron) ou rodar como processo
+ * contínuo com `npm run worker`, que também envia os lembretes de conversas
+ * abandonadas (reminderService) e os templates das campanhas (campaignService).
+ */
+
+import { fileURLToPath } from 'url';
+import jobQueueService, { JOB_TYPES } from '../services/jobQueueService.js';
+import reminderService from '../services/reminderService.js';
+import campaignService from '../services/campaignService.js';
+import { runLetterJob, failLetterJob } from '../controllers/conversationController.js';
+import config from '../config/env.js';
+import { log, logError, createCorrelationId, runWithLogContext } from '../utils/logger.js';
+
+// Handlers de cada tipo de job
+const JOB_HANDLERS = {
+  [JOB_TYPES.GENERATE_LETTER]: {
+    run: runLetterJob,
+    onDeadLetter: failLetterJob
+  }
+};
+
+/**
+ * Processa os jobs pendentes uma vez
+ * @param {Object} options - Limites da execução ({ maxJobs, timeBudgetMs })
+ * @returns {Promise<Object>} - Resumo { completed, retried, dead }
+ */
+export async function runWorker(options) {
+  const summary = await jobQueueService.processJobs(JOB_HANDLERS, options);
+
+  if (summary.completed + summary.retried + summary.dead > 0) {
+    log(`Worker: ${summary.completed} job(s) concluído(s), ${summary.retried} para nova tentativa, ${summary.dead} com falha definitiva`);
+  }
+
+  return summary;
+}
+
+/**
+ * Executa um ciclo do worker contínuo: jobs, lembretes e campanhas
+ */
+async function runWorkerCycle() {
+  try {
+    await runWorker({ maxJobs: Infinity, timeBudgetMs: Infinity });
+  } catch (error) {
+    logError('Erro no worker da fila de jobs', error);
+  }
+
+  // A verificação dos lembretes acontece no máximo uma vez por minuto
+  try {
+    await reminderService.sendDueReminders();
+  } catch (error) {
+    logError('Erro ao enviar lembretes de conversas abandonadas', error);
+  }
+
+  // O envio das campanhas também respeita o limite por minuto
+  try {
+    await campaignService.sendCampaignMessages();
+  } catch (error) {
+    logError('Erro ao enviar campanhas', error);
+  }
+}
+
+/**
+ * Processa a fila continuamente, consultando-a a cada JOB_WORKER_POLL_SECONDS
+ * (e verificando os lembretes de conversas abandonadas e as campanhas)
+ */
+export async function startWorker() {
+  log(`Worker da fila de jobs iniciado (consulta a cada ${config.JOB_WORKER_POLL_SECONDS}s)`);
+
+  for (;;) {
+    // Cada ciclo tem o seu id de correlação, como uma requisição
+    await runWithLogContext({ correlationId: createCorrelationId() }, runWorkerCycle);
+
+    await new Promise(resolve => setTimeout(resolve, config.JOB_WORKER_POLL_SECONDS * 1000));
+  }
+}
+
+// Executado diretamente (npm run worker)
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  startWorker();
+}